@@ -1,4 +1,5 @@
-import React, { useRef, useEffect, useCallback } from 'react';
+import React, { useRef, useEffect, useCallback, useState } from 'react';
+import { mapToTopology, Topologies } from '../engine/LifeRules.js';
 
 const GameCanvas = ({ 
   grid, 
@@ -6,19 +7,24 @@ const GameCanvas = ({
   numCellsY, 
   cellSize, 
   theme, 
+  states = 2,
   onCellClick,
+  stampPattern = null,
+  onStamp,
+  topology = Topologies.TORUS,
   className = '',
   style = {}
 }) => {
   const canvasRef = useRef(null);
+  const [hoverCell, setHoverCell] = useState(null);
 
   // Draw a single cell with simple flat style
-  const drawCell = useCallback((ctx, x, y, isAlive) => {
+  const drawCell = useCallback((ctx, x, y, state) => {
     const px = x * cellSize;
     const py = y * cellSize;
 
     // Draw cell background
-    if (isAlive) {
+    if (state === 1) {
       // Live cell - use primary color
       ctx.fillStyle = getComputedStyle(document.documentElement)
         .getPropertyValue('--md-sys-color-primary').trim();
@@ -30,12 +36,21 @@ const GameCanvas = ({
     
     ctx.fillRect(px, py, cellSize, cellSize);
 
+    // Dying cell (Generations rules) - primary color fading with age
+    if (state > 1) {
+      ctx.globalAlpha = 1 - (state - 1) / states;
+      ctx.fillStyle = getComputedStyle(document.documentElement)
+        .getPropertyValue('--md-sys-color-primary').trim();
+      ctx.fillRect(px, py, cellSize, cellSize);
+      ctx.globalAlpha = 1;
+    }
+
     // Draw subtle grid lines
     ctx.strokeStyle = getComputedStyle(document.documentElement)
       .getPropertyValue('--md-sys-color-outline-variant').trim();
     ctx.lineWidth = 0.5;
     ctx.strokeRect(px, py, cellSize, cellSize);
-  }, [cellSize]);
+  }, [cellSize, states]);
 
 
   // Draw the entire grid
@@ -55,29 +70,62 @@ const GameCanvas = ({
     for (let x = 0; x < Math.min(numCellsX, grid.length); x++) {
       if (!grid[x]) continue;
       for (let y = 0; y < Math.min(numCellsY, grid[x].length); y++) {
-        const isAlive = grid[x][y] === 1;
-        drawCell(ctx, x, y, isAlive);
+        drawCell(ctx, x, y, grid[x][y]);
       }
     }
-  }, [grid, numCellsX, numCellsY, drawCell]);
 
-  // Handle canvas click/touch
-  const handleCanvasInteraction = useCallback((e) => {
-    e.preventDefault();
-    if (!onCellClick) return;
+    // Ghost of the pattern about to be stamped, centred on the cursor; cells
+    // past an edge show where stamping puts them (nowhere for dead and reflective edges)
+    if (stampPattern && hoverCell) {
+      const originX = hoverCell.x - Math.floor(stampPattern.width / 2);
+      const originY = hoverCell.y - Math.floor(stampPattern.height / 2);
+      const edges = topology === Topologies.REFLECTIVE ? Topologies.DEAD : topology;
+      ctx.globalAlpha = 0.5;
+      ctx.fillStyle = getComputedStyle(document.documentElement)
+        .getPropertyValue('--md-sys-color-tertiary').trim();
+      stampPattern.cells.forEach(([dx, dy]) => {
+        const target = mapToTopology(edges, [originX + dx, originY + dy], [numCellsX, numCellsY]);
+        if (target) ctx.fillRect(target[0] * cellSize, target[1] * cellSize, cellSize, cellSize);
+      });
+      ctx.globalAlpha = 1;
+    }
+  }, [grid, numCellsX, numCellsY, cellSize, drawCell, stampPattern, hoverCell, topology]);
 
+  // Grid cell under a mouse or touch event
+  const getEventCell = useCallback((e) => {
     const canvas = canvasRef.current;
-    if (!canvas) return;
+    if (!canvas) return null;
 
     const rect = canvas.getBoundingClientRect();
     const clientX = e.touches ? e.touches[0].clientX : e.clientX;
     const clientY = e.touches ? e.touches[0].clientY : e.clientY;
 
-    const x = Math.floor((clientX - rect.left) / cellSize);
-    const y = Math.floor((clientY - rect.top) / cellSize);
+    return {
+      x: Math.floor((clientX - rect.left) / cellSize),
+      y: Math.floor((clientY - rect.top) / cellSize)
+    };
+  }, [cellSize]);
+
+  // Handle canvas click/touch
+  const handleCanvasInteraction = useCallback((e) => {
+    e.preventDefault();
+    const cell = getEventCell(e);
+    if (!cell) return;
+
+    if (stampPattern && onStamp) {
+      onStamp(stampPattern, cell.x, cell.y);
+    } else if (onCellClick) {
+      onCellClick(cell.x, cell.y);
+    }
+  }, [getEventCell, stampPattern, onStamp, onCellClick]);
 
-    onCellClick(x, y);
-  }, [cellSize, onCellClick]);
+  const handleMouseMove = useCallback((e) => {
+    if (!stampPattern) return;
+    const cell = getEventCell(e);
+    setHoverCell(prev => (
+      prev && cell && prev.x === cell.x && prev.y === cell.y ? prev : cell
+    ));
+  }, [getEventCell, stampPattern]);
 
   // Update canvas size when dimensions change
   useEffect(() => {
@@ -99,12 +147,14 @@ const GameCanvas = ({
       className={className}
       style={{
         display: 'block',
-        cursor: 'pointer',
+        cursor: stampPattern ? 'copy' : 'pointer',
         imageRendering: 'pixelated',
         ...style
       }}
       onClick={handleCanvasInteraction}
       onTouchStart={handleCanvasInteraction}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHoverCell(null)}
     />
   );
 };
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { Button, Typography, TextField } from '../design-system';
+import { HistoryEvents } from '../engine/LifeHistory.js';
+import './HistoryTimeline.css';
+
+// Readable line for a history event
+export const describeHistoryEvent = (event) => {
+  if (event.type === HistoryEvents.EXTINCT) {
+    return `Died out at generation ${event.generation.toLocaleString()}`;
+  }
+  const [dx, dy] = event.displacement;
+  const from = `from generation ${event.generation.toLocaleString()}`;
+  if (dx || dy) return `Moves (${dx}, ${dy}) every ${event.period} generations ${from}`;
+  if (event.period === 1) return `Still ${from}`;
+  return `Period ${event.period} ${from}`;
+};
+
+// Scrubbable timeline over the recorded generations, with step buttons, a
+// generation to jump to and marks where the pattern settled.
+// onJump throws when a generation is out of reach.
+const HistoryTimeline = ({
+  range,
+  events = [],
+  generation,
+  onJump,
+  onStepBack,
+  onStepForward
+}) => {
+  const [target, setTarget] = useState('');
+  const [error, setError] = useState(null);
+
+  const start = range ? range.start : generation;
+  const end = range ? Math.max(range.end, generation) : generation;
+  const span = Math.max(1, end - start);
+  const position = (value) => `${((value - start) / span) * 100}%`;
+
+  const jump = (value) => {
+    try {
+      onJump(value);
+      setError(null);
+    } catch (jumpError) {
+      setError(jumpError.message);
+    }
+  };
+
+  const handleSubmit = () => {
+    const value = parseInt(target, 10);
+    if (Number.isNaN(value) || value < 0) {
+      setError('Enter a generation number');
+      return;
+    }
+    jump(value);
+  };
+
+  return (
+    <div className="history-timeline">
+      <div className="history-timeline-controls">
+        <Button variant="outlined" size="small" onClick={onStepBack} disabled={generation <= start}>
+          Step Back
+        </Button>
+        <Button variant="outlined" size="small" onClick={onStepForward}>
+          Step
+        </Button>
+        <Typography variant="body-small" className="history-timeline-range">
+          {range
+            ? `History ${range.start.toLocaleString()}–${range.end.toLocaleString()}`
+            : 'No history yet'}
+        </Typography>
+        <TextField
+          label="Go to generation"
+          size="small"
+          type="number"
+          min="0"
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSubmit();
+          }}
+          error={Boolean(error)}
+        />
+        <Button variant="text" size="small" onClick={handleSubmit}>
+          Go
+        </Button>
+      </div>
+
+      <div className="history-timeline-track">
+        {events
+          .filter(event => event.generation >= start && event.generation <= end)
+          .map(event => (
+            <button
+              key={`${event.type}-${event.detectedAt}`}
+              type="button"
+              className={`history-timeline-mark history-timeline-mark--${event.type}`}
+              style={{ left: position(event.generation) }}
+              title={describeHistoryEvent(event)}
+              aria-label={describeHistoryEvent(event)}
+              onClick={() => jump(event.generation)}
+            />
+          ))}
+        <input
+          type="range"
+          min={start}
+          max={end}
+          value={generation}
+          onChange={(e) => jump(parseInt(e.target.value, 10))}
+          disabled={!range || end === start}
+          className="history-timeline-slider"
+          aria-label="Generation"
+        />
+      </div>
+
+      {(error || events.length > 0) && (
+        <Typography
+          variant="body-small"
+          className={error ? 'history-timeline-error' : 'history-timeline-events'}
+        >
+          {error || events.map(describeHistoryEvent).join(' · ')}
+        </Typography>
+      )}
+    </div>
+  );
+};
+
+export default HistoryTimeline;
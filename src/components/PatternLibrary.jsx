@@ -0,0 +1,243 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Button, Typography, TextField } from '../design-system';
+import { PATTERN_LIBRARY, PATTERN_CATEGORIES } from '../config/lifePatterns.js';
+import {
+  getLibraryPattern,
+  rotatePattern,
+  flipPattern,
+  parsePattern,
+  writeRLE,
+  PatternFormats
+} from '../engine/LifePatterns.js';
+import './PatternLibrary.css';
+
+// Pattern format implied by a file name; unknown extensions are sniffed from the content
+const FORMAT_BY_EXTENSION = {
+  rle: PatternFormats.RLE,
+  lif: PatternFormats.LIFE_106,
+  life: PatternFormats.LIFE_106,
+  cells: PatternFormats.PLAINTEXT
+};
+
+const ACCEPTED_FILES = '.rle,.lif,.life,.cells,.txt';
+
+// Small canvas thumbnail of a pattern, scaled to fit
+const PatternPreview = ({ pattern, width = 120, height = 72 }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !pattern) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    ctx.fillStyle = styles.getPropertyValue('--md-sys-color-surface-container-low').trim();
+    ctx.fillRect(0, 0, width, height);
+
+    const size = Math.max(1, Math.floor(Math.min(width / (pattern.width + 2), height / (pattern.height + 2))));
+    const offsetX = Math.floor((width - pattern.width * size) / 2);
+    const offsetY = Math.floor((height - pattern.height * size) / 2);
+    ctx.fillStyle = styles.getPropertyValue('--md-sys-color-primary').trim();
+    pattern.cells.forEach(([x, y]) => {
+      ctx.fillRect(offsetX + x * size, offsetY + y * size, size, size);
+    });
+  }, [pattern, width, height]);
+
+  return <canvas ref={canvasRef} width={width} height={height} className="pattern-library-preview" />;
+};
+
+const PatternLibrary = ({ onSelectPattern, getGridPattern, onImportRule, onImportTopology }) => {
+  const [category, setCategory] = useState(PATTERN_CATEGORIES[0].id);
+  const [selectedId, setSelectedId] = useState(null);
+  const [pattern, setPattern] = useState(null);
+  const [importText, setImportText] = useState('');
+  const [importError, setImportError] = useState(null);
+  const [exportStatus, setExportStatus] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const entries = PATTERN_LIBRARY.filter(entry => entry.category === category);
+  const selectedEntry = PATTERN_LIBRARY.find(entry => entry.id === selectedId);
+
+  // The canvas stamps whatever is selected here, as currently oriented
+  const updatePattern = (next) => {
+    setPattern(next);
+    onSelectPattern(next);
+  };
+
+  const selectPattern = (id, next) => {
+    setSelectedId(id);
+    updatePattern(next);
+  };
+
+  const handleEntryClick = (id) => {
+    if (id === selectedId) {
+      selectPattern(null, null);
+    } else {
+      selectPattern(id, getLibraryPattern(id));
+    }
+  };
+
+  const loadPattern = (text, filename) => {
+    try {
+      const extension = filename ? filename.split('.').pop().toLowerCase() : null;
+      const loaded = parsePattern(text, FORMAT_BY_EXTENSION[extension]);
+      if (loaded.cells.length === 0) {
+        throw new Error('Pattern has no live cells');
+      }
+      selectPattern('imported', { ...loaded, name: loaded.name || filename || 'Imported pattern' });
+      setImportError(null);
+      if (loaded.rule && onImportRule) onImportRule(loaded.rule);
+      if (loaded.topology && onImportTopology) onImportTopology(loaded.topology);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => loadPattern(String(reader.result), file.name);
+    reader.onerror = () => setImportError(`Could not read ${file.name}`);
+    reader.readAsText(file);
+  };
+
+  const getExportText = () => {
+    const gridPattern = getGridPattern('Exported pattern');
+    if (gridPattern.cells.length === 0) {
+      setExportStatus('The grid is empty');
+      return null;
+    }
+    return writeRLE(gridPattern);
+  };
+
+  const handleDownload = () => {
+    const text = getExportText();
+    if (!text) return;
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pattern.rle';
+    link.click();
+    URL.revokeObjectURL(url);
+    setExportStatus(null);
+  };
+
+  const handleCopy = async () => {
+    const text = getExportText();
+    if (!text) return;
+    try {
+      await navigator.clipboard.writeText(text);
+      setExportStatus('RLE copied to clipboard');
+    } catch {
+      setExportStatus('Clipboard is not available');
+    }
+  };
+
+  return (
+    <div className="pattern-library">
+      <Typography variant="label-large">Patterns</Typography>
+
+      <div className="pattern-library-categories" role="tablist">
+        {PATTERN_CATEGORIES.map(item => (
+          <button
+            key={item.id}
+            type="button"
+            role="tab"
+            aria-selected={category === item.id}
+            className={`pattern-library-category ${category === item.id ? 'active' : ''}`}
+            onClick={() => setCategory(item.id)}
+          >
+            {item.name}
+          </button>
+        ))}
+      </div>
+
+      <ul className="pattern-library-list">
+        {entries.map(entry => (
+          <li key={entry.id}>
+            <button
+              type="button"
+              className={`pattern-library-entry ${selectedId === entry.id ? 'selected' : ''}`}
+              onClick={() => handleEntryClick(entry.id)}
+              title={entry.description}
+            >
+              <span>{entry.name}</span>
+              {entry.period && <span className="pattern-library-period">p{entry.period}</span>}
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {pattern && (
+        <div className="pattern-library-selection">
+          <PatternPreview pattern={pattern} />
+          <Typography variant="body-small">
+            {pattern.name} ({pattern.width}×{pattern.height})
+          </Typography>
+          <Typography variant="body-small" className="pattern-library-hint">
+            {selectedEntry ? selectedEntry.description : pattern.comments[0]}
+          </Typography>
+          <Typography variant="body-small" className="pattern-library-hint">
+            Click the grid to stamp it.
+          </Typography>
+          <div className="pattern-library-actions">
+            <Button variant="outlined" size="small" onClick={() => updatePattern(rotatePattern(pattern, 1))}>
+              Rotate
+            </Button>
+            <Button variant="outlined" size="small" onClick={() => updatePattern(flipPattern(pattern, 'horizontal'))}>
+              Flip H
+            </Button>
+            <Button variant="outlined" size="small" onClick={() => updatePattern(flipPattern(pattern, 'vertical'))}>
+              Flip V
+            </Button>
+            <Button variant="text" size="small" onClick={() => selectPattern(null, null)}>Done</Button>
+          </div>
+        </div>
+      )}
+
+      <div className="pattern-library-import">
+        <TextField
+          label="Paste RLE, Life 1.06 or .cells"
+          size="small"
+          multiline
+          rows={3}
+          value={importText}
+          onChange={(e) => setImportText(e.target.value)}
+          error={Boolean(importError)}
+          helperText={importError}
+        />
+        <div className="pattern-library-actions">
+          <Button variant="outlined" size="small" onClick={() => loadPattern(importText)} disabled={!importText.trim()}>
+            Load
+          </Button>
+          <Button variant="outlined" size="small" onClick={() => fileInputRef.current?.click()}>
+            Open File
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={ACCEPTED_FILES}
+            onChange={handleFileChange}
+            hidden
+          />
+        </div>
+      </div>
+
+      <div className="pattern-library-export">
+        <div className="pattern-library-actions">
+          <Button variant="outlined" size="small" onClick={handleDownload}>Export RLE</Button>
+          <Button variant="text" size="small" onClick={handleCopy}>Copy RLE</Button>
+        </div>
+        {exportStatus && (
+          <Typography variant="body-small" className="pattern-library-hint">{exportStatus}</Typography>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PatternLibrary;
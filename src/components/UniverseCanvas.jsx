@@ -0,0 +1,214 @@
+import React, { useRef, useEffect, useCallback, useState } from 'react';
+
+// Pixels per cell limits; below one pixel HashLife draws whole blocks
+export const MIN_SCALE = 2 ** -12;
+export const MAX_SCALE = 64;
+
+// Mouse travel before a press becomes a pan instead of a click
+const DRAG_THRESHOLD = 3;
+
+export const clampScale = (scale) => Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale));
+
+// Viewport that fits a bounding box into a canvas, leaving a margin
+export const fitViewport = (bounds, width, height) => {
+  if (!bounds) return null;
+  const cols = bounds.maxX - bounds.minX + 1;
+  const rows = bounds.maxY - bounds.minY + 1;
+  const scale = clampScale(Math.min(width / (cols * 1.2 + 4), height / (rows * 1.2 + 4)));
+  return {
+    x: bounds.minX + cols / 2 - width / scale / 2,
+    y: bounds.minY + rows / 2 - height / scale / 2,
+    scale
+  };
+};
+
+// Canvas onto an unbounded universe. viewport = { x, y, scale }: the world
+// coordinates of the top-left corner and pixels per cell. Drag to pan, wheel to zoom.
+const UniverseCanvas = ({
+  universe,
+  version,
+  width,
+  height,
+  viewport,
+  onViewportChange,
+  states = 2,
+  onCellClick,
+  stampPattern = null,
+  onStamp,
+  className = '',
+  style = {}
+}) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const [hoverCell, setHoverCell] = useState(null);
+
+  const drawUniverse = useCallback(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !universe || !viewport) return;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const styles = getComputedStyle(document.documentElement);
+    const live = styles.getPropertyValue('--md-sys-color-primary').trim();
+    const { x: originX, y: originY, scale } = viewport;
+
+    ctx.fillStyle = styles.getPropertyValue('--md-sys-color-surface-container-low').trim();
+    ctx.fillRect(0, 0, width, height);
+
+    const minX = Math.floor(originX);
+    const minY = Math.floor(originY);
+    const maxX = Math.ceil(originX + width / scale);
+    const maxY = Math.ceil(originY + height / scale);
+
+    // Grid lines only while cells are big enough to tell apart
+    if (scale >= 6) {
+      ctx.strokeStyle = styles.getPropertyValue('--md-sys-color-outline-variant').trim();
+      ctx.lineWidth = 0.5;
+      ctx.beginPath();
+      for (let x = minX; x <= maxX; x++) {
+        const px = (x - originX) * scale;
+        ctx.moveTo(px, 0);
+        ctx.lineTo(px, height);
+      }
+      for (let y = minY; y <= maxY; y++) {
+        const py = (y - originY) * scale;
+        ctx.moveTo(0, py);
+        ctx.lineTo(width, py);
+      }
+      ctx.stroke();
+    }
+
+    // One drawn block per screen pixel at most
+    const resolution = scale >= 1 ? 1 : 2 ** Math.ceil(Math.log2(1 / scale));
+    ctx.fillStyle = live;
+    universe.forEachCell(minX, minY, maxX, maxY, resolution, (x, y, size, state) => {
+      // Dying cell (Generations rules) - primary color fading with age
+      ctx.globalAlpha = state > 1 ? 1 - (state - 1) / states : 1;
+      const extent = Math.max(1, size * scale);
+      ctx.fillRect((x - originX) * scale, (y - originY) * scale, extent, extent);
+    });
+    ctx.globalAlpha = 1;
+
+    // Ghost of the pattern about to be stamped, centred on the cursor
+    if (stampPattern && hoverCell) {
+      const stampX = hoverCell.x - Math.floor(stampPattern.width / 2);
+      const stampY = hoverCell.y - Math.floor(stampPattern.height / 2);
+      ctx.globalAlpha = 0.5;
+      ctx.fillStyle = styles.getPropertyValue('--md-sys-color-tertiary').trim();
+      stampPattern.cells.forEach(([dx, dy]) => {
+        const extent = Math.max(1, scale);
+        ctx.fillRect((stampX + dx - originX) * scale, (stampY + dy - originY) * scale, extent, extent);
+      });
+      ctx.globalAlpha = 1;
+    }
+    // version changes whenever the universe is modified in place
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [universe, version, viewport, width, height, states, stampPattern, hoverCell]);
+
+  // World cell under a mouse or touch event
+  const getEventCell = useCallback((e) => {
+    const canvas = canvasRef.current;
+    if (!canvas || !viewport) return null;
+
+    const rect = canvas.getBoundingClientRect();
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
+
+    return {
+      x: Math.floor(viewport.x + (clientX - rect.left) / viewport.scale),
+      y: Math.floor(viewport.y + (clientY - rect.top) / viewport.scale)
+    };
+  }, [viewport]);
+
+  const handleCellInteraction = useCallback((e) => {
+    e.preventDefault();
+    // A press that turned into a pan is not a click
+    if (dragRef.current && dragRef.current.panned) {
+      dragRef.current = null;
+      return;
+    }
+    dragRef.current = null;
+    const cell = getEventCell(e);
+    if (!cell) return;
+
+    if (stampPattern && onStamp) {
+      onStamp(stampPattern, cell.x, cell.y);
+    } else if (onCellClick) {
+      onCellClick(cell.x, cell.y);
+    }
+  }, [getEventCell, stampPattern, onStamp, onCellClick]);
+
+  const handleMouseDown = useCallback((e) => {
+    if (e.button !== 0 || !viewport) return;
+    dragRef.current = { clientX: e.clientX, clientY: e.clientY, viewport, panned: false };
+  }, [viewport]);
+
+  const handleMouseMove = useCallback((e) => {
+    const drag = dragRef.current;
+    if (drag && (e.buttons & 1)) {
+      const dx = e.clientX - drag.clientX;
+      const dy = e.clientY - drag.clientY;
+      if (!drag.panned && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      drag.panned = true;
+      onViewportChange({
+        ...drag.viewport,
+        x: drag.viewport.x - dx / drag.viewport.scale,
+        y: drag.viewport.y - dy / drag.viewport.scale
+      });
+      return;
+    }
+    if (!stampPattern) return;
+    const cell = getEventCell(e);
+    setHoverCell(prev => (
+      prev && cell && prev.x === cell.x && prev.y === cell.y ? prev : cell
+    ));
+  }, [getEventCell, stampPattern, onViewportChange]);
+
+  // Zoom around the cursor; wheel listeners must be non-passive to stop page scrolling
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !viewport) return undefined;
+
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const px = e.clientX - rect.left;
+      const py = e.clientY - rect.top;
+      const scale = clampScale(viewport.scale * (e.deltaY < 0 ? 1.25 : 0.8));
+      onViewportChange({
+        x: viewport.x + px / viewport.scale - px / scale,
+        y: viewport.y + py / viewport.scale - py / scale,
+        scale
+      });
+    };
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, [viewport, onViewportChange]);
+
+  useEffect(() => {
+    drawUniverse();
+  }, [drawUniverse]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={width}
+      height={height}
+      className={className}
+      style={{
+        display: 'block',
+        cursor: stampPattern ? 'copy' : 'grab',
+        touchAction: 'none',
+        ...style
+      }}
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseLeave={() => setHoverCell(null)}
+      onClick={handleCellInteraction}
+      onTouchStart={handleCellInteraction}
+    />
+  );
+};
+
+export default UniverseCanvas;
@@ -0,0 +1,237 @@
+/**
+ * DataProfile Component
+ * Profiling dashboard for one table: per-column null rates, distinct counts,
+ * statistics, histograms, top values, detected patterns and anomalies
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Button, Card, CardHeader, CardContent, Typography } from '../../../design-system';
+import { profileTable, exportProfile, AnomalySeverity } from '../utils/dataProfiler.js';
+import { exportImportManager } from '../utils/exportImport.js';
+
+const formatNumber = (value) => {
+  if (value === null || value === undefined) return '—';
+  return Number.isInteger(value) ? value.toLocaleString() : value.toLocaleString(undefined, { maximumFractionDigits: 3 });
+};
+
+const formatPercent = (share) => `${Math.round(share * 1000) / 10}%`;
+
+const formatValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+export function DataProfile({ tableName, onClose }) {
+  const [revision, setRevision] = useState(0);
+  const [expanded, setExpanded] = useState(null);
+
+  // Refresh bumps revision to profile the table again
+  const profile = useMemo(() => profileTable(tableName), [tableName, revision]);
+
+  const handleExport = () => {
+    exportImportManager.downloadAsFile(exportProfile(profile), `${tableName}_profile.json`, 'application/json');
+  };
+
+  const statStyle = {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 'var(--md-sys-spacing-1)',
+    minWidth: '90px'
+  };
+
+  const renderStat = (label, value) => (
+    <div key={label} style={statStyle}>
+      <Typography variant="label-small" color="on-surface-variant">{label}</Typography>
+      <Typography variant="body-medium" style={{ fontFamily: 'monospace' }}>{value}</Typography>
+    </div>
+  );
+
+  const renderBar = (share, color = 'var(--md-sys-color-primary)') => (
+    <div style={{ flex: 1, height: '8px', borderRadius: 'var(--md-sys-shape-corner-full)', backgroundColor: 'var(--md-sys-color-surface-container-high)' }}>
+      <div style={{ width: `${Math.round(share * 100)}%`, height: '100%', borderRadius: 'var(--md-sys-shape-corner-full)', backgroundColor: color }} />
+    </div>
+  );
+
+  const renderHistogram = (histogram) => {
+    const peak = Math.max(...histogram.map(bin => bin.count));
+    return (
+      <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '80px' }}>
+        {histogram.map(bin => (
+          <div
+            key={`${bin.start}-${bin.end}`}
+            title={`${formatValue(bin.start)} – ${formatValue(bin.end)}: ${bin.count}`}
+            style={{
+              flex: 1,
+              height: `${Math.max(2, (bin.count / peak) * 100)}%`,
+              backgroundColor: 'var(--md-sys-color-primary)',
+              borderRadius: 'var(--md-sys-shape-corner-extra-small) var(--md-sys-shape-corner-extra-small) 0 0',
+              opacity: bin.count === 0 ? 0.2 : 1
+            }}
+          />
+        ))}
+      </div>
+    );
+  };
+
+  const renderAnomaly = (anomaly, key) => (
+    <Typography
+      key={key}
+      variant="body-small"
+      style={{
+        display: 'block',
+        padding: 'var(--md-sys-spacing-1) var(--md-sys-spacing-2)',
+        borderRadius: 'var(--md-sys-shape-corner-small)',
+        backgroundColor: anomaly.severity === AnomalySeverity.WARNING
+          ? 'var(--md-sys-color-error-container)'
+          : 'var(--md-sys-color-surface-container-high)',
+        color: anomaly.severity === AnomalySeverity.WARNING
+          ? 'var(--md-sys-color-on-error-container)'
+          : 'var(--md-sys-color-on-surface-variant)'
+      }}
+    >
+      {anomaly.column && <strong>{anomaly.column}: </strong>}
+      {anomaly.message}
+    </Typography>
+  );
+
+  const renderColumn = (column) => {
+    const isExpanded = expanded === column.name;
+    const { numbers, strings, dates } = column;
+
+    return (
+      <Card key={column.name} variant="outlined" style={{ padding: 'var(--md-sys-spacing-4)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--md-sys-spacing-3)' }}>
+          <div>
+            <Typography variant="title-medium" style={{ fontFamily: 'monospace' }}>
+              {column.name}
+            </Typography>
+            <Typography variant="body-small" color="on-surface-variant">
+              {column.type}{column.format ? ` • ${column.format}` : ''}
+              {column.patterns.length > 0 && ` • ${column.patterns.map(match => `${match.label} ${formatPercent(match.share)}`).join(', ')}`}
+            </Typography>
+          </div>
+          <Button variant="text" size="small" onClick={() => setExpanded(isExpanded ? null : column.name)}>
+            {isExpanded ? 'Less' : 'More'}
+          </Button>
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--md-sys-spacing-4)', marginBottom: 'var(--md-sys-spacing-3)' }}>
+          {renderStat('Null rate', formatPercent(column.nullRate))}
+          {renderStat('Distinct', formatNumber(column.distinctCount))}
+          {renderStat('Unique', formatPercent(column.uniqueRate))}
+          {numbers && renderStat('Min', formatNumber(numbers.min))}
+          {numbers && renderStat('Max', formatNumber(numbers.max))}
+          {numbers && renderStat('Mean', formatNumber(numbers.avg))}
+          {numbers && renderStat('Median', formatNumber(numbers.percentiles.p50))}
+          {dates && renderStat('Earliest', dates.earliest.slice(0, 10))}
+          {dates && renderStat('Latest', dates.latest.slice(0, 10))}
+          {strings && !dates && renderStat('Length', `${strings.minLength}–${strings.maxLength}`)}
+        </div>
+
+        {column.histogram.length > 1 && renderHistogram(column.histogram)}
+
+        {column.anomalies.length > 0 && (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-1)', marginTop: 'var(--md-sys-spacing-3)' }}>
+            {column.anomalies.map((anomaly, i) => renderAnomaly(anomaly, i))}
+          </div>
+        )}
+
+        {isExpanded && (
+          <div style={{ marginTop: 'var(--md-sys-spacing-4)' }}>
+            {numbers && (
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--md-sys-spacing-4)', marginBottom: 'var(--md-sys-spacing-4)' }}>
+                {Object.entries(numbers.percentiles).map(([name, value]) => renderStat(name.toUpperCase(), formatNumber(value)))}
+                {renderStat('Std dev', formatNumber(numbers.stdDev))}
+                {renderStat('Integers', numbers.isInteger ? 'yes' : 'no')}
+              </div>
+            )}
+
+            <Typography variant="title-small" style={{ marginBottom: 'var(--md-sys-spacing-2)' }}>
+              Top Values
+            </Typography>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-1)', marginBottom: 'var(--md-sys-spacing-4)' }}>
+              {column.topValues.map(entry => (
+                <div key={formatValue(entry.value)} style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-3)' }}>
+                  <Typography variant="body-small" style={{ width: '40%', fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {formatValue(entry.value)}
+                  </Typography>
+                  {renderBar(entry.share)}
+                  <Typography variant="label-small" color="on-surface-variant" style={{ width: '100px', textAlign: 'right' }}>
+                    {entry.count} ({formatPercent(entry.share)})
+                  </Typography>
+                </div>
+              ))}
+            </div>
+
+            {Object.keys(column.types).length > 0 && (
+              <Typography variant="body-small" color="on-surface-variant" style={{ display: 'block' }}>
+                Types: {Object.entries(column.types).map(([type, count]) => `${type} ${count}`).join(', ')}
+                {column.nullCount > 0 && ` • null ${column.nullCount}`}
+                {column.missingCount > 0 && ` • missing ${column.missingCount}`}
+              </Typography>
+            )}
+            {column.suggestedConstraints.length > 0 && (
+              <Typography variant="body-small" color="on-surface-variant" style={{ display: 'block' }}>
+                Suggested constraints: {column.suggestedConstraints.map(constraint => constraint.type).join(', ')}
+              </Typography>
+            )}
+          </div>
+        )}
+      </Card>
+    );
+  };
+
+  return (
+    <Card variant="elevated">
+      <CardHeader style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="headline-medium">
+          Data Profile
+        </Typography>
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+          <Button variant="outlined" onClick={() => setRevision(current => current + 1)}>
+            Refresh
+          </Button>
+          <Button variant="outlined" onClick={handleExport} disabled={!profile}>
+            Export JSON
+          </Button>
+          {onClose && (
+            <Button variant="text" onClick={onClose}>
+              Close
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {!profile ? (
+          <Typography variant="body-medium" color="on-surface-variant">
+            Table "{tableName}" not found.
+          </Typography>
+        ) : (
+          <>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 'var(--md-sys-spacing-6)', marginBottom: 'var(--md-sys-spacing-6)' }}>
+              {renderStat('Rows', formatNumber(profile.rowCount))}
+              {renderStat('Columns', formatNumber(profile.columnCount))}
+              {renderStat('Anomalies', formatNumber(profile.anomalies.length))}
+              {renderStat('Profiled', new Date(profile.profiledAt).toLocaleTimeString())}
+            </div>
+
+            {profile.anomalies.length > 0 && (
+              <div style={{ marginBottom: 'var(--md-sys-spacing-6)' }}>
+                <Typography variant="title-small" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+                  Anomalies
+                </Typography>
+                <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-1)' }}>
+                  {profile.anomalies.map((anomaly, i) => renderAnomaly(anomaly, i))}
+                </div>
+              </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(360px, 1fr))', gap: 'var(--md-sys-spacing-4)' }}>
+              {profile.columns.map(renderColumn)}
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default DataProfile;
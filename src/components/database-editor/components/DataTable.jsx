@@ -1,33 +1,82 @@
 /**
  * DataTable Component
- * Professional data table with sorting, filtering, pagination, and editing
+ * Data table built on @tanstack/react-table: virtualized rows, multi-column
+ * sorting, column filters, resizable, reorderable and pinnable columns,
+ * column presets, inline editing and row selection
  */
 
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useRef, useEffect } from 'react';
+import { useReactTable, getCoreRowModel, getFilteredRowModel, getSortedRowModel } from '@tanstack/react-table';
 import { TextField, Combobox, Checkbox } from '../../../design-system';
+import { scoreRecords, findHighlightRanges } from '../utils/fullTextSearch.js';
+import { getColumnPresets, saveColumnPreset, deleteColumnPreset, pickColumnLayout, DEFAULT_PRESET_USER } from '../utils/columnPresets.js';
 
-console.log('DataTable module loaded!');
+// Column ids of the built-in selection and action columns
+const SELECT_COLUMN = '_select';
+const ACTIONS_COLUMN = '_actions';
 
-export function DataTable({ 
-  data = [], 
-  columns = [], 
+const DEFAULT_COLUMN_WIDTH = 180;
+const MIN_COLUMN_WIDTH = 60;
+
+// Rows rendered above and below the visible ones so fast scrolling does not show gaps
+const OVERSCAN = 8;
+
+/**
+ * Compare two cell values: numbers numerically, anything else as lowercase text
+ */
+const compareCells = (rowA, rowB, columnId) => {
+  const a = rowA.getValue(columnId);
+  const b = rowB.getValue(columnId);
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  const textA = String(a).toLowerCase();
+  const textB = String(b).toLowerCase();
+  return textA < textB ? -1 : textA > textB ? 1 : 0;
+};
+
+/**
+ * Find the filter value of a column in the table's filter list
+ */
+const getFilterValue = (columnFilters, field) => columnFilters.find(filter => filter.id === field)?.value;
+
+export function DataTable({
+  data = [],
+  columns = [],
   onEdit = null,
   onDelete = null,
+  onEditRow = null,
   onAdd = null,
   pageSize = 10,
+  rowHeight = 48,
   searchable = true,
   sortable = true,
   editable = false,
-  selectable = false
+  selectable = false,
+  errors = {},
+  highlight = '',
+  tableName = null,
+  presetUser = DEFAULT_PRESET_USER
 }) {
 
-  const [currentPage, setCurrentPage] = useState(1);
-  const [sortField, setSortField] = useState(null);
-  const [sortDirection, setSortDirection] = useState('asc');
   const [searchTerm, setSearchTerm] = useState('');
-  const [selectedRows, setSelectedRows] = useState(new Set());
+  const [sorting, setSorting] = useState([]);
+  const [columnFilters, setColumnFilters] = useState([]);
+  const [columnVisibility, setColumnVisibility] = useState({});
+  const [columnOrder, setColumnOrder] = useState([]);
+  const [columnPinning, setColumnPinning] = useState({ left: [SELECT_COLUMN], right: [ACTIONS_COLUMN] });
+  const [columnSizing, setColumnSizing] = useState({});
+  const [rowSelection, setRowSelection] = useState({});
   const [editingCell, setEditingCell] = useState(null);
-  const [columnFilters, setColumnFilters] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const [openMenu, setOpenMenu] = useState(null);
+  const [showColumns, setShowColumns] = useState(false);
+  const [presets, setPresets] = useState({});
+  const [activePreset, setActivePreset] = useState('');
+  const scrollRef = useRef(null);
+  const draggedColumn = useRef(null);
 
   // Styles
   const tableContainerStyle = {
@@ -39,22 +88,27 @@ export function DataTable({
   };
 
   const tableStyle = {
-    width: '100%',
-    borderCollapse: 'collapse',
+    borderCollapse: 'separate',
+    borderSpacing: 0,
+    tableLayout: 'fixed',
     fontSize: 'var(--md-sys-typescale-body-medium-size)'
   };
 
   const headerStyle = {
-    backgroundColor: 'var(--md-sys-color-surface-container)',
-    borderBottom: '1px solid var(--md-sys-color-outline-variant)'
+    position: 'sticky',
+    top: 0,
+    zIndex: 2,
+    backgroundColor: 'var(--md-sys-color-surface-container)'
   };
 
   const headerCellStyle = {
+    position: 'relative',
     padding: 'var(--md-sys-spacing-3)',
     textAlign: 'left',
     fontWeight: '600',
     color: 'var(--md-sys-color-on-surface)',
-    cursor: sortable ? 'pointer' : 'default',
+    backgroundColor: 'var(--md-sys-color-surface-container)',
+    borderBottom: '1px solid var(--md-sys-color-outline-variant)',
     userSelect: 'none',
     verticalAlign: 'top'
   };
@@ -66,14 +120,40 @@ export function DataTable({
   };
 
   const cellStyle = {
-    padding: 'var(--md-sys-spacing-3)',
+    height: `${rowHeight}px`,
+    padding: '0 var(--md-sys-spacing-3)',
     borderBottom: '1px solid var(--md-sys-color-outline-variant)',
-    color: 'var(--md-sys-color-on-surface-variant)'
+    color: 'var(--md-sys-color-on-surface-variant)',
+    backgroundColor: 'var(--md-sys-color-surface)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
   };
 
   const editingCellStyle = {
     ...cellStyle,
-    padding: 'var(--md-sys-spacing-1)'
+    padding: '0 var(--md-sys-spacing-1)'
+  };
+
+  const errorCellStyle = {
+    ...cellStyle,
+    boxShadow: 'inset 0 0 0 2px var(--md-sys-color-error)',
+    backgroundColor: 'var(--md-sys-color-error-container)'
+  };
+
+  const errorTextStyle = {
+    display: 'block',
+    fontSize: 'var(--md-sys-typescale-label-small-size)',
+    color: 'var(--md-sys-color-on-error-container)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  };
+
+  const highlightStyle = {
+    backgroundColor: 'var(--md-sys-color-tertiary-container)',
+    color: 'var(--md-sys-color-on-tertiary-container)',
+    borderRadius: 'var(--md-sys-shape-corner-extra-small)',
+    padding: 0
   };
 
   const inputStyle = {
@@ -86,19 +166,55 @@ export function DataTable({
     color: 'var(--md-sys-color-on-surface)'
   };
 
+  const resizeHandleStyle = (isResizing) => ({
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    width: '6px',
+    height: '100%',
+    cursor: 'col-resize',
+    touchAction: 'none',
+    backgroundColor: isResizing ? 'var(--md-sys-color-primary)' : 'transparent'
+  });
+
+  const menuStyle = {
+    position: 'absolute',
+    top: '100%',
+    right: 0,
+    zIndex: 4,
+    display: 'flex',
+    flexDirection: 'column',
+    minWidth: '140px',
+    padding: 'var(--md-sys-spacing-1)',
+    borderRadius: 'var(--md-sys-shape-corner-small)',
+    backgroundColor: 'var(--md-sys-color-surface-container-high)',
+    boxShadow: 'var(--md-sys-elevation-level2)',
+    fontWeight: 'normal'
+  };
+
+  const menuItemStyle = {
+    padding: 'var(--md-sys-spacing-2)',
+    border: 'none',
+    background: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+    color: 'var(--md-sys-color-on-surface)',
+    fontSize: 'var(--md-sys-typescale-body-small-size)'
+  };
+
   const buttonStyle = (variant = 'primary') => {
     const variants = {
-      primary: { 
-        backgroundColor: 'var(--md-sys-color-primary)', 
-        color: 'var(--md-sys-color-on-primary)' 
+      primary: {
+        backgroundColor: 'var(--md-sys-color-primary)',
+        color: 'var(--md-sys-color-on-primary)'
       },
-      secondary: { 
-        backgroundColor: 'var(--md-sys-color-surface-container)', 
-        color: 'var(--md-sys-color-on-surface)' 
+      secondary: {
+        backgroundColor: 'var(--md-sys-color-surface-container)',
+        color: 'var(--md-sys-color-on-surface)'
       },
-      danger: { 
-        backgroundColor: 'var(--md-sys-color-error)', 
-        color: 'var(--md-sys-color-on-error)' 
+      danger: {
+        backgroundColor: 'var(--md-sys-color-error)',
+        color: 'var(--md-sys-color-on-error)'
       }
     };
 
@@ -116,11 +232,11 @@ export function DataTable({
   // Determine column data types and unique values
   const columnInfo = useMemo(() => {
     const info = {};
-    
+
     columns.forEach(column => {
       const field = column.field || column;
       const values = data.map(row => row[field]).filter(val => val != null);
-      
+
       if (values.length === 0) {
         info[field] = { type: 'text', uniqueValues: [] };
         return;
@@ -129,7 +245,7 @@ export function DataTable({
       // Determine data type
       let type = 'text';
       const firstValue = values[0];
-      
+
       if (typeof firstValue === 'boolean') {
         type = 'boolean';
       } else if (typeof firstValue === 'number') {
@@ -149,147 +265,214 @@ export function DataTable({
           }
         }
       }
-      
+
       info[field] = { type, uniqueValues: [] };
     });
-    
+
     return info;
   }, [data, columns]);
 
-  // Update column filter
-  const updateColumnFilter = useCallback((field, value) => {
-    setColumnFilters(prev => ({
-      ...prev,
-      [field]: value
-    }));
-    setCurrentPage(1); // Reset to first page when filtering
-  }, []);
-
-  // Process data with search, column filters, and sort
-  const processedData = useMemo(() => {
-    let filtered = data;
-
-    // Apply global search filter
-    if (searchTerm) {
-      filtered = data.filter(row =>
-        Object.values(row).some(value =>
-          String(value).toLowerCase().includes(searchTerm.toLowerCase())
-        )
-      );
-    }
-
-    // Apply column filters
-    Object.entries(columnFilters).forEach(([field, filterValue]) => {
-      if (filterValue != null && filterValue !== '' && filterValue !== false) {
-        filtered = filtered.filter(row => {
-          const cellValue = row[field];
-          const columnType = columnInfo[field]?.type;
-
-          switch (columnType) {
-            case 'boolean':
-              return filterValue === true ? cellValue === true : cellValue === false;
-            case 'categorical':
-              return cellValue === filterValue;
-            case 'text':
-            case 'number':
-            case 'date':
-            default:
-              return String(cellValue).toLowerCase().includes(String(filterValue).toLowerCase());
-          }
-        });
+  // Callbacks, errors and selection refer to positions in `data`, not in the sorted/filtered view
+  const positions = useMemo(() => new Map(data.map((row, position) => [row, position])), [data]);
+
+  // Global full-text search, most relevant rows first; sorting by a column overrides the ranking
+  const searchedData = useMemo(() => {
+    if (!searchTerm) return data;
+
+    const scores = scoreRecords(data, searchTerm, { prefix: true });
+    return data
+      .map((row, position) => ({ row, score: scores[position] }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.row);
+  }, [data, searchTerm]);
+
+  const columnDefs = useMemo(() => {
+    const matchesColumnFilter = (row, field, filterValue) => {
+      const cellValue = row.getValue(field);
+
+      switch (columnInfo[field]?.type) {
+        case 'boolean':
+          return filterValue === true ? cellValue === true : cellValue === false;
+        case 'categorical':
+          return cellValue === filterValue;
+        case 'text':
+        case 'number':
+        case 'date':
+        default:
+          return String(cellValue).toLowerCase().includes(String(filterValue).toLowerCase());
       }
-    });
-
-    // Apply sorting
-    if (sortField) {
-      filtered = [...filtered].sort((a, b) => {
-        let aVal = a[sortField];
-        let bVal = b[sortField];
+    };
+    matchesColumnFilter.autoRemove = value => value == null || value === '' || value === false;
 
-        // Handle different data types
-        if (typeof aVal === 'number' && typeof bVal === 'number') {
-          return sortDirection === 'asc' ? aVal - bVal : bVal - aVal;
-        }
+    const defs = columns.map(column => {
+      const field = column.field || column;
+      return {
+        id: field,
+        accessorFn: row => row[field],
+        header: column.label || column,
+        size: column.width || DEFAULT_COLUMN_WIDTH,
+        minSize: MIN_COLUMN_WIDTH,
+        sortingFn: compareCells,
+        sortUndefined: 'last',
+        filterFn: matchesColumnFilter
+      };
+    });
 
-        // String comparison
-        aVal = String(aVal).toLowerCase();
-        bVal = String(bVal).toLowerCase();
-        
-        if (sortDirection === 'asc') {
-          return aVal < bVal ? -1 : aVal > bVal ? 1 : 0;
-        } else {
-          return aVal > bVal ? -1 : aVal < bVal ? 1 : 0;
-        }
-      });
+    if (selectable) {
+      defs.unshift({ id: SELECT_COLUMN, size: 56, enableResizing: false, enableSorting: false, enableHiding: false, enablePinning: false });
     }
-
-    return filtered;
-  }, [data, searchTerm, columnFilters, sortField, sortDirection, columnInfo]);
-
-  // Pagination
-  const totalPages = Math.ceil(processedData.length / pageSize);
-  const startIndex = (currentPage - 1) * pageSize;
-  const endIndex = startIndex + pageSize;
-  const currentData = processedData.slice(startIndex, endIndex);
-
-  // Handlers
-  const handleSort = useCallback((field) => {
-    if (!sortable) return;
-    
-    if (sortField === field) {
-      setSortDirection(prev => prev === 'asc' ? 'desc' : 'asc');
-    } else {
-      setSortField(field);
-      setSortDirection('asc');
+    if (editable || onDelete || onEditRow) {
+      defs.push({ id: ACTIONS_COLUMN, size: onEditRow ? 180 : 120, enableResizing: false, enableSorting: false, enableHiding: false, enablePinning: false });
     }
-  }, [sortField, sortable]);
+    return defs;
+  }, [columns, columnInfo, selectable, editable, onDelete, onEditRow]);
+
+  const table = useReactTable({
+    data: searchedData,
+    columns: columnDefs,
+    state: {
+      sorting,
+      columnFilters,
+      columnVisibility,
+      columnOrder,
+      columnPinning,
+      columnSizing,
+      rowSelection
+    },
+    onSortingChange: setSorting,
+    onColumnFiltersChange: setColumnFilters,
+    onColumnVisibilityChange: setColumnVisibility,
+    onColumnOrderChange: setColumnOrder,
+    onColumnPinningChange: setColumnPinning,
+    onColumnSizingChange: setColumnSizing,
+    onRowSelectionChange: setRowSelection,
+    getRowId: row => String(positions.get(row)),
+    getCoreRowModel: getCoreRowModel(),
+    getFilteredRowModel: getFilteredRowModel(),
+    getSortedRowModel: getSortedRowModel(),
+    enableSorting: sortable,
+    enableMultiSort: true,
+    enableRowSelection: selectable,
+    columnResizeMode: 'onChange'
+  });
+
+  const rows = table.getRowModel().rows;
+  const visibleColumns = [
+    ...table.getLeftVisibleLeafColumns(),
+    ...table.getCenterVisibleLeafColumns(),
+    ...table.getRightVisibleLeafColumns()
+  ];
+  const headers = new Map(table.getFlatHeaders().map(header => [header.column.id, header]));
+
+  // Rows inside the scrolled viewport, plus the overscan
+  const viewportHeight = pageSize * rowHeight;
+  const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - OVERSCAN);
+  const lastRow = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + OVERSCAN);
+  const renderedRows = rows.slice(firstRow, lastRow);
+
+  // Back to the top whenever the visible rows change
+  useEffect(() => {
+    if (scrollRef.current) scrollRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [searchTerm, columnFilters, sorting]);
+
+  // Positions go stale when rows are added or removed
+  useEffect(() => {
+    setRowSelection({});
+    setEditingCell(null);
+  }, [data.length]);
+
+  useEffect(() => {
+    setPresets(tableName ? getColumnPresets(tableName, presetUser) : {});
+    setActivePreset('');
+  }, [tableName, presetUser]);
+
+  const updateColumnFilter = useCallback((field, value) => {
+    table.getColumn(field)?.setFilterValue(value);
+  }, [table]);
 
-  const handleCellEdit = useCallback((rowIndex, field, value) => {
+  const handleCellEdit = useCallback((position, field, value) => {
     if (!editable) return;
-    
-    const actualRowIndex = startIndex + rowIndex;
+
     if (onEdit) {
-      onEdit(actualRowIndex, field, value);
+      onEdit(position, field, value);
     }
     setEditingCell(null);
-  }, [editable, onEdit, startIndex]);
-
-  const handleRowSelect = useCallback((index) => {
-    if (!selectable) return;
-    
-    const newSelected = new Set(selectedRows);
-    if (newSelected.has(index)) {
-      newSelected.delete(index);
-    } else {
-      newSelected.add(index);
+  }, [editable, onEdit]);
+
+  // Move a column in front of another, keeping the rest of the order
+  const moveColumn = useCallback((sourceId, targetId) => {
+    if (!sourceId || sourceId === targetId) return;
+
+    const current = columnOrder.length > 0 ? columnOrder : table.getAllLeafColumns().map(column => column.id);
+    const order = current.filter(id => id !== sourceId);
+    order.splice(order.indexOf(targetId), 0, sourceId);
+    setColumnOrder(order);
+  }, [columnOrder, table]);
+
+  const applyPreset = useCallback((name) => {
+    setActivePreset(name);
+    const preset = presets[name];
+    if (!preset) return;
+
+    setColumnVisibility(preset.columnVisibility || {});
+    setColumnOrder(preset.columnOrder || []);
+    setColumnPinning(preset.columnPinning || { left: [SELECT_COLUMN], right: [ACTIONS_COLUMN] });
+    setColumnSizing(preset.columnSizing || {});
+  }, [presets]);
+
+  const handleSavePreset = useCallback(() => {
+    const name = prompt('Preset name:', activePreset);
+    if (!name || !name.trim()) return;
+
+    const preset = saveColumnPreset(tableName, name, pickColumnLayout(table.getState()), presetUser);
+    if (preset) {
+      setPresets(getColumnPresets(tableName, presetUser));
+      setActivePreset(preset.name);
     }
-    setSelectedRows(newSelected);
-  }, [selectable, selectedRows]);
+  }, [tableName, presetUser, activePreset, table]);
+
+  const handleDeletePreset = useCallback(() => {
+    if (!activePreset || !confirm(`Delete preset "${activePreset}"?`)) return;
+
+    deleteColumnPreset(tableName, activePreset, presetUser);
+    setPresets(getColumnPresets(tableName, presetUser));
+    setActivePreset('');
+  }, [tableName, presetUser, activePreset]);
+
+  // Pinned columns stick to their edge while the rest scroll sideways
+  const pinnedStyle = (column, isHeader = false) => {
+    const pinned = column.getIsPinned();
+    if (!pinned) return {};
+    return {
+      position: 'sticky',
+      [pinned]: `${pinned === 'left' ? column.getStart('left') : column.getAfter('right')}px`,
+      zIndex: isHeader ? 3 : 1
+    };
+  };
 
-  const renderColumnFilter = (column) => {
-    const field = column.field || column;
+  const renderColumnFilter = (field) => {
     const columnType = columnInfo[field]?.type || 'text';
-    const filterValue = columnFilters[field] || '';
+    const filterValue = getFilterValue(columnFilters, field) ?? '';
 
     switch (columnType) {
       case 'boolean':
         return (
-          <div style={{ width: '120px' }}>
-            <Combobox
-              options={[
-                { label: 'All', value: '' },
-                { label: 'True', value: true },
-                { label: 'False', value: false }
-              ]}
-              value={filterValue}
-              placeholder="Filter..."
-              onSelectionChange={(option) => updateColumnFilter(field, option?.value || '')}
-              getOptionValue={(option) => option.value}
-              getOptionLabel={(option) => option.label}
-            />
-          </div>
+          <Combobox
+            options={[
+              { label: 'All', value: '' },
+              { label: 'True', value: true },
+              { label: 'False', value: false }
+            ]}
+            value={filterValue}
+            placeholder="Filter..."
+            onSelectionChange={(option) => updateColumnFilter(field, option?.value || '')}
+            getOptionValue={(option) => option.value}
+            getOptionLabel={(option) => option.label}
+          />
         );
-      
+
       case 'categorical':
         const options = [
           { label: 'All', value: '' },
@@ -299,61 +482,205 @@ export function DataTable({
           }))
         ];
         return (
-          <div style={{ width: '150px' }}>
-            <Combobox
-              options={options}
-              value={filterValue}
-              placeholder="Filter..."
-              onSelectionChange={(option) => updateColumnFilter(field, option?.value || '')}
-              getOptionValue={(option) => option.value}
-              getOptionLabel={(option) => option.label}
-            />
-          </div>
+          <Combobox
+            options={options}
+            value={filterValue}
+            placeholder="Filter..."
+            onSelectionChange={(option) => updateColumnFilter(field, option?.value || '')}
+            getOptionValue={(option) => option.value}
+            getOptionLabel={(option) => option.label}
+          />
         );
-      
+
       case 'text':
       case 'number':
       case 'date':
       default:
         return (
-          <div style={{ width: '150px' }}>
-            <TextField
-              value={filterValue}
-              placeholder="Filter..."
-              size="small"
-              variant="outlined"
-              clearable
-              onChange={(e) => updateColumnFilter(field, e.target.value)}
-            />
-          </div>
+          <TextField
+            value={filterValue}
+            placeholder="Filter..."
+            size="small"
+            variant="outlined"
+            clearable
+            onChange={(e) => updateColumnFilter(field, e.target.value)}
+          />
         );
     }
   };
 
-  const renderSortIcon = (field) => {
-    if (!sortable || sortField !== field) return null;
+  const renderSortIcon = (column) => {
+    const direction = column.getIsSorted();
+    if (!direction) return null;
     return (
       <span style={{ marginLeft: 'var(--md-sys-spacing-1)', fontSize: 'var(--md-sys-typescale-label-small-size)' }}>
-        {sortDirection === 'asc' ? '↑' : '↓'}
+        {direction === 'asc' ? '↑' : '↓'}
+        {sorting.length > 1 && column.getSortIndex() + 1}
       </span>
     );
   };
 
-  const renderCell = (row, field, rowIndex) => {
-    const value = row[field];
-    const isEditing = editingCell?.row === rowIndex && editingCell?.field === field;
+  const renderColumnMenu = (column) => (
+    <div style={menuStyle} onMouseLeave={() => setOpenMenu(null)}>
+      {column.getIsPinned() !== 'left' && (
+        <button style={menuItemStyle} onClick={() => { column.pin('left'); setOpenMenu(null); }}>
+          Pin left
+        </button>
+      )}
+      {column.getIsPinned() !== 'right' && (
+        <button style={menuItemStyle} onClick={() => { column.pin('right'); setOpenMenu(null); }}>
+          Pin right
+        </button>
+      )}
+      {column.getIsPinned() && (
+        <button style={menuItemStyle} onClick={() => { column.pin(false); setOpenMenu(null); }}>
+          Unpin
+        </button>
+      )}
+      <button style={menuItemStyle} onClick={() => { column.toggleVisibility(false); setOpenMenu(null); }}>
+        Hide column
+      </button>
+    </div>
+  );
+
+  const renderHeaderCell = (column) => {
+    const header = headers.get(column.id);
+    const width = column.getSize();
+    const style = { ...headerCellStyle, width: `${width}px`, ...pinnedStyle(column, true) };
+
+    if (column.id === SELECT_COLUMN) {
+      return (
+        <th key={column.id} style={style}>
+          <Checkbox
+            checked={table.getIsAllRowsSelected()}
+            indeterminate={table.getIsSomeRowsSelected()}
+            onChange={table.getToggleAllRowsSelectedHandler()}
+          />
+        </th>
+      );
+    }
+    if (column.id === ACTIONS_COLUMN) {
+      return <th key={column.id} style={style}>Actions</th>;
+    }
+
+    return (
+      <th
+        key={column.id}
+        style={style}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={() => moveColumn(draggedColumn.current, column.id)}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 'var(--md-sys-spacing-1)' }}>
+          <span
+            draggable
+            onDragStart={() => { draggedColumn.current = column.id; }}
+            onDragEnd={() => { draggedColumn.current = null; }}
+            onClick={column.getToggleSortingHandler()}
+            title={sortable ? 'Click to sort, Shift+click to add a sort column, drag to reorder' : 'Drag to reorder'}
+            style={{ cursor: sortable ? 'pointer' : 'grab', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+          >
+            {column.columnDef.header}
+            {renderSortIcon(column)}
+          </span>
+          <button
+            style={{ ...menuItemStyle, padding: '0 var(--md-sys-spacing-1)' }}
+            onClick={() => setOpenMenu(openMenu === column.id ? null : column.id)}
+            title="Column options"
+          >
+            ⋮
+          </button>
+        </div>
+        {openMenu === column.id && renderColumnMenu(column)}
+        {header && (
+          <div
+            onMouseDown={header.getResizeHandler()}
+            onTouchStart={header.getResizeHandler()}
+            onDoubleClick={() => column.resetSize()}
+            style={resizeHandleStyle(column.getIsResizing())}
+          />
+        )}
+      </th>
+    );
+  };
+
+  // Words matching the search box, or the highlight prop for rows found elsewhere
+  const highlightQuery = searchTerm || highlight;
+
+  const renderHighlighted = (text) => {
+    const ranges = highlightQuery ? findHighlightRanges(text, highlightQuery, { prefix: true }) : [];
+    if (ranges.length === 0) return text;
+
+    const parts = [];
+    let last = 0;
+    ranges.forEach(([start, end]) => {
+      if (start > last) parts.push(text.slice(last, start));
+      parts.push(<mark key={start} style={highlightStyle}>{text.slice(start, end)}</mark>);
+      last = end;
+    });
+    parts.push(text.slice(last));
+    return parts;
+  };
+
+  const renderCell = (row, column) => {
+    const position = Number(row.id);
+    const style = pinnedStyle(column);
+
+    if (column.id === SELECT_COLUMN) {
+      return (
+        <td key={column.id} style={{ ...cellStyle, ...style }}>
+          <Checkbox
+            checked={row.getIsSelected()}
+            onChange={row.getToggleSelectedHandler()}
+          />
+        </td>
+      );
+    }
+
+    if (column.id === ACTIONS_COLUMN) {
+      const rowError = errors[position]?._row;
+      return (
+        <td key={column.id} style={{ ...cellStyle, ...style }} title={rowError}>
+          {onEditRow && (
+            <button
+              style={{ ...buttonStyle('secondary'), marginRight: 'var(--md-sys-spacing-1)' }}
+              onClick={() => onEditRow(position)}
+            >
+              Edit
+            </button>
+          )}
+          {onDelete && (
+            <button
+              style={buttonStyle('danger')}
+              onClick={() => onDelete([position])}
+            >
+              Delete
+            </button>
+          )}
+          {rowError && (
+            <span style={{ ...errorTextStyle, color: 'var(--md-sys-color-error)' }}>
+              {rowError}
+            </span>
+          )}
+        </td>
+      );
+    }
+
+    const field = column.id;
+    const value = row.original[field];
+    const isEditing = editingCell?.row === position && editingCell?.field === field;
+    const cellError = errors[position]?.[field];
 
     if (isEditing) {
       return (
-        <td key={field} style={editingCellStyle}>
+        <td key={field} style={{ ...editingCellStyle, ...style }}>
           <input
             style={inputStyle}
             defaultValue={value}
             autoFocus
-            onBlur={(e) => handleCellEdit(rowIndex, field, e.target.value)}
+            onBlur={(e) => handleCellEdit(position, field, e.target.value)}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
-                handleCellEdit(rowIndex, field, e.target.value);
+                handleCellEdit(position, field, e.target.value);
               } else if (e.key === 'Escape') {
                 setEditingCell(null);
               }
@@ -364,77 +691,80 @@ export function DataTable({
     }
 
     return (
-      <td 
-        key={field} 
-        style={cellStyle}
-        onDoubleClick={() => editable && setEditingCell({ row: rowIndex, field })}
+      <td
+        key={field}
+        style={{ ...(cellError ? errorCellStyle : cellStyle), ...style }}
+        title={cellError || String(value)}
+        onDoubleClick={() => editable && setEditingCell({ row: position, field })}
       >
-        {String(value)}
+        {renderHighlighted(String(value))}
+        {cellError && <span style={errorTextStyle}>{cellError}</span>}
       </td>
     );
   };
 
-  const renderPagination = () => {
-    if (totalPages <= 1) return null;
-
-    const pages = [];
-    const maxVisible = 5;
-    let startPage = Math.max(1, currentPage - Math.floor(maxVisible / 2));
-    let endPage = Math.min(totalPages, startPage + maxVisible - 1);
-
-    if (endPage - startPage + 1 < maxVisible) {
-      startPage = Math.max(1, endPage - maxVisible + 1);
-    }
-
-    for (let i = startPage; i <= endPage; i++) {
-      pages.push(
-        <button
-          key={i}
-          style={{
-            ...buttonStyle('secondary'),
-            backgroundColor: i === currentPage ? 'var(--md-sys-color-primary)' : 'var(--md-sys-color-surface-container)',
-            color: i === currentPage ? 'var(--md-sys-color-on-primary)' : 'var(--md-sys-color-on-surface)'
-          }}
-          onClick={() => setCurrentPage(i)}
-        >
-          {i}
-        </button>
-      );
-    }
-
-    return (
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'center', 
-        alignItems: 'center', 
-        gap: 'var(--md-sys-spacing-2)',
-        padding: 'var(--md-sys-spacing-4)',
-        borderTop: '1px solid var(--md-sys-color-outline-variant)'
-      }}>
-        <button
-          style={buttonStyle('secondary')}
-          onClick={() => setCurrentPage(prev => Math.max(1, prev - 1))}
-          disabled={currentPage === 1}
-        >
-          Previous
-        </button>
-        {pages}
-        <button
-          style={buttonStyle('secondary')}
-          onClick={() => setCurrentPage(prev => Math.min(totalPages, prev + 1))}
-          disabled={currentPage === totalPages}
-        >
-          Next
-        </button>
-      </div>
-    );
-  };
+  const renderColumnPanel = () => (
+    <div style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 'var(--md-sys-spacing-3)',
+      padding: 'var(--md-sys-spacing-3)',
+      marginBottom: 'var(--md-sys-spacing-4)',
+      border: '1px solid var(--md-sys-color-outline-variant)',
+      borderRadius: 'var(--md-sys-shape-corner-medium)',
+      backgroundColor: 'var(--md-sys-color-surface-container-low)'
+    }}>
+      {table.getAllLeafColumns().filter(column => column.getCanHide()).map(column => (
+        <Checkbox
+          key={column.id}
+          checked={column.getIsVisible()}
+          onChange={column.getToggleVisibilityHandler()}
+          label={column.columnDef.header}
+        />
+      ))}
+      <button
+        style={buttonStyle('secondary')}
+        onClick={() => {
+          table.resetColumnVisibility(true);
+          table.resetColumnOrder(true);
+          table.resetColumnSizing(true);
+          setColumnPinning({ left: [SELECT_COLUMN], right: [ACTIONS_COLUMN] });
+          setActivePreset('');
+        }}
+      >
+        Reset Layout
+      </button>
+      {tableName && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-2)', marginLeft: 'auto' }}>
+          <select
+            value={activePreset}
+            onChange={(e) => applyPreset(e.target.value)}
+            style={{ ...inputStyle, width: '180px' }}
+          >
+            <option value="">Choose preset...</option>
+            {Object.keys(presets).sort().map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <button style={buttonStyle('secondary')} onClick={handleSavePreset}>
+            Save Preset
+          </button>
+          {activePreset && (
+            <button style={buttonStyle('secondary')} onClick={handleDeletePreset}>
+              Delete Preset
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
 
   if (!data.length) {
     return (
-      <div style={{ 
-        padding: 'var(--md-sys-spacing-8)', 
-        textAlign: 'center', 
+      <div style={{
+        padding: 'var(--md-sys-spacing-8)',
+        textAlign: 'center',
         color: 'var(--md-sys-color-on-surface-variant)',
         border: '1px solid var(--md-sys-color-outline-variant)',
         borderRadius: 'var(--md-sys-shape-corner-medium)',
@@ -445,13 +775,16 @@ export function DataTable({
     );
   }
 
+  const selectedPositions = Object.keys(rowSelection).map(Number);
+  const hasFilterRow = visibleColumns.some(column => column.id !== SELECT_COLUMN && column.id !== ACTIONS_COLUMN);
+
   return (
     <div>
       {/* Global controls */}
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'space-between', 
-        alignItems: 'center', 
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
         marginBottom: 'var(--md-sys-spacing-4)',
         flexWrap: 'wrap',
         gap: 'var(--md-sys-spacing-4)'
@@ -467,119 +800,84 @@ export function DataTable({
             style={{ minWidth: '300px' }}
           />
         )}
-        
+
         <div>
+          <button style={buttonStyle('secondary')} onClick={() => setShowColumns(!showColumns)}>
+            Columns
+          </button>
           {onAdd && (
             <button style={buttonStyle('primary')} onClick={onAdd}>
               Add Row
             </button>
           )}
-          {selectedRows.size > 0 && onDelete && (
-            <button 
-              style={buttonStyle('danger')} 
-              onClick={() => onDelete([...selectedRows])}
+          {selectedPositions.length > 0 && onDelete && (
+            <button
+              style={buttonStyle('danger')}
+              onClick={() => onDelete(selectedPositions)}
             >
-              Delete Selected ({selectedRows.size})
+              Delete Selected ({selectedPositions.length})
             </button>
           )}
         </div>
       </div>
 
+      {showColumns && renderColumnPanel()}
+
       {/* Table */}
       <div style={tableContainerStyle}>
-        <table style={tableStyle}>
-          <thead style={headerStyle}>
-            {/* Column headers */}
-            <tr>
-              {selectable && (
-                <th style={headerCellStyle}>
-                  <Checkbox
-                    checked={selectedRows.size === currentData.length && currentData.length > 0}
-                    indeterminate={selectedRows.size > 0 && selectedRows.size < currentData.length}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        setSelectedRows(new Set(currentData.map((_, i) => startIndex + i)));
-                      } else {
-                        setSelectedRows(new Set());
-                      }
-                    }}
-                  />
-                </th>
+        <div
+          ref={scrollRef}
+          style={{ maxHeight: `${viewportHeight + 2 * rowHeight}px`, overflow: 'auto' }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <table style={{ ...tableStyle, width: `${table.getTotalSize()}px`, minWidth: '100%' }}>
+            <thead style={headerStyle}>
+              {/* Column headers */}
+              <tr>
+                {visibleColumns.map(renderHeaderCell)}
+              </tr>
+
+              {/* Column filters */}
+              {hasFilterRow && (
+                <tr>
+                  {visibleColumns.map(column => (
+                    <th key={`filter-${column.id}`} style={{ ...filterHeaderStyle, ...pinnedStyle(column, true) }}>
+                      {column.id !== SELECT_COLUMN && column.id !== ACTIONS_COLUMN && renderColumnFilter(column.id)}
+                    </th>
+                  ))}
+                </tr>
               )}
-              {columns.map(column => (
-                <th 
-                  key={column.field || column}
-                  style={headerCellStyle}
-                  onClick={() => handleSort(column.field || column)}
-                >
-                  {column.label || column}
-                  {renderSortIcon(column.field || column)}
-                </th>
-              ))}
-              {(editable || onDelete) && (
-                <th style={headerCellStyle}>Actions</th>
+            </thead>
+            <tbody>
+              {firstRow > 0 && (
+                <tr style={{ height: `${firstRow * rowHeight}px` }} />
               )}
-            </tr>
-            
-            {/* Column filters */}
-            <tr style={filterHeaderStyle}>
-              {selectable && <th style={{ padding: 'var(--md-sys-spacing-2)' }}>
-                <div style={{ fontSize: '10px', color: 'red' }}>FILTERS</div>
-              </th>}
-              {columns.map(column => (
-                <th key={`filter-${column.field || column}`} style={{ padding: 'var(--md-sys-spacing-2)' }}>
-                  {renderColumnFilter(column)}
-                </th>
+              {renderedRows.map(row => (
+                <tr key={row.id}>
+                  {visibleColumns.map(column => renderCell(row, column))}
+                </tr>
               ))}
-              {(editable || onDelete) && <th style={{ padding: 'var(--md-sys-spacing-2)' }}></th>}
-            </tr>
-          </thead>
-          <tbody>
-            {currentData.map((row, rowIndex) => (
-              <tr key={rowIndex}>
-                {selectable && (
-                  <td style={cellStyle}>
-                    <Checkbox
-                      checked={selectedRows.has(startIndex + rowIndex)}
-                      onChange={() => handleRowSelect(startIndex + rowIndex)}
-                    />
-                  </td>
-                )}
-                {columns.map(column => 
-                  renderCell(row, column.field || column, rowIndex)
-                )}
-                {(editable || onDelete) && (
-                  <td style={cellStyle}>
-                    {onDelete && (
-                      <button
-                        style={buttonStyle('danger')}
-                        onClick={() => onDelete([startIndex + rowIndex])}
-                      >
-                        Delete
-                      </button>
-                    )}
-                  </td>
-                )}
-              </tr>
-            ))}
-          </tbody>
-        </table>
-        
-        {renderPagination()}
+              {lastRow < rows.length && (
+                <tr style={{ height: `${(rows.length - lastRow) * rowHeight}px` }} />
+              )}
+            </tbody>
+          </table>
+        </div>
       </div>
 
       {/* Summary */}
-      <div style={{ 
-        marginTop: 'var(--md-sys-spacing-2)', 
-        fontSize: 'var(--md-sys-typescale-body-small-size)', 
+      <div style={{
+        marginTop: 'var(--md-sys-spacing-2)',
+        fontSize: 'var(--md-sys-typescale-body-small-size)',
         color: 'var(--md-sys-color-on-surface-variant)',
         textAlign: 'center'
       }}>
-        Showing {startIndex + 1}-{Math.min(endIndex, processedData.length)} of {processedData.length} rows
-        {data.length !== processedData.length && ` (filtered from ${data.length})`}
+        {rows.length} rows
+        {data.length !== rows.length && ` (filtered from ${data.length})`}
+        {selectedPositions.length > 0 && ` • ${selectedPositions.length} selected`}
       </div>
     </div>
   );
 }
 
-export default DataTable;
\ No newline at end of file
+export default DataTable;
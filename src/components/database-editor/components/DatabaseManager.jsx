@@ -1,26 +1,51 @@
 /**
  * DatabaseManager Component
- * Main interface for localStorage database management
+ * Main interface for localStorage/IndexedDB database management
  */
 
 import React, { useState, useEffect, useCallback } from 'react';
-import { LocalStorageDB } from '../utils/localStorageDB.js';
+import { LocalStorageDB, dbUtils } from '../utils/localStorageDB.js';
+import { schemaManager } from '../utils/schemaManager.js';
+import {
+  StorageBackends,
+  createStorageAdapter,
+  setStorageAdapter,
+  setPreferredBackend,
+  initializeStorage,
+  isIndexedDBAvailable
+} from '../utils/storageAdapters.js';
 import { exportImportManager } from '../utils/exportImport.js';
+import { getPresetUser, setPresetUser } from '../utils/columnPresets.js';
+import { SQLDialects, SQLDialectNames } from '../utils/ddlGenerator.js';
 import { Button, Card, CardHeader, CardContent, Typography, Container } from '../../../design-system';
 import TableViewer from './TableViewer.jsx';
 import SchemaEditor from './SchemaEditor.jsx';
 import QueryBuilder from './QueryBuilder.jsx';
 import DataTable from './DataTable.jsx';
+import ImportWizard from './ImportWizard.jsx';
+import ERDCanvas from './ERDCanvas.jsx';
+import HistoryPanel from './HistoryPanel.jsx';
+import SnapshotPanel from './SnapshotPanel.jsx';
+import DataProfile from './DataProfile.jsx';
+import { useChangeJournal } from '../hooks/useChangeJournal.js';
 
 export function DatabaseManager() {
   const [db] = useState(() => new LocalStorageDB());
   const [tables, setTables] = useState([]);
-  const [activeView, setActiveView] = useState('overview'); // overview, table, schema, query
+  const [activeView, setActiveView] = useState('overview'); // overview, table, schema, profile, query, import, erd, history, snapshots
   const [selectedTable, setSelectedTable] = useState(null);
   const [queryResults, setQueryResults] = useState([]);
   const [stats, setStats] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [backend, setBackend] = useState(() => db.storage.name);
+  const [switchingBackend, setSwitchingBackend] = useState(false);
+  const [sqlDialect, setSqlDialect] = useState(SQLDialects.POSTGRESQL);
+  // Column presets are saved per user; the name is remembered by this browser
+  const [presetUser, setPresetUserState] = useState(() => getPresetUser());
+  const [presetUserDraft, setPresetUserDraft] = useState(presetUser);
+  // Bumped after undo/redo so open editors re-read their table
+  const [revision, setRevision] = useState(0);
 
   // Sample data for demonstration
   const sampleData = {
@@ -48,11 +73,17 @@ export function DatabaseManager() {
       setLoading(true);
       setError(null);
 
+      // Open the remembered backend (IndexedDB loads asynchronously)
+      const adapter = await initializeStorage();
+      db.initializeMetadata();
+      schemaManager.reload();
+      setBackend(adapter.name);
+
       // Discover existing tables
       const existingTables = db.discoverTables();
       
-      // Add sample data if no tables exist
-      if (existingTables.length === 0) {
+      // Add sample data to a brand-new database; an empty one with history was emptied on purpose
+      if (existingTables.length === 0 && db.journal.getHistory().entries.length === 0) {
         Object.entries(sampleData).forEach(([tableName, data]) => {
           data.forEach(record => {
             db.insert(tableName, record);
@@ -93,6 +124,48 @@ export function DatabaseManager() {
     loadData();
   }, [loadData]);
 
+  // IndexedDB persists after setItem has returned, so failed writes are reported
+  // here and the page asks to stay open while writes are still queued
+  useEffect(() => {
+    const adapter = db.storage;
+    adapter.onError = (err) => {
+      setError(`Recent changes could not be saved and will be lost on reload: ${err.message}`);
+    };
+
+    const handleBeforeUnload = (event) => {
+      if (!adapter.hasPendingWrites()) return;
+      adapter.flush();
+      event.preventDefault();
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+
+    return () => {
+      adapter.onError = null;
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+    };
+  }, [db, backend]);
+
+  const journal = useChangeJournal({
+    db,
+    onChange: (result) => {
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+      setRevision(current => current + 1);
+      loadData();
+    }
+  });
+
+  // Leave views of tables that an undo removed
+  useEffect(() => {
+    if (selectedTable && !loading && !tables.includes(selectedTable) && ['table', 'schema', 'profile'].includes(activeView)) {
+      setSelectedTable(null);
+      setActiveView('overview');
+    }
+  }, [tables, selectedTable, activeView, loading]);
+
   // Handlers
   const handleCreateTable = useCallback(() => {
     const tableName = prompt('Enter table name:');
@@ -114,14 +187,14 @@ export function DatabaseManager() {
   }, [db, loadData]);
 
   const handleDeleteTable = useCallback((tableName) => {
-    if (confirm(`Are you sure you want to delete table "${tableName}"? This cannot be undone.`)) {
+    if (confirm(`Are you sure you want to delete table "${tableName}"? You can restore it from History.`)) {
       try {
-        const data = db.select(tableName);
-        data.forEach(record => {
-          if (record.id) {
-            db.delete(tableName, record.id);
+        db.transaction(() => {
+          if (!db.deleteTable(tableName)) {
+            throw new Error(`Could not delete table "${tableName}"`);
           }
-        });
+          schemaManager.removeSchema(tableName);
+        }, { label: `Drop table ${tableName}` });
         loadData();
         if (selectedTable === tableName) {
           setSelectedTable(null);
@@ -156,35 +229,69 @@ export function DatabaseManager() {
     }
   }, [db, tables]);
 
+  const handleExportSQL = useCallback(() => {
+    const result = exportImportManager.exportDatabaseAsSQL({ dialect: sqlDialect });
+    if (result.success) {
+      exportImportManager.downloadAsFile(result.data, result.metadata.suggestedFilename, result.metadata.mimeType);
+    } else {
+      setError(result.error);
+    }
+  }, [sqlDialect]);
+
   const handleImportData = useCallback((event) => {
     const file = event.target.files[0];
     if (!file) return;
 
+    const extension = file.name.split('.').pop().toLowerCase();
     const reader = new FileReader();
     reader.onload = (e) => {
+      // XML, YAML and SQL dumps are read by the exporter's counterparts, schema included;
+      // NDJSON holds bare rows, so the table is named after the file
+      if (extension !== 'json') {
+        const result = exportImportManager.importData(e.target.result, extension, {
+          overwrite: true,
+          ...(extension === 'ndjson' && { tableName: file.name.replace(/\.[^.]+$/, '') })
+        });
+        if (result.success) {
+          loadData();
+        } else {
+          setError(result.error);
+        }
+        return;
+      }
+
+      let data;
       try {
-        const data = JSON.parse(e.target.result);
-        
-        Object.entries(data).forEach(([tableName, tableData]) => {
-          if (Array.isArray(tableData)) {
-            // Clear existing data
-            const existing = db.select(tableName);
-            existing.forEach(record => {
-              if (record.id) {
-                db.delete(tableName, record.id);
+        data = JSON.parse(e.target.result);
+      } catch (err) {
+        setError('Invalid JSON file: ' + err.message);
+        return;
+      }
+
+      try {
+        // Import every table or none of them
+        db.transaction(() => {
+          Object.entries(data).forEach(([tableName, tableData]) => {
+            if (Array.isArray(tableData)) {
+              // Clear existing data
+              if (!db.setTable(tableName, [])) {
+                throw new Error(`Could not clear table "${tableName}"`);
               }
-            });
-            
-            // Insert new data
-            tableData.forEach(record => {
-              db.insert(tableName, record);
-            });
-          }
-        });
-        
+              
+              // Insert new data
+              tableData.forEach(record => {
+                if (!db.insert(tableName, record)) {
+                  throw new Error(`Could not insert record into "${tableName}"`);
+                }
+              });
+            }
+          });
+        }, { label: `Import ${file.name}` });
         loadData();
       } catch (err) {
-        setError('Invalid JSON file: ' + err.message);
+        setError(dbUtils.isQuotaExceededError(err)
+          ? 'Import rolled back: not enough storage space'
+          : `Import rolled back: ${err.message}`);
       }
     };
     reader.readAsText(file);
@@ -194,16 +301,15 @@ export function DatabaseManager() {
   }, [db, loadData]);
 
   const handleClearAll = useCallback(() => {
-    if (confirm('Are you sure you want to clear all data? This cannot be undone.')) {
+    if (confirm('Are you sure you want to clear all data? You can undo this from History.')) {
       try {
-        tables.forEach(table => {
-          const data = db.select(table);
-          data.forEach(record => {
-            if (record.id) {
-              db.delete(table, record.id);
+        db.transaction(() => {
+          tables.forEach(table => {
+            if (!db.setTable(table, [])) {
+              throw new Error(`Could not clear table "${table}"`);
             }
           });
-        });
+        }, { label: 'Clear all tables' });
         loadData();
         setActiveView('overview');
         setSelectedTable(null);
@@ -213,6 +319,41 @@ export function DatabaseManager() {
     }
   }, [db, tables, loadData]);
 
+  const handleSwitchBackend = useCallback(async (target) => {
+    if (target === db.storage.name) return;
+
+    if (target === StorageBackends.INDEXED_DB && !isIndexedDBAvailable()) {
+      setError('IndexedDB is not available in this browser');
+      return;
+    }
+
+    setSwitchingBackend(true);
+    try {
+      // Let queued writes land (or report their failure) before the backend changes
+      await db.storage.flush();
+      const adapter = await createStorageAdapter(target).open();
+      const targetLabel = target === StorageBackends.INDEXED_DB ? 'IndexedDB' : 'localStorage';
+
+      if (confirm(`Copy the current tables to ${targetLabel}? Choose Cancel to open ${targetLabel} as it is.`)) {
+        const result = await db.migrateTo(adapter);
+        if (!result.success) {
+          setError(`Migration failed, staying on ${db.storage.name}: ${result.errors.join('; ')}`);
+          return;
+        }
+      }
+
+      setStorageAdapter(adapter);
+      setPreferredBackend(target);
+      setSelectedTable(null);
+      setActiveView('overview');
+      await loadData();
+    } catch (err) {
+      setError(`Could not switch storage backend: ${err.message}`);
+    } finally {
+      setSwitchingBackend(false);
+    }
+  }, [db, loadData]);
+
   const renderSidebar = () => (
     <Card 
       variant="outlined" 
@@ -250,6 +391,38 @@ export function DatabaseManager() {
           >
             Query Builder
           </Button>
+          <Button 
+            variant={activeView === 'import' ? 'tonal' : 'text'}
+            onClick={() => setActiveView('import')}
+            icon={<span>📥</span>}
+            style={{ justifyContent: 'flex-start' }}
+          >
+            Import CSV / JSON
+          </Button>
+          <Button 
+            variant={activeView === 'erd' ? 'tonal' : 'text'}
+            onClick={() => setActiveView('erd')}
+            icon={<span>🔗</span>}
+            style={{ justifyContent: 'flex-start' }}
+          >
+            Relationships
+          </Button>
+          <Button 
+            variant={activeView === 'history' ? 'tonal' : 'text'}
+            onClick={() => setActiveView('history')}
+            icon={<span>🕘</span>}
+            style={{ justifyContent: 'flex-start' }}
+          >
+            History
+          </Button>
+          <Button 
+            variant={activeView === 'snapshots' ? 'tonal' : 'text'}
+            onClick={() => setActiveView('snapshots')}
+            icon={<span>📸</span>}
+            style={{ justifyContent: 'flex-start' }}
+          >
+            Snapshots
+          </Button>
           {selectedTable && (
             <>
               <div style={{ height: '1px', backgroundColor: 'var(--md-sys-color-outline-variant)', margin: 'var(--md-sys-spacing-2) 0' }} />
@@ -272,6 +445,14 @@ export function DatabaseManager() {
               >
                 Schema Editor
               </Button>
+              <Button 
+                variant={activeView === 'profile' ? 'tonal' : 'text'}
+                onClick={() => setActiveView('profile')}
+                icon={<span>📈</span>}
+                style={{ justifyContent: 'flex-start' }}
+              >
+                Data Profile
+              </Button>
             </>
           )}
         </div>
@@ -319,7 +500,7 @@ export function DatabaseManager() {
                   </Typography>
                   {selectedTable === table && (
                     <span style={{ fontSize: '0.75rem', color: 'var(--md-sys-color-primary)', marginLeft: 'var(--md-sys-spacing-1)' }}>
-                      {activeView === 'table' ? '📋' : activeView === 'schema' ? '⚙️' : ''}
+                      {activeView === 'table' ? '📋' : activeView === 'schema' ? '⚙️' : activeView === 'profile' ? '📈' : ''}
                     </span>
                   )}
                 </Button>
@@ -340,6 +521,50 @@ export function DatabaseManager() {
 
       <div style={{ padding: 'var(--md-sys-spacing-4)', marginTop: 'auto' }}>
         <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-2)' }}>
+          <Typography variant="label-medium" color="on-surface-variant">
+            Storage Backend
+          </Typography>
+          <select
+            value={backend}
+            onChange={(e) => handleSwitchBackend(e.target.value)}
+            disabled={switchingBackend}
+            style={{
+              padding: 'var(--md-sys-spacing-2)',
+              border: '1px solid var(--md-sys-color-outline)',
+              borderRadius: 'var(--md-sys-shape-corner-small)',
+              backgroundColor: 'var(--md-sys-color-surface-container-low)',
+              color: 'var(--md-sys-color-on-surface)',
+              marginBottom: 'var(--md-sys-spacing-2)'
+            }}
+          >
+            <option value={StorageBackends.LOCAL_STORAGE}>localStorage (~5MB)</option>
+            <option value={StorageBackends.INDEXED_DB} disabled={!isIndexedDBAvailable()}>IndexedDB</option>
+          </select>
+          <Typography variant="label-medium" color="on-surface-variant">
+            Column Presets User
+          </Typography>
+          <input
+            type="text"
+            value={presetUserDraft}
+            onChange={(e) => setPresetUserDraft(e.target.value)}
+            onBlur={() => {
+              const user = setPresetUser(presetUserDraft);
+              setPresetUserState(user);
+              setPresetUserDraft(user);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') e.target.blur();
+            }}
+            aria-label="Column presets user"
+            style={{
+              padding: 'var(--md-sys-spacing-2)',
+              border: '1px solid var(--md-sys-color-outline)',
+              borderRadius: 'var(--md-sys-shape-corner-small)',
+              backgroundColor: 'var(--md-sys-color-surface-container-low)',
+              color: 'var(--md-sys-color-on-surface)',
+              marginBottom: 'var(--md-sys-spacing-2)'
+            }}
+          />
           <Button variant="outlined" onClick={handleExportData}>
             Export All Data
           </Button>
@@ -348,7 +573,7 @@ export function DatabaseManager() {
             <input
               id="import-input"
               type="file"
-              accept=".json"
+              accept=".json,.ndjson,.xml,.yaml,.yml,.sql"
               onChange={handleImportData}
               style={{ display: 'none' }}
             />
@@ -382,7 +607,7 @@ export function DatabaseManager() {
         </Card>
         <Card variant="elevated" style={{ textAlign: 'center', padding: 'var(--md-sys-spacing-4)' }}>
           <Typography variant="display-small" color="tertiary" style={{ margin: 0 }}>
-            {Object.keys(localStorage).filter(key => key.startsWith('lsdb_')).length}
+            {db.storage.keys().filter(key => key.startsWith(db.prefix)).length}
           </Typography>
           <Typography variant="body-medium" color="on-surface-variant">
             Storage Keys
@@ -442,6 +667,9 @@ export function DatabaseManager() {
                 <Button variant="outlined" onClick={() => setActiveView('query')}>
                   Open Query Builder
                 </Button>
+                <Button variant="outlined" onClick={() => setActiveView('erd')}>
+                  View Relationship Diagram
+                </Button>
               </div>
             </div>
             <div>
@@ -452,12 +680,36 @@ export function DatabaseManager() {
                 <Button variant="outlined" onClick={handleExportData}>
                   Export All Data
                 </Button>
+                <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+                  <select
+                    value={sqlDialect}
+                    onChange={(e) => setSqlDialect(e.target.value)}
+                    aria-label="SQL dialect"
+                    style={{
+                      padding: 'var(--md-sys-spacing-2)',
+                      border: '1px solid var(--md-sys-color-outline)',
+                      borderRadius: 'var(--md-sys-shape-corner-small)',
+                      backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                      color: 'var(--md-sys-color-on-surface)'
+                    }}
+                  >
+                    {Object.values(SQLDialects).map(dialect => (
+                      <option key={dialect} value={dialect}>{SQLDialectNames[dialect]}</option>
+                    ))}
+                  </select>
+                  <Button variant="outlined" onClick={handleExportSQL} disabled={tables.length === 0} style={{ flex: 1 }}>
+                    Export Database as SQL
+                  </Button>
+                </div>
+                <Button variant="outlined" onClick={() => setActiveView('import')}>
+                  Import CSV / JSON Table
+                </Button>
                 <Button variant="outlined" onClick={() => document.getElementById('overview-import-input').click()}>
-                  Import JSON File
+                  Import JSON / NDJSON / XML / YAML / SQL File
                   <input 
                     id="overview-import-input"
                     type="file" 
-                    accept=".json" 
+                    accept=".json,.ndjson,.xml,.yaml,.yml,.sql" 
                     onChange={handleImportData} 
                     style={{ display: 'none' }} 
                   />
@@ -485,14 +737,17 @@ export function DatabaseManager() {
       case 'table':
         return selectedTable ? (
           <TableViewer 
+            key={`${selectedTable}-${revision}`}
             tableName={selectedTable} 
             onClose={() => setActiveView('overview')}
+            presetUser={presetUser}
           />
         ) : null;
         
       case 'schema':
         return selectedTable ? (
           <SchemaEditor 
+            key={`${selectedTable}-${revision}`}
             tableName={selectedTable}
             onSave={() => {
               loadData();
@@ -501,10 +756,62 @@ export function DatabaseManager() {
             onClose={() => setActiveView('overview')}
           />
         ) : null;
+
+      case 'profile':
+        return selectedTable ? (
+          <DataProfile
+            key={`${selectedTable}-${revision}`}
+            tableName={selectedTable}
+            onClose={() => setActiveView('overview')}
+          />
+        ) : null;
         
+      case 'import':
+        return (
+          <ImportWizard
+            tables={tables}
+            defaultTable={selectedTable || ''}
+            onComplete={(tableName) => {
+              loadData();
+              setSelectedTable(tableName);
+            }}
+            onClose={() => setActiveView('overview')}
+          />
+        );
+
+      case 'erd':
+        return (
+          <ERDCanvas
+            key={revision}
+            onChange={loadData}
+            onClose={() => setActiveView('overview')}
+          />
+        );
+
+      case 'history':
+        return (
+          <HistoryPanel
+            journal={journal}
+            onClose={() => setActiveView('overview')}
+          />
+        );
+
+      case 'snapshots':
+        return (
+          <SnapshotPanel
+            db={db}
+            onRestore={() => {
+              setRevision(current => current + 1);
+              loadData();
+            }}
+            onClose={() => setActiveView('overview')}
+          />
+        );
+
       case 'query':
         return (
           <QueryBuilder 
+            key={revision}
             onResults={(results, query) => {
               setQueryResults(results);
             }}
@@ -523,8 +830,18 @@ export function DatabaseManager() {
         return `Table View: ${selectedTable}`;
       case 'schema':
         return `Schema Editor: ${selectedTable}`;
+      case 'profile':
+        return `Data Profile: ${selectedTable}`;
       case 'query':
         return 'Query Builder';
+      case 'import':
+        return 'Import Data';
+      case 'erd':
+        return 'Entity Relationship Diagram';
+      case 'history':
+        return 'History';
+      case 'snapshots':
+        return 'Snapshots';
       default:
         return 'Database Overview';
     }
@@ -536,10 +853,22 @@ export function DatabaseManager() {
         return 'Browse, search, and manage table data';
       case 'schema':
         return 'Define table structure, fields, and constraints';
+      case 'profile':
+        return 'Column statistics, detected patterns and data anomalies';
       case 'query':
         return 'Build complex queries with visual interface';
+      case 'import':
+        return 'Preview, map and import CSV or JSON files';
+      case 'erd':
+        return 'Review detected relationships and arrange the table diagram';
+      case 'history':
+        return 'Undo and redo changes across tables, or restore dropped tables';
+      case 'snapshots':
+        return 'Save the whole database, compare saved states and restore them';
       default:
-        return 'Manage your localStorage database';
+        return backend === StorageBackends.INDEXED_DB
+          ? 'Manage your IndexedDB database'
+          : 'Manage your localStorage database';
     }
   };
 
@@ -576,6 +905,15 @@ export function DatabaseManager() {
               {getViewDescription()}
             </Typography>
           </div>
+
+          <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+            <Button variant="text" onClick={journal.undo} disabled={!journal.canUndo} title="Undo (Ctrl+Z)">
+              ↶ Undo
+            </Button>
+            <Button variant="text" onClick={journal.redo} disabled={!journal.canRedo} title="Redo (Ctrl+Shift+Z)">
+              ↷ Redo
+            </Button>
+          </div>
           
           {error && (
             <Card 
@@ -0,0 +1,392 @@
+/**
+ * ERDCanvas Component
+ * Interactive entity-relationship diagram: draggable table nodes, edges
+ * styled by detection confidence, relationship review and image export
+ */
+
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import ReactFlow, {
+  Background,
+  Controls,
+  MiniMap,
+  Handle,
+  Position,
+  MarkerType,
+  useNodesState,
+  useEdgesState
+} from 'reactflow';
+import 'reactflow/dist/style.css';
+import { Button, Card, CardHeader, CardContent, Typography, Checkbox } from '../../../design-system';
+import { relationshipMapper, RelationshipStatus } from '../utils/relationshipMapper.js';
+import { exportImportManager } from '../utils/exportImport.js';
+import {
+  ERDNodeSize,
+  ConfidenceStyles,
+  StatusStyles,
+  getEdgeStyle,
+  layoutERD,
+  renderERDToSVG,
+  renderSVGToPNG
+} from '../utils/erdLayout.js';
+
+const handleStyle = {
+  width: '6px',
+  height: '6px',
+  minWidth: 0,
+  minHeight: 0,
+  border: 'none',
+  background: 'var(--md-sys-color-outline)'
+};
+
+/**
+ * Table node: header with the table name and one row per column. Every
+ * column has a target handle on the left and a source handle on the right.
+ */
+function TableNode({ data, selected }) {
+  return (
+    <div
+      style={{
+        width: `${ERDNodeSize.WIDTH}px`,
+        paddingBottom: `${ERDNodeSize.PADDING}px`,
+        borderRadius: 'var(--md-sys-shape-corner-small)',
+        border: `1px solid ${selected ? 'var(--md-sys-color-primary)' : 'var(--md-sys-color-outline)'}`,
+        backgroundColor: 'var(--md-sys-color-surface)',
+        boxShadow: selected ? '0 0 0 2px var(--md-sys-color-primary-container)' : 'none'
+      }}
+    >
+      <div
+        style={{
+          height: `${ERDNodeSize.HEADER_HEIGHT}px`,
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '0 var(--md-sys-spacing-3)',
+          borderRadius: 'var(--md-sys-shape-corner-small) var(--md-sys-shape-corner-small) 0 0',
+          backgroundColor: 'var(--md-sys-color-primary-container)',
+          color: 'var(--md-sys-color-on-primary-container)'
+        }}
+      >
+        <Typography variant="title-small">{data.label}</Typography>
+        <Typography variant="body-small">{data.recordCount} rows</Typography>
+      </div>
+
+      {data.columns.map(column => (
+        <div
+          key={column.name}
+          style={{
+            position: 'relative',
+            height: `${ERDNodeSize.ROW_HEIGHT}px`,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            padding: '0 var(--md-sys-spacing-3)',
+            fontSize: 'var(--md-sys-typescale-body-small-size)',
+            color: 'var(--md-sys-color-on-surface)'
+          }}
+        >
+          <Handle type="target" position={Position.Left} id={`${column.name}-target`} style={handleStyle} />
+          <span style={{ fontWeight: column.isPrimaryKey ? 600 : 400 }}>
+            {(column.isPrimaryKey || column.isForeignKey) && (
+              <span style={{ color: 'var(--md-sys-color-primary)', fontSize: '10px', marginRight: '4px' }}>
+                {column.isPrimaryKey ? 'PK' : 'FK'}
+              </span>
+            )}
+            {column.name}
+          </span>
+          <span style={{ fontFamily: 'monospace', color: 'var(--md-sys-color-on-surface-variant)' }}>
+            {column.type}
+          </span>
+          <Handle type="source" position={Position.Right} id={`${column.name}-source`} style={handleStyle} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const nodeTypes = { table: TableNode };
+
+/**
+ * Convert an ERD edge to a reactflow edge
+ * @param {Object} edge - ERD edge from generateERD
+ * @param {boolean} selected - Whether the edge is selected
+ * @returns {Object} reactflow edge
+ */
+const toFlowEdge = (edge, selected) => {
+  const style = getEdgeStyle(edge);
+  return {
+    id: edge.id,
+    source: edge.source,
+    target: edge.target,
+    sourceHandle: `${edge.data.fromColumn}-source`,
+    targetHandle: `${edge.data.toColumn}-target`,
+    type: 'smoothstep',
+    label: `${Math.round(edge.data.confidence * 100)}%`,
+    labelStyle: { fill: style.stroke, fontSize: 11 },
+    labelBgStyle: { fill: 'var(--md-sys-color-surface)' },
+    markerEnd: { type: MarkerType.ArrowClosed, color: style.stroke },
+    style: {
+      stroke: style.stroke,
+      strokeWidth: selected ? style.strokeWidth + 1.5 : style.strokeWidth,
+      strokeDasharray: style.strokeDasharray || undefined,
+      opacity: style.opacity
+    },
+    data: edge.data
+  };
+};
+
+export function ERDCanvas({ onChange, onClose }) {
+  const [erd, setErd] = useState({ nodes: [], edges: [], metadata: {} });
+  const [nodes, setNodes, onNodesChange] = useNodesState([]);
+  const [edges, setEdges, onEdgesChange] = useEdgesState([]);
+  const [selectedEdgeId, setSelectedEdgeId] = useState(null);
+  const [showRejected, setShowRejected] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDiagram = useCallback((options = {}) => {
+    try {
+      relationshipMapper.clearCache();
+      const nextErd = relationshipMapper.generateERD();
+      const positions = layoutERD(nextErd.nodes, nextErd.edges, options);
+
+      if (options.relayout) {
+        relationshipMapper.saveLayout(positions);
+      }
+
+      setErd(nextErd);
+      setNodes(nextErd.nodes.map(node => ({
+        id: node.id,
+        type: 'table',
+        position: positions[node.id],
+        data: { ...node.data, label: node.label }
+      })));
+      setError(null);
+    } catch (err) {
+      setError(`Could not build diagram: ${err.message}`);
+    }
+  }, [setNodes]);
+
+  useEffect(() => {
+    loadDiagram();
+  }, [loadDiagram]);
+
+  // Rejected relationships stay hidden unless asked for
+  const visibleEdges = useMemo(() => erd.edges.filter(edge => (
+    showRejected || edge.data.status !== RelationshipStatus.REJECTED
+  )), [erd.edges, showRejected]);
+
+  useEffect(() => {
+    setEdges(visibleEdges.map(edge => toFlowEdge(edge, edge.id === selectedEdgeId)));
+  }, [visibleEdges, selectedEdgeId, setEdges]);
+
+  const getPositions = useCallback(() => Object.fromEntries(
+    nodes.map(node => [node.id, { x: Math.round(node.position.x), y: Math.round(node.position.y) }])
+  ), [nodes]);
+
+  const handleNodeDragStop = useCallback((event, node, draggedNodes = [node]) => {
+    const moved = Object.fromEntries(
+      draggedNodes.map(dragged => [dragged.id, { x: Math.round(dragged.position.x), y: Math.round(dragged.position.y) }])
+    );
+    relationshipMapper.saveLayout({ ...getPositions(), ...moved });
+  }, [getPositions]);
+
+  const handleReview = useCallback((edge, action) => {
+    try {
+      if (action === RelationshipStatus.ACCEPTED) {
+        relationshipMapper.acceptRelationship(edge);
+      } else if (action === RelationshipStatus.REJECTED) {
+        relationshipMapper.rejectRelationship(edge);
+      } else {
+        relationshipMapper.restoreRelationship(edge);
+      }
+      loadDiagram();
+      if (onChange) onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [loadDiagram, onChange]);
+
+  const handleExport = useCallback(async (format) => {
+    try {
+      const svg = renderERDToSVG(erd.nodes, visibleEdges, getPositions());
+      const filename = `erd_${exportImportManager.getTimestamp()}.${format}`;
+
+      if (format === 'svg') {
+        exportImportManager.downloadAsFile(svg, filename, 'image/svg+xml');
+      } else {
+        const png = await renderSVGToPNG(svg);
+        exportImportManager.downloadAsFile(png, filename, 'image/png');
+      }
+    } catch (err) {
+      setError(`Export failed: ${err.message}`);
+    }
+  }, [erd.nodes, visibleEdges, getPositions]);
+
+  const reviewActions = (edge) => {
+    switch (edge.data.status) {
+      case RelationshipStatus.ACCEPTED:
+        return (
+          <Button variant="text" size="small" onClick={() => handleReview(edge, RelationshipStatus.REJECTED)}>
+            Remove
+          </Button>
+        );
+      case RelationshipStatus.REJECTED:
+        return (
+          <Button variant="text" size="small" onClick={() => handleReview(edge, RelationshipStatus.DETECTED)}>
+            Restore
+          </Button>
+        );
+      default:
+        return (
+          <>
+            <Button variant="tonal" size="small" onClick={() => handleReview(edge, RelationshipStatus.ACCEPTED)}>
+              Accept
+            </Button>
+            <Button variant="text" size="small" onClick={() => handleReview(edge, RelationshipStatus.REJECTED)}>
+              Reject
+            </Button>
+          </>
+        );
+    }
+  };
+
+  return (
+    <Card variant="elevated">
+      <CardHeader style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="headline-medium">
+          Entity Relationship Diagram
+        </Typography>
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', alignItems: 'center' }}>
+          <Checkbox
+            checked={showRejected}
+            onChange={(e) => setShowRejected(e.target.checked)}
+            label="Show rejected"
+          />
+          <Button variant="outlined" onClick={() => loadDiagram({ relayout: true })}>
+            Auto Layout
+          </Button>
+          <Button variant="outlined" onClick={() => handleExport('svg')} disabled={erd.nodes.length === 0}>
+            Export SVG
+          </Button>
+          <Button variant="outlined" onClick={() => handleExport('png')} disabled={erd.nodes.length === 0}>
+            Export PNG
+          </Button>
+          {onClose && (
+            <Button variant="text" onClick={onClose}>
+              Close
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-error-container)',
+              color: 'var(--md-sys-color-on-error-container)',
+              marginBottom: 'var(--md-sys-spacing-4)'
+            }}
+          >
+            <Typography variant="body-small">
+              Error: {error}
+            </Typography>
+          </Card>
+        )}
+
+        {/* Legend */}
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-4)', flexWrap: 'wrap', marginBottom: 'var(--md-sys-spacing-4)' }}>
+          {[...Object.entries(StatusStyles), ...Object.entries(ConfidenceStyles)].map(([key, style]) => (
+            <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-2)' }}>
+              <svg width="32" height="8">
+                <line
+                  x1="0" y1="4" x2="32" y2="4"
+                  stroke={style.stroke}
+                  strokeWidth={style.strokeWidth}
+                  strokeDasharray={style.strokeDasharray || undefined}
+                  opacity={style.opacity}
+                />
+              </svg>
+              <Typography variant="body-small" color="on-surface-variant">{style.label}</Typography>
+            </div>
+          ))}
+        </div>
+
+        {erd.nodes.length === 0 ? (
+          <Typography variant="body-medium" color="on-surface-variant">
+            No tables to diagram yet.
+          </Typography>
+        ) : (
+          <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-4)', alignItems: 'stretch' }}>
+            <div
+              style={{
+                flex: 1,
+                height: '600px',
+                border: '1px solid var(--md-sys-color-outline-variant)',
+                borderRadius: 'var(--md-sys-shape-corner-medium)',
+                overflow: 'hidden'
+              }}
+            >
+              <ReactFlow
+                nodes={nodes}
+                edges={edges}
+                nodeTypes={nodeTypes}
+                onNodesChange={onNodesChange}
+                onEdgesChange={onEdgesChange}
+                onNodeDragStop={handleNodeDragStop}
+                onEdgeClick={(event, edge) => setSelectedEdgeId(edge.id)}
+                onPaneClick={() => setSelectedEdgeId(null)}
+                nodesConnectable={false}
+                fitView
+              >
+                <Background gap={16} />
+                <MiniMap pannable zoomable />
+                <Controls showInteractive={false} />
+              </ReactFlow>
+            </div>
+
+            {/* Relationship review */}
+            <Card variant="outlined" style={{ width: '320px', maxHeight: '600px', overflowY: 'auto' }}>
+              <div style={{ padding: 'var(--md-sys-spacing-3)', borderBottom: '1px solid var(--md-sys-color-outline-variant)' }}>
+                <Typography variant="title-small">
+                  Relationships ({visibleEdges.length})
+                </Typography>
+              </div>
+              {visibleEdges.length === 0 && (
+                <Typography variant="body-small" color="on-surface-variant" style={{ padding: 'var(--md-sys-spacing-3)' }}>
+                  No relationships detected.
+                </Typography>
+              )}
+              {visibleEdges.map(edge => (
+                <div
+                  key={edge.id}
+                  onClick={() => setSelectedEdgeId(edge.id)}
+                  style={{
+                    padding: 'var(--md-sys-spacing-2) var(--md-sys-spacing-3)',
+                    borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                    borderLeft: `4px solid ${getEdgeStyle(edge).stroke}`,
+                    backgroundColor: edge.id === selectedEdgeId ? 'var(--md-sys-color-surface-container-high)' : 'transparent',
+                    cursor: 'pointer'
+                  }}
+                >
+                  <Typography variant="body-medium" style={{ fontFamily: 'monospace' }}>
+                    {edge.source}.{edge.data.fromColumn} → {edge.target}.{edge.data.toColumn}
+                  </Typography>
+                  <Typography variant="body-small" color="on-surface-variant">
+                    {edge.data.relationshipType} • {Math.round(edge.data.confidence * 100)}% • {edge.data.status}
+                  </Typography>
+                  <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-1)', marginTop: 'var(--md-sys-spacing-1)' }}>
+                    {reviewActions(edge)}
+                  </div>
+                </div>
+              ))}
+            </Card>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ERDCanvas;
@@ -0,0 +1,172 @@
+/**
+ * HistoryPanel Component
+ * Database-wide change history: undo/redo, jump to any entry and restore dropped tables
+ */
+
+import React from 'react';
+import { Button, Card, CardHeader, CardContent, Typography } from '../../../design-system';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+export function HistoryPanel({ journal, onClose }) {
+  const {
+    history,
+    droppedTables,
+    canUndo,
+    canRedo,
+    error,
+    undo,
+    redo,
+    goTo,
+    restoreTable,
+    clearHistory
+  } = journal;
+
+  const handleClear = () => {
+    if (confirm('Clear the change history? Undo and table restore will no longer be possible for past changes.')) {
+      clearHistory();
+    }
+  };
+
+  // Newest first
+  const entries = [...history.entries].reverse();
+
+  return (
+    <Card variant="elevated">
+      <CardHeader style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="headline-medium">
+          History
+        </Typography>
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+          <Button variant="outlined" onClick={undo} disabled={!canUndo} title="Ctrl+Z">
+            Undo
+          </Button>
+          <Button variant="outlined" onClick={redo} disabled={!canRedo} title="Ctrl+Shift+Z">
+            Redo
+          </Button>
+          <Button variant="text" onClick={handleClear} disabled={history.entries.length === 0}>
+            Clear History
+          </Button>
+          {onClose && (
+            <Button variant="text" onClick={onClose}>
+              Close
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-error-container)',
+              color: 'var(--md-sys-color-on-error-container)',
+              marginBottom: 'var(--md-sys-spacing-4)'
+            }}
+          >
+            <Typography variant="body-small">
+              Error: {error}
+            </Typography>
+          </Card>
+        )}
+
+        {droppedTables.length > 0 && (
+          <div style={{ marginBottom: 'var(--md-sys-spacing-6)' }}>
+            <Typography variant="title-small" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+              Dropped Tables
+            </Typography>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-2)' }}>
+              {droppedTables.map(table => (
+                <Card
+                  key={table.tableName}
+                  variant="outlined"
+                  style={{ padding: 'var(--md-sys-spacing-3)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+                >
+                  <div>
+                    <Typography variant="body-medium" style={{ fontFamily: 'monospace' }}>
+                      {table.tableName}
+                    </Typography>
+                    <Typography variant="body-small" color="on-surface-variant">
+                      {table.rowCount !== null ? `${table.rowCount} records • ` : ''}dropped {formatTime(table.droppedAt)}
+                    </Typography>
+                  </div>
+                  <Button variant="tonal" size="small" onClick={() => restoreTable(table.tableName)}>
+                    Restore
+                  </Button>
+                </Card>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <Typography variant="title-small" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+          Changes ({history.entries.length})
+        </Typography>
+
+        {entries.length === 0 ? (
+          <Typography variant="body-medium" color="on-surface-variant">
+            No changes recorded yet.
+          </Typography>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column' }}>
+            {entries.map(entry => {
+              const isCurrent = entry.position === history.position;
+              return (
+                <div
+                  key={entry.id}
+                  style={{
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    padding: 'var(--md-sys-spacing-2) var(--md-sys-spacing-3)',
+                    borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                    borderLeft: `4px solid ${isCurrent ? 'var(--md-sys-color-primary)' : 'transparent'}`,
+                    opacity: entry.applied ? 1 : 0.5
+                  }}
+                >
+                  <div>
+                    <Typography variant="body-medium" style={{ textDecoration: entry.applied ? 'none' : 'line-through' }}>
+                      {entry.label}
+                    </Typography>
+                    <Typography variant="body-small" color="on-surface-variant">
+                      {formatTime(entry.timestamp)}
+                      {entry.tables.length > 0 && ` • ${entry.tables.join(', ')}`}
+                    </Typography>
+                  </div>
+                  {!isCurrent && (
+                    <Button variant="text" size="small" onClick={() => goTo(entry.position)}>
+                      {entry.applied ? 'Undo to here' : 'Redo to here'}
+                    </Button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <div
+          style={{
+            padding: 'var(--md-sys-spacing-2) var(--md-sys-spacing-3)',
+            borderLeft: `4px solid ${history.position === 0 ? 'var(--md-sys-color-primary)' : 'transparent'}`,
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center'
+          }}
+        >
+          <Typography variant="body-small" color="on-surface-variant">
+            Start of history
+          </Typography>
+          {history.position > 0 && (
+            <Button variant="text" size="small" onClick={() => goTo(0)}>
+              Undo all
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+export default HistoryPanel;
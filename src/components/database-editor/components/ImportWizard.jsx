@@ -0,0 +1,428 @@
+/**
+ * ImportWizard Component
+ * Streams a CSV or JSON file into a table: parse options, column mapping
+ * preview with type coercion and row errors, then a chunked commit
+ */
+
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Button, Card, CardHeader, CardContent, Typography, TextField, Checkbox } from '../../../design-system';
+import { DataTypes } from '../utils/localStorageDB.js';
+import {
+  StreamImportFormats,
+  ImportModes,
+  SKIP_COLUMN,
+  previewImport,
+  commitImport,
+  convertRecord
+} from '../utils/streamingImport.js';
+import DataTable from './DataTable.jsx';
+
+const selectStyle = {
+  padding: 'var(--md-sys-spacing-2)',
+  border: '1px solid var(--md-sys-color-outline)',
+  borderRadius: 'var(--md-sys-shape-corner-small)',
+  backgroundColor: 'var(--md-sys-color-surface-container-low)',
+  color: 'var(--md-sys-color-on-surface)',
+  fontSize: 'var(--md-sys-typescale-body-small-size)'
+};
+
+const delimiterOptions = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+];
+
+export function ImportWizard({ tables = [], defaultTable = '', onComplete, onClose }) {
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState(StreamImportFormats.CSV);
+  const [delimiter, setDelimiter] = useState(',');
+  const [quote, setQuote] = useState('"');
+  const [tableName, setTableName] = useState(defaultTable);
+  const [mode, setMode] = useState(ImportModes.APPEND);
+  const [skipInvalidRows, setSkipInvalidRows] = useState(true);
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const isExistingTable = tables.includes(tableName);
+
+  // Re-read the head of the file whenever parse options or the target change
+  useEffect(() => {
+    if (!file) return;
+
+    let cancelled = false;
+    previewImport(file, { format, delimiter, quote, tableName })
+      .then(nextPreview => {
+        if (cancelled) return;
+        setPreview(nextPreview);
+        setMapping(nextPreview.mapping);
+        if (!tableName && nextPreview.suggestedTableName) {
+          setTableName(nextPreview.suggestedTableName);
+        }
+        setError(null);
+      })
+      .catch(err => {
+        if (!cancelled) setError(`Could not read file: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file, format, delimiter, quote, tableName]);
+
+  // Apply the edited mapping to the sample rows
+  const previewRows = useMemo(() => {
+    if (!preview) return { data: [], errors: {}, rowErrors: [] };
+
+    const rowErrors = preview.errors.filter(rowError => !rowError.field);
+    const errors = {};
+    const data = preview.rows.map(({ row, source }, index) => {
+      const converted = convertRecord(source, mapping, row);
+      if (converted.errors.length > 0) {
+        errors[index] = Object.fromEntries(converted.errors.map(rowError => [rowError.field, rowError.message]));
+        rowErrors.push(...converted.errors);
+      }
+      return converted.record;
+    });
+
+    return { data, errors, rowErrors: rowErrors.sort((a, b) => (a.row || 0) - (b.row || 0)) };
+  }, [preview, mapping]);
+
+  const handleFileChange = useCallback((event) => {
+    const selected = event.target.files[0];
+    if (!selected) return;
+
+    setFile(selected);
+    setFormat(/\.(json|ndjson)$/i.test(selected.name) ? StreamImportFormats.JSON : StreamImportFormats.CSV);
+    if (!tableName) {
+      setTableName(selected.name.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_]/g, '_'));
+    }
+    setResult(null);
+    setPreview(null);
+  }, [tableName]);
+
+  const handleMappingChange = useCallback((source, property, value) => {
+    setMapping(prev => prev.map(column => (
+      column.source === source ? { ...column, [property]: value } : column
+    )));
+  }, []);
+
+  const handleImport = useCallback(async () => {
+    if (!tableName.trim()) {
+      setError('Choose a target table');
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress({ loaded: 0, total: file.size, processed: 0 });
+    setError(null);
+
+    const importResult = await commitImport(file, {
+      format,
+      delimiter,
+      quote,
+      tableName: tableName.trim(),
+      mapping,
+      mode,
+      skipInvalidRows,
+      signal: controller.signal,
+      onProgress: setProgress
+    });
+
+    abortRef.current = null;
+    setProgress(null);
+    setResult(importResult);
+
+    if (importResult.success) {
+      if (onComplete) onComplete(tableName.trim(), importResult);
+    } else if (!importResult.cancelled) {
+      setError(importResult.error);
+    }
+  }, [file, format, delimiter, quote, tableName, mapping, mode, skipInvalidRows, onComplete]);
+
+  const handleCancel = useCallback(() => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  const targetFieldNames = preview ? Object.keys(preview.targetFields) : [];
+
+  return (
+    <Card variant="elevated">
+      <CardHeader style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="headline-medium">
+          Import CSV / JSON
+        </Typography>
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+          <Button
+            variant="filled"
+            onClick={handleImport}
+            disabled={!file || !preview || Boolean(progress)}
+          >
+            Import {file ? file.name : ''}
+          </Button>
+          {onClose && (
+            <Button variant="text" onClick={onClose}>
+              Close
+            </Button>
+          )}
+        </div>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-error-container)',
+              color: 'var(--md-sys-color-on-error-container)',
+              marginBottom: 'var(--md-sys-spacing-4)'
+            }}
+          >
+            <Typography variant="body-small">
+              Error: {error}
+            </Typography>
+          </Card>
+        )}
+
+        {/* Source and parse options */}
+        <Card
+          variant="filled"
+          style={{
+            backgroundColor: 'var(--md-sys-color-surface-container)',
+            padding: 'var(--md-sys-spacing-4)',
+            marginBottom: 'var(--md-sys-spacing-6)',
+            display: 'flex',
+            gap: 'var(--md-sys-spacing-3)',
+            alignItems: 'center',
+            flexWrap: 'wrap'
+          }}
+        >
+          <Button variant="outlined" onClick={() => document.getElementById('import-wizard-input').click()}>
+            {file ? 'Change File' : 'Choose File'}
+            <input
+              id="import-wizard-input"
+              type="file"
+              accept=".csv,.tsv,.txt,.json,.ndjson"
+              onChange={handleFileChange}
+              style={{ display: 'none' }}
+            />
+          </Button>
+
+          <select value={format} onChange={(e) => setFormat(e.target.value)} style={selectStyle}>
+            <option value={StreamImportFormats.CSV}>CSV</option>
+            <option value={StreamImportFormats.JSON}>JSON / NDJSON</option>
+          </select>
+
+          {format === StreamImportFormats.CSV && (
+            <>
+              <select value={delimiter} onChange={(e) => setDelimiter(e.target.value)} style={selectStyle}>
+                {delimiterOptions.map(option => (
+                  <option key={option.label} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <select value={quote} onChange={(e) => setQuote(e.target.value)} style={selectStyle}>
+                <option value={'"'}>Double quote (")</option>
+                <option value={"'"}>Single quote (')</option>
+              </select>
+            </>
+          )}
+
+          <TextField
+            placeholder="Target table"
+            value={tableName}
+            onChange={(e) => setTableName(e.target.value)}
+            style={{ minWidth: '150px' }}
+            list="import-wizard-tables"
+          />
+          <datalist id="import-wizard-tables">
+            {tables.map(table => <option key={table} value={table} />)}
+          </datalist>
+
+          {isExistingTable && (
+            <select value={mode} onChange={(e) => setMode(e.target.value)} style={selectStyle}>
+              <option value={ImportModes.APPEND}>Append rows</option>
+              <option value={ImportModes.REPLACE}>Replace rows</option>
+            </select>
+          )}
+
+          <Checkbox
+            checked={skipInvalidRows}
+            onChange={(e) => setSkipInvalidRows(e.target.checked)}
+            label="Skip rows with errors"
+          />
+        </Card>
+
+        {progress && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-3)', marginBottom: 'var(--md-sys-spacing-4)' }}>
+            <div style={{ flex: 1, height: '8px', borderRadius: 'var(--md-sys-shape-corner-full)', backgroundColor: 'var(--md-sys-color-surface-container-high)' }}>
+              <div
+                style={{
+                  width: `${progress.total ? Math.round((progress.loaded / progress.total) * 100) : 0}%`,
+                  height: '100%',
+                  borderRadius: 'var(--md-sys-shape-corner-full)',
+                  backgroundColor: 'var(--md-sys-color-primary)'
+                }}
+              />
+            </div>
+            <Typography variant="body-small" color="on-surface-variant">
+              {progress.processed} rows
+            </Typography>
+            <Button variant="text" size="small" onClick={handleCancel}>
+              Cancel
+            </Button>
+          </div>
+        )}
+
+        {result && result.success && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-primary-container)',
+              color: 'var(--md-sys-color-on-primary-container)',
+              marginBottom: 'var(--md-sys-spacing-4)'
+            }}
+          >
+            <Typography variant="body-small">
+              Imported {result.imported} rows into "{tableName}"{result.skipped > 0 ? `, skipped ${result.skipped} rows with errors` : ''}.
+            </Typography>
+          </Card>
+        )}
+
+        {!file && (
+          <Typography variant="body-medium" color="on-surface-variant">
+            Choose a CSV or JSON file to preview it before importing.
+          </Typography>
+        )}
+
+        {preview && (
+          <>
+            {/* Column mapping */}
+            <Typography variant="title-medium" style={{ margin: 'var(--md-sys-spacing-2) 0 var(--md-sys-spacing-4) 0' }}>
+              Column Mapping ({mapping.filter(column => column.target !== SKIP_COLUMN).length} of {mapping.length} columns)
+            </Typography>
+
+            <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-6)' }}>
+              {mapping.map(column => (
+                <div
+                  key={column.source}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    padding: 'var(--md-sys-spacing-2) var(--md-sys-spacing-3)',
+                    borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                    gap: 'var(--md-sys-spacing-3)'
+                  }}
+                >
+                  <Typography variant="body-medium" style={{ minWidth: '150px', fontFamily: 'monospace' }}>
+                    {column.source}
+                  </Typography>
+                  <Typography variant="body-small" color="on-surface-variant">→</Typography>
+
+                  {isExistingTable ? (
+                    <select
+                      value={column.target}
+                      onChange={(e) => {
+                        const target = e.target.value;
+                        handleMappingChange(column.source, 'target', target);
+                        if (preview.targetFields[target]) {
+                          handleMappingChange(column.source, 'type', preview.targetFields[target].type);
+                          handleMappingChange(column.source, 'required', preview.targetFields[target].required);
+                        }
+                      }}
+                      style={{ ...selectStyle, minWidth: '150px' }}
+                    >
+                      <option value={SKIP_COLUMN}>Skip column</option>
+                      {targetFieldNames.map(field => (
+                        <option key={field} value={field}>{field}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <TextField
+                      placeholder="Skip column"
+                      value={column.target}
+                      onChange={(e) => handleMappingChange(column.source, 'target', e.target.value.trim())}
+                      style={{ minWidth: '150px' }}
+                    />
+                  )}
+
+                  <select
+                    value={column.type}
+                    onChange={(e) => handleMappingChange(column.source, 'type', e.target.value)}
+                    disabled={column.target === SKIP_COLUMN}
+                    style={selectStyle}
+                  >
+                    {[DataTypes.STRING, DataTypes.NUMBER, DataTypes.BOOLEAN, DataTypes.DATE, DataTypes.JSON, DataTypes.ARRAY].map(type => (
+                      <option key={type} value={type}>{type}</option>
+                    ))}
+                  </select>
+
+                  <Checkbox
+                    checked={Boolean(column.required)}
+                    onChange={(e) => handleMappingChange(column.source, 'required', e.target.checked)}
+                    disabled={column.target === SKIP_COLUMN}
+                    label="Required"
+                  />
+                </div>
+              ))}
+            </Card>
+
+            {/* Converted sample */}
+            <Typography variant="title-medium" style={{ margin: 'var(--md-sys-spacing-2) 0 var(--md-sys-spacing-4) 0' }}>
+              Preview (first {previewRows.data.length} rows)
+            </Typography>
+
+            <DataTable
+              data={previewRows.data}
+              columns={mapping
+                .filter(column => column.target !== SKIP_COLUMN)
+                .map(column => ({ field: column.target, label: column.target }))}
+              errors={previewRows.errors}
+              pageSize={10}
+              searchable={false}
+            />
+
+            {/* Row errors */}
+            {previewRows.rowErrors.length > 0 && (
+              <>
+                <Typography variant="title-medium" color="error" style={{ margin: 'var(--md-sys-spacing-6) 0 var(--md-sys-spacing-4) 0' }}>
+                  Row Errors ({previewRows.rowErrors.length} in preview)
+                </Typography>
+                <Card variant="outlined">
+                  {previewRows.rowErrors.slice(0, 100).map((rowError, i) => (
+                    <div
+                      key={i}
+                      style={{
+                        padding: 'var(--md-sys-spacing-2) var(--md-sys-spacing-3)',
+                        borderBottom: '1px solid var(--md-sys-color-outline-variant)'
+                      }}
+                    >
+                      <Typography variant="body-small" color="error">
+                        {format === StreamImportFormats.CSV ? 'Line' : 'Record'} {rowError.row}
+                        {rowError.field ? ` • ${rowError.field}` : ''}: {rowError.message}
+                      </Typography>
+                    </div>
+                  ))}
+                </Card>
+              </>
+            )}
+          </>
+        )}
+
+        {result && !result.success && result.errors && result.errors.length > 0 && (
+          <Typography variant="body-small" color="error" style={{ marginTop: 'var(--md-sys-spacing-4)' }}>
+            {result.errors.length} row errors in the full file.
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default ImportWizard;
@@ -3,10 +3,13 @@
  * Visual query builder for localStorage database
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Button, Card, CardHeader, CardContent, Typography, TextField, Checkbox } from '../../../design-system';
 import { LocalStorageDB } from '../utils/localStorageDB.js';
-import { QueryBuilder as QueryEngine, AggregationFunctions } from '../utils/queryEngine.js';
+import { QueryBuilder as QueryEngine, QueryOperators, AggregationFunctions, AccessPathTypes, executeQuery as runQuery, exportToSQL } from '../utils/queryEngine.js';
+import { parseSQL, SQLParseError } from '../utils/sqlParser.js';
+import { savedQueryManager, SavedQueryTypes } from '../utils/savedQueries.js';
+import { runQueryAsync, QueryCancelledError } from '../utils/queryRunner.js';
 
 export function QueryBuilder({ onResults, onClose }) {
   const [db] = useState(() => new LocalStorageDB());
@@ -24,6 +27,20 @@ export function QueryBuilder({ onResults, onClose }) {
   const [queryText, setQueryText] = useState('');
   const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const abortRef = useRef(null);
+  // Live mode re-runs the last query whenever a table it reads changes
+  const [live, setLive] = useState(false);
+  const [lastRun, setLastRun] = useState(null);
+  const [liveChange, setLiveChange] = useState(null);
+  const [mode, setMode] = useState('visual'); // visual, sql
+  const [sqlText, setSqlText] = useState('');
+  const [sqlError, setSqlError] = useState(null);
+  const [queryPlan, setQueryPlan] = useState(null);
+  const [views, setViews] = useState([]);
+  const [savedQueries, setSavedQueries] = useState(() => savedQueryManager.getSavedQueries());
+  const [history, setHistory] = useState(() => savedQueryManager.getHistory());
+  const [showLibrary, setShowLibrary] = useState(false);
 
   // Operators for conditions
   const operators = [
@@ -37,7 +54,8 @@ export function QueryBuilder({ onResults, onClose }) {
     { value: 'startsWith', label: 'Starts With' },
     { value: 'endsWith', label: 'Ends With' },
     { value: 'in', label: 'In List' },
-    { value: 'between', label: 'Between' }
+    { value: 'between', label: 'Between' },
+    { value: QueryOperators.MATCH, label: 'Matches Text' }
   ];
 
   // Aggregation functions
@@ -59,24 +77,27 @@ export function QueryBuilder({ onResults, onClose }) {
     try {
       const availableTables = db.discoverTables();
       setTables(availableTables);
+      setViews(savedQueryManager.getViewNames());
       if (availableTables.length > 0 && !selectedTable) {
         setSelectedTable(availableTables[0]);
       }
     } catch (err) {
       setError(err.message);
     }
-  }, [db, selectedTable]);
+  }, [db, selectedTable, savedQueries]);
 
   // Load fields when table changes
   useEffect(() => {
     if (selectedTable) {
       try {
-        const schema = db.getSchema(selectedTable);
+        const schema = db.getSchema(selectedTable) || {};
         const tableFields = schema.fields ? Object.keys(schema.fields) : [];
         
-        // If no schema, infer from data
+        // If no schema, infer from data; views are read through the query engine
         if (tableFields.length === 0) {
-          const data = db.select(selectedTable, { limit: 1 });
+          const data = savedQueryManager.getViewNames().includes(selectedTable)
+            ? runQuery(new QueryEngine(selectedTable).limit(1))
+            : db.select(selectedTable, { limit: 1 });
           if (data.length > 0) {
             tableFields.push(...Object.keys(data[0]));
           }
@@ -141,6 +162,8 @@ export function QueryBuilder({ onResults, onClose }) {
           } else if (c.operator === 'between') {
             const [min, max] = c.value.split(',').map(v => v.trim());
             return `${c.field} BETWEEN '${min}' AND '${max}'`;
+          } else if (c.operator === QueryOperators.MATCH) {
+            return `MATCH(${c.field}) AGAINST ('${c.value}')`;
           } else {
             return `${c.field} ${c.operator} '${c.value}'`;
           }
@@ -284,76 +307,457 @@ export function QueryBuilder({ onResults, onClose }) {
     ));
   }, []);
 
-  const executeQuery = useCallback(async () => {
-    if (!selectedTable) {
-      setError('Please select a table');
-      return;
+  // Run a query in the query worker, show its results and add the run to the persisted history
+  const runAndRecord = useCallback(async (builder, text) => {
+    const startTime = performance.now();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setProgress(null);
+    try {
+      const { results: queryResults } = await runQueryAsync(builder, {
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+      setResults(queryResults);
+      setQueryPlan(builder.explain());
+      setLastRun({ builder, text });
+      setLiveChange(null);
+      savedQueryManager.recordRun(builder, {
+        sql: text,
+        resultCount: queryResults.length,
+        executionTime: performance.now() - startTime
+      });
+
+      if (onResults) {
+        onResults(queryResults, text);
+      }
+    } catch (err) {
+      savedQueryManager.recordRun(builder, {
+        sql: text,
+        error: err.message,
+        executionTime: performance.now() - startTime
+      });
+      // Cancelling is not an error worth showing
+      if (!(err instanceof QueryCancelledError)) throw err;
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+      setHistory(savedQueryManager.getHistory());
     }
+  }, [onResults]);
+
+  useEffect(() => {
+    if (!live || !lastRun) return undefined;
+
+    return db.subscribe(lastRun.builder, (rows, diff) => {
+      setResults(rows);
+      setLiveChange({
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length,
+        remote: diff.remote,
+        rows: new Set([...diff.added, ...diff.changed.map(change => change.after)]),
+        at: new Date()
+      });
+      if (onResults) {
+        onResults(rows, lastRun.text);
+      }
+    }, {
+      immediate: false,
+      onError: (err) => setError(err.message)
+    });
+  }, [db, live, lastRun, onResults]);
+
+  const handleCancel = useCallback(() => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
+
+  // Stop a running query when the builder closes
+  useEffect(() => () => {
+    if (abortRef.current) abortRef.current.abort();
+  }, []);
 
+  const executeSQLQuery = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
+      setSqlError(null);
 
-      const queryBuilder = new QueryEngine(selectedTable);
-
-      // Apply field selection (only if no grouping/aggregation)
-      if (!selectedFields.includes('*') && groupBy.length === 0 && aggregations.length === 0) {
-        queryBuilder.select(selectedFields);
+      await runAndRecord(parseSQL(sqlText), sqlText);
+    } catch (err) {
+      if (err instanceof SQLParseError) {
+        setSqlError(err);
+      } else {
+        setError(err.message);
       }
+    } finally {
+      setLoading(false);
+    }
+  }, [sqlText, runAndRecord]);
 
-      // Apply conditions
-      conditions.forEach(condition => {
-        if (condition.field && condition.operator && condition.value !== '') {
-          queryBuilder.where(condition.field, condition.operator, condition.value);
-        }
-      });
+  const handleModeChange = useCallback((newMode) => {
+    // Start the SQL editor from whatever the visual builder currently describes
+    if (newMode === 'sql' && !sqlText.trim()) {
+      setSqlText(queryText);
+    }
+    setSqlError(null);
+    setMode(newMode);
+  }, [sqlText, queryText]);
 
-      // Apply grouping
-      if (groupBy.length > 0) {
-        const groupFields = groupBy.filter(g => g.field).map(g => g.field);
-        if (groupFields.length > 0) {
-          queryBuilder.groupBy(groupFields);
-        }
+  const handleFormatSQL = useCallback(() => {
+    try {
+      setSqlText(exportToSQL(parseSQL(sqlText), 'postgresql'));
+      setSqlError(null);
+    } catch (err) {
+      if (err instanceof SQLParseError) {
+        setSqlError(err);
+      } else {
+        setError(err.message);
       }
+    }
+  }, [sqlText]);
 
-      // Apply aggregations
-      aggregations.forEach(agg => {
-        if (agg.func) {
-          queryBuilder.aggregate(agg.func, agg.field || null, agg.alias || null);
-        }
-      });
+  // Build the query the visual editor describes
+  const buildVisualQuery = useCallback(() => {
+    const queryBuilder = new QueryEngine(selectedTable);
 
-      // Apply having conditions
-      having.forEach(condition => {
-        if (condition.field && condition.operator && condition.value !== '') {
-          queryBuilder.having(condition.field, condition.operator, condition.value);
-        }
-      });
+    // Apply field selection (only if no grouping/aggregation)
+    if (!selectedFields.includes('*') && groupBy.length === 0 && aggregations.length === 0) {
+      queryBuilder.select(selectedFields);
+    }
 
-      // Apply sorting
-      sortBy.forEach(sort => {
-        if (sort.field) {
-          queryBuilder.orderBy(sort.field, sort.direction);
-        }
-      });
+    // Apply conditions
+    conditions.forEach(condition => {
+      if (condition.field && condition.operator && condition.value !== '') {
+        queryBuilder.where(condition.field, condition.operator, condition.value);
+      }
+    });
 
-      // Apply limit
-      if (limit && parseInt(limit) > 0) {
-        queryBuilder.limit(parseInt(limit));
+    // Apply grouping
+    if (groupBy.length > 0) {
+      const groupFields = groupBy.filter(g => g.field).map(g => g.field);
+      if (groupFields.length > 0) {
+        queryBuilder.groupBy(groupFields);
       }
+    }
 
-      const queryResults = queryBuilder.execute(db);
-      setResults(queryResults);
+    // Apply aggregations
+    aggregations.forEach(agg => {
+      if (agg.func) {
+        queryBuilder.aggregate(agg.func, agg.field || null, agg.alias || null);
+      }
+    });
 
-      if (onResults) {
-        onResults(queryResults, queryText);
+    // Apply having conditions
+    having.forEach(condition => {
+      if (condition.field && condition.operator && condition.value !== '') {
+        queryBuilder.having(condition.field, condition.operator, condition.value);
+      }
+    });
+
+    // Apply sorting
+    sortBy.forEach(sort => {
+      if (sort.field) {
+        queryBuilder.orderBy(sort.field, sort.direction);
       }
+    });
+
+    // Apply limit
+    if (limit && parseInt(limit) > 0) {
+      queryBuilder.limit(parseInt(limit));
+    }
+
+    return queryBuilder;
+  }, [selectedTable, selectedFields, conditions, groupBy, aggregations, having, sortBy, limit]);
+
+  const executeQuery = useCallback(async () => {
+    if (mode === 'sql') {
+      await executeSQLQuery();
+      return;
+    }
+
+    if (!selectedTable) {
+      setError('Please select a table');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      await runAndRecord(buildVisualQuery(), queryText);
     } catch (err) {
       setError(err.message);
     } finally {
       setLoading(false);
     }
-  }, [db, selectedTable, selectedFields, conditions, groupBy, aggregations, having, sortBy, limit, queryText, onResults]);
+  }, [mode, executeSQLQuery, selectedTable, buildVisualQuery, queryText, runAndRecord]);
+
+  const handleSave = useCallback((type) => {
+    let builder;
+    try {
+      if (mode === 'sql') {
+        builder = parseSQL(sqlText);
+      } else if (selectedTable) {
+        builder = buildVisualQuery();
+      } else {
+        setError('Please select a table');
+        return;
+      }
+    } catch (err) {
+      if (err instanceof SQLParseError) {
+        setSqlError(err);
+      } else {
+        setError(err.message);
+      }
+      return;
+    }
+
+    const name = prompt(type === SavedQueryTypes.VIEW ? 'Enter view name:' : 'Enter query name:');
+    if (!name || !name.trim()) return;
+
+    const options = { type, sql: mode === 'sql' ? sqlText : queryText };
+    let result = savedQueryManager.saveQuery(name, builder, options);
+    if (!result.success && savedQueryManager.getSavedQuery(name.trim()) && confirm(`"${name.trim()}" already exists. Replace it?`)) {
+      result = savedQueryManager.saveQuery(name, builder, { ...options, overwrite: true });
+    }
+
+    if (!result.success) {
+      setError(result.errors.join('; '));
+      return;
+    }
+    setError(null);
+    setSavedQueries(savedQueryManager.getSavedQueries());
+    setShowLibrary(true);
+  }, [mode, sqlText, queryText, selectedTable, buildVisualQuery]);
+
+  const handleRunEntry = useCallback((entry) => {
+    try {
+      setError(null);
+      runAndRecord(QueryEngine.fromJSON(entry.query), entry.sql);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [runAndRecord]);
+
+  // Load a saved or past query into the SQL editor
+  const handleOpenEntry = useCallback((entry) => {
+    try {
+      setSqlText(entry.sql || exportToSQL(QueryEngine.fromJSON(entry.query), 'postgresql'));
+      setSqlError(null);
+      setMode('sql');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  const handleDeleteSaved = useCallback((name) => {
+    if (confirm(`Delete "${name}"?`)) {
+      savedQueryManager.deleteSavedQuery(name);
+      setSavedQueries(savedQueryManager.getSavedQueries());
+    }
+  }, []);
+
+  const handleClearHistory = useCallback(() => {
+    savedQueryManager.clearHistory();
+    setHistory([]);
+  }, []);
+
+  const renderQueryPlan = () => {
+    const { accessPath, joinStrategies } = queryPlan;
+    const steps = [
+      accessPath.type === AccessPathTypes.INDEX_SCAN
+        ? `Index scan on ${queryPlan.table} using ${accessPath.index.name} (${accessPath.index.type}, ${accessPath.field} ${accessPath.operator})`
+        : `Full scan on ${queryPlan.table}`,
+      ...joinStrategies.map(join => join.index
+        ? `Index lookup join on ${join.table}.${join.joinField} using ${join.index.name}`
+        : `Hash join on ${join.table}.${join.joinField}`)
+    ];
+
+    return (
+      <div style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+        {steps.map(step => (
+          <Typography key={step} variant="label-small" color="on-surface-variant" style={{ display: 'block', fontFamily: 'monospace' }}>
+            → {step}
+          </Typography>
+        ))}
+      </div>
+    );
+  };
+
+  const renderLibrary = () => (
+    <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+      <CardContent>
+        <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+          Saved Queries & Views
+        </Typography>
+        {savedQueries.length === 0 ? (
+          <Typography variant="body-small" color="on-surface-variant" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+            Nothing saved yet. Use Save or Save as View; views can be queried like tables in FROM and JOIN.
+          </Typography>
+        ) : (
+          <div style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+            {savedQueries.map(saved => (
+              <div
+                key={saved.name}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: 'var(--md-sys-spacing-3)',
+                  padding: 'var(--md-sys-spacing-2) 0',
+                  borderBottom: '1px solid var(--md-sys-color-outline-variant)'
+                }}
+              >
+                <div style={{ minWidth: 0 }}>
+                  <Typography variant="body-medium">
+                    {saved.name}{' '}
+                    <span style={{
+                      padding: '0 var(--md-sys-spacing-2)',
+                      borderRadius: 'var(--md-sys-shape-corner-small)',
+                      backgroundColor: saved.type === SavedQueryTypes.VIEW ? 'var(--md-sys-color-tertiary-container)' : 'var(--md-sys-color-secondary-container)',
+                      fontSize: 'var(--md-sys-typescale-label-small-size)'
+                    }}>
+                      {saved.type}
+                    </span>
+                  </Typography>
+                  <Typography variant="body-small" color="on-surface-variant" style={{ fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {saved.sql || `FROM ${saved.query.table}`}
+                  </Typography>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-1)', flexShrink: 0 }}>
+                  <Button variant="tonal" size="small" onClick={() => handleRunEntry(saved)}>
+                    Run
+                  </Button>
+                  <Button variant="text" size="small" onClick={() => handleOpenEntry(saved)}>
+                    Open
+                  </Button>
+                  <Button variant="text" size="small" onClick={() => handleDeleteSaved(saved.name)}>
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--md-sys-spacing-3)' }}>
+          <Typography variant="title-medium">
+            Recent Queries
+          </Typography>
+          <Button variant="text" size="small" onClick={handleClearHistory} disabled={history.length === 0}>
+            Clear History
+          </Button>
+        </div>
+        {history.length === 0 ? (
+          <Typography variant="body-small" color="on-surface-variant">
+            Queries you run appear here.
+          </Typography>
+        ) : (
+          <div style={{ maxHeight: '240px', overflowY: 'auto' }}>
+            {history.map(entry => (
+              <div
+                key={entry.id}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  alignItems: 'center',
+                  gap: 'var(--md-sys-spacing-3)',
+                  padding: 'var(--md-sys-spacing-2) 0',
+                  borderBottom: '1px solid var(--md-sys-color-outline-variant)'
+                }}
+              >
+                <div style={{ minWidth: 0 }}>
+                  <Typography variant="body-small" style={{ fontFamily: 'monospace', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                    {entry.sql || `FROM ${entry.table}`}
+                  </Typography>
+                  <Typography variant="label-small" color={entry.error ? 'error' : 'on-surface-variant'}>
+                    {new Date(entry.timestamp).toLocaleString()} • {entry.error
+                      ? `Failed: ${entry.error}`
+                      : `${entry.resultCount} rows`} • {entry.executionTime !== null ? `${entry.executionTime.toFixed(1)} ms` : '—'}
+                  </Typography>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-1)', flexShrink: 0 }}>
+                  <Button variant="tonal" size="small" onClick={() => handleRunEntry(entry)}>
+                    Run Again
+                  </Button>
+                  <Button variant="text" size="small" onClick={() => handleOpenEntry(entry)}>
+                    Open
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  const renderSQLEditor = () => {
+    const errorLine = sqlError ? sqlText.split('\n')[sqlError.line - 1] || '' : '';
+
+    return (
+      <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+        <CardContent>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--md-sys-spacing-3)' }}>
+            <Typography variant="title-medium">
+              SQL Query
+            </Typography>
+            <Button variant="text" size="small" onClick={handleFormatSQL} disabled={!sqlText.trim()}>
+              Format
+            </Button>
+          </div>
+          <textarea
+            value={sqlText}
+            onChange={(e) => {
+              setSqlText(e.target.value);
+              setSqlError(null);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                executeSQLQuery();
+              }
+            }}
+            placeholder="SELECT * FROM users WHERE age > 25 ORDER BY name LIMIT 10"
+            spellCheck={false}
+            rows={8}
+            style={{
+              width: '100%',
+              padding: 'var(--md-sys-spacing-3)',
+              border: `1px solid ${sqlError ? 'var(--md-sys-color-error)' : 'var(--md-sys-color-outline)'}`,
+              borderRadius: 'var(--md-sys-shape-corner-small)',
+              backgroundColor: 'var(--md-sys-color-surface-container-low)',
+              color: 'var(--md-sys-color-on-surface)',
+              fontFamily: 'monospace',
+              fontSize: 'var(--md-sys-typescale-body-medium-size)',
+              resize: 'vertical',
+              boxSizing: 'border-box'
+            }}
+          />
+          <Typography variant="body-small" color="on-surface-variant" style={{ marginTop: 'var(--md-sys-spacing-2)' }}>
+            Supports SELECT, FROM, JOIN, WHERE, GROUP BY, HAVING, ORDER BY, LIMIT and UNION. Press Ctrl+Enter to run.
+          </Typography>
+
+          {sqlError && (
+            <div style={{
+              marginTop: 'var(--md-sys-spacing-3)',
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-error-container)',
+              color: 'var(--md-sys-color-on-error-container)',
+              borderRadius: 'var(--md-sys-shape-corner-small)'
+            }}>
+              <Typography variant="body-small">
+                Line {sqlError.line}, column {sqlError.column}: {sqlError.reason}
+              </Typography>
+              <pre style={{ margin: 'var(--md-sys-spacing-2) 0 0', fontFamily: 'monospace', fontSize: 'var(--md-sys-typescale-body-small-size)', overflowX: 'auto' }}>
+                {errorLine}{'\n'}{' '.repeat(Math.max(sqlError.column - 1, 0))}^
+              </pre>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    );
+  };
 
   return (
     <Card variant="elevated">
@@ -362,6 +766,26 @@ export function QueryBuilder({ onResults, onClose }) {
           Query Builder
         </Typography>
         <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+          <Button variant={mode === 'visual' ? 'tonal' : 'text'} onClick={() => handleModeChange('visual')}>
+            Visual
+          </Button>
+          <Button variant={mode === 'sql' ? 'tonal' : 'text'} onClick={() => handleModeChange('sql')}>
+            SQL
+          </Button>
+          <Button variant={showLibrary ? 'tonal' : 'text'} onClick={() => setShowLibrary(!showLibrary)}>
+            Saved & History
+          </Button>
+          <Button variant="outlined" onClick={() => handleSave(SavedQueryTypes.QUERY)}>
+            Save
+          </Button>
+          <Button variant="outlined" onClick={() => handleSave(SavedQueryTypes.VIEW)}>
+            Save as View
+          </Button>
+          <Checkbox
+            checked={live}
+            onChange={(e) => setLive(e.target.checked)}
+            label="Live"
+          />
           <Button variant="filled" onClick={executeQuery} disabled={loading}>
             {loading ? 'Running...' : 'Run Query'}
           </Button>
@@ -390,35 +814,69 @@ export function QueryBuilder({ onResults, onClose }) {
           </Card>
         )}
 
-        {/* Table Selection */}
-        <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
-          <CardContent>
-            <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
-              1. Select Table
+        {loading && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-3)', marginBottom: 'var(--md-sys-spacing-4)' }}>
+            <div style={{ flex: 1, height: '8px', borderRadius: 'var(--md-sys-shape-corner-full)', backgroundColor: 'var(--md-sys-color-surface-container-high)' }}>
+              <div
+                style={{
+                  width: `${progress && progress.total ? Math.round((progress.processed / progress.total) * 100) : 0}%`,
+                  height: '100%',
+                  borderRadius: 'var(--md-sys-shape-corner-full)',
+                  backgroundColor: 'var(--md-sys-color-primary)'
+                }}
+              />
+            </div>
+            <Typography variant="body-small" color="on-surface-variant">
+              {progress ? `${progress.stage}${progress.total ? ` • ${progress.processed} / ${progress.total} rows` : ''}` : 'Starting...'}
             </Typography>
-            <select
-              value={selectedTable}
-              onChange={(e) => setSelectedTable(e.target.value)}
-              style={{
-                padding: 'var(--md-sys-spacing-3)',
-                border: '1px solid var(--md-sys-color-outline)',
-                borderRadius: 'var(--md-sys-shape-corner-small)',
-                backgroundColor: 'var(--md-sys-color-surface-container-low)',
-                color: 'var(--md-sys-color-on-surface)',
-                fontSize: 'var(--md-sys-typescale-body-medium-size)',
-                width: '200px'
-              }}
-            >
-              <option value="">Choose table...</option>
-              {tables.map(table => (
-                <option key={table} value={table}>{table}</option>
-              ))}
-            </select>
-          </CardContent>
-        </Card>
+            <Button variant="text" size="small" onClick={handleCancel}>
+              Cancel
+            </Button>
+          </div>
+        )}
+
+        {showLibrary && renderLibrary()}
+
+        {mode === 'sql' && renderSQLEditor()}
+
+        {/* Table Selection */}
+        {mode === 'visual' && (
+          <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+            <CardContent>
+              <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+                1. Select Table
+              </Typography>
+              <select
+                value={selectedTable}
+                onChange={(e) => setSelectedTable(e.target.value)}
+                style={{
+                  padding: 'var(--md-sys-spacing-3)',
+                  border: '1px solid var(--md-sys-color-outline)',
+                  borderRadius: 'var(--md-sys-shape-corner-small)',
+                  backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                  color: 'var(--md-sys-color-on-surface)',
+                  fontSize: 'var(--md-sys-typescale-body-medium-size)',
+                  width: '200px'
+                }}
+              >
+                <option value="">Choose table...</option>
+                {tables.map(table => (
+                  <option key={table} value={table}>{table}</option>
+                ))}
+                {views.length > 0 && (
+                  <optgroup label="Views">
+                    {views.map(view => (
+                      <option key={view} value={view}>{view}</option>
+                    ))}
+                  </optgroup>
+                )}
+              </select>
+            </CardContent>
+          </Card>
+        )}
 
         {/* Field Selection */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -462,7 +920,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* Conditions */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -513,6 +971,9 @@ export function QueryBuilder({ onResults, onClose }) {
                       width: '120px'
                     }}
                   >
+                    {condition.operator === QueryOperators.MATCH && (
+                      <option value="*">All fields</option>
+                    )}
                     {fields.map(field => (
                       <option key={field} value={field}>{field}</option>
                     ))}
@@ -562,7 +1023,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* Sorting */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -635,7 +1096,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* GROUP BY */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -691,7 +1152,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* Aggregations */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -774,7 +1235,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* HAVING */}
-        {selectedTable && (groupBy.length > 0 || aggregations.length > 0) && (
+        {mode === 'visual' && selectedTable && (groupBy.length > 0 || aggregations.length > 0) && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -844,7 +1305,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* Limit */}
-        {selectedTable && (
+        {mode === 'visual' && selectedTable && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -862,7 +1323,7 @@ export function QueryBuilder({ onResults, onClose }) {
         )}
 
         {/* Generated Query */}
-        {queryText && (
+        {mode === 'visual' && queryText && (
           <Card variant="outlined" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
             <CardContent>
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
@@ -891,6 +1352,14 @@ export function QueryBuilder({ onResults, onClose }) {
               <Typography variant="title-medium" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
                 Results ({results.length} rows)
               </Typography>
+              {live && (
+                <Typography variant="body-small" color="on-surface-variant" style={{ display: 'block', marginBottom: 'var(--md-sys-spacing-3)' }}>
+                  {liveChange
+                    ? `Live • updated ${liveChange.at.toLocaleTimeString()}${liveChange.remote ? ' from another tab' : ''}: +${liveChange.added} added, −${liveChange.removed} removed, ${liveChange.changed} changed`
+                    : 'Live • re-runs when the tables it reads change'}
+                </Typography>
+              )}
+              {queryPlan && renderQueryPlan()}
               <div style={{
                 maxHeight: '300px',
                 overflow: 'auto',
@@ -923,14 +1392,17 @@ export function QueryBuilder({ onResults, onClose }) {
                   </thead>
                   <tbody>
                     {results.map((row, index) => (
-                      <tr key={index}>
+                      <tr
+                        key={index}
+                        style={liveChange?.rows.has(row) ? { backgroundColor: 'var(--md-sys-color-primary-container)' } : undefined}
+                      >
                         {Object.values(row).map((value, i) => (
                           <td key={i} style={{
                             padding: 'var(--md-sys-spacing-3)',
                             borderBottom: '1px solid var(--md-sys-color-outline-variant)',
                             color: 'var(--md-sys-color-on-surface-variant)'
                           }}>
-                            {String(value)}
+                            {value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)}
                           </td>
                         ))}
                       </tr>
@@ -0,0 +1,543 @@
+/**
+ * RecordForm Component
+ * Full-record editor generated from a table's SchemaManager schema, with an
+ * input per field type, live constraint validation and foreign key lookups
+ */
+
+import React, { useState, useMemo } from 'react';
+import { Button, Card, Typography, TextField, Combobox } from '../../../design-system';
+import { DataTypes } from '../utils/localStorageDB.js';
+import { schemaManager, ConstraintTypes } from '../utils/schemaManager.js';
+import {
+  FormControls,
+  getRecordSchema,
+  buildFormFields,
+  createEmptyRecord,
+  validateFormRecord,
+  getLookupOptions,
+  emptyValueOfType,
+  nestedValueType
+} from '../utils/recordForm.js';
+
+// Nested values may be any JSON type; dates inside JSON are plain strings
+const NESTED_TYPES = [DataTypes.STRING, DataTypes.NUMBER, DataTypes.BOOLEAN, DataTypes.JSON, DataTypes.ARRAY, DataTypes.NULL];
+
+const modalStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  backgroundColor: 'rgba(0, 0, 0, 0.5)',
+  display: 'flex',
+  justifyContent: 'center',
+  alignItems: 'center',
+  zIndex: 1000
+};
+
+const modalContentStyle = {
+  backgroundColor: 'var(--md-sys-color-surface)',
+  padding: 'var(--md-sys-spacing-6)',
+  borderRadius: 'var(--md-sys-shape-corner-large)',
+  width: '90%',
+  maxWidth: '640px',
+  maxHeight: '85%',
+  overflow: 'auto'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: 'var(--md-sys-spacing-2)',
+  color: 'var(--md-sys-color-on-surface)',
+  fontSize: 'var(--md-sys-typescale-body-medium-size)',
+  fontWeight: '500'
+};
+
+const nestedInputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: 'var(--md-sys-spacing-2)',
+  border: '1px solid var(--md-sys-color-outline)',
+  borderRadius: 'var(--md-sys-shape-corner-small)',
+  fontSize: 'var(--md-sys-typescale-body-medium-size)',
+  backgroundColor: 'var(--md-sys-color-surface-container-low)',
+  color: 'var(--md-sys-color-on-surface)'
+};
+
+const nestedBlockStyle = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: 'var(--md-sys-spacing-2)',
+  padding: 'var(--md-sys-spacing-3)',
+  borderLeft: '2px solid var(--md-sys-color-outline-variant)',
+  backgroundColor: 'var(--md-sys-color-surface-container-lowest)'
+};
+
+const errorTextStyle = {
+  display: 'block',
+  marginTop: 'var(--md-sys-spacing-1)',
+  color: 'var(--md-sys-color-error)'
+};
+
+/**
+ * Summarize a field's constraints for its helper text
+ */
+const describeConstraints = (field) => {
+  const parts = [];
+  if (field.required) parts.push('Required');
+  if (field.constraints.some(constraint => constraint.type === ConstraintTypes.UNIQUE)) parts.push('Unique');
+
+  const value = type => field.constraints.find(constraint => constraint.type === type)?.value;
+  const minLength = value(ConstraintTypes.MIN_LENGTH);
+  const maxLength = value(ConstraintTypes.MAX_LENGTH);
+  if (minLength !== undefined || maxLength !== undefined) {
+    parts.push(`${minLength ?? 0}–${maxLength ?? '∞'} characters`);
+  }
+  const minValue = value(ConstraintTypes.MIN_VALUE);
+  const maxValue = value(ConstraintTypes.MAX_VALUE);
+  if (field.type === DataTypes.NUMBER && (minValue !== undefined || maxValue !== undefined)) {
+    parts.push(`${minValue ?? '−∞'} to ${maxValue ?? '∞'}`);
+  }
+  if (field.format) parts.push(field.format);
+  if (field.reference) parts.push(`References ${field.reference.toTable}.${field.reference.toField}`);
+  return parts.join(' • ');
+};
+
+/**
+ * Convert a stored date to the value of a date or datetime-local input
+ */
+const toDateInputValue = (value, withTime) => {
+  if (!value) return '';
+  if (!withTime) return String(value).slice(0, 10);
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return '';
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * On/off switch for boolean fields
+ */
+function Toggle({ checked, onChange, label }) {
+  return (
+    <button
+      type="button"
+      role="switch"
+      aria-checked={checked}
+      aria-label={label}
+      onClick={() => onChange(!checked)}
+      style={{
+        position: 'relative',
+        width: '52px',
+        height: '32px',
+        border: 'none',
+        borderRadius: 'var(--md-sys-shape-corner-full)',
+        backgroundColor: checked ? 'var(--md-sys-color-primary)' : 'var(--md-sys-color-surface-container-highest)',
+        outline: checked ? 'none' : '2px solid var(--md-sys-color-outline)',
+        outlineOffset: '-2px',
+        cursor: 'pointer',
+        transition: 'background-color 0.15s'
+      }}
+    >
+      <span
+        style={{
+          position: 'absolute',
+          top: '50%',
+          left: checked ? '24px' : '6px',
+          width: checked ? '24px' : '16px',
+          height: checked ? '24px' : '16px',
+          marginTop: checked ? '-12px' : '-8px',
+          borderRadius: '50%',
+          backgroundColor: checked ? 'var(--md-sys-color-on-primary)' : 'var(--md-sys-color-outline)',
+          transition: 'left 0.15s'
+        }}
+      />
+    </button>
+  );
+}
+
+/**
+ * Editor for any JSON value inside an array or object field
+ */
+function NestedValueEditor({ value, onChange }) {
+  const type = nestedValueType(value);
+
+  const renderInput = () => {
+    switch (type) {
+      case DataTypes.NUMBER:
+        return (
+          <input
+            type="number"
+            style={nestedInputStyle}
+            value={value}
+            onChange={(e) => onChange(e.target.value === '' ? 0 : Number(e.target.value))}
+          />
+        );
+      case DataTypes.BOOLEAN:
+        return <Toggle checked={value} onChange={onChange} />;
+      case DataTypes.NULL:
+        return <Typography variant="body-small" color="on-surface-variant">null</Typography>;
+      case DataTypes.ARRAY:
+      case DataTypes.JSON:
+        return null;
+      default:
+        return (
+          <input
+            type="text"
+            style={nestedInputStyle}
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+          />
+        );
+    }
+  };
+
+  return (
+    <div style={{ flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-2)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-2)' }}>
+        <select
+          style={{ ...nestedInputStyle, flex: 'none', width: '96px' }}
+          value={type}
+          onChange={(e) => onChange(emptyValueOfType(e.target.value))}
+          aria-label="Value type"
+        >
+          {NESTED_TYPES.map(option => (
+            <option key={option} value={option}>{option === DataTypes.JSON ? 'object' : option}</option>
+          ))}
+        </select>
+        {renderInput()}
+      </div>
+      {type === DataTypes.ARRAY && <ArrayEditor value={value} onChange={onChange} />}
+      {type === DataTypes.JSON && <ObjectEditor value={value} onChange={onChange} />}
+    </div>
+  );
+}
+
+/**
+ * List editor for array fields: add, remove and reorder items
+ */
+function ArrayEditor({ value, onChange }) {
+  const items = Array.isArray(value) ? value : [];
+
+  const updateItem = (index, item) => onChange(items.map((current, i) => (i === index ? item : current)));
+  const removeItem = (index) => onChange(items.filter((_, i) => i !== index));
+  const moveItem = (index, offset) => {
+    const next = [...items];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    onChange(next);
+  };
+  // New items take the type of the last one
+  const addItem = () => onChange([
+    ...items,
+    emptyValueOfType(items.length > 0 ? nestedValueType(items[items.length - 1]) : DataTypes.STRING)
+  ]);
+
+  return (
+    <div style={nestedBlockStyle}>
+      {items.map((item, index) => (
+        <div key={index} style={{ display: 'flex', alignItems: 'flex-start', gap: 'var(--md-sys-spacing-2)' }}>
+          <Typography variant="label-small" color="on-surface-variant" style={{ width: '24px', paddingTop: 'var(--md-sys-spacing-2)' }}>
+            {index}
+          </Typography>
+          <NestedValueEditor value={item} onChange={(next) => updateItem(index, next)} />
+          <Button variant="text" size="small" onClick={() => moveItem(index, -1)} disabled={index === 0} title="Move up">
+            ↑
+          </Button>
+          <Button variant="text" size="small" onClick={() => moveItem(index, 1)} disabled={index === items.length - 1} title="Move down">
+            ↓
+          </Button>
+          <Button variant="text" size="small" onClick={() => removeItem(index)} title="Remove item">
+            ×
+          </Button>
+        </div>
+      ))}
+      <div>
+        <Button variant="text" size="small" onClick={addItem}>
+          + Add item
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Key/value editor for json fields; values may nest further objects and arrays
+ */
+function ObjectEditor({ value, onChange }) {
+  const entries = value && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : [];
+  const [newKey, setNewKey] = useState('');
+
+  const updateValue = (key, next) => onChange({ ...value, [key]: next });
+  const removeKey = (key) => onChange(Object.fromEntries(entries.filter(([current]) => current !== key)));
+  // Renaming keeps the property in place; a name already in use is ignored
+  const renameKey = (key, name) => {
+    if (!name || name === key || Object.prototype.hasOwnProperty.call(value, name)) return;
+    onChange(Object.fromEntries(entries.map(([current, item]) => [current === key ? name : current, item])));
+  };
+  const addKey = () => {
+    const key = newKey.trim();
+    if (!key || Object.prototype.hasOwnProperty.call(value || {}, key)) return;
+    onChange({ ...value, [key]: '' });
+    setNewKey('');
+  };
+
+  return (
+    <div style={nestedBlockStyle}>
+      {entries.map(([key, item]) => (
+        <div key={key} style={{ display: 'flex', alignItems: 'flex-start', gap: 'var(--md-sys-spacing-2)' }}>
+          <input
+            type="text"
+            style={{ ...nestedInputStyle, flex: 'none', width: '120px', fontFamily: 'monospace' }}
+            defaultValue={key}
+            onBlur={(e) => renameKey(key, e.target.value.trim())}
+            aria-label="Property name"
+          />
+          <NestedValueEditor value={item} onChange={(next) => updateValue(key, next)} />
+          <Button variant="text" size="small" onClick={() => removeKey(key)} title="Remove property">
+            ×
+          </Button>
+        </div>
+      ))}
+      <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+        <input
+          type="text"
+          style={{ ...nestedInputStyle, flex: 'none', width: '120px', fontFamily: 'monospace' }}
+          value={newKey}
+          placeholder="property"
+          onChange={(e) => setNewKey(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addKey()}
+        />
+        <Button variant="text" size="small" onClick={addKey} disabled={!newKey.trim()}>
+          + Add property
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Searchable picker over the rows of a foreign key's referenced table
+ */
+function LookupPicker({ reference, value, onChange, error }) {
+  const [search, setSearch] = useState('');
+  const options = useMemo(() => getLookupOptions(reference, search), [reference, search]);
+
+  const selected = value === null || value === undefined
+    ? null
+    : options.find(option => option.value === value)
+      || getLookupOptions(reference, String(value)).find(option => option.value === value)
+      || { value, label: String(value) };
+
+  return (
+    <Combobox
+      options={options}
+      value={selected}
+      placeholder={`Search ${reference.toTable}...`}
+      error={error}
+      filterOptions={(list) => list}
+      onInputChange={setSearch}
+      onSelectionChange={(option) => {
+        setSearch('');
+        onChange(option ? option.value : null);
+      }}
+      getOptionValue={(option) => option.value}
+      getOptionLabel={(option) => option.label}
+    />
+  );
+}
+
+export function RecordForm({ tableName, record = null, rows = [], onSave, onCancel }) {
+  const schema = useMemo(() => getRecordSchema(tableName), [tableName]);
+  const fields = useMemo(() => buildFormFields(tableName, schema), [tableName, schema]);
+  const isNew = record === null;
+
+  const [values, setValues] = useState(() => (isNew ? createEmptyRecord(fields, rows) : { ...record }));
+  const [touched, setTouched] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  const validation = useMemo(
+    () => validateFormRecord(tableName, schema, values, { rows, originalId: isNew ? undefined : record.id }),
+    [tableName, schema, values, rows, isNew, record]
+  );
+
+  const setValue = (field, value) => {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setTouched(prev => ({ ...prev, [field]: true }));
+    setSaveError(null);
+  };
+
+  const handleSave = () => {
+    setSubmitted(true);
+    if (!validation.valid) return;
+
+    const result = isNew
+      ? schemaManager.insertRecord(tableName, values)
+      : schemaManager.updateRecord(tableName, record.id, values);
+    if (!result.success) {
+      setSaveError(result.violations.map(violation => violation.message).join('; '));
+      return;
+    }
+    if (onSave) onSave(values, result);
+  };
+
+  const renderControl = (field, fieldErrors) => {
+    const value = values[field.name];
+    const hasError = fieldErrors.length > 0;
+    // IDs of existing records are their identity and stay fixed
+    const locked = field.name === 'id' && !isNew;
+
+    switch (field.control) {
+      case FormControls.BOOLEAN:
+        return <Toggle checked={value === true} onChange={(next) => setValue(field.name, next)} label={field.name} />;
+
+      case FormControls.ENUM:
+        return (
+          <Combobox
+            options={field.enumValues.map(option => ({ value: option, label: String(option) }))}
+            value={value === null || value === undefined ? null : { value, label: String(value) }}
+            placeholder={`Choose ${field.name}...`}
+            error={hasError}
+            onSelectionChange={(option) => setValue(field.name, option ? option.value : null)}
+            getOptionValue={(option) => option.value}
+            getOptionLabel={(option) => option.label}
+          />
+        );
+
+      case FormControls.LOOKUP:
+        return (
+          <LookupPicker
+            reference={field.reference}
+            value={value}
+            error={hasError}
+            onChange={(next) => setValue(field.name, next)}
+          />
+        );
+
+      case FormControls.ARRAY:
+        return <ArrayEditor value={value} onChange={(next) => setValue(field.name, next)} />;
+
+      case FormControls.OBJECT:
+        return <ObjectEditor value={value || {}} onChange={(next) => setValue(field.name, next)} />;
+
+      case FormControls.DATE: {
+        // Stored timestamps keep their time of day; plain dates stay plain
+        const withTime = typeof value === 'string' && value.includes('T');
+        return (
+          <TextField
+            type={withTime ? 'datetime-local' : 'date'}
+            value={toDateInputValue(value, withTime)}
+            error={hasError}
+            onChange={(e) => {
+              const input = e.target.value;
+              setValue(field.name, !input ? null : withTime ? new Date(input).toISOString() : input);
+            }}
+          />
+        );
+      }
+
+      case FormControls.NUMBER:
+        return (
+          <TextField
+            type="number"
+            value={value === null || value === undefined ? '' : String(value)}
+            error={hasError}
+            disabled={locked}
+            onChange={(e) => setValue(field.name, e.target.value === '' ? null : Number(e.target.value))}
+          />
+        );
+
+      default: {
+        const text = value === null || value === undefined ? '' : String(value);
+        return (
+          <TextField
+            type={field.format === 'email' ? 'email' : field.format === 'url' ? 'url' : 'text'}
+            value={text}
+            multiline={text.length > 80}
+            error={hasError}
+            disabled={locked}
+            placeholder={`Enter ${field.name}`}
+            onChange={(e) => setValue(field.name, e.target.value === '' ? null : e.target.value)}
+          />
+        );
+      }
+    }
+  };
+
+  const recordErrors = validation.errors._record || [];
+
+  return (
+    <div style={modalStyle} onClick={onCancel}>
+      <Card variant="elevated" style={modalContentStyle} onClick={(e) => e.stopPropagation()}>
+        <Typography variant="headline-small" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+          {isNew ? 'Add New Record' : `Edit Record ${record.id ?? ''}`}
+        </Typography>
+
+        {fields.length === 0 && (
+          <Typography variant="body-medium" color="on-surface-variant">
+            {tableName} has no schema yet. Define its fields in the Schema Editor first.
+          </Typography>
+        )}
+
+        {fields.map(field => {
+          const fieldErrors = (touched[field.name] || submitted) ? validation.errors[field.name] || [] : [];
+          const hint = describeConstraints(field);
+
+          return (
+            <div key={field.name} style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
+              <label style={labelStyle}>
+                {field.name}
+                <span style={{ marginLeft: 'var(--md-sys-spacing-2)', color: 'var(--md-sys-color-on-surface-variant)', fontWeight: 'normal' }}>
+                  {field.type}
+                </span>
+              </label>
+              {renderControl(field, fieldErrors)}
+              {fieldErrors.map(message => (
+                <Typography key={message} variant="body-small" style={errorTextStyle}>
+                  {message}
+                </Typography>
+              ))}
+              {fieldErrors.length === 0 && hint && (
+                <Typography variant="body-small" color="on-surface-variant" style={{ display: 'block', marginTop: 'var(--md-sys-spacing-1)' }}>
+                  {hint}
+                </Typography>
+              )}
+            </div>
+          );
+        })}
+
+        {(saveError || (submitted && recordErrors.length > 0)) && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: 'var(--md-sys-color-error-container)',
+              color: 'var(--md-sys-color-on-error-container)'
+            }}
+          >
+            <Typography variant="body-small">
+              {saveError || recordErrors.join('; ')}
+            </Typography>
+          </Card>
+        )}
+
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', marginTop: 'var(--md-sys-spacing-6)', justifyContent: 'flex-end', alignItems: 'center' }}>
+          {submitted && !validation.valid && (
+            <Typography variant="body-small" style={{ color: 'var(--md-sys-color-error)', marginRight: 'auto' }}>
+              Fix the highlighted fields to save
+            </Typography>
+          )}
+          <Button variant="text" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button variant="filled" onClick={handleSave} disabled={fields.length === 0}>
+            Save
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+}
+
+export default RecordForm;
@@ -6,6 +6,9 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Button, Card, CardHeader, CardContent, Typography, TextField, Checkbox } from '../../../design-system';
 import { LocalStorageDB } from '../utils/localStorageDB.js';
+import { IndexTypes } from '../utils/tableIndex.js';
+import { schemaManager, ReferentialActions } from '../utils/schemaManager.js';
+import { schemaMigrator, diffFieldSchemas, describeMigrationStep } from '../utils/schemaMigrations.js';
 
 export function SchemaEditor({ tableName, onSave, onClose }) {
   const [db] = useState(() => new LocalStorageDB());
@@ -23,6 +26,15 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
   });
   const [error, setError] = useState(null);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [indexes, setIndexes] = useState([]);
+  const [newIndexField, setNewIndexField] = useState('');
+  const [newIndexType, setNewIndexType] = useState(IndexTypes.HASH);
+  const [newIndexUnique, setNewIndexUnique] = useState(false);
+  const [foreignKeys, setForeignKeys] = useState([]);
+  const [savedFields, setSavedFields] = useState(null);
+  const [renames, setRenames] = useState({});
+  const [migrations, setMigrations] = useState({ version: 0, applied: [], pending: [] });
+  const [rollbackTarget, setRollbackTarget] = useState(0);
 
   // Data types
   const dataTypes = [
@@ -38,7 +50,7 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
 
 
   // Load schema
-  useEffect(() => {
+  const loadSchema = useCallback(() => {
     try {
       const tableSchema = db.getSchema(tableName);
       if (tableSchema.fields) {
@@ -51,11 +63,33 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
           setSchema(inferredSchema);
         }
       }
+
+      // Only a saved schema is migrated; the first save of an inferred one stores it as is
+      const savedSchema = db.getMetadata().tables?.[tableName]?.schema;
+      setSavedFields(savedSchema && savedSchema.fields ? savedSchema.fields : null);
+      setRenames({});
     } catch (err) {
       setError(err.message);
     }
   }, [db, tableName]);
 
+  const refreshMigrations = useCallback(() => {
+    const state = schemaMigrator.getState();
+    setMigrations(state);
+    setRollbackTarget(state.version);
+  }, []);
+
+  useEffect(() => {
+    loadSchema();
+    refreshMigrations();
+  }, [loadSchema, refreshMigrations]);
+
+  // Load indexes and foreign keys
+  useEffect(() => {
+    setIndexes(db.getIndexes(tableName));
+    setForeignKeys([...schemaManager.getForeignKeys(tableName), ...schemaManager.getReferencingKeys(tableName)]);
+  }, [db, tableName]);
+
   // Handlers
   const handleAddField = useCallback(() => {
     if (!newFieldName.trim()) {
@@ -121,6 +155,37 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
     });
   }, []);
 
+  const handleRenameField = useCallback((fieldName) => {
+    const newName = prompt(`Rename field "${fieldName}" to:`, fieldName);
+    if (!newName || newName === fieldName) return;
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(newName)) {
+      setError('Field name must start with letter or underscore and contain only letters, numbers, and underscores');
+      return;
+    }
+    if (schema.fields[newName]) {
+      setError('Field already exists');
+      return;
+    }
+
+    // Keep the field in place
+    setSchema(prev => ({
+      ...prev,
+      fields: Object.fromEntries(
+        Object.entries(prev.fields).map(([name, field]) => [name === fieldName ? newName : name, field])
+      )
+    }));
+
+    // Track renames of saved fields so the migration moves their data
+    setRenames(prev => {
+      const original = Object.keys(prev).find(from => prev[from] === fieldName);
+      if (original) return { ...prev, [original]: newName };
+      if (savedFields && savedFields[fieldName]) return { ...prev, [fieldName]: newName };
+      return prev;
+    });
+    setError(null);
+  }, [schema.fields, savedFields]);
+
   const handleFieldTypeChange = useCallback((fieldName, newType) => {
     setSchema(prev => ({
       ...prev,
@@ -165,8 +230,27 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
         };
       }
 
+      // Structural changes to a saved schema run as a migration so existing rows follow
+      const steps = savedFields ? diffFieldSchemas(savedFields, schema.fields, renames) : [];
+      if (steps.length > 0) {
+        const created = schemaMigrator.createMigration(tableName, steps);
+        if (!created.success) {
+          setError(created.error);
+          return;
+        }
+
+        const result = schemaMigrator.migrate(created.migration.version);
+        refreshMigrations();
+        if (!result.success) {
+          setError(result.error);
+          return;
+        }
+      }
+
       // Save schema
       db.setSchema(tableName, schema);
+      setSavedFields(schema.fields);
+      setRenames({});
       
       if (onSave) {
         onSave(schema);
@@ -176,7 +260,70 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
     } catch (err) {
       setError(err.message);
     }
-  }, [db, tableName, schema, onSave]);
+  }, [db, tableName, schema, savedFields, renames, refreshMigrations, onSave]);
+
+  const handleApplyMigrations = useCallback(() => {
+    const result = schemaMigrator.migrate();
+    refreshMigrations();
+    loadSchema();
+    setIndexes(db.getIndexes(tableName));
+    setError(result.success ? null : result.error);
+  }, [db, tableName, loadSchema, refreshMigrations]);
+
+  const handleDiscardMigration = useCallback((version) => {
+    schemaMigrator.removePendingMigration(version);
+    refreshMigrations();
+  }, [refreshMigrations]);
+
+  const handleRollback = useCallback(() => {
+    const target = Number(rollbackTarget);
+    if (!confirm(`Roll back every migration after version ${target}? Rolled back migrations stay pending.`)) {
+      return;
+    }
+
+    const result = schemaMigrator.rollback(target);
+    refreshMigrations();
+    loadSchema();
+    setIndexes(db.getIndexes(tableName));
+    setError(result.success ? null : result.error);
+  }, [db, tableName, rollbackTarget, loadSchema, refreshMigrations]);
+
+  const handleCreateIndex = useCallback(() => {
+    if (!newIndexField) {
+      setError('Select a field to index');
+      return;
+    }
+
+    const result = db.createIndex(tableName, newIndexField, {
+      type: newIndexType,
+      unique: newIndexType !== IndexTypes.FULLTEXT && newIndexUnique
+    });
+    if (!result.success) {
+      setError(result.error);
+      return;
+    }
+
+    setIndexes(db.getIndexes(tableName));
+    setNewIndexField('');
+    setNewIndexUnique(false);
+    setError(null);
+  }, [db, tableName, newIndexField, newIndexType, newIndexUnique]);
+
+  const handleDropIndex = useCallback((indexName) => {
+    db.dropIndex(tableName, indexName);
+    setIndexes(db.getIndexes(tableName));
+  }, [db, tableName]);
+
+  const handleBuildSuggestedIndexes = useCallback(() => {
+    const failures = schemaManager.buildSuggestedIndexes(tableName).filter(result => !result.success);
+    setIndexes(db.getIndexes(tableName));
+    setError(failures.length > 0 ? failures.map(result => result.error).join('; ') : null);
+  }, [db, tableName]);
+
+  const handleReferentialActionChange = useCallback((relationship, onDelete) => {
+    schemaManager.setReferentialAction(relationship.fromTable, relationship.fromField, onDelete);
+    setForeignKeys([...schemaManager.getForeignKeys(tableName), ...schemaManager.getReferencingKeys(tableName)]);
+  }, [tableName]);
 
   const getTypeColor = (type) => {
     const typeData = dataTypes.find(t => t.value === type);
@@ -309,6 +456,15 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
           >
             {field.type}
           </Typography>
+          {!isIdField && (
+            <Button
+              variant="text"
+              size="small"
+              onClick={() => handleRenameField(fieldName)}
+            >
+              Rename
+            </Button>
+          )}
           {!isIdField && (
             <Button
               variant="text"
@@ -512,6 +668,257 @@ export function SchemaEditor({ tableName, onSave, onClose }) {
           )}
         </Card>
 
+        {/* Indexes */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: 'var(--md-sys-spacing-6) 0 var(--md-sys-spacing-4) 0' }}>
+          <Typography variant="title-medium">
+            Indexes ({indexes.length})
+          </Typography>
+          <Button variant="outlined" size="small" onClick={handleBuildSuggestedIndexes}>
+            Build Suggested
+          </Button>
+        </div>
+
+        <Card variant="outlined">
+          {indexes.map(index => (
+            <div
+              key={index.name}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                padding: 'var(--md-sys-spacing-3)',
+                borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                gap: 'var(--md-sys-spacing-4)'
+              }}
+            >
+              <Typography variant="body-medium" style={{ fontWeight: '500', minWidth: '150px' }}>
+                {index.name}
+              </Typography>
+              <Typography variant="body-small" color="on-surface-variant">
+                {index.field} • {index.type}{index.unique ? ' • unique' : ''} • {index.size} {index.type === IndexTypes.FULLTEXT ? `rows • ${index.terms} terms` : 'entries'}
+              </Typography>
+              <Button
+                variant="text"
+                size="small"
+                onClick={() => handleDropIndex(index.name)}
+                style={{ marginLeft: 'auto', color: 'var(--md-sys-color-error)' }}
+              >
+                Drop
+              </Button>
+            </div>
+          ))}
+
+          <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', alignItems: 'center', flexWrap: 'wrap', padding: 'var(--md-sys-spacing-3)' }}>
+            <select
+              value={newIndexField}
+              onChange={(e) => setNewIndexField(e.target.value)}
+              style={{
+                padding: 'var(--md-sys-spacing-2)',
+                border: '1px solid var(--md-sys-color-outline)',
+                borderRadius: 'var(--md-sys-shape-corner-small)',
+                backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                color: 'var(--md-sys-color-on-surface)',
+                fontSize: 'var(--md-sys-typescale-body-small-size)',
+                minWidth: '150px'
+              }}
+            >
+              <option value="">Select field...</option>
+              {newIndexType === IndexTypes.FULLTEXT && (
+                <option value="*">All fields</option>
+              )}
+              {Object.keys(schema.fields || schema.properties || {}).map(fieldName => (
+                <option key={fieldName} value={fieldName}>{fieldName}</option>
+              ))}
+            </select>
+
+            <select
+              value={newIndexType}
+              onChange={(e) => setNewIndexType(e.target.value)}
+              style={{
+                padding: 'var(--md-sys-spacing-2)',
+                border: '1px solid var(--md-sys-color-outline)',
+                borderRadius: 'var(--md-sys-shape-corner-small)',
+                backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                color: 'var(--md-sys-color-on-surface)',
+                fontSize: 'var(--md-sys-typescale-body-small-size)'
+              }}
+            >
+              <option value={IndexTypes.HASH}>Hash (equality)</option>
+              <option value={IndexTypes.SORTED}>Sorted (equality + range)</option>
+              <option value={IndexTypes.FULLTEXT}>Full-text (ranked search)</option>
+            </select>
+
+            {newIndexType !== IndexTypes.FULLTEXT && (
+              <Checkbox
+                checked={newIndexUnique}
+                onChange={(e) => setNewIndexUnique(e.target.checked)}
+                label="Unique"
+              />
+            )}
+
+            <Button variant="filled" size="small" onClick={handleCreateIndex}>
+              Create Index
+            </Button>
+          </div>
+        </Card>
+
+        {/* Foreign Keys */}
+        {foreignKeys.length > 0 && (
+          <>
+            <Typography variant="title-medium" style={{ margin: 'var(--md-sys-spacing-6) 0 var(--md-sys-spacing-4) 0' }}>
+              Foreign Keys ({foreignKeys.length})
+            </Typography>
+
+            <Card variant="outlined">
+              {foreignKeys.map(relationship => (
+                <div
+                  key={`${relationship.fromTable}.${relationship.fromField}`}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    padding: 'var(--md-sys-spacing-3)',
+                    borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                    gap: 'var(--md-sys-spacing-4)'
+                  }}
+                >
+                  <Typography variant="body-medium" style={{ fontFamily: 'monospace' }}>
+                    {relationship.fromTable}.{relationship.fromField} → {relationship.toTable}.{relationship.toField}
+                  </Typography>
+                  <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-2)' }}>
+                    <Typography variant="label-medium" color="on-surface-variant">
+                      On delete
+                    </Typography>
+                    <select
+                      value={relationship.onDelete || ReferentialActions.RESTRICT}
+                      onChange={(e) => handleReferentialActionChange(relationship, e.target.value)}
+                      style={{
+                        padding: 'var(--md-sys-spacing-2)',
+                        border: '1px solid var(--md-sys-color-outline)',
+                        borderRadius: 'var(--md-sys-shape-corner-small)',
+                        backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                        color: 'var(--md-sys-color-on-surface)',
+                        fontSize: 'var(--md-sys-typescale-body-small-size)'
+                      }}
+                    >
+                      <option value={ReferentialActions.RESTRICT}>Restrict</option>
+                      <option value={ReferentialActions.CASCADE}>Cascade</option>
+                      <option value={ReferentialActions.SET_NULL}>Set null</option>
+                    </select>
+                  </label>
+                </div>
+              ))}
+            </Card>
+          </>
+        )}
+
+        {/* Migrations */}
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', margin: 'var(--md-sys-spacing-6) 0 var(--md-sys-spacing-4) 0' }}>
+          <Typography variant="title-medium">
+            Migrations (version {migrations.version})
+          </Typography>
+          {migrations.pending.length > 0 && (
+            <Button variant="filled" size="small" onClick={handleApplyMigrations}>
+              Apply Pending ({migrations.pending.length})
+            </Button>
+          )}
+        </div>
+
+        <Card variant="outlined">
+          {migrations.pending.length === 0 && migrations.applied.length === 0 && (
+            <CardContent style={{ textAlign: 'center' }}>
+              <Typography variant="body-medium" color="on-surface-variant">
+                No migrations yet. Saving changes to a saved schema records one.
+              </Typography>
+            </CardContent>
+          )}
+
+          {[
+            ...migrations.pending.map(migration => ({ ...migration, status: 'pending' })),
+            ...[...migrations.applied].reverse().map(migration => ({ ...migration, status: 'applied' }))
+          ].map(migration => (
+            <div
+              key={migration.version}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                padding: 'var(--md-sys-spacing-3)',
+                borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+                gap: 'var(--md-sys-spacing-4)',
+                opacity: migration.table === tableName ? 1 : 0.7
+              }}
+            >
+              <Typography
+                variant="label-small"
+                style={{
+                  padding: 'var(--md-sys-spacing-1) var(--md-sys-spacing-2)',
+                  borderRadius: 'var(--md-sys-shape-corner-full)',
+                  backgroundColor: migration.status === 'pending'
+                    ? 'var(--md-sys-color-tertiary-container)'
+                    : 'var(--md-sys-color-secondary-container)',
+                  color: migration.status === 'pending'
+                    ? 'var(--md-sys-color-on-tertiary-container)'
+                    : 'var(--md-sys-color-on-secondary-container)'
+                }}
+              >
+                v{migration.version} • {migration.status}
+              </Typography>
+              <div style={{ flex: 1 }}>
+                <Typography variant="body-medium" style={{ fontWeight: '500' }}>
+                  {migration.table}: {migration.name}
+                </Typography>
+                <Typography variant="body-small" color="on-surface-variant">
+                  {migration.steps.map(describeMigrationStep).join(' • ')}
+                  {migration.appliedAt && ` • applied ${new Date(migration.appliedAt).toLocaleString()}`}
+                </Typography>
+              </div>
+              {migration.status === 'pending' && (
+                <Button
+                  variant="text"
+                  size="small"
+                  onClick={() => handleDiscardMigration(migration.version)}
+                  style={{ color: 'var(--md-sys-color-error)' }}
+                >
+                  Discard
+                </Button>
+              )}
+            </div>
+          ))}
+
+          {migrations.applied.length > 0 && (
+            <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', alignItems: 'center', padding: 'var(--md-sys-spacing-3)' }}>
+              <Typography variant="label-medium" color="on-surface-variant">
+                Roll back to
+              </Typography>
+              <select
+                value={rollbackTarget}
+                onChange={(e) => setRollbackTarget(e.target.value)}
+                style={{
+                  padding: 'var(--md-sys-spacing-2)',
+                  border: '1px solid var(--md-sys-color-outline)',
+                  borderRadius: 'var(--md-sys-shape-corner-small)',
+                  backgroundColor: 'var(--md-sys-color-surface-container-low)',
+                  color: 'var(--md-sys-color-on-surface)',
+                  fontSize: 'var(--md-sys-typescale-body-small-size)'
+                }}
+              >
+                <option value={0}>Version 0 (before any migration)</option>
+                {migrations.applied.map(migration => (
+                  <option key={migration.version} value={migration.version}>
+                    Version {migration.version}: {migration.name}
+                  </option>
+                ))}
+              </select>
+              <Button
+                variant="outlined"
+                size="small"
+                onClick={handleRollback}
+                disabled={Number(rollbackTarget) >= migrations.version}
+              >
+                Roll Back
+              </Button>
+            </div>
+          )}
+        </Card>
+
         {/* Schema Summary */}
         <Card 
           variant="filled"
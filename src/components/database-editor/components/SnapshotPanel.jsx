@@ -0,0 +1,418 @@
+/**
+ * SnapshotPanel Component
+ * Take named database snapshots, compare them with each other or the current
+ * state, and restore a whole snapshot or single tables from it
+ */
+
+import React, { useState, useMemo, useCallback } from 'react';
+import { dbUtils } from '../utils/localStorageDB.js';
+import { SnapshotManager, CURRENT_STATE, TableDiffStatus } from '../utils/snapshots.js';
+import { Button, Card, CardHeader, CardContent, Typography, TextField } from '../../../design-system';
+
+// Rows listed per change kind before the rest is summarized
+const MAX_DIFF_ROWS = 100;
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+};
+
+const STATUS_COLORS = {
+  [TableDiffStatus.ADDED]: {
+    background: 'var(--md-sys-color-tertiary-container)',
+    color: 'var(--md-sys-color-on-tertiary-container)'
+  },
+  [TableDiffStatus.REMOVED]: {
+    background: 'var(--md-sys-color-error-container)',
+    color: 'var(--md-sys-color-on-error-container)'
+  },
+  [TableDiffStatus.CHANGED]: {
+    background: 'var(--md-sys-color-secondary-container)',
+    color: 'var(--md-sys-color-on-secondary-container)'
+  },
+  [TableDiffStatus.UNCHANGED]: {
+    background: 'var(--md-sys-color-surface-container-high)',
+    color: 'var(--md-sys-color-on-surface-variant)'
+  }
+};
+
+const selectStyle = {
+  padding: 'var(--md-sys-spacing-2)',
+  border: '1px solid var(--md-sys-color-outline)',
+  borderRadius: 'var(--md-sys-shape-corner-small)',
+  backgroundColor: 'var(--md-sys-color-surface-container-low)',
+  color: 'var(--md-sys-color-on-surface)',
+  fontSize: 'var(--md-sys-typescale-body-medium-size)'
+};
+
+const rowStyle = (background) => ({
+  padding: 'var(--md-sys-spacing-1) var(--md-sys-spacing-2)',
+  backgroundColor: background,
+  fontFamily: 'monospace',
+  fontSize: 'var(--md-sys-typescale-body-small-size)',
+  borderBottom: '1px solid var(--md-sys-color-outline-variant)',
+  whiteSpace: 'nowrap',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis'
+});
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      style={{
+        padding: '2px var(--md-sys-spacing-2)',
+        borderRadius: 'var(--md-sys-shape-corner-small)',
+        backgroundColor: STATUS_COLORS[status].background,
+        color: STATUS_COLORS[status].color,
+        fontSize: 'var(--md-sys-typescale-label-small-size)',
+        textTransform: 'uppercase'
+      }}
+    >
+      {status}
+    </span>
+  );
+}
+
+function MoreRows({ total }) {
+  if (total <= MAX_DIFF_ROWS) return null;
+  return (
+    <Typography variant="body-small" color="on-surface-variant" style={{ padding: 'var(--md-sys-spacing-1) var(--md-sys-spacing-2)' }}>
+      ... and {total - MAX_DIFF_ROWS} more
+    </Typography>
+  );
+}
+
+/**
+ * Row-level changes of one table: added rows, removed rows, and changed rows
+ * with each changed field's old and new value
+ */
+function TableRowDiff({ table }) {
+  return (
+    <div style={{ marginTop: 'var(--md-sys-spacing-2)', border: '1px solid var(--md-sys-color-outline-variant)', borderRadius: 'var(--md-sys-shape-corner-small)', overflow: 'hidden' }}>
+      {table.schemaChanged && (
+        <div style={rowStyle('var(--md-sys-color-surface-container-high)')}>
+          ⚙️ Schema changed
+        </div>
+      )}
+      {table.added.slice(0, MAX_DIFF_ROWS).map((row, index) => (
+        <div key={`added-${index}`} style={rowStyle('var(--md-sys-color-tertiary-container)')} title={JSON.stringify(row)}>
+          + {JSON.stringify(row)}
+        </div>
+      ))}
+      <MoreRows total={table.added.length} />
+      {table.removed.slice(0, MAX_DIFF_ROWS).map((row, index) => (
+        <div key={`removed-${index}`} style={rowStyle('var(--md-sys-color-error-container)')} title={JSON.stringify(row)}>
+          − {JSON.stringify(row)}
+        </div>
+      ))}
+      <MoreRows total={table.removed.length} />
+      {table.changed.slice(0, MAX_DIFF_ROWS).map(change => (
+        <div key={`changed-${JSON.stringify(change.key)}`} style={{ ...rowStyle('var(--md-sys-color-secondary-container)'), whiteSpace: 'normal' }}>
+          <div>~ id {formatValue(change.key)}</div>
+          {change.fields.map(field => (
+            <div key={field} style={{ paddingLeft: 'var(--md-sys-spacing-4)' }}>
+              {field}:{' '}
+              <span style={{ textDecoration: 'line-through', color: 'var(--md-sys-color-error)' }}>
+                {formatValue(change.before[field])}
+              </span>
+              {' → '}
+              <span style={{ fontWeight: 600 }}>{formatValue(change.after[field])}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+      <MoreRows total={table.changed.length} />
+    </div>
+  );
+}
+
+export function SnapshotPanel({ db, onRestore, onClose }) {
+  const manager = useMemo(() => new SnapshotManager(db), [db]);
+  // Bumped after every snapshot change so the list and usage are re-read
+  const [version, setVersion] = useState(0);
+  const [name, setName] = useState('');
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState(CURRENT_STATE);
+  const [diff, setDiff] = useState(null);
+  const [expanded, setExpanded] = useState(() => new Set());
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const snapshots = useMemo(() => manager.getSnapshots(), [manager, version]);
+  const stats = useMemo(() => db.getStorageStats(), [db, version]);
+
+  const refresh = () => setVersion(current => current + 1);
+
+  const report = (result, success) => {
+    if (result.success) {
+      setError(null);
+      setMessage(success);
+    } else {
+      setMessage(null);
+      setError(result.error);
+    }
+  };
+
+  const compare = useCallback((from, to) => {
+    try {
+      setDiff(manager.diff(from, to));
+      setFromId(from);
+      setToId(to);
+      setExpanded(new Set());
+      setError(null);
+    } catch (err) {
+      setDiff(null);
+      setError(`Could not compare: ${err.message}`);
+    }
+  }, [manager]);
+
+  const handleCreate = () => {
+    const result = manager.createSnapshot(name);
+    report(result, result.success ? `Snapshot "${result.snapshot.name}" saved` : null);
+    if (result.success) {
+      setName('');
+      refresh();
+    }
+  };
+
+  const handleDelete = (snapshot) => {
+    if (!confirm(`Delete snapshot "${snapshot.name}"? This cannot be undone.`)) return;
+    if (manager.deleteSnapshot(snapshot.id)) {
+      if (diff && (diff.from.id === snapshot.id || diff.to.id === snapshot.id)) setDiff(null);
+      if (fromId === snapshot.id) setFromId('');
+      if (toId === snapshot.id) setToId(CURRENT_STATE);
+      refresh();
+    } else {
+      setError(`Could not delete snapshot "${snapshot.name}"`);
+    }
+  };
+
+  const handleRestore = (snapshot) => {
+    if (!confirm(`Restore the whole database to "${snapshot.name}"? Tables created since will be dropped. You can undo this from History.`)) return;
+    const result = manager.restoreSnapshot(snapshot.id);
+    report(result, `Database restored to "${snapshot.name}"`);
+    if (result.success) {
+      setDiff(null);
+      refresh();
+      onRestore?.();
+    }
+  };
+
+  const handleRestoreTable = (tableName) => {
+    const snapshot = manager.getSnapshot(diff.from.id);
+    if (!snapshot) return;
+    if (!confirm(`Restore "${tableName}" to snapshot "${snapshot.name}"? You can undo this from History.`)) return;
+    const result = manager.restoreTable(snapshot.id, tableName);
+    report(result, `"${tableName}" restored from "${snapshot.name}"`);
+    if (result.success) {
+      compare(diff.from.id, diff.to.id);
+      refresh();
+      onRestore?.();
+    }
+  };
+
+  const toggleTable = (tableName) => {
+    setExpanded(current => {
+      const next = new Set(current);
+      if (next.has(tableName)) {
+        next.delete(tableName);
+      } else {
+        next.add(tableName);
+      }
+      return next;
+    });
+  };
+
+  // Single tables can be restored when comparing a snapshot with the live database
+  const canRestoreTables = diff && diff.from.id !== CURRENT_STATE && diff.to.id === CURRENT_STATE;
+  const visibleTables = diff
+    ? diff.tables.filter(table => showUnchanged || table.status !== TableDiffStatus.UNCHANGED)
+    : [];
+
+  return (
+    <Card variant="elevated">
+      <CardHeader style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <Typography variant="headline-medium">
+          Snapshots
+        </Typography>
+        {onClose && (
+          <Button variant="text" onClick={onClose}>
+            Close
+          </Button>
+        )}
+      </CardHeader>
+
+      <CardContent>
+        {(error || message) && (
+          <Card
+            variant="filled"
+            style={{
+              padding: 'var(--md-sys-spacing-3)',
+              backgroundColor: error ? 'var(--md-sys-color-error-container)' : 'var(--md-sys-color-primary-container)',
+              color: error ? 'var(--md-sys-color-on-error-container)' : 'var(--md-sys-color-on-primary-container)',
+              marginBottom: 'var(--md-sys-spacing-4)'
+            }}
+          >
+            <Typography variant="body-small">
+              {error ? `Error: ${error}` : message}
+            </Typography>
+          </Card>
+        )}
+
+        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', alignItems: 'center', marginBottom: 'var(--md-sys-spacing-2)' }}>
+          <div style={{ flex: 1 }}>
+            <TextField
+              value={name}
+              placeholder="Snapshot name, e.g. Before cleanup"
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleCreate();
+              }}
+            />
+          </div>
+          <Button variant="filled" onClick={handleCreate} disabled={!name.trim()}>
+            Take Snapshot
+          </Button>
+        </div>
+        <Typography variant="body-small" color="on-surface-variant" style={{ marginBottom: 'var(--md-sys-spacing-6)' }}>
+          {stats.snapshotCount} snapshot{stats.snapshotCount === 1 ? '' : 's'} using {dbUtils.formatBytes(stats.snapshotSize)}
+          {Number.isFinite(stats.estimatedLimit) &&
+            ` • ${dbUtils.formatBytes(stats.totalSize)} of ${dbUtils.formatBytes(stats.estimatedLimit)} used (${stats.usedPercent.toFixed(1)}%)`}
+        </Typography>
+
+        <Typography variant="title-small" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+          Saved Snapshots ({snapshots.length})
+        </Typography>
+
+        {snapshots.length === 0 ? (
+          <Typography variant="body-medium" color="on-surface-variant" style={{ marginBottom: 'var(--md-sys-spacing-6)' }}>
+            No snapshots yet. Take one to be able to compare or go back to the current state later.
+          </Typography>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-2)', marginBottom: 'var(--md-sys-spacing-6)' }}>
+            {snapshots.map(snapshot => (
+              <Card
+                key={snapshot.id}
+                variant="outlined"
+                style={{ padding: 'var(--md-sys-spacing-3)', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
+              >
+                <div>
+                  <Typography variant="body-medium">
+                    {snapshot.name}
+                  </Typography>
+                  <Typography variant="body-small" color="on-surface-variant">
+                    {formatTime(snapshot.createdAt)} • {snapshot.tableCount} tables • {snapshot.rowCount} records •{' '}
+                    {dbUtils.formatBytes(snapshot.compressedSize)} ({Math.round((snapshot.compressedSize / Math.max(snapshot.size, 1)) * 100)}% of {dbUtils.formatBytes(snapshot.size)})
+                  </Typography>
+                </div>
+                <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-1)' }}>
+                  <Button variant="text" size="small" onClick={() => compare(snapshot.id, CURRENT_STATE)}>
+                    Diff with Current
+                  </Button>
+                  <Button variant="tonal" size="small" onClick={() => handleRestore(snapshot)}>
+                    Restore
+                  </Button>
+                  <Button
+                    variant="text"
+                    size="small"
+                    onClick={() => handleDelete(snapshot)}
+                    style={{ color: 'var(--md-sys-color-error)' }}
+                  >
+                    Delete
+                  </Button>
+                </div>
+              </Card>
+            ))}
+          </div>
+        )}
+
+        {snapshots.length > 0 && (
+          <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', alignItems: 'center', flexWrap: 'wrap', marginBottom: 'var(--md-sys-spacing-4)' }}>
+            <Typography variant="title-small">Compare</Typography>
+            <select value={fromId} onChange={(e) => setFromId(e.target.value)} style={selectStyle}>
+              <option value="">Select snapshot...</option>
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{snapshot.name}</option>
+              ))}
+            </select>
+            <Typography variant="body-medium">with</Typography>
+            <select value={toId} onChange={(e) => setToId(e.target.value)} style={selectStyle}>
+              <option value={CURRENT_STATE}>Current state</option>
+              {snapshots.map(snapshot => (
+                <option key={snapshot.id} value={snapshot.id}>{snapshot.name}</option>
+              ))}
+            </select>
+            <Button variant="outlined" onClick={() => compare(fromId, toId)} disabled={!fromId || fromId === toId}>
+              Compare
+            </Button>
+          </div>
+        )}
+
+        {diff && (
+          <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 'var(--md-sys-spacing-2)' }}>
+              <Typography variant="title-small">
+                {diff.from.name} → {diff.to.name}
+              </Typography>
+              <Button variant="text" size="small" onClick={() => setShowUnchanged(current => !current)}>
+                {showUnchanged ? 'Hide unchanged tables' : 'Show unchanged tables'}
+              </Button>
+            </div>
+            <Typography variant="body-small" color="on-surface-variant" style={{ marginBottom: 'var(--md-sys-spacing-3)' }}>
+              Tables: +{diff.summary.tablesAdded} −{diff.summary.tablesRemoved} ~{diff.summary.tablesChanged} •{' '}
+              Records: +{diff.summary.rowsAdded} −{diff.summary.rowsRemoved} ~{diff.summary.rowsChanged}
+              {diff.summary.relationshipsChanged > 0 && ` • ${diff.summary.relationshipsChanged} relationship changes`}
+            </Typography>
+
+            {visibleTables.length === 0 ? (
+              <Typography variant="body-medium" color="on-surface-variant">
+                No differences.
+              </Typography>
+            ) : (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--md-sys-spacing-2)' }}>
+                {visibleTables.map(table => {
+                  const hasRowChanges = table.added.length + table.removed.length + table.changed.length > 0 || table.schemaChanged;
+                  return (
+                    <Card key={table.tableName} variant="outlined" style={{ padding: 'var(--md-sys-spacing-3)' }}>
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 'var(--md-sys-spacing-2)' }}>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--md-sys-spacing-2)' }}>
+                          <Typography variant="body-medium" style={{ fontFamily: 'monospace' }}>
+                            {table.tableName}
+                          </Typography>
+                          <StatusBadge status={table.status} />
+                          <Typography variant="body-small" color="on-surface-variant">
+                            {table.rowsBefore} → {table.rowsAfter} records
+                            {hasRowChanges && ` • +${table.added.length} −${table.removed.length} ~${table.changed.length}`}
+                          </Typography>
+                        </div>
+                        <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-1)' }}>
+                          {hasRowChanges && (
+                            <Button variant="text" size="small" onClick={() => toggleTable(table.tableName)}>
+                              {expanded.has(table.tableName) ? 'Hide rows' : 'Show rows'}
+                            </Button>
+                          )}
+                          {canRestoreTables && table.status !== TableDiffStatus.UNCHANGED && (
+                            <Button variant="tonal" size="small" onClick={() => handleRestoreTable(table.tableName)}>
+                              {table.status === TableDiffStatus.ADDED ? 'Drop Table' : 'Restore Table'}
+                            </Button>
+                          )}
+                        </div>
+                      </div>
+                      {expanded.has(table.tableName) && <TableRowDiff table={table} />}
+                    </Card>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+export default SnapshotPanel;
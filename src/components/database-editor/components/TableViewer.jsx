@@ -6,17 +6,35 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { Button, Card, CardHeader, CardContent, Typography } from '../../../design-system';
 import DataTable from './DataTable.jsx';
+import RecordForm from './RecordForm.jsx';
 import { LocalStorageDB } from '../utils/localStorageDB.js';
-
-export function TableViewer({ tableName, onClose }) {
+import { schemaManager } from '../utils/schemaManager.js';
+import { query } from '../utils/queryEngine.js';
+import { exportImportManager, ExportFormats } from '../utils/exportImport.js';
+import { SQLDialects, SQLDialectNames } from '../utils/ddlGenerator.js';
+
+// Formats offered by the export menu; SQL once per dialect
+const EXPORT_CHOICES = [
+  { value: ExportFormats.JSON, label: 'JSON' },
+  { value: ExportFormats.CSV, label: 'CSV' },
+  { value: ExportFormats.NDJSON, label: 'NDJSON' },
+  ...Object.values(SQLDialects).map(dialect => ({
+    value: `${ExportFormats.SQL}:${dialect}`,
+    label: `SQL (${SQLDialectNames[dialect]})`
+  }))
+];
+
+export function TableViewer({ tableName, onClose, presetUser }) {
   console.log('TableViewer rendering!', { tableName });
   const [db] = useState(() => new LocalStorageDB());
   const [data, setData] = useState([]);
   const [schema, setSchema] = useState({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [showAddModal, setShowAddModal] = useState(false);
-  const [newRecord, setNewRecord] = useState({});
+  // null when closed, { record: null } to add, { record } to edit
+  const [recordForm, setRecordForm] = useState(null);
+  const [rowErrors, setRowErrors] = useState({});
+  const [exportChoice, setExportChoice] = useState(ExportFormats.JSON);
 
   // Load table data
   const loadData = useCallback(async () => {
@@ -29,6 +47,7 @@ export function TableViewer({ tableName, onClose }) {
 
       setData(tableData);
       setSchema(tableSchema);
+      setRowErrors({});
     } catch (err) {
       setError(err.message);
     } finally {
@@ -40,6 +59,32 @@ export function TableViewer({ tableName, onClose }) {
     loadData();
   }, [loadData]);
 
+  // Reload when the table is written elsewhere, e.g. by a query, an undo or another tab
+  useEffect(() => db.subscribe(query(tableName), (rows) => {
+    setData(rows);
+    setRowErrors({});
+  }, { immediate: false }), [db, tableName]);
+
+  // Map integrity violations onto the rows (and fields) they concern
+  const violationsToRowErrors = useCallback((violations, editedFields = {}) => {
+    const errors = {};
+
+    violations.forEach(violation => {
+      const rowIndex = data.findIndex(record => record.id === violation.recordId);
+      if (rowIndex === -1) {
+        setError(violation.message);
+        return;
+      }
+
+      const field = violation.table === tableName && editedFields[rowIndex] === violation.field
+        ? violation.field
+        : '_row';
+      errors[rowIndex] = { ...errors[rowIndex], [field]: violation.message };
+    });
+
+    return errors;
+  }, [data, tableName]);
+
   // Handlers
   const handleEdit = useCallback((rowIndex, field, value) => {
     try {
@@ -63,12 +108,16 @@ export function TableViewer({ tableName, onClose }) {
         convertedValue = new Date(value).toISOString();
       }
 
-      db.update(tableName, record.id, { [field]: convertedValue });
+      const result = schemaManager.updateRecord(tableName, record.id, { [field]: convertedValue });
+      if (!result.success) {
+        setRowErrors(violationsToRowErrors(result.violations, { [rowIndex]: field }));
+        return;
+      }
       loadData();
     } catch (err) {
       setError(err.message);
     }
-  }, [db, tableName, data, schema, loadData]);
+  }, [tableName, data, schema, loadData, violationsToRowErrors]);
 
   const handleDelete = useCallback((rowIndices) => {
     try {
@@ -78,78 +127,45 @@ export function TableViewer({ tableName, onClose }) {
         if (!record.id) {
           throw new Error('Record must have an ID to delete');
         }
-        db.delete(tableName, record.id);
+      }
+
+      const result = schemaManager.deleteRecords(tableName, recordsToDelete.map(record => record.id));
+      if (!result.success) {
+        setRowErrors(violationsToRowErrors(result.violations));
+        return;
       }
       
       loadData();
     } catch (err) {
       setError(err.message);
     }
-  }, [db, tableName, data, loadData]);
+  }, [tableName, data, loadData, violationsToRowErrors]);
 
   const handleAdd = useCallback(() => {
-    // Initialize new record with default values based on schema
-    const initialRecord = {};
-    
-    if (schema.fields) {
-      Object.entries(schema.fields).forEach(([field, fieldSchema]) => {
-        if (field !== 'id') {
-          switch (fieldSchema.type) {
-            case 'string':
-              initialRecord[field] = '';
-              break;
-            case 'number':
-              initialRecord[field] = 0;
-              break;
-            case 'boolean':
-              initialRecord[field] = false;
-              break;
-            case 'date':
-              initialRecord[field] = new Date().toISOString().split('T')[0];
-              break;
-            default:
-              initialRecord[field] = '';
-          }
-        }
-      });
-    }
+    setRecordForm({ record: null });
+  }, []);
 
-    setNewRecord(initialRecord);
-    setShowAddModal(true);
-  }, [schema]);
+  const handleEditRow = useCallback((rowIndex) => {
+    setRecordForm({ record: data[rowIndex] });
+  }, [data]);
 
-  const handleSaveNew = useCallback(() => {
-    try {
-      // Validate and convert types
-      const processedRecord = {};
-      
-      Object.entries(newRecord).forEach(([field, value]) => {
-        const fieldType = schema.fields?.[field]?.type;
-        
-        if (fieldType === 'number') {
-          processedRecord[field] = Number(value);
-          if (isNaN(processedRecord[field])) {
-            throw new Error(`Invalid number for ${field}: ${value}`);
-          }
-        } else if (fieldType === 'boolean') {
-          processedRecord[field] = value === 'true' || value === true;
-        } else if (fieldType === 'date') {
-          processedRecord[field] = new Date(value).toISOString();
-        } else {
-          processedRecord[field] = value;
-        }
-      });
+  const handleRecordSaved = useCallback(() => {
+    setRecordForm(null);
+    loadData();
+  }, [loadData]);
 
-      db.insert(tableName, processedRecord);
-      setShowAddModal(false);
-      setNewRecord({});
-      loadData();
-    } catch (err) {
-      setError(err.message);
+  const handleExport = useCallback(() => {
+    if (exportChoice !== ExportFormats.JSON) {
+      const [format, dialect] = exportChoice.split(':');
+      const result = exportImportManager.exportTable(tableName, format, { dialect });
+      if (result.success) {
+        exportImportManager.downloadAsFile(result.data, `${tableName}.${result.metadata.fileExtension}`, result.metadata.mimeType);
+      } else {
+        setError(result.error);
+      }
+      return;
     }
-  }, [db, tableName, newRecord, schema, loadData]);
 
-  const handleExport = useCallback(() => {
     try {
       const jsonData = JSON.stringify(data, null, 2);
       const blob = new Blob([jsonData], { type: 'application/json' });
@@ -165,7 +181,7 @@ export function TableViewer({ tableName, onClose }) {
     } catch (err) {
       setError(err.message);
     }
-  }, [data, tableName]);
+  }, [data, tableName, exportChoice]);
 
   // Get columns from schema or data
   const columns = schema.fields 
@@ -174,106 +190,6 @@ export function TableViewer({ tableName, onClose }) {
       ? Object.keys(data[0]).filter(field => field !== 'id')
       : [];
 
-  const getFieldType = (field) => {
-    return schema.fields?.[field]?.type || 'text';
-  };
-
-  const modalStyle = {
-    position: 'fixed',
-    top: 0,
-    left: 0,
-    right: 0,
-    bottom: 0,
-    backgroundColor: 'rgba(0, 0, 0, 0.5)',
-    display: 'flex',
-    justifyContent: 'center',
-    alignItems: 'center',
-    zIndex: 1000
-  };
-
-  const modalContentStyle = {
-    backgroundColor: 'var(--md-sys-color-surface)',
-    padding: 'var(--md-sys-spacing-6)',
-    borderRadius: 'var(--md-sys-shape-corner-large)',
-    width: '90%',
-    maxWidth: '500px',
-    maxHeight: '80%',
-    overflow: 'auto'
-  };
-
-  const labelStyle = {
-    display: 'block',
-    marginBottom: 'var(--md-sys-spacing-2)',
-    color: 'var(--md-sys-color-on-surface)',
-    fontSize: 'var(--md-sys-typescale-body-medium-size)',
-    fontWeight: '500'
-  };
-
-  const inputStyle = {
-    width: '100%',
-    padding: 'var(--md-sys-spacing-3)',
-    marginBottom: 'var(--md-sys-spacing-4)',
-    border: '1px solid var(--md-sys-color-outline)',
-    borderRadius: 'var(--md-sys-shape-corner-small)',
-    fontSize: 'var(--md-sys-typescale-body-medium-size)',
-    backgroundColor: 'var(--md-sys-color-surface-container-low)',
-    color: 'var(--md-sys-color-on-surface)'
-  };
-
-  const renderAddModal = () => {
-    if (!showAddModal) return null;
-
-    return (
-      <div style={modalStyle} onClick={() => setShowAddModal(false)}>
-        <Card variant="elevated" style={modalContentStyle} onClick={(e) => e.stopPropagation()}>
-          <Typography variant="headline-small" style={{ marginBottom: 'var(--md-sys-spacing-4)' }}>
-            Add New Record
-          </Typography>
-          
-          {columns.map(field => (
-            <div key={field}>
-              <label style={labelStyle}>{field}</label>
-              {getFieldType(field) === 'boolean' ? (
-                <select
-                  style={inputStyle}
-                  value={newRecord[field] || false}
-                  onChange={(e) => setNewRecord(prev => ({
-                    ...prev,
-                    [field]: e.target.value === 'true'
-                  }))}
-                >
-                  <option value={false}>False</option>
-                  <option value={true}>True</option>
-                </select>
-              ) : (
-                <input
-                  style={inputStyle}
-                  type={getFieldType(field) === 'number' ? 'number' : 
-                        getFieldType(field) === 'date' ? 'date' : 'text'}
-                  value={newRecord[field] || ''}
-                  onChange={(e) => setNewRecord(prev => ({
-                    ...prev,
-                    [field]: e.target.value
-                  }))}
-                  placeholder={`Enter ${field}`}
-                />
-              )}
-            </div>
-          ))}
-
-          <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)', marginTop: 'var(--md-sys-spacing-6)', justifyContent: 'flex-end' }}>
-            <Button variant="text" onClick={() => setShowAddModal(false)}>
-              Cancel
-            </Button>
-            <Button variant="filled" onClick={handleSaveNew}>
-              Save
-            </Button>
-          </div>
-        </Card>
-      </div>
-    );
-  };
-
   if (loading) {
     return (
       <div style={{ padding: 'var(--md-sys-spacing-8)', textAlign: 'center' }}>
@@ -291,8 +207,24 @@ export function TableViewer({ tableName, onClose }) {
           Table: {tableName}
         </Typography>
         <div style={{ display: 'flex', gap: 'var(--md-sys-spacing-2)' }}>
+          <select
+            value={exportChoice}
+            onChange={(e) => setExportChoice(e.target.value)}
+            aria-label="Export format"
+            style={{
+              padding: 'var(--md-sys-spacing-2)',
+              border: '1px solid var(--md-sys-color-outline)',
+              borderRadius: 'var(--md-sys-shape-corner-small)',
+              backgroundColor: 'var(--md-sys-color-surface-container-low)',
+              color: 'var(--md-sys-color-on-surface)'
+            }}
+          >
+            {EXPORT_CHOICES.map(choice => (
+              <option key={choice.value} value={choice.value}>{choice.label}</option>
+            ))}
+          </select>
           <Button variant="outlined" onClick={handleExport}>
-            Export JSON
+            Export
           </Button>
           <Button variant="filled" onClick={handleAdd}>
             Add Record
@@ -347,16 +279,28 @@ export function TableViewer({ tableName, onClose }) {
           }))}
           onEdit={handleEdit}
           onDelete={handleDelete}
+          onEditRow={handleEditRow}
           onAdd={handleAdd}
           searchable={true}
           sortable={true}
           editable={true}
           selectable={true}
           pageSize={10}
+          errors={rowErrors}
+          tableName={tableName}
+          presetUser={presetUser}
         />
       </CardContent>
 
-      {renderAddModal()}
+      {recordForm && (
+        <RecordForm
+          tableName={tableName}
+          record={recordForm.record}
+          rows={data}
+          onSave={handleRecordSaved}
+          onCancel={() => setRecordForm(null)}
+        />
+      )}
     </Card>
   );
 }
@@ -9,6 +9,9 @@ export { default as TableViewer } from './TableViewer.jsx';
 export { default as SchemaEditor } from './SchemaEditor.jsx';
 export { default as QueryBuilder } from './QueryBuilder.jsx';
 export { default as DataTable } from './DataTable.jsx';
+export { default as ImportWizard } from './ImportWizard.jsx';
+export { default as ERDCanvas } from './ERDCanvas.jsx';
+export { default as HistoryPanel } from './HistoryPanel.jsx';
 
 // Re-export utilities for convenience
 export { LocalStorageDB } from '../utils/localStorageDB.js';
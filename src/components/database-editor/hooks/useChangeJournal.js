@@ -0,0 +1,109 @@
+/**
+ * Change Journal Hook
+ * Database-wide undo/redo with keyboard shortcuts and live history state
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { localStorageDB } from '../utils/localStorageDB.js';
+import { subscribeToJournal } from '../utils/changeJournal.js';
+
+/**
+ * Check whether a keyboard event targets a text field, which keeps its own undo
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True inside inputs, textareas and editable content
+ */
+const isEditingText = (event) => {
+  const target = event.target;
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+};
+
+/**
+ * Hook for the persistent change journal
+ * @param {Object} options - Hook configuration options
+ * @param {LocalStorageDB} options.db - Database whose journal to use
+ * @param {boolean} options.enableShortcuts - Bind Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y
+ * @param {Function} options.onChange - Called with the result after undo, redo or restore
+ * @returns {Object} History state and operations
+ */
+export function useChangeJournal(options = {}) {
+  const {
+    db = localStorageDB,
+    enableShortcuts = true,
+    onChange = null
+  } = options;
+
+  const [history, setHistory] = useState(() => db.journal.getHistory());
+  const [droppedTables, setDroppedTables] = useState(() => db.journal.getDroppedTables());
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    setHistory(db.journal.getHistory());
+    setDroppedTables(db.journal.getDroppedTables());
+  }, [db]);
+
+  // Every database instance shares the journal events
+  useEffect(() => {
+    refresh();
+    return subscribeToJournal(refresh);
+  }, [refresh]);
+
+  const handleResult = useCallback((result) => {
+    setError(result.success ? null : result.error);
+    refresh();
+    if (onChange) onChange(result);
+    return result.success;
+  }, [refresh, onChange]);
+
+  const undo = useCallback(() => handleResult(db.journal.undo()), [db, handleResult]);
+  const redo = useCallback(() => handleResult(db.journal.redo()), [db, handleResult]);
+
+  /**
+   * Undo or redo until the given number of entries is applied
+   * @param {number} position - Target position (0 undoes everything)
+   */
+  const goTo = useCallback((position) => handleResult(db.journal.moveTo(position)), [db, handleResult]);
+
+  const restoreTable = useCallback((tableName) => handleResult(db.journal.restoreTable(tableName)), [db, handleResult]);
+
+  const clearHistory = useCallback(() => {
+    db.journal.clear();
+    setError(null);
+  }, [db]);
+
+  useEffect(() => {
+    if (!enableShortcuts) return undefined;
+
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditingText(event)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey)) {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [enableShortcuts, undo, redo]);
+
+  return {
+    history,
+    droppedTables,
+    canUndo: history.canUndo,
+    canRedo: history.canRedo,
+    error,
+    undo,
+    redo,
+    goTo,
+    restoreTable,
+    clearHistory,
+    refresh
+  };
+}
+
+export default useChangeJournal;
@@ -8,6 +8,8 @@ import { localStorageDB } from '../utils/localStorageDB.js';
 import { schemaManager } from '../utils/schemaManager.js';
 import { relationshipMapper } from '../utils/relationshipMapper.js';
 import { exportImportManager } from '../utils/exportImport.js';
+import { initializeStorage } from '../utils/storageAdapters.js';
+import { subscribeToChanges } from '../utils/changeFeed.js';
 
 /**
  * Main hook for LocalStorage database operations
@@ -40,6 +42,11 @@ export function useLocalStorageDB(options = {}) {
       setIsLoading(true);
       setError(null);
 
+      // Open the remembered storage backend before reading
+      await initializeStorage();
+      localStorageDB.initializeMetadata();
+      schemaManager.reload();
+
       // Get basic database info
       const discoveredTables = localStorageDB.discoverTables();
       const dbMetadata = localStorageDB.getMetadata();
@@ -85,17 +92,10 @@ export function useLocalStorageDB(options = {}) {
     }
   }, [refreshData, autoRefresh, refreshInterval]);
 
-  // Listen for localStorage changes
-  useEffect(() => {
-    const handleStorageChange = (event) => {
-      if (event.storageArea === localStorage) {
-        refreshData();
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
-  }, [refreshData]);
+  // Refresh on writes from other tabs (storage event or BroadcastChannel)
+  useEffect(() => subscribeToChanges(({ remote }) => {
+    if (remote) refreshData();
+  }), [refreshData]);
 
   // Table operations
   const tableOperations = useMemo(() => ({
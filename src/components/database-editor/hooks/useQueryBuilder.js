@@ -3,9 +3,12 @@
  * React hook for building and executing complex queries with visual query builder integration
  */
 
-import { useState, useCallback, useMemo, useEffect } from 'react';
-import { QueryBuilder, QueryOperators, SortDirection, JoinType, AggregationFunctions, executeQuery } from '../utils/queryEngine.js';
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
+import { QueryBuilder, QueryOperators, SortDirection, JoinType, AggregationFunctions, executeQuery, exportToSQL } from '../utils/queryEngine.js';
+import { parseSQL } from '../utils/sqlParser.js';
 import { localStorageDB } from '../utils/localStorageDB.js';
+import { savedQueryManager, SavedQueryTypes } from '../utils/savedQueries.js';
+import { runQueryAsync, QueryCancelledError, DEFAULT_QUERY_TIMEOUT } from '../utils/queryRunner.js';
 
 /**
  * Hook for building and executing queries
@@ -18,7 +21,8 @@ export function useQueryBuilder(tableName, options = {}) {
     autoExecute = false,
     enableHistory = true,
     maxHistorySize = 20,
-    debounceMs = 300
+    debounceMs = 300,
+    timeout = DEFAULT_QUERY_TIMEOUT
   } = options;
 
   // Core state
@@ -27,6 +31,9 @@ export function useQueryBuilder(tableName, options = {}) {
   const [isExecuting, setIsExecuting] = useState(false);
   const [error, setError] = useState(null);
   const [executionTime, setExecutionTime] = useState(0);
+  const [progress, setProgress] = useState(null);
+  const [cancelled, setCancelled] = useState(false);
+  const activeRunRef = useRef(null);
 
   // Query configuration state
   const [filters, setFilters] = useState([]);
@@ -38,10 +45,15 @@ export function useQueryBuilder(tableName, options = {}) {
   const [aggregations, setAggregations] = useState([]);
   const [havingConditions, setHavingConditions] = useState([]);
 
-  // Query history
-  const [queryHistory, setQueryHistory] = useState([]);
+  // Query history, persisted across sessions
+  const [queryHistory, setQueryHistory] = useState(() => (
+    enableHistory ? savedQueryManager.getHistory().slice(0, maxHistorySize) : []
+  ));
   const [currentHistoryIndex, setCurrentHistoryIndex] = useState(-1);
 
+  // Saved queries and views
+  const [savedQueries, setSavedQueries] = useState(() => savedQueryManager.getSavedQueries());
+
   // Metadata
   const [queryPlan, setQueryPlan] = useState(null);
   const [availableTables, setAvailableTables] = useState([]);
@@ -50,7 +62,6 @@ export function useQueryBuilder(tableName, options = {}) {
   // Initialize available tables and columns
   useEffect(() => {
     const tables = localStorageDB.discoverTables();
-    setAvailableTables(tables);
 
     const columns = {};
     tables.forEach(table => {
@@ -77,8 +88,24 @@ export function useQueryBuilder(tableName, options = {}) {
         columns[table] = [];
       }
     });
+
+    // Views are queryable like tables; their columns come from their first rows
+    const views = savedQueryManager.getViewNames();
+    views.forEach(view => {
+      try {
+        const rows = executeQuery(new QueryBuilder(view).limit(10));
+        const columnSet = new Set();
+        rows.forEach(row => Object.keys(row || {}).forEach(key => columnSet.add(key)));
+        columns[view] = Array.from(columnSet);
+      } catch (error) {
+        console.warn(`Failed to get columns for view ${view}:`, error);
+        columns[view] = [];
+      }
+    });
+
+    setAvailableTables([...tables, ...views]);
     setTableColumns(columns);
-  }, [tableName]);
+  }, [tableName, savedQueries]);
 
   // Rebuild query when components change
   const rebuildQuery = useCallback(() => {
@@ -123,46 +150,91 @@ export function useQueryBuilder(tableName, options = {}) {
   }, [tableName, filters, sorts, pagination, selectedFields, joins]);
 
   // Execute query
-  const executeCurrentQuery = useCallback(async (builder = null) => {
+  const executeCurrentQuery = useCallback(async (builder = null, sql = null) => {
+    const queryToExecute = builder || queryBuilder;
+    const startTime = performance.now();
+
+    // Persist the run so it can be repeated after a reload
+    const recordRun = (run) => {
+      if (!enableHistory) return;
+      savedQueryManager.recordRun(queryToExecute, {
+        sql,
+        executionTime: performance.now() - startTime,
+        ...run
+      });
+      setQueryHistory(savedQueryManager.getHistory().slice(0, maxHistorySize));
+      setCurrentHistoryIndex(0);
+    };
+
+    // A new run replaces the one still in flight
+    if (activeRunRef.current) {
+      activeRunRef.current.abort();
+    }
+    const controller = new AbortController();
+    activeRunRef.current = controller;
+
     try {
       setIsExecuting(true);
       setError(null);
+      setProgress(null);
+      setCancelled(false);
 
-      const queryToExecute = builder || queryBuilder;
-      const startTime = performance.now();
-      
-      const queryResults = executeQuery(queryToExecute);
-      
-      const endTime = performance.now();
-      setExecutionTime(endTime - startTime);
-      
-      setResults(queryResults);
+      const { results: queryResults, executionTime: elapsed } = await runQueryAsync(queryToExecute, {
+        signal: controller.signal,
+        timeout,
+        onProgress: setProgress
+      });
+      if (activeRunRef.current !== controller) return queryResults;
 
-      // Add to history if enabled
-      if (enableHistory) {
-        const historyEntry = {
-          id: Date.now(),
-          timestamp: new Date().toISOString(),
-          query: queryToExecute.explain(),
-          resultCount: queryResults.length,
-          executionTime: endTime - startTime
-        };
-
-        setQueryHistory(prev => {
-          const newHistory = [historyEntry, ...prev];
-          return newHistory.slice(0, maxHistorySize);
-        });
-        setCurrentHistoryIndex(0);
-      }
+      setExecutionTime(elapsed);
+      setResults(queryResults);
+      recordRun({ resultCount: queryResults.length });
 
       return queryResults;
     } catch (executeError) {
-      setError(`Query execution failed: ${executeError.message}`);
+      if (activeRunRef.current !== controller) return [];
+
+      if (executeError instanceof QueryCancelledError) {
+        setCancelled(true);
+      } else {
+        setError(`Query execution failed: ${executeError.message}`);
+      }
+      recordRun({ error: executeError.message });
       return [];
     } finally {
-      setIsExecuting(false);
+      if (activeRunRef.current === controller) {
+        activeRunRef.current = null;
+        setIsExecuting(false);
+        setProgress(null);
+      }
     }
-  }, [queryBuilder, enableHistory, maxHistorySize]);
+  }, [queryBuilder, enableHistory, maxHistorySize, timeout]);
+
+  // Stop the running query; its promise resolves to an empty result
+  const cancelExecution = useCallback(() => {
+    if (activeRunRef.current) {
+      activeRunRef.current.abort();
+    }
+  }, []);
+
+  // Stop a query still running when the component using the hook unmounts
+  useEffect(() => () => {
+    const controller = activeRunRef.current;
+    activeRunRef.current = null;
+    if (controller) controller.abort();
+  }, []);
+
+  // Execute SQL text through the same path as built queries
+  const executeSQLText = useCallback(async (sql) => {
+    let builder;
+    try {
+      builder = parseSQL(sql);
+    } catch (parseError) {
+      setError(parseError.message);
+      return [];
+    }
+    return executeCurrentQuery(builder, sql);
+  }, [executeCurrentQuery]);
 
   // Auto-execute when query changes
   useEffect(() => {
@@ -482,24 +554,91 @@ export function useQueryBuilder(tableName, options = {}) {
       }
     },
 
+    /**
+     * Run a history entry again as it was run
+     * @param {number} historyIndex - History index
+     * @returns {Promise<Array>} Query results
+     */
+    rerun: (historyIndex) => {
+      const historyEntry = queryHistory[historyIndex];
+      if (!historyEntry) return Promise.resolve([]);
+      return executeCurrentQuery(QueryBuilder.fromJSON(historyEntry.query), historyEntry.sql);
+    },
+
     /**
      * Clear query history
      */
     clearHistory: () => {
+      savedQueryManager.clearHistory();
       setQueryHistory([]);
       setCurrentHistoryIndex(-1);
     },
 
     /**
      * Export query as SQL
+     * @param {string} dialect - SQL dialect ('standard', 'mysql', 'postgresql', 'sqlite', 'mssql')
      * @returns {string} SQL representation
      */
-    exportAsSQL: () => {
-      // This would generate SQL from the current query
-      // Implementation depends on specific SQL dialect
-      return '-- SQL export not yet implemented';
+    exportAsSQL: (dialect = 'standard') => {
+      return exportToSQL(queryBuilder, dialect);
+    }
+  }), [queryHistory, queryBuilder, executeCurrentQuery]);
+
+  // Saved query and view operations
+  const savedQueryOperations = useMemo(() => ({
+    /**
+     * Save the current query under a name
+     * @param {string} name - Query or view name
+     * @param {Object} saveOptions - type (SavedQueryTypes), sql, description, overwrite
+     * @returns {Object} { success, savedQuery, errors }
+     */
+    save: (name, saveOptions = {}) => {
+      const result = savedQueryManager.saveQuery(name, queryBuilder, saveOptions);
+      if (result.success) {
+        setSavedQueries(savedQueryManager.getSavedQueries());
+      } else {
+        setError(result.errors.join('; '));
+      }
+      return result;
+    },
+
+    /**
+     * Save the current query as a view usable in FROM and JOIN
+     * @param {string} name - View name
+     * @param {Object} saveOptions - sql, description, overwrite
+     * @returns {Object} { success, savedQuery, errors }
+     */
+    saveAsView: (name, saveOptions = {}) => {
+      return savedQueryOperations.save(name, { ...saveOptions, type: SavedQueryTypes.VIEW });
+    },
+
+    /**
+     * Delete a saved query or view
+     * @param {string} name - Saved query name
+     */
+    remove: (name) => {
+      savedQueryManager.deleteSavedQuery(name);
+      setSavedQueries(savedQueryManager.getSavedQueries());
+    },
+
+    /**
+     * Run a saved query or view
+     * @param {string} name - Saved query name
+     * @returns {Promise<Array>} Query results
+     */
+    run: (name) => {
+      const saved = savedQueryManager.getSavedQuery(name);
+      if (!saved) return Promise.resolve([]);
+      return executeCurrentQuery(QueryBuilder.fromJSON(saved.query), saved.sql);
+    },
+
+    /**
+     * Re-read saved queries, e.g. after undo
+     */
+    refresh: () => {
+      setSavedQueries(savedQueryManager.getSavedQueries());
     }
-  }), [queryHistory]);
+  }), [queryBuilder, executeCurrentQuery]);
 
   // Utility operations
   const utilityOperations = useMemo(() => ({
@@ -582,6 +721,8 @@ export function useQueryBuilder(tableName, options = {}) {
     // State
     results,
     isExecuting,
+    progress,
+    cancelled,
     error,
     executionTime,
     queryPlan,
@@ -592,6 +733,7 @@ export function useQueryBuilder(tableName, options = {}) {
     joins,
     queryHistory,
     currentHistoryIndex,
+    savedQueries,
     availableTables,
     tableColumns,
 
@@ -602,10 +744,13 @@ export function useQueryBuilder(tableName, options = {}) {
     pagination: paginationOperations,
     fields: fieldOperations,
     history: historyOperations,
+    saved: savedQueryOperations,
     utils: utilityOperations,
 
     // Core actions
     execute: executeCurrentQuery,
+    cancel: cancelExecution,
+    executeSQL: executeSQLText,
     rebuild: rebuildQuery,
 
     // Query builder access
@@ -6,6 +6,7 @@
 import { useState, useCallback, useMemo, useRef } from 'react';
 import { query, quickQuery } from '../utils/queryEngine.js';
 import { localStorageDB } from '../utils/localStorageDB.js';
+import { schemaManager } from '../utils/schemaManager.js';
 
 /**
  * Hook for table-specific CRUD operations
@@ -26,6 +27,7 @@ export function useTableOperations(tableName, options = {}) {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isDirty, setIsDirty] = useState(false);
+  const [violations, setViolations] = useState([]);
 
   // Undo/Redo state
   const [undoStack, setUndoStack] = useState([]);
@@ -58,8 +60,13 @@ export function useTableOperations(tableName, options = {}) {
   // Save data to localStorage
   const saveData = useCallback(async (newData) => {
     try {
-      const success = localStorageDB.setTable(tableName, newData);
-      if (success) {
+      // Record arrays go through SchemaManager so foreign keys and ON DELETE actions are enforced
+      const result = Array.isArray(newData)
+        ? schemaManager.writeTable(tableName, newData)
+        : { success: localStorageDB.setTable(tableName, newData), violations: [] };
+
+      setViolations(result.violations);
+      if (result.success) {
         lastSavedData.current = newData;
         setIsDirty(false);
         if (onDataChange) {
@@ -67,6 +74,10 @@ export function useTableOperations(tableName, options = {}) {
         }
         return true;
       }
+
+      if (result.violations.length > 0) {
+        setError(`Integrity violation: ${result.violations.map(violation => violation.message).join('; ')}`);
+      }
       return false;
     } catch (saveError) {
       setError(`Failed to save table ${tableName}: ${saveError.message}`);
@@ -114,6 +125,11 @@ export function useTableOperations(tableName, options = {}) {
   const updateData = useCallback(async (newData, operation = 'update', description = 'Data updated') => {
     try {
       const previousData = data;
+
+      // Rejected saves (e.g. foreign key violations) leave data and history untouched
+      if (autoSave && !(await saveData(newData))) {
+        return false;
+      }
       
       // Add to undo stack before changing
       if (previousData !== null) {
@@ -121,11 +137,7 @@ export function useTableOperations(tableName, options = {}) {
       }
 
       setData(newData);
-      setIsDirty(true);
-
-      if (autoSave) {
-        await saveData(newData);
-      }
+      setIsDirty(!autoSave);
 
       if (onDataChange) {
         onDataChange(newData, operation);
@@ -312,14 +324,10 @@ export function useTableOperations(tableName, options = {}) {
      */
     batch: async (operations) => {
       try {
+        const previousData = data;
         let currentData = data || [];
         const batchDescription = `Batch operation: ${operations.length} operations`;
 
-        // Add to undo stack before batch
-        if (currentData !== null) {
-          addToUndoStack(currentData, 'batch', batchDescription);
-        }
-
         for (const operation of operations) {
           switch (operation.type) {
             case 'create':
@@ -358,13 +366,18 @@ export function useTableOperations(tableName, options = {}) {
           }
         }
 
-        setData(currentData);
-        setIsDirty(true);
+        if (autoSave && !(await saveData(currentData))) {
+          return false;
+        }
 
-        if (autoSave) {
-          await saveData(currentData);
+        // Add to undo stack once the batch is accepted
+        if (previousData !== null) {
+          addToUndoStack(previousData, 'batch', batchDescription);
         }
 
+        setData(currentData);
+        setIsDirty(!autoSave);
+
         if (onDataChange) {
           onDataChange(currentData, 'batch');
         }
@@ -436,6 +449,10 @@ export function useTableOperations(tableName, options = {}) {
         if (undoStack.length === 0) return false;
 
         const lastOperation = undoStack[undoStack.length - 1];
+
+        if (autoSave && !(await saveData(lastOperation.data))) {
+          return false;
+        }
         
         // Move current state to redo stack
         setRedoStack(prev => [...prev, {
@@ -451,11 +468,7 @@ export function useTableOperations(tableName, options = {}) {
 
         // Restore previous data
         setData(lastOperation.data);
-        setIsDirty(true);
-
-        if (autoSave) {
-          await saveData(lastOperation.data);
-        }
+        setIsDirty(!autoSave);
 
         if (onDataChange) {
           onDataChange(lastOperation.data, 'undo');
@@ -477,6 +490,10 @@ export function useTableOperations(tableName, options = {}) {
         if (redoStack.length === 0) return false;
 
         const redoOperation = redoStack[redoStack.length - 1];
+
+        if (autoSave && !(await saveData(redoOperation.data))) {
+          return false;
+        }
         
         // Move current state to undo stack
         setUndoStack(prev => [...prev, {
@@ -492,11 +509,7 @@ export function useTableOperations(tableName, options = {}) {
 
         // Restore redo data
         setData(redoOperation.data);
-        setIsDirty(true);
-
-        if (autoSave) {
-          await saveData(redoOperation.data);
-        }
+        setIsDirty(!autoSave);
 
         if (onDataChange) {
           onDataChange(redoOperation.data, 'redo');
@@ -589,6 +602,7 @@ export function useTableOperations(tableName, options = {}) {
      */
     clearError: () => {
       setError(null);
+      setViolations([]);
     }
   }), [data, isDirty, saveData, loadData, updateData, tableName]);
 
@@ -597,6 +611,7 @@ export function useTableOperations(tableName, options = {}) {
     data,
     isLoading,
     error,
+    violations,
     isDirty,
     canUndo,
     canRedo,
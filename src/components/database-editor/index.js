@@ -10,6 +10,7 @@ export {
   DataTypes as CoreDataTypes,
   inferDataType,
   isDateString,
+  coerceValue,
   dbUtils 
 } from './utils/localStorageDB.js';
 
@@ -18,35 +19,195 @@ export {
   QueryOperators, 
   SortDirection, 
   JoinType,
+  AccessPathTypes,
+  JoinStrategies,
+  QueryStages,
+  WindowFunctions,
+  WindowFrameBounds,
+  WindowFrameModes,
   executeQuery,
+  exportToSQL,
+  getViewDefinition,
+  collectQuerySources,
   query,
   quickQuery 
 } from './utils/queryEngine.js';
 
+export {
+  SavedQueryManager,
+  savedQueryManager,
+  SavedQueryTypes
+} from './utils/savedQueries.js';
+
+export {
+  getColumnPresets,
+  saveColumnPreset,
+  deleteColumnPreset,
+  getPresetUser,
+  setPresetUser,
+  DEFAULT_PRESET_USER
+} from './utils/columnPresets.js';
+
+export {
+  runQueryAsync,
+  snapshotQueryData,
+  QueryCancelledError,
+  QueryTimeoutError,
+  DEFAULT_QUERY_TIMEOUT
+} from './utils/queryRunner.js';
+
+export {
+  parseSQL,
+  executeSQL,
+  tokenizeSQL,
+  SQLParseError
+} from './utils/sqlParser.js';
+
+export {
+  IndexTypes,
+  IndexKeyKinds,
+  buildIndex,
+  lookupIndex
+} from './utils/tableIndex.js';
+
+export {
+  tokenize,
+  stem,
+  parseSearchQuery,
+  buildFullTextIndex,
+  searchFullTextIndex,
+  findHighlightRanges
+} from './utils/fullTextSearch.js';
+
+export {
+  StorageBackends,
+  LocalStorageAdapter,
+  IndexedDBAdapter,
+  MemoryAdapter,
+  createStorageAdapter,
+  getStorageAdapter,
+  setStorageAdapter,
+  initializeStorage,
+  migrateStorage
+} from './utils/storageAdapters.js';
+
 export { 
   SchemaManager, 
   schemaManager, 
   ConstraintTypes, 
-  RelationshipTypes 
+  RelationshipTypes,
+  ReferentialActions
 } from './utils/schemaManager.js';
 
+export {
+  SchemaMigrator,
+  schemaMigrator,
+  MigrationStepTypes,
+  diffFieldSchemas
+} from './utils/schemaMigrations.js';
+
 export { 
   ExportImportManager, 
   exportImportManager, 
   ExportFormats 
 } from './utils/exportImport.js';
 
+export {
+  SQLDialects,
+  SQLDialectNames,
+  quoteIdentifier,
+  formatSQLLiteral,
+  generateDDL,
+  generateSQLDump
+} from './utils/ddlGenerator.js';
+
+export {
+  CSVStreamParser,
+  JSONStreamParser,
+  StreamImportFormats,
+  ImportModes,
+  parseCSV,
+  streamRecords,
+  previewImport,
+  commitImport
+} from './utils/streamingImport.js';
+
+export {
+  parseXML,
+  parseYAML,
+  parseSQLDump,
+  DumpParseError
+} from './utils/dumpParsers.js';
+
 export { 
   RelationshipMapper, 
   relationshipMapper, 
   ConfidenceLevels, 
-  DetectionPatterns 
+  DetectionPatterns,
+  RelationshipStatus,
+  getConfidenceLevel,
+  percentile
 } from './utils/relationshipMapper.js';
 
+export {
+  profileTable,
+  profileColumn,
+  exportProfile,
+  buildHistogram,
+  ValuePatterns,
+  AnomalyTypes,
+  AnomalySeverity
+} from './utils/dataProfiler.js';
+
+export {
+  FormControls,
+  getRecordSchema,
+  fieldsToSchema,
+  buildFormFields,
+  createEmptyRecord,
+  nextRecordId,
+  validateFormRecord,
+  getLookupOptions
+} from './utils/recordForm.js';
+
+export {
+  ERDNodeSize,
+  ConfidenceStyles,
+  StatusStyles,
+  getEdgeStyle,
+  layoutERD,
+  renderERDToSVG,
+  renderSVGToPNG
+} from './utils/erdLayout.js';
+
+export {
+  subscribeToChanges,
+  publishChanges,
+  diffRows
+} from './utils/changeFeed.js';
+
+export { LiveQuery } from './utils/liveQueries.js';
+
+export {
+  SnapshotManager,
+  snapshotManager,
+  CURRENT_STATE,
+  TableDiffStatus
+} from './utils/snapshots.js';
+
+export { compress, decompress } from './utils/compression.js';
+
+export {
+  ChangeJournal,
+  JournalEvents,
+  subscribeToJournal
+} from './utils/changeJournal.js';
+
 // React hooks
 export { useLocalStorageDB } from './hooks/useLocalStorageDB.js';
 export { useTableOperations } from './hooks/useTableOperations.js';
 export { useQueryBuilder } from './hooks/useQueryBuilder.js';
+export { useChangeJournal } from './hooks/useChangeJournal.js';
 
 // Type definitions
 export { 
@@ -71,6 +232,7 @@ export {
 export function createDatabaseEditor(options = {}) {
   const {
     prefix = 'lsdb_',
+    storage = null,
     enableSchemaAnalysis = true,
     enableRelationshipMapping = true,
     autoRefresh = true,
@@ -78,7 +240,7 @@ export function createDatabaseEditor(options = {}) {
   } = options;
 
   // Initialize core components with custom prefix if provided
-  const db = new LocalStorageDB({ prefix });
+  const db = new LocalStorageDB({ prefix, storage });
   const schema = new SchemaManager();
   const relationships = new RelationshipMapper();
   const exportImport = new ExportImportManager();
@@ -140,8 +302,17 @@ export function createDatabaseEditor(options = {}) {
       };
     },
 
-    // Export entire database
+    // Export entire database; SQL exports are a single script for options.dialect
     async exportDatabase(format = ExportFormats.JSON, options = {}) {
+      if (format === ExportFormats.SQL) {
+        const result = exportImport.exportDatabaseAsSQL(options);
+        return {
+          ...result,
+          export: result.metadata,
+          metadata: await this.getFullAnalysis()
+        };
+      }
+
       const tables = db.discoverTables();
       const exports = {};
 
@@ -268,10 +439,10 @@ export const SUPPORTED_EXPORTS = {
   },
   [ExportFormats.SQL]: {
     name: 'SQL',
-    description: 'Structured Query Language',
+    description: 'Structured Query Language (PostgreSQL, MySQL or SQLite)',
     mimeType: 'application/sql',
     extension: 'sql',
-    supportsMetadata: false
+    supportsMetadata: true
   },
   [ExportFormats.XML]: {
     name: 'XML',
@@ -286,6 +457,13 @@ export const SUPPORTED_EXPORTS = {
     mimeType: 'application/x-yaml',
     extension: 'yaml',
     supportsMetadata: true
+  },
+  [ExportFormats.NDJSON]: {
+    name: 'NDJSON',
+    description: 'Newline-Delimited JSON',
+    mimeType: 'application/x-ndjson',
+    extension: 'ndjson',
+    supportsMetadata: false
   }
 };
 
@@ -305,6 +483,7 @@ export const OPERATOR_DESCRIPTIONS = {
   [QueryOperators.REGEX]: 'Matches pattern',
   [QueryOperators.IN]: 'Is in list',
   [QueryOperators.NOT_IN]: 'Is not in list',
+  [QueryOperators.BETWEEN]: 'Between',
   [QueryOperators.IS_NULL]: 'Is empty/null',
   [QueryOperators.IS_NOT_NULL]: 'Is not empty',
   [QueryOperators.DATE_BEFORE]: 'Date before',
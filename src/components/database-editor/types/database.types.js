@@ -39,6 +39,9 @@ export const QueryOperators = {
   IN: 'in',
   NOT_IN: 'notIn',
   
+  // Range operations
+  BETWEEN: 'between',
+  
   // Null checks
   IS_NULL: 'isNull',
   IS_NOT_NULL: 'isNotNull',
@@ -75,7 +78,8 @@ export const ExportFormats = {
   CSV: 'csv',
   SQL: 'sql',
   XML: 'xml',
-  YAML: 'yaml'
+  YAML: 'yaml',
+  NDJSON: 'ndjson'
 };
 
 /**
@@ -0,0 +1,187 @@
+/**
+ * Change Feed
+ * Announces which storage keys changed, whether the write happened through a
+ * LocalStorageDB in this tab or in another one. Other tabs are heard through
+ * the `storage` event (localStorage backend) and a BroadcastChannel (every
+ * other persistent backend, which the storage event does not cover).
+ */
+
+import { getStorageAdapter, StorageBackends } from './storageAdapters.js';
+
+const CHANNEL_NAME = 'lsdb-changes';
+
+const listeners = new Set();
+let channel = null;
+let listeningToStorage = false;
+
+const notify = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in change feed listener:', error);
+    }
+  });
+};
+
+/**
+ * Keys named by a storage event; clear() names none, so every key counts
+ * @param {StorageEvent} event - Storage event
+ * @returns {Array|null} Keys, or null for all keys
+ */
+const storageEventKeys = (event) => (event.key === null ? null : [event.key]);
+
+function handleStorageEvent(event) {
+  if (getStorageAdapter().name !== StorageBackends.LOCAL_STORAGE) return;
+  if (typeof localStorage !== 'undefined' && event.storageArea !== localStorage) return;
+  notify({ keys: storageEventKeys(event), remote: true });
+}
+
+async function handleChannelMessage(event) {
+  const { keys, backend } = event.data || {};
+  const adapter = getStorageAdapter();
+  // Tabs on different backends do not share data
+  if (!Array.isArray(keys) || backend !== adapter.name) return;
+
+  if (adapter.reloadKeys) {
+    try {
+      await adapter.reloadKeys(keys);
+    } catch (error) {
+      console.error('Error reloading keys changed in another tab:', error);
+      return;
+    }
+  }
+  notify({ keys, remote: true });
+}
+
+/**
+ * The tab's BroadcastChannel, opened on first use
+ * @returns {BroadcastChannel|null} Channel, or null where BroadcastChannel is missing
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = handleChannelMessage;
+    // Node keeps the process alive while a channel is open
+    if (channel.unref) channel.unref();
+  }
+  return channel;
+}
+
+/**
+ * Listen to storage key changes from this tab and others
+ * @param {Function} listener - Called with { keys, remote }; keys is null when every key may have changed
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToChanges = (listener) => {
+  listeners.add(listener);
+  getChannel();
+  if (!listeningToStorage && typeof window !== 'undefined') {
+    window.addEventListener('storage', handleStorageEvent);
+    listeningToStorage = true;
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0 && listeningToStorage) {
+      window.removeEventListener('storage', handleStorageEvent);
+      listeningToStorage = false;
+    }
+  };
+};
+
+/**
+ * Announce keys a LocalStorageDB wrote. Other tabs are told once the backend
+ * has persisted the writes; localStorage tabs already get a storage event,
+ * and in-memory stores are private to the tab.
+ * @param {Array} keys - Changed storage keys
+ * @param {Object} storage - Adapter the keys were written to
+ */
+export function publishChanges(keys, storage) {
+  if (keys.length === 0) return;
+  notify({ keys, remote: false });
+
+  if (storage.name === StorageBackends.LOCAL_STORAGE || storage.name === StorageBackends.MEMORY) return;
+  const target = getChannel();
+  if (!target) return;
+
+  Promise.resolve(storage.flush ? storage.flush() : null)
+    .then(() => target.postMessage({ keys, backend: storage.name }))
+    .catch(error => console.error('Error announcing changes to other tabs:', error));
+}
+
+/**
+ * Key identifying a row between two runs of a query
+ * @param {string|Array|Function} key - Column, columns, or function of the row
+ * @returns {Function} Row -> key, or undefined when the row has none
+ */
+const makeRowKey = (key) => {
+  if (typeof key === 'function') return key;
+  if (Array.isArray(key)) {
+    return row => (row && typeof row === 'object' ? JSON.stringify(key.map(field => row[field])) : undefined);
+  }
+  return row => (row && typeof row === 'object' && row[key] !== null ? row[key] : undefined);
+};
+
+/**
+ * Compare two result sets row by row. Rows are matched by key when every row
+ * has a distinct one, and by content otherwise (then nothing counts as changed).
+ * @param {Array} before - Previous rows
+ * @param {Array} after - Current rows
+ * @param {string|Array|Function} key - Row key (default 'id')
+ * @returns {Object} { added, removed, changed: [{ key, before, after, fields }] }
+ */
+export function diffRows(before, after, key = 'id') {
+  const rowKey = makeRowKey(key);
+  const index = (rows) => {
+    const map = new Map();
+    for (const row of rows) {
+      const id = rowKey(row);
+      if (id === undefined || map.has(id)) return null;
+      map.set(id, row);
+    }
+    return map;
+  };
+
+  const previous = index(before);
+  const current = previous && index(after);
+
+  if (current) {
+    const diff = { added: [], removed: [], changed: [] };
+    current.forEach((row, id) => {
+      if (!previous.has(id)) {
+        diff.added.push(row);
+        return;
+      }
+      const old = previous.get(id);
+      const fields = [...new Set([...Object.keys(old), ...Object.keys(row)])]
+        .filter(field => JSON.stringify(old[field]) !== JSON.stringify(row[field]));
+      if (fields.length > 0) diff.changed.push({ key: id, before: old, after: row, fields });
+    });
+    previous.forEach((row, id) => {
+      if (!current.has(id)) diff.removed.push(row);
+    });
+    return diff;
+  }
+
+  // Without keys, compare rows as values; duplicates count separately
+  const unmatched = new Map();
+  before.forEach(row => {
+    const text = JSON.stringify(row);
+    unmatched.set(text, [...(unmatched.get(text) || []), row]);
+  });
+  const added = after.filter(row => {
+    const rows = unmatched.get(JSON.stringify(row));
+    if (!rows || rows.length === 0) return true;
+    rows.pop();
+    return false;
+  });
+  return { added, removed: [...unmatched.values()].flat(), changed: [] };
+}
+
+/**
+ * Check whether a diff holds any change
+ * @param {Object} diff - Result of diffRows
+ * @returns {boolean} True when rows were added, removed or changed
+ */
+export const hasChanges = (diff) => diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
@@ -0,0 +1,413 @@
+/**
+ * Change Journal
+ * Persistent, database-wide undo/redo history. LocalStorageDB records the
+ * before and after value of every storage key it writes; each journal entry
+ * holds one transaction (or one synchronous batch of writes outside a
+ * transaction) and is stored next to the tables, so it survives a reload.
+ */
+
+/**
+ * Journal events passed to subscribers
+ */
+export const JournalEvents = {
+  RECORD: 'record',
+  UNDO: 'undo',
+  REDO: 'redo',
+  RESTORE: 'restore',
+  CLEAR: 'clear'
+};
+
+const DEFAULT_MAX_ENTRIES = 100;
+// Characters; the journal shares the storage quota with the tables it records
+const DEFAULT_MAX_SIZE = 1024 * 1024;
+
+/**
+ * Subscribers shared by every journal, so caches (e.g. SchemaManager) can
+ * refresh whichever database instance performed the undo
+ */
+const listeners = new Set();
+
+/**
+ * Listen to journal events
+ * @param {Function} listener - Called with { type, entry }
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToJournal = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const notify = (event) => {
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (error) {
+      console.error('Error in change journal listener:', error);
+    }
+  });
+};
+
+/**
+ * Count the rows of a serialized table value
+ * @param {string|null} value - Serialized table
+ * @returns {number|null} Row count, or null for non-array values
+ */
+const countRows = (value) => {
+  if (value === null) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.length : null;
+  } catch {
+    return null;
+  }
+};
+
+const parseObject = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Journal of the changes made through one LocalStorageDB
+ */
+export class ChangeJournal {
+  /**
+   * @param {LocalStorageDB} db - Database whose writes are recorded
+   * @param {Object} options - Journal options
+   * @param {number} options.maxEntries - Entries kept before the oldest are dropped
+   * @param {number} options.maxSize - Serialized size limit in characters
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.key = `${db.prefix}journal`;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  }
+
+  /**
+   * Read the persisted journal
+   * @returns {Object} { entries, position, nextId } where entries before position are applied
+   */
+  getState() {
+    try {
+      const stored = this.db.storage.getItem(this.key);
+      if (stored) {
+        const state = JSON.parse(stored);
+        return { entries: [], position: 0, nextId: 1, ...state };
+      }
+    } catch (error) {
+      console.error('Error reading change journal:', error);
+    }
+    return { entries: [], position: 0, nextId: 1 };
+  }
+
+  /**
+   * Persist the journal, dropping the oldest entries while it is over the
+   * size limit or the storage quota
+   * @param {Object} state - Journal state
+   */
+  saveState(state) {
+    let serialized = JSON.stringify(state);
+    while (state.entries.length > 0 && serialized.length > this.maxSize) {
+      this.dropOldest(state);
+      serialized = JSON.stringify(state);
+    }
+
+    // Written directly: the journal never records its own key
+    for (;;) {
+      try {
+        this.db.storage.setItem(this.key, serialized);
+        return;
+      } catch (error) {
+        if (state.entries.length === 0) {
+          console.error('Error saving change journal:', error);
+          return;
+        }
+        this.dropOldest(state);
+        serialized = JSON.stringify(state);
+      }
+    }
+  }
+
+  /**
+   * Remove the oldest entry, keeping position pointing at the same entry
+   * @param {Object} state - Journal state
+   */
+  dropOldest(state) {
+    state.entries.shift();
+    state.position = Math.max(state.position - 1, 0);
+  }
+
+  /**
+   * Check whether a key holds table data rather than database internals
+   * @param {string} key - Storage key
+   * @returns {boolean} True for table keys
+   */
+  isTableKey(key) {
+    return !key.startsWith(this.db.prefix);
+  }
+
+  /**
+   * Describe a set of changes for the history panel
+   * @param {Array} changes - { key, before, after }
+   * @returns {string} Label
+   */
+  describe(changes) {
+    const tableChanges = changes.filter(change => this.isTableKey(change.key));
+
+    if (tableChanges.length > 0) {
+      const verb = (change) => {
+        if (change.before === null) return 'Create';
+        if (change.after === null) return 'Drop';
+        return 'Update';
+      };
+      const verbs = new Set(tableChanges.map(verb));
+      const names = tableChanges.map(change => change.key);
+      const listed = names.length > 3
+        ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more`
+        : names.join(', ');
+      return verbs.size === 1 ? `${verb(tableChanges[0])} ${listed}` : `Change ${listed}`;
+    }
+
+    const internal = {
+      [this.db.schemaKey]: 'Update schemas',
+      [this.db.relationshipKey]: 'Update relationships',
+      [this.db.indexKey]: 'Update indexes'
+    };
+    const known = changes.find(change => internal[change.key]);
+    return known ? internal[known.key] : 'Update database settings';
+  }
+
+  /**
+   * Append an entry and discard anything that was undone
+   * @param {Array} changes - { key, before, after } with before !== after
+   * @param {string} label - Optional description
+   * @returns {Object|null} The entry, or null when it is larger than the journal
+   */
+  record(changes, label = null) {
+    if (changes.length === 0) return null;
+
+    const state = this.getState();
+    const entry = {
+      id: state.nextId,
+      label: label || this.describe(changes),
+      timestamp: new Date().toISOString(),
+      tables: changes.filter(change => this.isTableKey(change.key)).map(change => change.key),
+      changes
+    };
+
+    if (JSON.stringify(entry).length > this.maxSize) {
+      console.warn(`Change "${entry.label}" is too large for the change journal; history was cleared`);
+      this.saveState({ entries: [], position: 0, nextId: state.nextId + 1 });
+      notify({ type: JournalEvents.CLEAR, entry: null });
+      return null;
+    }
+
+    state.entries = state.entries.slice(0, state.position);
+    state.entries.push(entry);
+    while (state.entries.length > this.maxEntries) {
+      state.entries.shift();
+    }
+    state.position = state.entries.length;
+    state.nextId++;
+
+    this.saveState(state);
+    notify({ type: JournalEvents.RECORD, entry });
+    return entry;
+  }
+
+  /**
+   * Write one side of an entry back to storage. Every key must still hold the
+   * other side, otherwise something changed outside the journal and the
+   * entry is left alone.
+   * @param {Object} entry - Journal entry
+   * @param {string} from - 'after' when undoing, 'before' when redoing
+   * @param {string} to - Side to write
+   */
+  apply(entry, from, to) {
+    const storage = this.db.storage;
+    const conflicts = entry.changes.filter(change => storage.getItem(change.key) !== change[from]);
+    if (conflicts.length > 0) {
+      throw new Error(`${conflicts.map(change => change.key).join(', ')} changed outside the history`);
+    }
+
+    this.db.withoutJournal(() => {
+      this.db.transaction(() => {
+        // Removals first so restoring never needs extra quota
+        entry.changes.forEach(change => {
+          if (change[to] === null) this.db.removeKey(change.key);
+        });
+        entry.changes.forEach(change => {
+          if (change[to] !== null) this.db.writeKey(change.key, change[to]);
+        });
+      });
+    });
+  }
+
+  /**
+   * Move through the history to a position, undoing or redoing each entry in turn
+   * @param {number} target - Number of applied entries afterwards
+   * @returns {Object} { success, entries, error }
+   */
+  moveTo(target) {
+    if (this.db.inTransaction()) {
+      return { success: false, entries: [], error: 'Cannot undo or redo inside a transaction' };
+    }
+    this.db.flushChanges();
+
+    const state = this.getState();
+    const goal = Math.max(0, Math.min(target, state.entries.length));
+    const moved = [];
+
+    try {
+      while (state.position > goal) {
+        const entry = state.entries[state.position - 1];
+        this.apply(entry, 'after', 'before');
+        state.position--;
+        moved.push(entry);
+        notify({ type: JournalEvents.UNDO, entry });
+      }
+      while (state.position < goal) {
+        const entry = state.entries[state.position];
+        this.apply(entry, 'before', 'after');
+        state.position++;
+        moved.push(entry);
+        notify({ type: JournalEvents.REDO, entry });
+      }
+      return { success: true, entries: moved, error: null };
+    } catch (error) {
+      return { success: false, entries: moved, error: error.message };
+    } finally {
+      this.saveState(state);
+    }
+  }
+
+  /**
+   * Undo the latest applied entry
+   * @returns {Object} { success, entries, error }
+   */
+  undo() {
+    return this.moveTo(this.getState().position - 1);
+  }
+
+  /**
+   * Redo the next undone entry
+   * @returns {Object} { success, entries, error }
+   */
+  redo() {
+    return this.moveTo(this.getState().position + 1);
+  }
+
+  /**
+   * Summarize the history for display
+   * @returns {Object} { entries, position, canUndo, canRedo }
+   */
+  getHistory() {
+    const state = this.getState();
+    return {
+      entries: state.entries.map((entry, index) => ({
+        id: entry.id,
+        label: entry.label,
+        timestamp: entry.timestamp,
+        tables: entry.tables,
+        keys: entry.changes.map(change => change.key),
+        applied: index < state.position,
+        position: index + 1
+      })),
+      position: state.position,
+      canUndo: state.position > 0,
+      canRedo: state.position < state.entries.length
+    };
+  }
+
+  /**
+   * Tables dropped by an applied entry that are still missing
+   * @returns {Array} { tableName, entryId, droppedAt, rowCount }, most recent first
+   */
+  getDroppedTables() {
+    const state = this.getState();
+    const dropped = new Map();
+
+    state.entries.slice(0, state.position).forEach(entry => {
+      entry.changes.forEach(change => {
+        if (!this.isTableKey(change.key)) return;
+        if (change.after === null && change.before !== null) {
+          dropped.set(change.key, {
+            tableName: change.key,
+            entryId: entry.id,
+            droppedAt: entry.timestamp,
+            rowCount: countRows(change.before)
+          });
+        } else {
+          dropped.delete(change.key);
+        }
+      });
+    });
+
+    return Array.from(dropped.values())
+      .filter(table => this.db.storage.getItem(table.tableName) === null)
+      .reverse();
+  }
+
+  /**
+   * Bring back a dropped table with its metadata, indexes and schema, without
+   * undoing anything recorded after the drop. The restore is itself recorded.
+   * @param {string} tableName - Name of the dropped table
+   * @returns {Object} { success, error }
+   */
+  restoreTable(tableName) {
+    const dropped = this.getDroppedTables().find(table => table.tableName === tableName);
+    if (!dropped) {
+      return { success: false, error: `No dropped table "${tableName}" in the history` };
+    }
+
+    const entry = this.getState().entries.find(candidate => candidate.id === dropped.entryId);
+    const before = Object.fromEntries(entry.changes.map(change => [change.key, change.before]));
+    const db = this.db;
+
+    try {
+      db.transaction(() => {
+        db.writeKey(tableName, before[tableName]);
+
+        const metadata = db.getMetadata();
+        const previousMeta = parseObject(before[db.metaKey]).tables?.[tableName];
+        db.updateMetadata({
+          tables: {
+            ...metadata.tables,
+            [tableName]: previousMeta || { lastModified: new Date().toISOString(), size: before[tableName].length }
+          }
+        });
+
+        const previousIndexes = parseObject(before[db.indexKey])[tableName];
+        if (previousIndexes) {
+          db.saveIndexStore({ ...db.getIndexStore(), [tableName]: previousIndexes });
+        }
+
+        const previousSchema = parseObject(before[db.schemaKey])[tableName];
+        const schemas = parseObject(db.storage.getItem(db.schemaKey));
+        if (previousSchema && !schemas[tableName]) {
+          db.writeKey(db.schemaKey, JSON.stringify({ ...schemas, [tableName]: previousSchema }));
+        }
+      }, { label: `Restore ${tableName}` });
+
+      notify({ type: JournalEvents.RESTORE, entry });
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: `Could not restore "${tableName}": ${error.message}` };
+    }
+  }
+
+  /**
+   * Forget the whole history
+   */
+  clear() {
+    const state = this.getState();
+    this.saveState({ entries: [], position: 0, nextId: state.nextId });
+    notify({ type: JournalEvents.CLEAR, entry: null });
+  }
+}
+
+export default ChangeJournal;
@@ -0,0 +1,145 @@
+/**
+ * Column Presets
+ * Named DataTable column layouts (visible columns, order, pinning and widths).
+ * Presets live in the table's entry in database metadata, grouped by user,
+ * so they move with the table and saving or deleting one can be undone.
+ * The current user is a name remembered by this browser, outside the database.
+ */
+
+import { localStorageDB } from './localStorageDB.js';
+
+/**
+ * User that presets belong to when the DataTable is not given one
+ */
+export const DEFAULT_PRESET_USER = 'default';
+
+// localStorage key of the current user's name; not part of any database
+const PRESET_USER_KEY = 'lsdb_preset_user';
+
+/**
+ * Read the user this browser saves presets as
+ * @returns {string} User name, DEFAULT_PRESET_USER until one is chosen
+ */
+export function getPresetUser() {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(PRESET_USER_KEY)) ||
+      DEFAULT_PRESET_USER;
+  } catch {
+    return DEFAULT_PRESET_USER;
+  }
+}
+
+/**
+ * Remember the user this browser saves presets as
+ * @param {string} user - User name; empty goes back to DEFAULT_PRESET_USER
+ * @returns {string} The user now in effect
+ */
+export function setPresetUser(user) {
+  const trimmed = (user || '').trim();
+  try {
+    if (typeof localStorage !== 'undefined') {
+      if (trimmed) {
+        localStorage.setItem(PRESET_USER_KEY, trimmed);
+      } else {
+        localStorage.removeItem(PRESET_USER_KEY);
+      }
+    }
+  } catch (error) {
+    console.error('Error saving preset user:', error);
+  }
+  return trimmed || DEFAULT_PRESET_USER;
+}
+
+/**
+ * Table state a preset restores
+ */
+const LAYOUT_KEYS = ['columnVisibility', 'columnOrder', 'columnPinning', 'columnSizing'];
+
+/**
+ * Keep only the layout parts of a table state
+ * @param {Object} state - DataTable state
+ * @returns {Object} Layout
+ */
+export const pickColumnLayout = (state) => LAYOUT_KEYS.reduce((layout, key) => {
+  if (state[key] !== undefined) {
+    layout[key] = state[key];
+  }
+  return layout;
+}, {});
+
+/**
+ * Get a user's presets for a table
+ * @param {string} tableName - Name of the table
+ * @param {string} user - Preset owner
+ * @param {LocalStorageDB} db - Database holding the table
+ * @returns {Object} Presets keyed by name
+ */
+export function getColumnPresets(tableName, user = DEFAULT_PRESET_USER, db = localStorageDB) {
+  const table = db.getMetadata().tables?.[tableName];
+  return table?.columnPresets?.[user] || {};
+}
+
+/**
+ * Replace a user's presets for a table
+ * @param {string} tableName - Name of the table
+ * @param {string} user - Preset owner
+ * @param {Object} presets - Presets keyed by name
+ * @param {string} label - Change journal label
+ * @param {LocalStorageDB} db - Database holding the table
+ * @returns {boolean} False when the table is not registered
+ */
+function writeColumnPresets(tableName, user, presets, label, db) {
+  const metadata = db.getMetadata();
+  const table = metadata.tables?.[tableName];
+  if (!table) return false;
+
+  db.describeChange(label);
+  db.updateMetadata({
+    tables: {
+      ...metadata.tables,
+      [tableName]: {
+        ...table,
+        columnPresets: { ...table.columnPresets, [user]: presets }
+      }
+    }
+  });
+  return true;
+}
+
+/**
+ * Save the current column layout under a name, replacing a preset of that name
+ * @param {string} tableName - Name of the table
+ * @param {string} name - Preset name
+ * @param {Object} state - DataTable state holding the layout
+ * @param {string} user - Preset owner
+ * @param {LocalStorageDB} db - Database holding the table
+ * @returns {Object|null} Saved preset, or null when the name is empty or the table unknown
+ */
+export function saveColumnPreset(tableName, name, state, user = DEFAULT_PRESET_USER, db = localStorageDB) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return null;
+
+  const preset = {
+    name: trimmed,
+    ...pickColumnLayout(state),
+    updatedAt: new Date().toISOString()
+  };
+  const presets = { ...getColumnPresets(tableName, user, db), [trimmed]: preset };
+  return writeColumnPresets(tableName, user, presets, `Save column preset ${trimmed} on ${tableName}`, db)
+    ? preset
+    : null;
+}
+
+/**
+ * Delete a preset
+ * @param {string} tableName - Name of the table
+ * @param {string} name - Preset name
+ * @param {string} user - Preset owner
+ * @param {LocalStorageDB} db - Database holding the table
+ * @returns {boolean} True when something was deleted
+ */
+export function deleteColumnPreset(tableName, name, user = DEFAULT_PRESET_USER, db = localStorageDB) {
+  const { [name]: removed, ...rest } = getColumnPresets(tableName, user, db);
+  if (!removed) return false;
+  return writeColumnPresets(tableName, user, rest, `Delete column preset ${name} on ${tableName}`, db);
+}
@@ -0,0 +1,210 @@
+/**
+ * Compression
+ * LZW-style string compression for large values kept in string storage
+ * (snapshots). Codes are packed 15 bits to a UTF-16 character, offset past
+ * the control characters, so the output is a plain string that localStorage
+ * and IndexedDB store as is and that never contains a lone surrogate.
+ */
+
+const BITS_PER_CHAR = 15;
+const CHAR_OFFSET = 32;
+
+// Codes below FIRST_CODE introduce a literal character or end the stream
+const LITERAL_8 = 0;
+const LITERAL_16 = 1;
+const END_OF_STREAM = 2;
+const FIRST_CODE = 3;
+
+/**
+ * Code width shared by both directions: a code is one bit wider once every
+ * code of the current width has been handed out
+ */
+class CodeWidth {
+  constructor(bits, remaining) {
+    this.bits = bits;
+    this.remaining = remaining;
+  }
+
+  count() {
+    this.remaining--;
+    if (this.remaining === 0) {
+      this.remaining = 2 ** this.bits;
+      this.bits++;
+    }
+  }
+}
+
+class BitWriter {
+  constructor() {
+    this.chars = [];
+    this.value = 0;
+    this.position = 0;
+  }
+
+  /**
+   * Append the low bits of a value, least significant bit first
+   * @param {number} value - Value to write
+   * @param {number} bits - Number of bits
+   */
+  write(value, bits) {
+    for (let i = 0; i < bits; i++) {
+      this.value = (this.value << 1) | (value & 1);
+      value >>= 1;
+      this.position++;
+      if (this.position === BITS_PER_CHAR) {
+        this.chars.push(String.fromCharCode(this.value + CHAR_OFFSET));
+        this.value = 0;
+        this.position = 0;
+      }
+    }
+  }
+
+  /**
+   * Pad the last character and return the packed string
+   * @returns {string} Packed bits
+   */
+  finish() {
+    if (this.position > 0) {
+      this.chars.push(String.fromCharCode((this.value << (BITS_PER_CHAR - this.position)) + CHAR_OFFSET));
+      this.value = 0;
+      this.position = 0;
+    }
+    return this.chars.join('');
+  }
+}
+
+class BitReader {
+  constructor(text) {
+    this.text = text;
+    this.index = 0;
+    this.value = 0;
+    this.mask = 0;
+  }
+
+  /**
+   * Read a value written by BitWriter.write
+   * @param {number} bits - Number of bits
+   * @returns {number} Value
+   */
+  read(bits) {
+    let result = 0;
+    for (let i = 0, power = 1; i < bits; i++, power *= 2) {
+      if (this.mask === 0) {
+        if (this.index >= this.text.length) {
+          throw new Error('Compressed data is truncated');
+        }
+        this.value = this.text.charCodeAt(this.index++) - CHAR_OFFSET;
+        this.mask = 1 << (BITS_PER_CHAR - 1);
+      }
+      if (this.value & this.mask) result += power;
+      this.mask >>= 1;
+    }
+    return result;
+  }
+}
+
+/**
+ * Compress a string
+ * @param {string} text - Text to compress
+ * @returns {string} Compressed text, readable by decompress
+ */
+export function compress(text) {
+  const dictionary = new Map();
+  // Characters that have a code but have not been written out yet
+  const pendingLiterals = new Set();
+  const writer = new BitWriter();
+  const width = new CodeWidth(2, 2);
+  let nextCode = FIRST_CODE;
+
+  const emit = (phrase) => {
+    if (pendingLiterals.has(phrase)) {
+      const charCode = phrase.charCodeAt(0);
+      if (charCode < 256) {
+        writer.write(LITERAL_8, width.bits);
+        writer.write(charCode, 8);
+      } else {
+        writer.write(LITERAL_16, width.bits);
+        writer.write(charCode, 16);
+      }
+      pendingLiterals.delete(phrase);
+      // The literal's own code
+      width.count();
+    } else {
+      writer.write(dictionary.get(phrase), width.bits);
+    }
+    width.count();
+  };
+
+  let phrase = '';
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (!dictionary.has(char)) {
+      dictionary.set(char, nextCode++);
+      pendingLiterals.add(char);
+    }
+
+    const extended = phrase + char;
+    if (dictionary.has(extended)) {
+      phrase = extended;
+    } else {
+      emit(phrase);
+      dictionary.set(extended, nextCode++);
+      phrase = char;
+    }
+  }
+  if (phrase !== '') emit(phrase);
+
+  writer.write(END_OF_STREAM, width.bits);
+  return writer.finish();
+}
+
+/**
+ * Restore a string produced by compress
+ * @param {string} compressed - Compressed text
+ * @returns {string} Original text
+ * @throws {Error} When the input is not compressed data
+ */
+export function decompress(compressed) {
+  const reader = new BitReader(compressed);
+  const readLiteral = (code) => String.fromCharCode(reader.read(code === LITERAL_8 ? 8 : 16));
+
+  const first = reader.read(2);
+  if (first === END_OF_STREAM) return '';
+  if (first !== LITERAL_8 && first !== LITERAL_16) {
+    throw new Error('Invalid compressed data');
+  }
+
+  let previous = readLiteral(first);
+  const dictionary = [];
+  dictionary[FIRST_CODE] = previous;
+  let nextCode = FIRST_CODE + 1;
+  // Where the compressor stands after writing the first literal
+  const width = new CodeWidth(3, 4);
+  const output = [previous];
+
+  for (;;) {
+    let code = reader.read(width.bits);
+    if (code === END_OF_STREAM) return output.join('');
+
+    if (code === LITERAL_8 || code === LITERAL_16) {
+      dictionary[nextCode] = readLiteral(code);
+      code = nextCode++;
+      width.count();
+    }
+
+    let entry;
+    if (code < nextCode && dictionary[code] !== undefined) {
+      entry = dictionary[code];
+    } else if (code === nextCode) {
+      // The phrase being defined by this very code
+      entry = previous + previous[0];
+    } else {
+      throw new Error('Invalid compressed data');
+    }
+
+    output.push(entry);
+    dictionary[nextCode++] = previous + entry[0];
+    width.count();
+    previous = entry;
+  }
+}
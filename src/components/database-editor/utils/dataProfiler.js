@@ -0,0 +1,322 @@
+/**
+ * Data Profiler
+ * Column-by-column profile of a table: null rates, distinct counts, numeric
+ * and date statistics, histograms, top values, recognised value patterns and
+ * anomalies. Suggested types and constraints come from
+ * SchemaManager.analyzeProperty, numeric, string and date statistics from
+ * RelationshipMapper.
+ */
+
+import { localStorageDB, DataTypes, inferDataType } from './localStorageDB.js';
+import { schemaManager } from './schemaManager.js';
+import { relationshipMapper, DetectionPatterns } from './relationshipMapper.js';
+
+/**
+ * Value patterns recognised in text columns
+ */
+export const ValuePatterns = {
+  email: { label: 'Email address', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  uuid: { label: 'UUID', pattern: DetectionPatterns.UUID_PATTERN },
+  url: { label: 'URL', pattern: /^https?:\/\/.+/ },
+  // Same shape as SchemaManager's phone check, minus ISO dates, which it also matches
+  phone: { label: 'Phone number', pattern: /^(?!\d{4}-\d{2}-\d{2})\+?[\d\s\-\(\)]{10,}$/ },
+  isoDate: { label: 'ISO date', pattern: /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/ },
+  usDate: { label: 'Date (MM/DD/YYYY)', pattern: /^\d{1,2}\/\d{1,2}\/\d{4}$/ },
+  numeric: { label: 'Number as text', pattern: /^-?\d+(\.\d+)?$/ },
+  boolean: { label: 'Boolean as text', pattern: /^(true|false|yes|no)$/i }
+};
+
+/**
+ * Kinds of anomaly flagged in a column
+ */
+export const AnomalyTypes = {
+  MIXED_TYPES: 'mixedTypes',
+  PATTERN_MISMATCH: 'patternMismatch',
+  OUTLIERS: 'outliers',
+  HIGH_NULL_RATE: 'highNullRate',
+  CONSTANT: 'constant',
+  NEAR_UNIQUE: 'nearUnique',
+  EMPTY_STRINGS: 'emptyStrings',
+  WHITESPACE: 'whitespace'
+};
+
+/**
+ * How much attention an anomaly needs
+ */
+export const AnomalySeverity = {
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+// A pattern is reported once it matches this share of a column's text values
+const PATTERN_MIN_SHARE = 0.5;
+// Columns matching a pattern at least this often, but not always, are flagged
+const PATTERN_MISMATCH_SHARE = 0.8;
+const HIGH_NULL_RATE = 0.5;
+const NEAR_UNIQUE_SHARE = 0.95;
+const NEAR_UNIQUE_MIN_VALUES = 20;
+// Tukey fence multiplier; 3 IQRs flags only extreme values
+const OUTLIER_FENCE = 3;
+const MAX_HISTOGRAM_BINS = 20;
+// Rows handed to SchemaManager.analyzeProperty, which spreads values into Math.min/max
+const SCHEMA_SAMPLE_SIZE = 1000;
+
+/**
+ * Key for counting a value; objects and arrays are compared by content
+ * @param {any} value - Column value
+ * @returns {any} Map key
+ */
+const valueKey = (value) => (typeof value === 'object' ? JSON.stringify(value) : value);
+
+/**
+ * Split a range into equal-width bins and count the values in each
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} bins - Bin count; defaults to Sturges' rule
+ * @returns {Array} { start, end, count }
+ */
+export function buildHistogram(sorted, bins = null) {
+  if (sorted.length === 0) return [];
+
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  if (min === max) {
+    return [{ start: min, end: max, count: sorted.length }];
+  }
+
+  const binCount = bins || Math.min(MAX_HISTOGRAM_BINS, Math.ceil(Math.log2(sorted.length)) + 1);
+  const width = (max - min) / binCount;
+  const histogram = Array.from({ length: binCount }, (_, i) => ({
+    start: min + i * width,
+    end: i === binCount - 1 ? max : min + (i + 1) * width,
+    count: 0
+  }));
+
+  sorted.forEach(value => {
+    // The maximum belongs to the last bin rather than one past it
+    histogram[Math.min(binCount - 1, Math.floor((value - min) / width))].count++;
+  });
+  return histogram;
+}
+
+/**
+ * Find extreme values outside the Tukey fences
+ * @param {Array} numbers - Column numbers
+ * @param {Object} percentiles - Percentiles from calculateNumberStats
+ * @returns {Object} { count, lower, upper }
+ */
+function findOutliers(numbers, percentiles) {
+  const iqr = percentiles.p75 - percentiles.p25;
+  const lower = percentiles.p25 - OUTLIER_FENCE * iqr;
+  const upper = percentiles.p75 + OUTLIER_FENCE * iqr;
+  return {
+    count: iqr > 0 ? numbers.filter(n => n < lower || n > upper).length : 0,
+    lower,
+    upper
+  };
+}
+
+/**
+ * Profile one column
+ * @param {Array} records - Table rows
+ * @param {string} field - Column name
+ * @param {Object} options - Profile options
+ * @param {number} options.topValues - Most frequent values kept (default 10)
+ * @param {number} options.histogramBins - Histogram bins; defaults to Sturges' rule
+ * @returns {Object} Column profile
+ */
+export function profileColumn(records, field, options = {}) {
+  const { topValues = 10, histogramBins = null } = options;
+
+  const values = [];
+  let nullCount = 0;
+  let missingCount = 0;
+  records.forEach(record => {
+    const value = record !== null && typeof record === 'object' ? record[field] : undefined;
+    if (value === undefined) {
+      missingCount++;
+    } else if (value === null) {
+      nullCount++;
+    } else {
+      values.push(value);
+    }
+  });
+
+  // Types and value frequencies
+  const types = {};
+  const frequencies = new Map();
+  values.forEach(value => {
+    const type = inferDataType(value);
+    types[type] = (types[type] || 0) + 1;
+
+    const key = valueKey(value);
+    const entry = frequencies.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      frequencies.set(key, { value, count: 1 });
+    }
+  });
+
+  const analysis = schemaManager.analyzeProperty(records.slice(0, SCHEMA_SAMPLE_SIZE), field);
+  const type = values.length > 0 ? analysis.schema.type : DataTypes.NULL;
+
+  const profile = {
+    name: field,
+    type,
+    format: analysis.schema.format || null,
+    types,
+    count: values.length,
+    nullCount,
+    missingCount,
+    nullRate: records.length > 0 ? (nullCount + missingCount) / records.length : 0,
+    distinctCount: frequencies.size,
+    uniqueRate: values.length > 0 ? frequencies.size / values.length : 0,
+    topValues: [...frequencies.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, topValues)
+      .map(({ value, count }) => ({ value, count, share: count / values.length })),
+    numbers: null,
+    strings: null,
+    dates: null,
+    histogram: [],
+    patterns: [],
+    suggestedConstraints: analysis.constraints,
+    anomalies: []
+  };
+
+  const flag = (anomalyType, severity, message, details = {}) => {
+    profile.anomalies.push({ type: anomalyType, severity, message, ...details });
+  };
+
+  // Numbers
+  const numbers = values.filter(value => typeof value === 'number' && !isNaN(value));
+  if (numbers.length > 0) {
+    profile.numbers = relationshipMapper.calculateNumberStats(numbers);
+    const sorted = [...numbers].sort((a, b) => a - b);
+    profile.histogram = buildHistogram(sorted, histogramBins);
+
+    const outliers = findOutliers(numbers, profile.numbers.percentiles);
+    profile.numbers.outliers = outliers;
+    if (outliers.count > 0) {
+      flag(AnomalyTypes.OUTLIERS, AnomalySeverity.INFO,
+        `${outliers.count} extreme values outside ${outliers.lower} to ${outliers.upper}`, { count: outliers.count });
+    }
+  }
+
+  // Text, including date strings
+  const strings = values.filter(value => typeof value === 'string');
+  if (strings.length > 0) {
+    profile.strings = relationshipMapper.calculateStringStats(strings);
+
+    profile.patterns = Object.entries(ValuePatterns)
+      .map(([id, { label, pattern }]) => {
+        const matches = strings.filter(value => pattern.test(value)).length;
+        return { id, label, matches, share: matches / strings.length };
+      })
+      .filter(match => match.share >= PATTERN_MIN_SHARE)
+      .sort((a, b) => b.share - a.share);
+
+    profile.patterns
+      .filter(match => match.share >= PATTERN_MISMATCH_SHARE && match.share < 1)
+      .forEach(match => {
+        const misses = strings.length - match.matches;
+        flag(AnomalyTypes.PATTERN_MISMATCH, AnomalySeverity.WARNING,
+          `${misses} values do not look like ${match.label.toLowerCase()}`, { pattern: match.id, count: misses });
+      });
+
+    if (profile.strings.emptyCount > 0) {
+      flag(AnomalyTypes.EMPTY_STRINGS, AnomalySeverity.INFO,
+        `${profile.strings.emptyCount} empty or blank values`, { count: profile.strings.emptyCount });
+    }
+
+    const padded = strings.filter(value => value.trim() !== '' && value.trim() !== value).length;
+    if (padded > 0) {
+      flag(AnomalyTypes.WHITESPACE, AnomalySeverity.INFO,
+        `${padded} values with leading or trailing spaces`, { count: padded });
+    }
+  }
+
+  const dates = strings.filter(value => inferDataType(value) === DataTypes.DATE);
+  if (dates.length > 0) {
+    profile.dates = relationshipMapper.calculateDateStats(dates);
+    // Numeric columns keep their own histogram
+    if (numbers.length === 0) {
+      const times = dates.map(value => new Date(value).getTime()).filter(time => !isNaN(time)).sort((a, b) => a - b);
+      profile.histogram = buildHistogram(times, histogramBins).map(bin => ({
+        ...bin,
+        start: new Date(bin.start).toISOString(),
+        end: new Date(bin.end).toISOString()
+      }));
+    }
+  }
+
+  // Column-wide checks
+  const typeNames = Object.keys(types);
+  if (typeNames.length > 1) {
+    const breakdown = typeNames
+      .sort((a, b) => types[b] - types[a])
+      .map(name => `${types[name]} ${name}`)
+      .join(', ');
+    flag(AnomalyTypes.MIXED_TYPES, AnomalySeverity.WARNING, `Mixed types: ${breakdown}`, { types });
+  }
+
+  if (profile.nullRate > HIGH_NULL_RATE) {
+    flag(AnomalyTypes.HIGH_NULL_RATE, AnomalySeverity.INFO,
+      `${Math.round(profile.nullRate * 100)}% of rows have no value`);
+  }
+
+  if (frequencies.size === 1 && values.length > 1) {
+    flag(AnomalyTypes.CONSTANT, AnomalySeverity.INFO, 'Every row has the same value');
+  }
+
+  if (values.length >= NEAR_UNIQUE_MIN_VALUES && profile.uniqueRate >= NEAR_UNIQUE_SHARE && profile.uniqueRate < 1) {
+    const duplicates = values.length - frequencies.size;
+    flag(AnomalyTypes.NEAR_UNIQUE, AnomalySeverity.WARNING,
+      `${duplicates} duplicate values in an otherwise unique column`, { count: duplicates });
+  }
+
+  return profile;
+}
+
+/**
+ * Profile every column of a table
+ * @param {string} tableName - Name of the table
+ * @param {Object} options - Profile options (see profileColumn)
+ * @param {number} options.sampleSize - Profile only the first rows
+ * @returns {Object|null} Table profile, or null when the table does not exist
+ */
+export function profileTable(tableName, options = {}) {
+  const data = localStorageDB.getTable(tableName);
+  if (data === null) return null;
+
+  const records = Array.isArray(data) ? data : [data];
+  const rows = options.sampleSize ? records.slice(0, options.sampleSize) : records;
+
+  const fields = new Set();
+  rows.forEach(record => {
+    if (record !== null && typeof record === 'object') {
+      Object.keys(record).forEach(key => fields.add(key));
+    }
+  });
+
+  const columns = [...fields].map(field => profileColumn(rows, field, options));
+
+  return {
+    tableName,
+    rowCount: records.length,
+    profiledRows: rows.length,
+    columnCount: columns.length,
+    profiledAt: new Date().toISOString(),
+    columns,
+    anomalies: columns.flatMap(column => column.anomalies.map(anomaly => ({ column: column.name, ...anomaly })))
+  };
+}
+
+/**
+ * Serialize a profile for download
+ * @param {Object} profile - Result of profileTable
+ * @returns {string} Pretty-printed JSON
+ */
+export function exportProfile(profile) {
+  return JSON.stringify(profile, null, 2);
+}
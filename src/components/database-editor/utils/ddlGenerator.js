@@ -0,0 +1,732 @@
+/**
+ * DDL Generator
+ * Dialect-aware SQL for PostgreSQL, MySQL and SQLite: CREATE TABLE statements
+ * with types, keys, NOT NULL, UNIQUE, DEFAULT and CHECK constraints built from
+ * SchemaManager schemas, foreign keys from its relationships, indexes from
+ * the persisted and suggested ones, and whole-database dumps with the rows.
+ * Every constraint is checked against the stored rows first; one the data
+ * would violate is left out with a note in the output, so dumps always load.
+ * PATTERN constraints are not exported: JavaScript and SQL regexes differ.
+ */
+
+import { localStorageDB, DataTypes, inferDataType } from './localStorageDB.js';
+import { schemaManager, ConstraintTypes, ReferentialActions } from './schemaManager.js';
+import { IndexTypes } from './tableIndex.js';
+import { getRecordSchema } from './recordForm.js';
+
+/**
+ * SQL dialects DDL and dumps can be generated for
+ */
+export const SQLDialects = {
+  POSTGRESQL: 'postgresql',
+  MYSQL: 'mysql',
+  SQLITE: 'sqlite'
+};
+
+/**
+ * Display names of the dialects
+ */
+export const SQLDialectNames = {
+  [SQLDialects.POSTGRESQL]: 'PostgreSQL',
+  [SQLDialects.MYSQL]: 'MySQL',
+  [SQLDialects.SQLITE]: 'SQLite'
+};
+
+/**
+ * SQL ON DELETE clauses for each referential action
+ */
+export const SQL_REFERENTIAL_ACTIONS = {
+  [ReferentialActions.RESTRICT]: 'RESTRICT',
+  [ReferentialActions.CASCADE]: 'CASCADE',
+  [ReferentialActions.SET_NULL]: 'SET NULL'
+};
+
+/**
+ * Column type of each kind of column, per dialect. SQLite only looks at the
+ * type name for its affinity, so it gets names that read back as the same
+ * data types when the dump is imported again.
+ */
+const COLUMN_TYPES = {
+  [SQLDialects.POSTGRESQL]: {
+    text: 'TEXT', integer: 'INTEGER', bigint: 'BIGINT', real: 'DOUBLE PRECISION',
+    boolean: 'BOOLEAN', timestamp: 'TIMESTAMPTZ', json: 'JSONB'
+  },
+  [SQLDialects.MYSQL]: {
+    text: 'TEXT', integer: 'INT', bigint: 'BIGINT', real: 'DOUBLE',
+    boolean: 'BOOLEAN', timestamp: 'DATETIME(3)', json: 'JSON'
+  },
+  [SQLDialects.SQLITE]: {
+    text: 'TEXT', integer: 'INTEGER', bigint: 'INTEGER', real: 'REAL',
+    boolean: 'BOOLEAN', timestamp: 'TIMESTAMP', json: 'JSON'
+  }
+};
+
+// MySQL indexes TEXT only up to a prefix, so indexed text columns become VARCHAR
+const MYSQL_KEY_LENGTH = 255;
+// Longest VARCHAR a utf8mb4 InnoDB index accepts (3072 bytes)
+const MYSQL_MAX_KEY_LENGTH = 768;
+// Longest VARCHAR that fits a MySQL row
+const MYSQL_MAX_VARCHAR = 16383;
+// PostgreSQL and MySQL truncate longer identifiers
+const MAX_IDENTIFIER_LENGTH = 63;
+const INT32_MAX = 2147483647;
+const DEFAULT_BATCH_SIZE = 100;
+
+const checkDialect = (dialect) => {
+  if (!Object.values(SQLDialects).includes(dialect)) {
+    throw new Error(`Unsupported SQL dialect: ${dialect}`);
+  }
+};
+
+/**
+ * Quote an identifier for a dialect
+ * @param {string} name - Table, column, index or constraint name
+ * @param {string} dialect - SQLDialects value
+ * @returns {string} Quoted identifier
+ */
+export function quoteIdentifier(name, dialect) {
+  if (dialect === SQLDialects.MYSQL) {
+    return `\`${String(name).replace(/`/g, '``')}\``;
+  }
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Quote a string literal; MySQL also treats backslashes as escapes
+ */
+const quoteString = (text, dialect) => {
+  const escaped = dialect === SQLDialects.MYSQL ? text.replace(/\\/g, '\\\\') : text;
+  return `'${escaped.replace(/'/g, "''")}'`;
+};
+
+/**
+ * Kind of column a data type is stored in
+ * @param {string} type - DataTypes value
+ * @returns {string} 'text', 'number', 'boolean', 'timestamp' or 'json'
+ */
+const kindOfType = (type) => {
+  switch (type) {
+    case DataTypes.NUMBER:
+      return 'number';
+    case DataTypes.BOOLEAN:
+      return 'boolean';
+    case DataTypes.DATE:
+      return 'timestamp';
+    case DataTypes.JSON:
+    case DataTypes.ARRAY:
+      return 'json';
+    default:
+      return 'text';
+  }
+};
+
+/**
+ * Format a value as a literal for a column
+ * @param {any} value - Value to format
+ * @param {string} dialect - SQLDialects value
+ * @param {string} kind - Column kind; taken from the value when omitted
+ * @returns {string} SQL literal
+ */
+export function formatSQLLiteral(value, dialect, kind = null) {
+  if (value === null || value === undefined) return 'NULL';
+
+  switch (kind || kindOfType(inferDataType(value))) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(value);
+      return value !== '' && Number.isFinite(number) ? String(number) : 'NULL';
+    }
+    case 'boolean': {
+      const truthy = value === true || value === 1 || value === 'true';
+      if (dialect === SQLDialects.SQLITE) return truthy ? '1' : '0';
+      return truthy ? 'TRUE' : 'FALSE';
+    }
+    case 'timestamp': {
+      if (dialect === SQLDialects.SQLITE) {
+        return quoteString(value instanceof Date ? value.toISOString() : String(value), dialect);
+      }
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return 'NULL';
+      const iso = date.toISOString();
+      // DATETIME takes neither the T separator nor a zone designator
+      return quoteString(dialect === SQLDialects.MYSQL ? iso.replace('T', ' ').replace('Z', '') : iso, dialect);
+    }
+    case 'json':
+      return quoteString(typeof value === 'string' ? value : JSON.stringify(value), dialect);
+    default:
+      return quoteString(typeof value === 'object' ? JSON.stringify(value) : String(value), dialect);
+  }
+}
+
+/**
+ * Constraint, index or key name that stays within identifier limits
+ */
+const makeName = (...parts) => parts
+  .join('_')
+  .replace(/[^A-Za-z0-9_]/g, '_')
+  .slice(0, MAX_IDENTIFIER_LENGTH);
+
+/**
+ * Rows of a table as objects; a table of plain values has one `value` column
+ * @param {string} tableName - Name of the table
+ * @returns {Array} Row objects
+ */
+const readRows = (tableName) => {
+  const data = localStorageDB.getTable(tableName);
+  const rows = Array.isArray(data) ? data : data === null ? [] : [data];
+  return rows.map(row => (row !== null && typeof row === 'object' && !Array.isArray(row) ? row : { value: row }));
+};
+
+const valueKey = (value) => JSON.stringify(value);
+
+const isDistinct = (values) => new Set(values.map(valueKey)).size === values.length;
+
+/**
+ * Describe one table for SQL generation
+ * @param {string} tableName - Name of the table
+ * @param {string} dialect - SQLDialects value
+ * @param {boolean} useSchema - Apply the registered schema, relationships and indexes
+ * @returns {Object} Table plan: { name, rows, columns, primaryKey, checks, foreignKeys, indexes, notes }
+ */
+function planTable(tableName, dialect, useSchema) {
+  const rows = readRows(tableName);
+  const schema = useSchema ? getRecordSchema(tableName) : { properties: {}, constraints: {} };
+  const fields = (useSchema && localStorageDB.getSchema(tableName)?.fields) || {};
+  const notes = [];
+
+  const names = [];
+  const seen = new Set();
+  const addName = (name) => {
+    if (!seen.has(name)) {
+      seen.add(name);
+      names.push(name);
+    }
+  };
+  Object.keys(schema.properties || {}).forEach(addName);
+  rows.forEach(row => Object.keys(row).forEach(addName));
+
+  const columns = names.map(name => {
+    const property = schema.properties?.[name] || {};
+    const field = fields[name] || {};
+    const constraints = schema.constraints?.[name] || [];
+    const find = type => constraints.find(constraint => constraint.type === type);
+
+    const values = rows.map(row => (row[name] === undefined ? null : row[name]));
+    const present = values.filter(value => value !== null);
+    const types = new Set(present.map(inferDataType));
+
+    let type = DataTypes.STRING;
+    if (types.size === 1) {
+      [type] = types;
+    } else if (types.size === 0 && property.type) {
+      type = property.type;
+    } else if (types.size === 2 && types.has(DataTypes.JSON) && types.has(DataTypes.ARRAY)) {
+      type = DataTypes.JSON;
+    }
+
+    let kind = kindOfType(type);
+    let sqlType;
+    if (kind === 'number') {
+      const integer = present.length > 0 ? present.every(Number.isInteger) : property.subtype === 'integer';
+      sqlType = !integer
+        ? COLUMN_TYPES[dialect].real
+        : present.some(value => Math.abs(value) > INT32_MAX) ? COLUMN_TYPES[dialect].bigint : COLUMN_TYPES[dialect].integer;
+    } else {
+      sqlType = COLUMN_TYPES[dialect][kind];
+    }
+
+    const defaultConstraint = find(ConstraintTypes.DEFAULT);
+    const defaultValue = defaultConstraint ? defaultConstraint.value : field.defaultValue;
+    const maxLengthConstraint = find(ConstraintTypes.MAX_LENGTH);
+
+    return {
+      name,
+      kind,
+      sqlType,
+      values,
+      present,
+      longest: kind === 'text' ? present.reduce((max, value) => Math.max(max, String(value).length), 0) : 0,
+      required: Boolean(find(ConstraintTypes.REQUIRED) || property.nullable === false || field.required),
+      unique: Boolean(find(ConstraintTypes.UNIQUE) || field.unique),
+      primaryKey: Boolean(field.primaryKey || property.primaryKey),
+      defaultValue: defaultValue === undefined || defaultValue === '' ? undefined : defaultValue,
+      maxLength: maxLengthConstraint ? maxLengthConstraint.value : null,
+      constraints,
+      notNull: false,
+      keyed: false,
+      indexed: false
+    };
+  });
+  const findColumn = name => columns.find(column => column.name === name);
+
+  // NOT NULL and UNIQUE only where every row complies
+  columns.forEach(column => {
+    if (column.required) {
+      const missing = column.values.length - column.present.length;
+      if (missing === 0) {
+        column.notNull = true;
+      } else {
+        notes.push(`NOT NULL on ${column.name} omitted: ${missing} rows have no value`);
+      }
+    }
+    if (column.unique && !isDistinct(column.present)) {
+      notes.push(`UNIQUE on ${column.name} omitted: the column has duplicate values`);
+      column.unique = false;
+    }
+  });
+
+  // An explicit key, or else an id column that can serve as one
+  let primaryKey = null;
+  const declared = columns.find(column => column.primaryKey);
+  const candidate = declared || findColumn('id');
+  if (candidate) {
+    if (candidate.present.length === candidate.values.length && isDistinct(candidate.present)) {
+      primaryKey = candidate.name;
+      candidate.notNull = true;
+      candidate.unique = false;
+    } else if (declared) {
+      notes.push(`PRIMARY KEY on ${candidate.name} omitted: the column has missing or duplicate values`);
+    }
+  }
+
+  // CHECK constraints the data satisfies
+  const checks = [];
+  columns.forEach(column => {
+    const column_ = quoteIdentifier(column.name, dialect);
+    const lengthFunction = dialect === SQLDialects.MYSQL ? 'CHAR_LENGTH' : 'LENGTH';
+    const addCheck = (sql, holds, description) => {
+      if (holds) {
+        checks.push(sql);
+      } else {
+        notes.push(`CHECK ${description} on ${column.name} omitted: some rows violate it`);
+      }
+    };
+
+    column.constraints.forEach(constraint => {
+      switch (constraint.type) {
+        case ConstraintTypes.ENUM: {
+          const allowed = constraint.values || [];
+          if (allowed.length === 0) return;
+          const keys = new Set(allowed.map(valueKey));
+          addCheck(
+            `${column_} IN (${allowed.map(value => formatSQLLiteral(value, dialect, column.kind)).join(', ')})`,
+            column.present.every(value => keys.has(valueKey(value))),
+            'enum'
+          );
+          break;
+        }
+        case ConstraintTypes.MIN_VALUE:
+        case ConstraintTypes.MAX_VALUE: {
+          if (column.kind !== 'number' || !Number.isFinite(Number(constraint.value))) return;
+          const limit = Number(constraint.value);
+          const isMin = constraint.type === ConstraintTypes.MIN_VALUE;
+          addCheck(
+            `${column_} ${isMin ? '>=' : '<='} ${limit}`,
+            column.present.every(value => (isMin ? value >= limit : value <= limit)),
+            isMin ? 'minimum' : 'maximum'
+          );
+          break;
+        }
+        case ConstraintTypes.MIN_LENGTH:
+        case ConstraintTypes.MAX_LENGTH: {
+          if (column.kind !== 'text' || !Number.isInteger(Number(constraint.value))) return;
+          const limit = Number(constraint.value);
+          const isMin = constraint.type === ConstraintTypes.MIN_LENGTH;
+          const holds = column.present.every(value => (
+            isMin ? String(value).length >= limit : String(value).length <= limit
+          ));
+          if (!isMin && !holds) column.maxLength = null;
+          addCheck(`${lengthFunction}(${column_}) ${isMin ? '>=' : '<='} ${limit}`, holds, isMin ? 'minimum length' : 'maximum length');
+          break;
+        }
+      }
+    });
+  });
+
+  // Persisted and suggested indexes on real columns, unique only where the data is
+  const indexes = [];
+  const addIndex = (fieldNames, unique) => {
+    if (fieldNames.length === 0 || !fieldNames.every(findColumn)) return;
+    const key = fieldNames.join(',');
+    const existing = indexes.find(index => index.columns.join(',') === key);
+    const distinct = unique && (fieldNames.length > 1 || isDistinct(findColumn(fieldNames[0]).present));
+    if (existing) {
+      existing.unique = existing.unique || distinct;
+    } else {
+      indexes.push({ columns: fieldNames, unique: distinct });
+    }
+  };
+  if (useSchema) {
+    localStorageDB.getIndexes(tableName)
+      .filter(index => index.type !== IndexTypes.FULLTEXT)
+      .forEach(index => addIndex([index.field], index.unique));
+    (schemaManager.getSchema(tableName)?.indexes || [])
+      .forEach(index => addIndex(index.fields || index.columns || [], index.unique || index.type === 'unique'));
+  }
+
+  const foreignKeys = useSchema
+    ? schemaManager.getForeignKeys(tableName)
+      .filter(relationship => findColumn(relationship.fromField))
+      .map(relationship => ({
+        column: relationship.fromField,
+        toTable: relationship.toTable,
+        toField: relationship.toField || 'id',
+        onDelete: relationship.onDelete || null
+      }))
+    : [];
+
+  return { name: tableName, rows, columns, primaryKey, checks, foreignKeys, indexes, notes };
+}
+
+/**
+ * Keep foreign keys the referenced rows support: the target table is part of
+ * the output, its column is a key (made UNIQUE when its values allow), the
+ * kinds match and no row points at a missing key. Referencing columns take
+ * the referenced column's type.
+ * @param {Map} plans - Table name -> plan
+ * @param {Set} external - Planned tables the output does not create
+ */
+function resolveForeignKeys(plans, external = new Set()) {
+  plans.forEach(plan => {
+    plan.foreignKeys = plan.foreignKeys.filter(foreignKey => {
+      const label = `Foreign key ${foreignKey.column} -> ${foreignKey.toTable}.${foreignKey.toField} omitted`;
+      const target = plans.get(foreignKey.toTable);
+      if (!target) {
+        plan.notes.push(`${label}: ${foreignKey.toTable} is not part of this export`);
+        return false;
+      }
+
+      const from = plan.columns.find(column => column.name === foreignKey.column);
+      const to = target.columns.find(column => column.name === foreignKey.toField);
+      if (!to) {
+        plan.notes.push(`${label}: ${foreignKey.toTable} has no column ${foreignKey.toField}`);
+        return false;
+      }
+      if (from.present.length > 0 && to.present.length > 0 && from.kind !== to.kind) {
+        plan.notes.push(`${label}: ${from.kind} values cannot reference ${to.kind} values`);
+        return false;
+      }
+
+      const isKey = target.primaryKey === to.name || to.unique;
+      if (!isKey) {
+        if (external.has(target.name) || to.present.length !== to.values.length || !isDistinct(to.present)) {
+          plan.notes.push(`${label}: ${foreignKey.toTable}.${foreignKey.toField} is not unique`);
+          return false;
+        }
+        to.unique = true;
+        to.notNull = true;
+      }
+
+      const keys = new Set(to.present.map(valueKey));
+      const orphans = from.present.filter(value => !keys.has(valueKey(value))).length;
+      if (orphans > 0) {
+        plan.notes.push(`${label}: ${orphans} rows reference missing ${foreignKey.toTable} rows`);
+        return false;
+      }
+
+      from.kind = to.kind;
+      from.sqlType = to.sqlType;
+      from.keyed = true;
+      from.indexed = true;
+      to.keyed = true;
+      return true;
+    });
+  });
+}
+
+/**
+ * Settle the text column types of a dialect and drop keys MySQL cannot index:
+ * MySQL needs VARCHAR (not TEXT) for keys, indexes and defaults, and cannot
+ * index JSON at all
+ * @param {Object} plan - Table plan
+ * @param {string} dialect - SQLDialects value
+ * @param {Map} plans - Every plan, to drop foreign keys onto unusable columns
+ */
+function settleColumnTypes(plan, dialect, plans) {
+  plan.indexes.forEach(index => index.columns.forEach(name => {
+    plan.columns.find(column => column.name === name).indexed = true;
+  }));
+
+  plan.columns.forEach(column => {
+    const usedAsKey = column.keyed || column.unique || column.indexed || plan.primaryKey === column.name;
+
+    if (dialect === SQLDialects.MYSQL && column.kind === 'text' && column.sqlType === COLUMN_TYPES[dialect].text) {
+      if (usedAsKey || column.defaultValue !== undefined) {
+        const length = Math.max(MYSQL_KEY_LENGTH, column.longest, column.maxLength || 0);
+        if (length <= MYSQL_MAX_KEY_LENGTH) {
+          column.sqlType = `VARCHAR(${length})`;
+          return;
+        }
+      } else if (column.maxLength && column.maxLength <= MYSQL_MAX_VARCHAR) {
+        column.sqlType = `VARCHAR(${column.maxLength})`;
+        return;
+      }
+    } else if (dialect !== SQLDialects.MYSQL && column.kind === 'text' && column.maxLength && column.sqlType === COLUMN_TYPES[dialect].text) {
+      column.sqlType = `VARCHAR(${column.maxLength})`;
+      return;
+    }
+
+    if (dialect !== SQLDialects.MYSQL) return;
+    const unindexable = (column.kind === 'text' && column.sqlType === COLUMN_TYPES[dialect].text) || column.kind === 'json';
+    if (column.defaultValue !== undefined && unindexable) {
+      plan.notes.push(`DEFAULT on ${column.name} omitted: MySQL ${column.sqlType} columns take no literal default`);
+      column.defaultValue = undefined;
+    }
+    if (!usedAsKey || !unindexable) return;
+
+    const reason = `MySQL cannot index ${column.kind === 'json' ? 'JSON' : 'text this long'}`;
+    if (plan.primaryKey === column.name) {
+      plan.notes.push(`PRIMARY KEY on ${column.name} omitted: ${reason}`);
+      plan.primaryKey = null;
+    }
+    if (column.unique) {
+      plan.notes.push(`UNIQUE on ${column.name} omitted: ${reason}`);
+      column.unique = false;
+    }
+    plan.indexes = plan.indexes.filter(index => !index.columns.includes(column.name));
+    plans.forEach(other => {
+      other.foreignKeys = other.foreignKeys.filter(foreignKey => {
+        const touches = (other === plan && foreignKey.column === column.name) ||
+          (foreignKey.toTable === plan.name && foreignKey.toField === column.name);
+        if (touches) {
+          other.notes.push(`Foreign key ${foreignKey.column} -> ${foreignKey.toTable}.${foreignKey.toField} omitted: ${reason}`);
+        }
+        return !touches;
+      });
+    });
+  });
+}
+
+/**
+ * Plan the tables of an export
+ * @param {Array} tableNames - Tables to include
+ * @param {string} dialect - SQLDialects value
+ * @param {boolean} useSchema - Apply schemas, relationships and indexes
+ * @param {Array} referencedTables - Tables outside the export that foreign keys may still reference
+ * @returns {Array} Table plans, referenced tables before the tables referencing them
+ */
+function planTables(tableNames, dialect, useSchema, referencedTables = []) {
+  checkDialect(dialect);
+  const plans = new Map(tableNames.map(tableName => [tableName, planTable(tableName, dialect, useSchema)]));
+
+  // Referenced tables are planned only to check the keys against their rows
+  const external = new Set();
+  plans.forEach(plan => plan.foreignKeys.forEach(({ toTable }) => {
+    if (!plans.has(toTable) && !external.has(toTable) && referencedTables.includes(toTable)) {
+      external.add(toTable);
+    }
+  }));
+  external.forEach(tableName => plans.set(tableName, planTable(tableName, dialect, useSchema)));
+
+  resolveForeignKeys(plans, external);
+  plans.forEach(plan => settleColumnTypes(plan, dialect, plans));
+  external.forEach(tableName => plans.delete(tableName));
+
+  // Foreign keys also get an index, except where a key already covers the column
+  plans.forEach(plan => {
+    plan.foreignKeys.forEach(foreignKey => {
+      const column = plan.columns.find(candidate => candidate.name === foreignKey.column);
+      const covered = plan.primaryKey === column.name || column.unique ||
+        plan.indexes.some(index => index.columns[0] === column.name);
+      if (!covered) plan.indexes.push({ columns: [column.name], unique: false });
+    });
+    // Keys are indexed already
+    plan.indexes = plan.indexes.filter(index => (
+      index.columns.length > 1 ||
+      (plan.primaryKey !== index.columns[0] && !plan.columns.find(column => column.name === index.columns[0]).unique)
+    ));
+  });
+
+  // Dependency order; tables in a reference cycle keep their original order
+  const ordered = [];
+  const state = new Map();
+  const visit = (name) => {
+    if (state.get(name)) return;
+    state.set(name, 'visiting');
+    plans.get(name).foreignKeys.forEach(foreignKey => {
+      if (plans.has(foreignKey.toTable) && !state.get(foreignKey.toTable)) visit(foreignKey.toTable);
+    });
+    state.set(name, 'done');
+    ordered.push(plans.get(name));
+  };
+  tableNames.forEach(visit);
+  return ordered;
+}
+
+/**
+ * REFERENCES clause of a foreign key
+ */
+const referencesClause = (foreignKey, dialect) => {
+  const clause = `FOREIGN KEY (${quoteIdentifier(foreignKey.column, dialect)}) REFERENCES ` +
+    `${quoteIdentifier(foreignKey.toTable, dialect)} (${quoteIdentifier(foreignKey.toField, dialect)})`;
+  return foreignKey.onDelete && SQL_REFERENTIAL_ACTIONS[foreignKey.onDelete]
+    ? `${clause} ON DELETE ${SQL_REFERENTIAL_ACTIONS[foreignKey.onDelete]}`
+    : clause;
+};
+
+/**
+ * CREATE TABLE statement of a planned table. SQLite declares foreign keys
+ * inline (it cannot add them later); the other dialects add them after the
+ * data with ALTER TABLE, so load order and reference cycles do not matter.
+ */
+function createTableStatement(plan, dialect) {
+  const lines = plan.notes.map(note => `-- Note: ${note}`);
+  const definitions = plan.columns.map(column => {
+    const parts = [quoteIdentifier(column.name, dialect), column.sqlType];
+    if (column.notNull) parts.push('NOT NULL');
+    if (column.unique) parts.push('UNIQUE');
+    if (column.defaultValue !== undefined) {
+      parts.push(`DEFAULT ${formatSQLLiteral(column.defaultValue, dialect, column.kind)}`);
+    }
+    return parts.join(' ');
+  });
+
+  if (plan.primaryKey) {
+    definitions.push(`PRIMARY KEY (${quoteIdentifier(plan.primaryKey, dialect)})`);
+  }
+  plan.checks.forEach(check => definitions.push(`CHECK (${check})`));
+  if (dialect === SQLDialects.SQLITE) {
+    plan.foreignKeys.forEach(foreignKey => definitions.push(referencesClause(foreignKey, dialect)));
+  }
+
+  if (definitions.length === 0) {
+    // A table needs at least one column
+    definitions.push(`${quoteIdentifier('value', dialect)} ${COLUMN_TYPES[dialect].text}`);
+  }
+
+  lines.push(`CREATE TABLE ${quoteIdentifier(plan.name, dialect)} (`);
+  lines.push(definitions.map(definition => `  ${definition}`).join(',\n'));
+  lines.push(dialect === SQLDialects.MYSQL ? ') ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;' : ');');
+  return lines.join('\n');
+}
+
+/**
+ * ALTER TABLE statements adding the foreign keys (not used for SQLite)
+ */
+const foreignKeyStatements = (plan, dialect) => (dialect === SQLDialects.SQLITE ? [] : plan.foreignKeys.map(foreignKey => (
+  `ALTER TABLE ${quoteIdentifier(plan.name, dialect)} ADD CONSTRAINT ` +
+  `${quoteIdentifier(makeName('fk', plan.name, foreignKey.column), dialect)} ${referencesClause(foreignKey, dialect)};`
+)));
+
+const indexStatements = (plan, dialect) => plan.indexes.map(index => (
+  `CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ` +
+  `${quoteIdentifier(makeName(index.unique ? 'ux' : 'idx', plan.name, ...index.columns), dialect)} ` +
+  `ON ${quoteIdentifier(plan.name, dialect)} (${index.columns.map(name => quoteIdentifier(name, dialect)).join(', ')});`
+));
+
+/**
+ * Multi-row INSERT statements of a planned table
+ */
+function insertStatements(plan, dialect, batchSize) {
+  if (plan.rows.length === 0 || plan.columns.length === 0) return [];
+
+  const columnList = plan.columns.map(column => quoteIdentifier(column.name, dialect)).join(', ');
+  const statements = [];
+  for (let start = 0; start < plan.rows.length; start += batchSize) {
+    const tuples = plan.rows.slice(start, start + batchSize).map(row => (
+      `(${plan.columns.map(column => formatSQLLiteral(row[column.name], dialect, column.kind)).join(', ')})`
+    ));
+    statements.push(`INSERT INTO ${quoteIdentifier(plan.name, dialect)} (${columnList}) VALUES\n  ${tuples.join(',\n  ')};`);
+  }
+  return statements;
+}
+
+const dropStatement = (tableName, dialect) => (
+  `DROP TABLE IF EXISTS ${quoteIdentifier(tableName, dialect)}${dialect === SQLDialects.POSTGRESQL ? ' CASCADE' : ''};`
+);
+
+/**
+ * Schema DDL of tables, without rows: CREATE TABLE, then foreign keys and indexes
+ * @param {Array} tableNames - Tables to describe (default: every table)
+ * @param {string} dialect - SQLDialects value
+ * @param {Object} options - Generation options
+ * @param {boolean} options.dropExisting - Start with DROP TABLE IF EXISTS statements
+ * @returns {string} SQL script
+ */
+export function generateDDL(tableNames = localStorageDB.discoverTables(), dialect = SQLDialects.POSTGRESQL, options = {}) {
+  return generateSQLDump(dialect, { ...options, tables: tableNames, includeData: false, header: false });
+}
+
+/**
+ * SQL script that recreates tables with their rows. PostgreSQL and SQLite
+ * scripts run in one transaction; MySQL turns foreign key checks off while
+ * loading (its DDL commits implicitly anyway).
+ * @param {string} dialect - SQLDialects value
+ * @param {Object} options - Dump options
+ * @param {Array} options.tables - Tables to include (default: every table)
+ * @param {Array} options.referencedTables - Tables the target database already has; foreign keys into them are kept
+ * @param {boolean} options.includeData - Emit INSERT statements (default true)
+ * @param {boolean} options.useSchema - Apply schemas, relationships and indexes (default true)
+ * @param {boolean} options.dropExisting - Start with DROP TABLE IF EXISTS statements (default true)
+ * @param {number} options.batchSize - Rows per INSERT statement (default 100)
+ * @param {boolean} options.header - Start with a comment naming the dialect and time (default true)
+ * @returns {string} SQL script
+ */
+export function generateSQLDump(dialect = SQLDialects.POSTGRESQL, options = {}) {
+  const {
+    tables = localStorageDB.discoverTables(),
+    referencedTables = [],
+    includeData = true,
+    useSchema = true,
+    dropExisting = true,
+    batchSize = DEFAULT_BATCH_SIZE,
+    header = true
+  } = options;
+  const plans = planTables(tables, dialect, useSchema, referencedTables);
+  const sections = [];
+
+  if (header) {
+    sections.push([
+      `-- ${SQLDialectNames[dialect]} export of ${plans.length === 1 ? `table '${plans[0].name}'` : `${plans.length} tables`}`,
+      `-- Generated on ${new Date().toISOString()}`
+    ].join('\n'));
+  }
+
+  switch (dialect) {
+    case SQLDialects.POSTGRESQL:
+      sections.push('BEGIN;');
+      break;
+    case SQLDialects.MYSQL:
+      sections.push('SET NAMES utf8mb4;\nSET FOREIGN_KEY_CHECKS = 0;');
+      break;
+    default:
+      sections.push('PRAGMA foreign_keys = OFF;\nBEGIN TRANSACTION;');
+  }
+
+  if (dropExisting) {
+    // Referencing tables first, for dialects that check references on DROP
+    sections.push([...plans].reverse().map(plan => dropStatement(plan.name, dialect)).join('\n'));
+  }
+  plans.forEach(plan => sections.push(createTableStatement(plan, dialect)));
+  if (includeData) {
+    plans.forEach(plan => {
+      const inserts = insertStatements(plan, dialect, batchSize);
+      if (inserts.length > 0) sections.push(inserts.join('\n'));
+    });
+  }
+
+  const foreignKeys = plans.flatMap(plan => foreignKeyStatements(plan, dialect));
+  if (foreignKeys.length > 0) sections.push(foreignKeys.join('\n'));
+  const indexes = plans.flatMap(plan => indexStatements(plan, dialect));
+  if (indexes.length > 0) sections.push(indexes.join('\n'));
+
+  switch (dialect) {
+    case SQLDialects.POSTGRESQL:
+      sections.push('COMMIT;');
+      break;
+    case SQLDialects.MYSQL:
+      sections.push('SET FOREIGN_KEY_CHECKS = 1;');
+      break;
+    default:
+      sections.push('COMMIT;\nPRAGMA foreign_keys = ON;');
+  }
+
+  return `${sections.join('\n\n')}\n`;
+}
+
+export default {
+  SQLDialects,
+  quoteIdentifier,
+  formatSQLLiteral,
+  generateDDL,
+  generateSQLDump
+};
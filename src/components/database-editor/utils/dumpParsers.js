@@ -0,0 +1,1027 @@
+/**
+ * Dump Parsers for LocalStorage Database
+ * Reads the XML, YAML and SQL dumps written by ExportImportManager (and hand
+ * written files in the same shape) back into plain values
+ */
+
+import { tokenizeSQL, SQLParseError } from './sqlParser.js';
+
+/**
+ * Error raised for malformed XML or YAML, with the line it occurred on
+ */
+export class DumpParseError extends Error {
+  constructor(format, message, line) {
+    super(`Invalid ${format}: ${message} (line ${line})`);
+    this.name = 'DumpParseError';
+    this.format = format;
+    this.reason = message;
+    this.line = line;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// XML
+// ---------------------------------------------------------------------------
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+/**
+ * Replace character and predefined entity references
+ * @param {string} text - Escaped XML text
+ * @returns {string} Decoded text
+ */
+const decodeXMLEntities = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(code);
+  }
+  return XML_ENTITIES[entity] ?? match;
+});
+
+/**
+ * Parse an XML document into an element tree. Elements are returned as
+ * { name, attributes, children } where children holds elements and text.
+ * Comments, processing instructions and DOCTYPE declarations are skipped.
+ * @param {string} xml - XML text
+ * @returns {Object} Root element
+ */
+export function parseXML(xml) {
+  let index = 0;
+  const lineAt = position => xml.slice(0, position).split('\n').length;
+  const fail = (message, position = index) => {
+    throw new DumpParseError('XML', message, lineAt(position));
+  };
+
+  const skipUntil = (terminator, what) => {
+    const end = xml.indexOf(terminator, index);
+    if (end === -1) fail(`Unterminated ${what}`);
+    const content = xml.slice(index, end);
+    index = end + terminator.length;
+    return content;
+  };
+
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+
+  while (index < xml.length) {
+    const parent = stack[stack.length - 1];
+    const tagStart = xml.indexOf('<', index);
+
+    if (tagStart !== index) {
+      const end = tagStart === -1 ? xml.length : tagStart;
+      const text = xml.slice(index, end);
+      if (text.trim()) {
+        if (stack.length === 1) fail('Text outside the root element');
+        parent.children.push(decodeXMLEntities(text));
+      }
+      index = end;
+      continue;
+    }
+
+    if (xml.startsWith('<!--', index)) {
+      index += 4;
+      skipUntil('-->', 'comment');
+    } else if (xml.startsWith('<![CDATA[', index)) {
+      index += 9;
+      parent.children.push(skipUntil(']]>', 'CDATA section'));
+    } else if (xml.startsWith('<?', index)) {
+      index += 2;
+      skipUntil('?>', 'processing instruction');
+    } else if (xml.startsWith('<!', index)) {
+      index += 2;
+      skipUntil('>', 'declaration');
+    } else if (xml.startsWith('</', index)) {
+      const start = index;
+      index += 2;
+      const name = skipUntil('>', 'closing tag').trim();
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== name) {
+        fail(`Unexpected closing tag </${name}>`, start);
+      }
+    } else {
+      const start = index;
+      const match = xml.slice(index).match(/^<([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/);
+      if (!match) fail('Malformed start tag', start);
+      if (stack.length === 1 && root.children.length > 0) fail('More than one root element', start);
+
+      const attributes = {};
+      const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(match[2])) !== null) {
+        attributes[attribute[1]] = decodeXMLEntities(attribute[2] ?? attribute[3]);
+      }
+
+      const element = { name: match[1], attributes, children: [] };
+      parent.children.push(element);
+      if (!match[3]) stack.push(element);
+      index += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) fail(`Unclosed element <${stack[stack.length - 1].name}>`);
+  const element = root.children.find(child => typeof child === 'object');
+  if (!element) fail('No root element');
+  return element;
+}
+
+/**
+ * Get the child elements of an element
+ * @param {Object} element - Parsed element
+ * @returns {Array} Child elements
+ */
+export const getChildElements = (element) => element.children.filter(child => typeof child === 'object');
+
+/**
+ * Get the concatenated text of an element
+ * @param {Object} element - Parsed element
+ * @returns {string} Text content
+ */
+export const getElementText = (element) => element.children
+  .map(child => (typeof child === 'string' ? child : getElementText(child)))
+  .join('');
+
+// ---------------------------------------------------------------------------
+// YAML
+// ---------------------------------------------------------------------------
+
+const YAML_NULLS = new Set(['', '~', 'null', 'Null', 'NULL']);
+const YAML_BOOLEANS = { true: true, True: true, TRUE: true, false: false, False: false, FALSE: false };
+const YAML_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r',
+  e: '\x1b', ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+
+/**
+ * Resolve a plain (unquoted) YAML scalar using the core schema
+ * @param {string} text - Scalar text
+ * @returns {any} null, boolean, number or string
+ */
+export const resolveYAMLScalar = (text) => {
+  const value = text.trim();
+  if (YAML_NULLS.has(value)) return null;
+  if (value in YAML_BOOLEANS) return YAML_BOOLEANS[value];
+  if (/^[-+]?(?:\d[\d_]*)?\.?\d+(?:[eE][-+]?\d+)?$/.test(value) || /^[-+]?\d+\.$/.test(value)) {
+    return Number(value.replace(/_/g, ''));
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(value)) return parseInt(value.slice(2), 16);
+  if (/^0o[0-7]+$/.test(value)) return parseInt(value.slice(2), 8);
+  if (/^[-+]?\.(?:inf|Inf|INF)$/.test(value)) return value[0] === '-' ? -Infinity : Infinity;
+  if (/^\.(?:nan|NaN|NAN)$/.test(value)) return NaN;
+  return value;
+};
+
+/**
+ * Line-based parser for block style YAML: mappings, sequences, plain and
+ * quoted scalars, literal and folded block scalars and flow collections
+ */
+class YAMLParser {
+  constructor(text) {
+    this.lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).map((raw, index) => ({
+      raw,
+      number: index + 1,
+      indent: raw.match(/^ */)[0].length,
+      content: raw.trim()
+    }));
+    this.position = 0;
+  }
+
+  fail(message, line = this.lines[Math.min(this.position, this.lines.length - 1)]) {
+    throw new DumpParseError('YAML', message, line ? line.number : 1);
+  }
+
+  /**
+   * Skip blank lines, comments and document markers
+   * @returns {Object|null} Next meaningful line
+   */
+  peekLine() {
+    while (this.position < this.lines.length) {
+      const line = this.lines[this.position];
+      if (line.content && !line.content.startsWith('#') && !line.content.startsWith('%') &&
+          line.content !== '---' && line.content !== '...') {
+        if (line.raw.slice(0, line.indent + 1).includes('\t')) this.fail('Tabs cannot be used for indentation', line);
+        return line;
+      }
+      this.position++;
+    }
+    return null;
+  }
+
+  parseDocument() {
+    const line = this.peekLine();
+    if (!line) return null;
+
+    const value = this.parseNode(line.indent, -1);
+    const rest = this.peekLine();
+    if (rest) this.fail(`Unexpected content '${rest.content}'`, rest);
+    return value;
+  }
+
+  /**
+   * Parse the node starting at the next line, which must be indented by indent
+   */
+  parseNode(indent, parentIndent) {
+    const line = this.peekLine();
+    if (!line || line.indent < indent) return null;
+
+    if (line.content === '-' || line.content.startsWith('- ')) {
+      return this.parseSequence(line.indent);
+    }
+    if (this.findMappingColon(line.content) !== -1) {
+      return this.parseMapping(line.indent);
+    }
+
+    this.position++;
+    return this.parseInlineValue(line.content, line, parentIndent);
+  }
+
+  parseSequence(indent) {
+    const items = [];
+
+    let line;
+    while ((line = this.peekLine()) && line.indent === indent && (line.content === '-' || line.content.startsWith('- '))) {
+      const rest = line.content.slice(1).replace(/^ +/, '');
+      if (!rest || rest.startsWith('#')) {
+        this.position++;
+        const next = this.peekLine();
+        items.push(next && next.indent > indent ? this.parseNode(next.indent, indent) : null);
+        continue;
+      }
+
+      // Re-read the rest of the line as if it started on its own, indented past the dash
+      const offset = line.raw.length - line.raw.trimStart().length + (line.content.length - rest.length);
+      this.lines[this.position] = { ...line, indent: offset, content: rest };
+      items.push(this.parseNode(offset, indent));
+    }
+
+    if (line && line.indent > indent) this.fail('Bad indentation of a sequence entry', line);
+    return items;
+  }
+
+  parseMapping(indent) {
+    const mapping = {};
+
+    let line;
+    while ((line = this.peekLine()) && line.indent === indent) {
+      if (line.content === '-' || line.content.startsWith('- ')) break;
+
+      const colon = this.findMappingColon(line.content);
+      if (colon === -1) this.fail(`Expected a mapping key but found '${line.content}'`, line);
+
+      const keyText = line.content.slice(0, colon).trim();
+      const key = keyText.startsWith('"') || keyText.startsWith("'")
+        ? this.parseQuoted(keyText, line).value
+        : keyText;
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) this.fail(`Duplicate key '${key}'`, line);
+
+      const rest = line.content.slice(colon + 1).trim();
+      this.position++;
+
+      if (!rest || rest.startsWith('#')) {
+        const next = this.peekLine();
+        if (next && next.indent > indent) {
+          mapping[key] = this.parseNode(next.indent, indent);
+        } else if (next && next.indent === indent && (next.content === '-' || next.content.startsWith('- '))) {
+          mapping[key] = this.parseSequence(indent);
+        } else {
+          mapping[key] = null;
+        }
+      } else {
+        mapping[key] = this.parseInlineValue(rest, line, indent);
+      }
+    }
+
+    if (line && line.indent > indent) this.fail('Bad indentation of a mapping entry', line);
+    return mapping;
+  }
+
+  /**
+   * Find the ': ' (or trailing ':') that separates a key from its value
+   * @param {string} content - Line content
+   * @returns {number} Index of the colon, or -1 when the line is not a key
+   */
+  findMappingColon(content) {
+    if (content.startsWith('"') || content.startsWith("'")) {
+      const quote = content[0];
+      for (let i = 1; i < content.length; i++) {
+        if (quote === '"' && content[i] === '\\') {
+          i++;
+        } else if (content[i] === quote) {
+          if (quote === "'" && content[i + 1] === "'") {
+            i++;
+            continue;
+          }
+          const after = content.slice(i + 1).match(/^\s*:(?=\s|$)/);
+          return after ? i + after[0].length : -1;
+        }
+      }
+      return -1;
+    }
+
+    if (/^[[{|>!&*]/.test(content)) return -1;
+    const match = content.match(/:(?=\s|$)/);
+    if (!match) return -1;
+    const hash = content.search(/(^|\s)#/);
+    return hash !== -1 && hash < match.index ? -1 : match.index;
+  }
+
+  parseInlineValue(text, line, parentIndent) {
+    if (/^[|>]/.test(text)) {
+      return this.parseBlockScalar(text, line, parentIndent);
+    }
+
+    if (text.startsWith('"') || text.startsWith("'")) {
+      const { value, end } = this.parseQuoted(text, line);
+      const rest = text.slice(end).trim();
+      if (rest && !rest.startsWith('#')) this.fail(`Unexpected '${rest}' after quoted scalar`, line);
+      return value;
+    }
+
+    if (text.startsWith('[') || text.startsWith('{')) {
+      const flow = { text, index: 0 };
+      const value = this.parseFlowNode(flow, line);
+      const rest = text.slice(flow.index).trim();
+      if (rest && !rest.startsWith('#')) this.fail(`Unexpected '${rest}' after flow collection`, line);
+      return value;
+    }
+
+    return resolveYAMLScalar(text.replace(/\s+#.*$/, ''));
+  }
+
+  /**
+   * Parse a double or single quoted scalar at the start of text
+   * @returns {Object} { value, end } where end is the index after the closing quote
+   */
+  parseQuoted(text, line) {
+    const quote = text[0];
+    let value = '';
+
+    for (let i = 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote === "'") {
+        if (char === "'") {
+          if (text[i + 1] === "'") {
+            value += "'";
+            i++;
+            continue;
+          }
+          return { value, end: i + 1 };
+        }
+        value += char;
+        continue;
+      }
+
+      if (char === '"') return { value, end: i + 1 };
+      if (char !== '\\') {
+        value += char;
+        continue;
+      }
+
+      const escape = text[++i];
+      const widths = { x: 2, u: 4, U: 8 };
+      if (widths[escape]) {
+        const hex = text.slice(i + 1, i + 1 + widths[escape]);
+        if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== widths[escape]) this.fail(`Invalid escape '\\${escape}${hex}'`, line);
+        value += String.fromCodePoint(parseInt(hex, 16));
+        i += widths[escape];
+      } else if (escape in YAML_ESCAPES) {
+        value += YAML_ESCAPES[escape];
+      } else {
+        this.fail(`Invalid escape '\\${escape}'`, line);
+      }
+    }
+
+    this.fail('Unterminated quoted scalar', line);
+  }
+
+  /**
+   * Parse a literal (|) or folded (>) block scalar whose content lines follow
+   */
+  parseBlockScalar(header, line, parentIndent) {
+    const match = header.match(/^([|>])([+-]?)(\d?)([+-]?)\s*(?:#.*)?$/);
+    if (!match) this.fail(`Invalid block scalar header '${header}'`, line);
+
+    const folded = match[1] === '>';
+    const chomping = match[2] || match[4];
+    let contentIndent = match[3] ? parentIndent + Number(match[3]) : null;
+    const contentLines = [];
+
+    while (this.position < this.lines.length) {
+      const next = this.lines[this.position];
+      if (!next.content) {
+        contentLines.push(next.raw.slice(contentIndent ?? next.raw.length));
+        this.position++;
+        continue;
+      }
+      if (contentIndent === null) {
+        if (next.indent <= parentIndent) break;
+        contentIndent = next.indent;
+      }
+      if (next.indent < contentIndent) break;
+      contentLines.push(next.raw.slice(contentIndent));
+      this.position++;
+    }
+
+    // Trailing blank lines belong to chomping, not to the content
+    let trailing = 0;
+    while (trailing < contentLines.length && !contentLines[contentLines.length - 1 - trailing].trim()) {
+      trailing++;
+    }
+    const body = contentLines.slice(0, contentLines.length - trailing);
+
+    let text;
+    if (folded) {
+      // Single breaks fold into spaces, blank lines become breaks, more indented lines keep theirs
+      text = body.reduce((result, current, index) => {
+        if (index === 0) return current;
+        const previous = body[index - 1];
+        if (!current) return `${result}\n`;
+        if (!previous) return result + current;
+        const keepBreak = /^\s/.test(current) || /^\s/.test(previous);
+        return result + (keepBreak ? '\n' : ' ') + current;
+      }, '');
+    } else {
+      text = body.join('\n');
+    }
+
+    if (body.length === 0) return chomping === '+' ? '\n'.repeat(trailing) : '';
+    if (chomping === '-') return text;
+    if (chomping === '+') return text + '\n'.repeat(trailing + 1);
+    return text + '\n';
+  }
+
+  /**
+   * Parse a flow sequence, flow mapping or scalar inside a flow collection
+   */
+  parseFlowNode(flow, line) {
+    const skipSpace = () => {
+      while (flow.index < flow.text.length && /\s/.test(flow.text[flow.index])) flow.index++;
+    };
+    skipSpace();
+    const char = flow.text[flow.index];
+
+    if (char === '[' || char === '{') {
+      const closing = char === '[' ? ']' : '}';
+      const collection = char === '[' ? [] : {};
+      flow.index++;
+
+      for (;;) {
+        skipSpace();
+        if (flow.text[flow.index] === closing) {
+          flow.index++;
+          return collection;
+        }
+
+        if (Array.isArray(collection)) {
+          collection.push(this.parseFlowNode(flow, line));
+        } else {
+          const key = this.parseFlowNode(flow, line);
+          skipSpace();
+          let value = null;
+          if (flow.text[flow.index] === ':') {
+            flow.index++;
+            value = this.parseFlowNode(flow, line);
+          }
+          collection[String(key)] = value;
+        }
+
+        skipSpace();
+        if (flow.text[flow.index] === ',') {
+          flow.index++;
+        } else if (flow.text[flow.index] !== closing) {
+          this.fail(`Expected ',' or '${closing}' in flow collection`, line);
+        }
+      }
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = this.parseQuoted(flow.text.slice(flow.index), line);
+      flow.index += end;
+      return value;
+    }
+
+    const match = flow.text.slice(flow.index).match(/^(?:[^,[\]{}:]|:(?!\s|[,\]}]))*/);
+    flow.index += match[0].length;
+    if (!match[0].trim() && flow.index >= flow.text.length) this.fail('Unterminated flow collection', line);
+    return resolveYAMLScalar(match[0]);
+  }
+}
+
+/**
+ * Parse a YAML document. Covers the block and flow styles written by common
+ * serializers; anchors, aliases and tags are not supported.
+ * @param {string} text - YAML text
+ * @returns {any} Parsed value
+ */
+export function parseYAML(text) {
+  return new YAMLParser(text).parseDocument();
+}
+
+// ---------------------------------------------------------------------------
+// SQL
+// ---------------------------------------------------------------------------
+
+/**
+ * Split SQL text into statements on semicolons outside strings, quoted
+ * identifiers and comments
+ * @param {string} sql - SQL text
+ * @returns {Array} Statements as { text, line, column }
+ */
+export function splitSQLStatements(sql) {
+  const statements = [];
+  let start = 0;
+  let quote = null;
+  let line = 1;
+  let lineStart = 0;
+  let startLine = 1;
+  let startColumn = 1;
+
+  const pushStatement = (end) => {
+    const text = sql.slice(start, end);
+    if (text.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '').trim()) {
+      statements.push({ text, line: startLine, column: startColumn });
+    }
+  };
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (char === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+
+    if (quote) {
+      if (char === quote) {
+        if (quote === "'" && sql[i + 1] === "'") {
+          i++;
+        } else {
+          quote = null;
+        }
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+    } else if (char === '[') {
+      quote = ']';
+    } else if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = (end === -1 ? sql.length : end) - 1;
+    } else if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const stop = end === -1 ? sql.length : end + 2;
+      for (let j = i + 2; j < stop; j++) {
+        if (sql[j] === '\n') {
+          line++;
+          lineStart = j + 1;
+        }
+      }
+      i = stop - 1;
+    } else if (char === ';') {
+      pushStatement(i);
+      start = i + 1;
+      startLine = line;
+      startColumn = start - lineStart + 1;
+    }
+  }
+
+  pushStatement(sql.length);
+  return statements;
+}
+
+/**
+ * Tokenize one statement, reporting positions relative to the whole dump
+ */
+const tokenizeStatement = (statement) => {
+  const shift = (line, column) => ({
+    line: line + statement.line - 1,
+    column: line === 1 ? column + statement.column - 1 : column
+  });
+
+  try {
+    return tokenizeSQL(statement.text).map(token => ({ ...token, ...shift(token.line, token.column) }));
+  } catch (error) {
+    if (error instanceof SQLParseError) {
+      const position = shift(error.line, error.column);
+      throw new SQLParseError(error.reason, position.line, position.column);
+    }
+    throw error;
+  }
+};
+
+/**
+ * SQL column type names mapped to LocalStorageDB data types
+ */
+const SQL_TYPE_PATTERNS = [
+  [/^(BOOL|BOOLEAN|BIT)$/, 'boolean'],
+  [/^((TINY|SMALL|MEDIUM|BIG)?INT(EGER)?\d*|(SMALL|BIG)?SERIAL\d*|REAL|FLOAT\d*|DOUBLE|DECIMAL|NUMERIC|NUMBER|MONEY)$/, 'number'],
+  [/^(DATE|DATETIME|TIMESTAMP|TIMESTAMPTZ|TIME|TIMETZ)$/, 'date'],
+  [/^JSONB?$/, 'json']
+];
+
+/**
+ * Map a SQL column type to a LocalStorageDB data type
+ * @param {string} sqlType - Type name, e.g. 'VARCHAR' or 'INTEGER'
+ * @returns {string} Data type
+ */
+export const mapSQLType = (sqlType) => {
+  const upper = String(sqlType || '').toUpperCase();
+  const match = SQL_TYPE_PATTERNS.find(([pattern]) => pattern.test(upper));
+  return match ? match[1] : 'string';
+};
+
+/**
+ * Parser for the CREATE TABLE, ALTER TABLE and INSERT statements of a SQL dump
+ */
+class SQLDumpParser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new SQLParseError(message, token.line, token.column);
+  }
+
+  describe(token) {
+    if (token.type === 'eof') return 'end of statement';
+    return token.type === 'string' ? `string '${token.value}'` : `'${token.value}'`;
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.upper === keyword;
+  }
+
+  matchKeyword(...keywords) {
+    return keywords.some(keyword => this.isKeyword(keyword)) ? this.next() : null;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.isKeyword(keyword)) this.fail(`Expected ${keyword} but found ${this.describe(this.peek())}`);
+    return this.next();
+  }
+
+  isSymbol(symbol) {
+    const token = this.peek();
+    return token.type === 'symbol' && token.value === symbol;
+  }
+
+  matchSymbol(symbol) {
+    return this.isSymbol(symbol) ? this.next() : null;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.isSymbol(symbol)) this.fail(`Expected '${symbol}' but found ${this.describe(this.peek())}`);
+    return this.next();
+  }
+
+  expectName(expected) {
+    const token = this.peek();
+    if (token.type !== 'identifier' && token.type !== 'word') {
+      this.fail(`Expected ${expected} but found ${this.describe(token)}`);
+    }
+    return this.next().value;
+  }
+
+  /**
+   * Table name, dropping any schema or database qualifier
+   */
+  parseTableName() {
+    let name = this.expectName('table name');
+    while (this.matchSymbol('.')) {
+      name = this.expectName('table name');
+    }
+    return name;
+  }
+
+  parseNameList() {
+    this.expectSymbol('(');
+    const names = [this.expectName('column name')];
+    while (this.matchSymbol(',')) {
+      names.push(this.expectName('column name'));
+    }
+    // Index prefix lengths and sort orders, e.g. KEY (`name`(10) DESC)
+    while (!this.matchSymbol(')')) {
+      if (this.peek().type === 'eof') this.fail("Expected ')'");
+      this.next();
+    }
+    return names;
+  }
+
+  /**
+   * Skip a parenthesised group, including nested parentheses
+   */
+  skipGroup() {
+    this.expectSymbol('(');
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.next();
+      if (token.type === 'eof') this.fail("Expected ')'", token);
+      if (token.type === 'symbol' && token.value === '(') depth++;
+      if (token.type === 'symbol' && token.value === ')') depth--;
+    }
+  }
+
+  /**
+   * value := string | [+|-] number | NULL | TRUE | FALSE | bare word
+   */
+  parseLiteral() {
+    const token = this.next();
+
+    if (token.type === 'string') return token.value;
+    if (token.type === 'number') return Number(token.value);
+    if (token.type === 'symbol' && (token.value === '-' || token.value === '+') && this.peek().type === 'number') {
+      const number = Number(this.next().value);
+      return token.value === '-' ? -number : number;
+    }
+    if (token.type === 'word') {
+      if (token.upper === 'NULL') return null;
+      if (token.upper === 'TRUE') return true;
+      if (token.upper === 'FALSE') return false;
+      // Bare keywords such as CURRENT_TIMESTAMP are kept as text
+      if (!this.isSymbol('(')) return token.value;
+    }
+
+    this.fail(`Unsupported value ${this.describe(token)}`, token);
+  }
+
+  parseReferences() {
+    this.expectKeyword('REFERENCES');
+    const reference = { toTable: this.parseTableName(), toField: 'id', onDelete: null };
+    if (this.isSymbol('(')) {
+      reference.toField = this.parseNameList()[0];
+    }
+
+    while (this.matchKeyword('ON')) {
+      const event = this.next();
+      const action = this.matchKeyword('CASCADE', 'RESTRICT')?.upper ||
+        (this.matchKeyword('SET') && this.matchKeyword('NULL', 'DEFAULT') ? 'SET NULL' : null) ||
+        (this.matchKeyword('NO') && this.expectKeyword('ACTION') ? 'RESTRICT' : null);
+      if (!action) this.fail('Expected a referential action');
+      if (event.upper === 'DELETE') reference.onDelete = action;
+    }
+
+    return reference;
+  }
+
+  parseColumn(table) {
+    const column = {
+      name: this.expectName('column name'),
+      sqlType: null,
+      type: 'string',
+      notNull: false,
+      unique: false,
+      primaryKey: false,
+      default: undefined,
+      references: null
+    };
+
+    if (this.peek().type === 'word' && !this.isConstraintStart()) {
+      const words = [this.next().value];
+      // Multi-word types such as DOUBLE PRECISION or CHARACTER VARYING
+      while (this.peek().type === 'word' && !this.isConstraintStart() && /^(PRECISION|VARYING|UNSIGNED|ZEROFILL|WITH|WITHOUT|TIME|ZONE)$/.test(this.peek().upper)) {
+        words.push(this.next().value);
+      }
+      column.sqlType = words.join(' ');
+      column.type = mapSQLType(words[0]);
+      if (this.isSymbol('(')) this.skipGroup();
+    }
+
+    for (;;) {
+      if (this.matchKeyword('NOT')) {
+        this.expectKeyword('NULL');
+        column.notNull = true;
+      } else if (this.matchKeyword('NULL')) {
+        column.notNull = false;
+      } else if (this.matchKeyword('PRIMARY')) {
+        this.expectKeyword('KEY');
+        this.matchKeyword('ASC', 'DESC');
+        column.primaryKey = true;
+      } else if (this.matchKeyword('UNIQUE')) {
+        this.matchKeyword('KEY');
+        column.unique = true;
+      } else if (this.matchKeyword('DEFAULT')) {
+        if (this.isSymbol('(')) {
+          this.skipGroup();
+        } else {
+          column.default = this.parseLiteral();
+        }
+      } else if (this.isKeyword('REFERENCES')) {
+        column.references = this.parseReferences();
+      } else if (this.matchKeyword('CHECK')) {
+        this.skipGroup();
+      } else if (this.matchKeyword('CONSTRAINT')) {
+        this.expectName('constraint name');
+      } else if (this.matchKeyword('COLLATE', 'COMMENT', 'CHARACTER', 'CHARSET')) {
+        this.matchKeyword('SET');
+        this.next();
+      } else if (this.matchKeyword('AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY', 'UNSIGNED', 'SIGNED')) {
+        if (this.isSymbol('(')) this.skipGroup();
+      } else if (this.isSymbol(',') || this.isSymbol(')')) {
+        break;
+      } else {
+        this.fail(`Unexpected ${this.describe(this.peek())} in definition of ${table}.${column.name}`);
+      }
+    }
+
+    return column;
+  }
+
+  isConstraintStart() {
+    return ['NOT', 'NULL', 'PRIMARY', 'UNIQUE', 'DEFAULT', 'REFERENCES', 'CHECK', 'CONSTRAINT',
+      'COLLATE', 'COMMENT', 'AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY'].some(keyword => this.isKeyword(keyword));
+  }
+
+  /**
+   * create := CREATE [TEMPORARY] TABLE [IF NOT EXISTS] name ( column | table_constraint, ... ) [options]
+   */
+  parseCreateTable() {
+    this.expectKeyword('CREATE');
+    this.matchKeyword('TEMPORARY', 'TEMP');
+    this.expectKeyword('TABLE');
+    if (this.matchKeyword('IF')) {
+      this.expectKeyword('NOT');
+      this.expectKeyword('EXISTS');
+    }
+
+    const table = { name: this.parseTableName(), columns: [], foreignKeys: [] };
+    const findColumn = name => table.columns.find(column => column.name === name);
+
+    this.expectSymbol('(');
+    do {
+      if (this.matchKeyword('CONSTRAINT')) {
+        this.expectName('constraint name');
+      }
+
+      if (this.matchKeyword('PRIMARY')) {
+        this.expectKeyword('KEY');
+        const names = this.parseNameList();
+        names.forEach(name => {
+          const column = findColumn(name);
+          if (!column) return;
+          column.notNull = true;
+          // Only a single column key is unique on its own
+          if (names.length === 1) column.primaryKey = true;
+        });
+      } else if (this.matchKeyword('UNIQUE')) {
+        this.matchKeyword('KEY', 'INDEX');
+        if (!this.isSymbol('(')) this.expectName('index name');
+        const names = this.parseNameList();
+        if (names.length === 1 && findColumn(names[0])) findColumn(names[0]).unique = true;
+      } else if (this.matchKeyword('FOREIGN')) {
+        this.expectKeyword('KEY');
+        const names = this.parseNameList();
+        const reference = this.parseReferences();
+        table.foreignKeys.push({ fromField: names[0], ...reference });
+      } else if (this.matchKeyword('CHECK')) {
+        this.skipGroup();
+      } else if (this.isKeyword('KEY') || this.isKeyword('INDEX') || this.isKeyword('FULLTEXT') || this.isKeyword('SPATIAL')) {
+        this.next();
+        this.matchKeyword('KEY', 'INDEX');
+        if (!this.isSymbol('(')) this.expectName('index name');
+        this.parseNameList();
+      } else {
+        const column = this.parseColumn(table.name);
+        if (column.references) {
+          table.foreignKeys.push({ fromField: column.name, ...column.references });
+        }
+        table.columns.push(column);
+      }
+    } while (this.matchSymbol(','));
+    this.expectSymbol(')');
+
+    // Table options such as ENGINE=InnoDB are ignored
+    return table;
+  }
+
+  /**
+   * alter := ALTER TABLE [ONLY] [IF EXISTS] name ADD [CONSTRAINT name] FOREIGN KEY ( column ) references
+   * Other ALTER TABLE statements return null.
+   */
+  parseAlterTable() {
+    this.expectKeyword('ALTER');
+    this.expectKeyword('TABLE');
+    this.matchKeyword('ONLY');
+    if (this.matchKeyword('IF')) this.expectKeyword('EXISTS');
+    const tableName = this.parseTableName();
+
+    if (!this.matchKeyword('ADD')) return null;
+    if (this.matchKeyword('CONSTRAINT')) this.expectName('constraint name');
+    if (!this.matchKeyword('FOREIGN')) return null;
+    this.expectKeyword('KEY');
+    const names = this.parseNameList();
+    return { table: tableName, foreignKey: { fromField: names[0], ...this.parseReferences() } };
+  }
+
+  /**
+   * insert := INSERT [OR action | IGNORE] INTO name [( column, ... )] VALUES ( value, ... ), ...
+   */
+  parseInsert() {
+    this.expectKeyword('INSERT');
+    if (this.matchKeyword('OR')) this.next();
+    this.matchKeyword('IGNORE');
+    this.expectKeyword('INTO');
+
+    const insert = { table: this.parseTableName(), columns: null, rows: [] };
+    if (this.isSymbol('(')) {
+      insert.columns = this.parseNameList();
+    }
+
+    this.expectKeyword('VALUES');
+    do {
+      const openToken = this.expectSymbol('(');
+      const values = [];
+      if (!this.isSymbol(')')) {
+        values.push(this.parseLiteral());
+        while (this.matchSymbol(',')) {
+          values.push(this.parseLiteral());
+        }
+      }
+      this.expectSymbol(')');
+      insert.rows.push({ values, token: openToken });
+    } while (this.matchSymbol(','));
+
+    if (this.peek().type !== 'eof' && !this.isKeyword('ON')) {
+      this.fail(`Unexpected ${this.describe(this.peek())} after INSERT values`);
+    }
+    return insert;
+  }
+}
+
+/**
+ * Parse the CREATE TABLE and INSERT statements of a SQL dump, and foreign
+ * keys added by ALTER TABLE to tables it creates. Other statements (DROP,
+ * SET, transactions, indexes...) are skipped. Multi-row
+ * INSERTs are supported, and INSERTs without a column list use the column
+ * order of the table's CREATE TABLE.
+ * @param {string} sql - SQL dump text
+ * @returns {Array} Tables in order of appearance as { name, columns, foreignKeys, rows }
+ */
+export function parseSQLDump(sql) {
+  const tables = new Map();
+  const getTable = name => {
+    if (!tables.has(name)) {
+      tables.set(name, { name, columns: null, foreignKeys: [], rows: [] });
+    }
+    return tables.get(name);
+  };
+
+  splitSQLStatements(sql).forEach(statement => {
+    const keyword = statement.text
+      .replace(/^(?:\s+|--[^\n]*|\/\*[\s\S]*?\*\/)*/, '')
+      .match(/^[A-Za-z]+(?:\s+(?:OR\s+[A-Za-z]+\s+|IGNORE\s+|TEMP(?:ORARY)?\s+)?[A-Za-z]+)?/);
+    const words = keyword ? keyword[0].toUpperCase().split(/\s+/) : [];
+
+    if (words[0] === 'CREATE' && words[words.length - 1] === 'TABLE') {
+      const parser = new SQLDumpParser(tokenizeStatement(statement));
+      const definition = parser.parseCreateTable();
+      const table = getTable(definition.name);
+      table.columns = definition.columns;
+      table.foreignKeys.push(...definition.foreignKeys);
+    } else if (words[0] === 'ALTER' && words[1] === 'TABLE') {
+      const alter = new SQLDumpParser(tokenizeStatement(statement)).parseAlterTable();
+      if (alter && tables.has(alter.table)) {
+        tables.get(alter.table).foreignKeys.push(alter.foreignKey);
+      }
+    } else if (words[0] === 'INSERT') {
+      const parser = new SQLDumpParser(tokenizeStatement(statement));
+      const insert = parser.parseInsert();
+      const table = getTable(insert.table);
+      const columns = insert.columns || (table.columns || []).map(column => column.name);
+
+      insert.rows.forEach(({ values, token }) => {
+        if (values.length !== columns.length) {
+          parser.fail(`Expected ${columns.length} values for ${insert.table} but found ${values.length}`, token);
+        }
+        const row = {};
+        columns.forEach((column, index) => {
+          row[column] = values[index];
+        });
+        table.rows.push(row);
+      });
+    }
+  });
+
+  return Array.from(tables.values());
+}
+
+export default {
+  parseXML,
+  parseYAML,
+  parseSQLDump
+};
@@ -0,0 +1,245 @@
+/**
+ * ERD Layout and Rendering Utilities
+ * Places table nodes, styles relationship edges by confidence and renders
+ * the diagram to standalone SVG or PNG
+ */
+
+import { RelationshipStatus } from './relationshipMapper.js';
+
+/**
+ * Table node dimensions shared by the canvas and the exported image
+ */
+export const ERDNodeSize = {
+  WIDTH: 240,
+  HEADER_HEIGHT: 40,
+  ROW_HEIGHT: 24,
+  PADDING: 8
+};
+
+const COLUMN_GAP = 140;
+const ROW_GAP = 60;
+
+/**
+ * Edge styles for each confidence level; accepted and rejected relationships override them
+ */
+export const ConfidenceStyles = {
+  high: { label: 'High confidence', stroke: '#16a34a', strokeWidth: 2, strokeDasharray: null, opacity: 1 },
+  medium: { label: 'Medium confidence', stroke: '#2563eb', strokeWidth: 2, strokeDasharray: '8 4', opacity: 1 },
+  low: { label: 'Low confidence', stroke: '#d97706', strokeWidth: 1.5, strokeDasharray: '2 4', opacity: 0.9 },
+  veryLow: { label: 'Very low confidence', stroke: '#9ca3af', strokeWidth: 1, strokeDasharray: '2 6', opacity: 0.7 }
+};
+
+/**
+ * Edge styles for reviewed relationships
+ */
+export const StatusStyles = {
+  [RelationshipStatus.ACCEPTED]: { label: 'Accepted', stroke: '#6750a4', strokeWidth: 2.5, strokeDasharray: null, opacity: 1 },
+  [RelationshipStatus.REJECTED]: { label: 'Rejected', stroke: '#dc2626', strokeWidth: 1, strokeDasharray: '4 4', opacity: 0.5 }
+};
+
+/**
+ * Get the stroke style of an ERD edge
+ * @param {Object} edge - ERD edge from generateERD
+ * @returns {Object} { stroke, strokeWidth, strokeDasharray, opacity }
+ */
+export const getEdgeStyle = (edge) => {
+  return StatusStyles[edge.data.status] || ConfidenceStyles[edge.data.confidenceLevel] || ConfidenceStyles.veryLow;
+};
+
+/**
+ * Height of a table node
+ * @param {Object} node - ERD node
+ * @returns {number} Height in pixels
+ */
+export const getNodeHeight = (node) => {
+  return ERDNodeSize.HEADER_HEIGHT + Math.max(node.data.columns.length, 1) * ERDNodeSize.ROW_HEIGHT + ERDNodeSize.PADDING;
+};
+
+/**
+ * Place nodes in columns by reference depth: tables that reference nothing
+ * sit on the left and each referencing table one column right of its targets.
+ * Nodes with a saved position keep it unless relayout is set.
+ * @param {Array} nodes - ERD nodes
+ * @param {Array} edges - ERD edges
+ * @param {Object} options - Layout options
+ * @param {boolean} options.relayout - Ignore saved positions
+ * @returns {Object} Table name to { x, y }
+ */
+export const layoutERD = (nodes, edges, options = {}) => {
+  const references = new Map(nodes.map(node => [node.id, new Set()]));
+  edges
+    .filter(edge => edge.data.status !== RelationshipStatus.REJECTED && edge.source !== edge.target)
+    .forEach(edge => references.get(edge.source)?.add(edge.target));
+
+  const depths = new Map();
+  const visiting = new Set();
+  const depthOf = (id) => {
+    if (depths.has(id)) return depths.get(id);
+    if (visiting.has(id)) return 0; // Reference cycle
+    visiting.add(id);
+    const targets = Array.from(references.get(id) || []);
+    const depth = targets.length === 0 ? 0 : 1 + Math.max(...targets.map(depthOf));
+    visiting.delete(id);
+    depths.set(id, depth);
+    return depth;
+  };
+
+  const columns = [];
+  nodes.forEach(node => {
+    const depth = depthOf(node.id);
+    (columns[depth] = columns[depth] || []).push(node);
+  });
+
+  const positions = {};
+  columns.forEach((column, depth) => {
+    let y = 0;
+    column.forEach(node => {
+      positions[node.id] = !options.relayout && node.position
+        ? node.position
+        : { x: depth * (ERDNodeSize.WIDTH + COLUMN_GAP), y };
+      y += getNodeHeight(node) + ROW_GAP;
+    });
+  });
+
+  return positions;
+};
+
+/**
+ * Escape text for SVG content and attributes
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeSVG = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Vertical centre of a column row within a node
+ */
+const columnY = (node, position, columnName) => {
+  const index = Math.max(node.data.columns.findIndex(column => column.name === columnName), 0);
+  return position.y + ERDNodeSize.HEADER_HEIGHT + index * ERDNodeSize.ROW_HEIGHT + ERDNodeSize.ROW_HEIGHT / 2;
+};
+
+/**
+ * Render the diagram as a standalone SVG document
+ * @param {Array} nodes - ERD nodes
+ * @param {Array} edges - ERD edges to draw
+ * @param {Object} positions - Table name to { x, y }
+ * @returns {string} SVG markup
+ */
+export const renderERDToSVG = (nodes, edges, positions) => {
+  const margin = 40;
+  const bounds = nodes.reduce((box, node) => {
+    const { x, y } = positions[node.id];
+    return {
+      minX: Math.min(box.minX, x),
+      minY: Math.min(box.minY, y),
+      maxX: Math.max(box.maxX, x + ERDNodeSize.WIDTH),
+      maxY: Math.max(box.maxY, y + getNodeHeight(node))
+    };
+  }, { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+
+  if (nodes.length === 0) {
+    Object.assign(bounds, { minX: 0, minY: 0, maxX: 0, maxY: 0 });
+  }
+
+  const width = Math.ceil(bounds.maxX - bounds.minX + margin * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + margin * 2);
+  const offsetX = margin - bounds.minX;
+  const offsetY = margin - bounds.minY;
+  const nodesById = new Map(nodes.map(node => [node.id, node]));
+  const parts = [];
+
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, Arial, sans-serif">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  parts.push('<defs>');
+  [...Object.entries(ConfidenceStyles), ...Object.entries(StatusStyles)].forEach(([key, style]) => {
+    parts.push(`<marker id="arrow-${key}" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="${style.stroke}"/></marker>`);
+  });
+  parts.push('</defs>');
+
+  // Edges first so the tables are drawn over their ends
+  edges.forEach(edge => {
+    const source = nodesById.get(edge.source);
+    const target = nodesById.get(edge.target);
+    if (!source || !target) return;
+
+    const sourcePosition = positions[edge.source];
+    const targetPosition = positions[edge.target];
+    const leftToRight = sourcePosition.x <= targetPosition.x;
+    const x1 = offsetX + sourcePosition.x + (leftToRight ? ERDNodeSize.WIDTH : 0);
+    const x2 = offsetX + targetPosition.x + (leftToRight ? 0 : ERDNodeSize.WIDTH);
+    const y1 = offsetY + columnY(source, sourcePosition, edge.data.fromColumn);
+    const y2 = offsetY + columnY(target, targetPosition, edge.data.toColumn);
+    const bend = Math.max(Math.abs(x2 - x1) / 2, 40) * (leftToRight ? 1 : -1);
+
+    const style = getEdgeStyle(edge);
+    const markerKey = StatusStyles[edge.data.status] ? edge.data.status : edge.data.confidenceLevel;
+    parts.push(
+      `<path d="M ${x1} ${y1} C ${x1 + bend} ${y1}, ${x2 - bend} ${y2}, ${x2} ${y2}" fill="none" stroke="${style.stroke}" ` +
+      `stroke-width="${style.strokeWidth}" opacity="${style.opacity}"` +
+      `${style.strokeDasharray ? ` stroke-dasharray="${style.strokeDasharray}"` : ''} marker-end="url(#arrow-${markerKey})"/>`
+    );
+    parts.push(
+      `<text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 6}" font-size="11" text-anchor="middle" fill="${style.stroke}">` +
+      `${escapeSVG(`${Math.round(edge.data.confidence * 100)}%`)}</text>`
+    );
+  });
+
+  nodes.forEach(node => {
+    const x = offsetX + positions[node.id].x;
+    const y = offsetY + positions[node.id].y;
+    const nodeHeight = getNodeHeight(node);
+
+    parts.push(`<g transform="translate(${x} ${y})">`);
+    parts.push(`<rect width="${ERDNodeSize.WIDTH}" height="${nodeHeight}" rx="8" fill="#ffffff" stroke="#79747e"/>`);
+    parts.push(`<path d="M 0 8 A 8 8 0 0 1 8 0 H ${ERDNodeSize.WIDTH - 8} A 8 8 0 0 1 ${ERDNodeSize.WIDTH} 8 V ${ERDNodeSize.HEADER_HEIGHT} H 0 Z" fill="#eaddff"/>`);
+    parts.push(`<text x="12" y="25" font-size="14" font-weight="600" fill="#21005d">${escapeSVG(node.label)}</text>`);
+    parts.push(`<text x="${ERDNodeSize.WIDTH - 12}" y="25" font-size="11" text-anchor="end" fill="#49454f">${node.data.recordCount} rows</text>`);
+
+    node.data.columns.forEach((column, index) => {
+      const rowY = ERDNodeSize.HEADER_HEIGHT + index * ERDNodeSize.ROW_HEIGHT + ERDNodeSize.ROW_HEIGHT / 2 + 4;
+      const marker = column.isPrimaryKey ? 'PK ' : column.isForeignKey ? 'FK ' : '';
+      parts.push(
+        `<text x="12" y="${rowY}" font-size="12" fill="#1d1b20"${column.isPrimaryKey ? ' font-weight="600"' : ''}>` +
+        `${marker ? `<tspan fill="#6750a4" font-size="10">${marker}</tspan>` : ''}${escapeSVG(column.name)}</text>`
+      );
+      parts.push(`<text x="${ERDNodeSize.WIDTH - 12}" y="${rowY}" font-size="11" text-anchor="end" fill="#79747e" font-family="monospace">${escapeSVG(column.type)}</text>`);
+    });
+
+    parts.push('</g>');
+  });
+
+  parts.push('</svg>');
+  return parts.join('\n');
+};
+
+/**
+ * Rasterize an SVG document to a PNG blob in the browser
+ * @param {string} svg - SVG markup from renderERDToSVG
+ * @param {number} scale - Pixel ratio of the image
+ * @returns {Promise<Blob>} PNG image
+ */
+export const renderSVGToPNG = (svg, scale = 2) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width * scale;
+    canvas.height = image.height * scale;
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0);
+    URL.revokeObjectURL(url);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create PNG'))), 'image/png');
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not render diagram'));
+  };
+  image.src = url;
+});
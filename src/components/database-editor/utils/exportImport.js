@@ -3,7 +3,18 @@
  * Handles data export to various formats and import from external sources
  */
 
-import { localStorageDB, DataTypes } from './localStorageDB.js';
+import { localStorageDB, DataTypes, inferDataType, isDateString, coerceValue } from './localStorageDB.js';
+import { schemaManager, ConstraintTypes, RelationshipTypes } from './schemaManager.js';
+import { parseCSV } from './streamingImport.js';
+import {
+  parseXML,
+  parseYAML,
+  parseSQLDump,
+  getChildElements,
+  getElementText,
+  resolveYAMLScalar
+} from './dumpParsers.js';
+import { SQLDialects, SQL_REFERENTIAL_ACTIONS, generateSQLDump } from './ddlGenerator.js';
 import { format } from 'date-fns';
 
 /**
@@ -14,7 +25,8 @@ export const ExportFormats = {
   CSV: 'csv',
   SQL: 'sql',
   XML: 'xml',
-  YAML: 'yaml'
+  YAML: 'yaml',
+  NDJSON: 'ndjson'
 };
 
 /**
@@ -75,6 +87,10 @@ export class ExportImportManager {
         case ExportFormats.YAML:
           ({ data: exportedData, mimeType, fileExtension } = this.exportAsYAML(tableName, data, exportOptions));
           break;
+
+        case ExportFormats.NDJSON:
+          ({ data: exportedData, mimeType, fileExtension } = this.exportAsNDJSON(tableName, data, exportOptions));
+          break;
         
         default:
           return {
@@ -198,62 +214,92 @@ export class ExportImportManager {
   }
 
   /**
-   * Export as SQL
+   * Export as SQL: a CREATE TABLE with the table's schema (when
+   * includeMetadata is set) and its rows, for options.dialect (SQLite by
+   * default). Foreign keys into other existing tables are kept.
    * @param {string} tableName - Table name
    * @param {any} data - Table data
    * @param {Object} options - Export options
    * @returns {Object} Export result
    */
   exportAsSQL(tableName, data, options) {
+    const sql = generateSQLDump(options.dialect || SQLDialects.SQLITE, {
+      tables: [tableName],
+      referencedTables: localStorageDB.discoverTables(),
+      useSchema: options.includeMetadata,
+      dropExisting: options.dropExisting === true
+    });
+
+    return {
+      data: sql,
+      mimeType: 'application/sql',
+      fileExtension: 'sql'
+    };
+  }
+
+  /**
+   * Export as newline-delimited JSON: one record per line, nothing else, so
+   * streaming tools can process the file line by line
+   * @param {string} tableName - Table name
+   * @param {any} data - Table data
+   * @param {Object} options - Export options
+   * @returns {Object} Export result
+   */
+  exportAsNDJSON(tableName, data, options) {
     const records = Array.isArray(data) ? data : [data];
-    const sqlStatements = [];
+    const lines = records.map(record => JSON.stringify(record === undefined ? null : record));
 
-    // Add header comment
-    sqlStatements.push(`-- Export of table '${tableName}'`);
-    sqlStatements.push(`-- Generated on ${new Date().toISOString()}`);
-    sqlStatements.push('');
+    return {
+      data: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+      mimeType: 'application/x-ndjson',
+      fileExtension: 'ndjson'
+    };
+  }
 
-    if (records.length === 0) {
-      sqlStatements.push(`-- No data found in table '${tableName}'`);
-    } else if (typeof records[0] !== 'object' || records[0] === null) {
-      // Handle primitive values
-      sqlStatements.push(`CREATE TABLE IF NOT EXISTS \`${tableName}\` (`);
-      sqlStatements.push('  `value` TEXT');
-      sqlStatements.push(');');
-      sqlStatements.push('');
+  /**
+   * Export every table as one SQL script that loads into an empty database
+   * @param {Object} options - Export options
+   * @param {string} options.dialect - SQLDialects value (default PostgreSQL)
+   * @param {boolean} options.includeData - Include the rows (default true)
+   * @param {boolean} options.dropExisting - Drop the tables first (default true)
+   * @returns {Object} Export result with data and metadata
+   */
+  exportDatabaseAsSQL(options = {}) {
+    const dialect = options.dialect || SQLDialects.POSTGRESQL;
+    const tables = localStorageDB.discoverTables();
+    if (tables.length === 0) {
+      return {
+        success: false,
+        error: 'The database has no tables to export'
+      };
+    }
 
-      records.forEach(record => {
-        const value = this.escapeSQLValue(record);
-        sqlStatements.push(`INSERT INTO \`${tableName}\` (\`value\`) VALUES (${value});`);
+    try {
+      const data = generateSQLDump(dialect, {
+        tables,
+        includeData: options.includeData !== false,
+        dropExisting: options.dropExisting !== false
       });
-    } else {
-      // Handle object records
-      const columns = this.extractUniqueColumns(records);
-      
-      // Create table statement
-      sqlStatements.push(`CREATE TABLE IF NOT EXISTS \`${tableName}\` (`);
-      const columnDefs = columns.map(col => `  \`${col}\` TEXT`);
-      sqlStatements.push(columnDefs.join(',\n'));
-      sqlStatements.push(');');
-      sqlStatements.push('');
-
-      // Insert statements
-      records.forEach(record => {
-        const columnNames = columns.map(col => `\`${col}\``).join(', ');
-        const values = columns.map(col => {
-          const value = record[col];
-          return this.escapeSQLValue(this.formatValueForExport(value, options.dateFormat));
-        }).join(', ');
 
-        sqlStatements.push(`INSERT INTO \`${tableName}\` (${columnNames}) VALUES (${values});`);
-      });
+      return {
+        success: true,
+        data,
+        metadata: {
+          format: ExportFormats.SQL,
+          dialect,
+          exportedAt: new Date().toISOString(),
+          tableCount: tables.length,
+          mimeType: 'application/sql',
+          fileExtension: 'sql',
+          suggestedFilename: `database_${dialect}_${this.getTimestamp()}.sql`
+        }
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Export failed: ${error.message}`
+      };
     }
-
-    return {
-      data: sqlStatements.join('\n'),
-      mimeType: 'application/sql',
-      fileExtension: 'sql'
-    };
   }
 
   /**
@@ -265,25 +311,34 @@ export class ExportImportManager {
    */
   exportAsXML(tableName, data, options) {
     const records = Array.isArray(data) ? data : [data];
+    const isPrimitive = records.length > 0 && (typeof records[0] !== 'object' || records[0] === null);
+    const dumpSchema = options.includeMetadata ? this.getDumpSchema(tableName) : null;
     const xmlLines = [];
 
     xmlLines.push('<?xml version="1.0" encoding="UTF-8"?>');
-    xmlLines.push(`<table name="${this.escapeXMLAttribute(tableName)}" exported="${new Date().toISOString()}">`);
+    xmlLines.push(`<table name="${this.escapeXMLAttribute(tableName)}" exported="${new Date().toISOString()}"${isPrimitive ? ' primitive="true"' : ''}>`);
 
-    if (typeof records[0] !== 'object' || records[0] === null) {
+    // Schema and foreign keys travel as JSON so constraints survive unchanged
+    if (dumpSchema) {
+      xmlLines.push(`  <schema>${this.escapeXMLContent(JSON.stringify(dumpSchema.schema))}</schema>`);
+      if (dumpSchema.relationships.length > 0) {
+        xmlLines.push(`  <relationships>${this.escapeXMLContent(JSON.stringify(dumpSchema.relationships))}</relationships>`);
+      }
+    }
+
+    if (isPrimitive) {
       // Handle primitive values
       records.forEach(record => {
         xmlLines.push(`  <record>`);
-        xmlLines.push(`    <value>${this.escapeXMLContent(String(record))}</value>`);
+        xmlLines.push(`    ${this.formatXMLField('value', record, options.dateFormat)}`);
         xmlLines.push(`  </record>`);
       });
     } else {
       // Handle object records
       records.forEach(record => {
         xmlLines.push(`  <record>`);
-        Object.entries(record).forEach(([key, value]) => {
-          const formattedValue = this.formatValueForExport(value, options.dateFormat);
-          xmlLines.push(`    <${this.sanitizeXMLTagName(key)}>${this.escapeXMLContent(String(formattedValue))}</${this.sanitizeXMLTagName(key)}>`);
+        Object.entries(record || {}).forEach(([key, value]) => {
+          xmlLines.push(`    ${this.formatXMLField(key, value, options.dateFormat)}`);
         });
         xmlLines.push(`  </record>`);
       });
@@ -308,11 +363,18 @@ export class ExportImportManager {
   exportAsYAML(tableName, data, options) {
     const exportObject = {
       table: tableName,
-      exportedAt: new Date().toISOString(),
-      data: data
+      exportedAt: new Date().toISOString()
     };
 
-    // Simple YAML serialization (for basic cases)
+    const dumpSchema = options.includeMetadata ? this.getDumpSchema(tableName) : null;
+    if (dumpSchema) {
+      exportObject.schema = dumpSchema.schema;
+      if (dumpSchema.relationships.length > 0) {
+        exportObject.relationships = dumpSchema.relationships;
+      }
+    }
+    exportObject.data = data;
+
     const yamlContent = this.convertToYAML(exportObject, 0);
 
     return {
@@ -338,16 +400,33 @@ export class ExportImportManager {
     };
 
     try {
-      let parsedData;
-      let suggestedTableName;
+      let parsed;
 
       switch (format.toLowerCase()) {
         case ExportFormats.JSON:
-          ({ data: parsedData, tableName: suggestedTableName } = this.importFromJSON(content, importOptions));
+          parsed = this.importFromJSON(content, importOptions);
           break;
         
         case ExportFormats.CSV:
-          ({ data: parsedData, tableName: suggestedTableName } = this.importFromCSV(content, importOptions));
+          parsed = this.importFromCSV(content, importOptions);
+          break;
+
+        case ExportFormats.XML:
+          parsed = this.importFromXML(content, importOptions);
+          break;
+
+        case ExportFormats.YAML:
+        case 'yml':
+          parsed = this.importFromYAML(content, importOptions);
+          break;
+
+        case ExportFormats.SQL:
+          parsed = this.importFromSQL(content, importOptions);
+          break;
+
+        case ExportFormats.NDJSON:
+        case 'jsonl':
+          parsed = this.importFromNDJSON(content, importOptions);
           break;
         
         default:
@@ -357,33 +436,52 @@ export class ExportImportManager {
           };
       }
 
-      const tableName = importOptions.tableName || suggestedTableName || `imported_${this.getTimestamp()}`;
-
-      // Check if table exists and handle overwrite
-      const existingData = localStorageDB.getTable(tableName);
-      if (existingData && !importOptions.overwrite) {
+      // SQL dumps can hold several tables; every other format holds one
+      const entries = parsed.tables || [parsed];
+      if (entries.length === 0) {
         return {
           success: false,
-          error: `Table '${tableName}' already exists. Use overwrite option to replace.`
+          error: 'No tables found in the imported data'
         };
       }
 
-      // Store the data
-      const success = localStorageDB.setTable(tableName, parsedData);
-      
-      if (success) {
-        return {
-          success: true,
-          tableName,
-          recordCount: Array.isArray(parsedData) ? parsedData.length : 1,
-          message: `Successfully imported data to table '${tableName}'`
-        };
-      } else {
+      const targets = entries.map(entry => ({
+        ...entry,
+        tableName: (entries.length === 1 && importOptions.tableName) || entry.tableName || `imported_${this.getTimestamp()}`
+      }));
+
+      // Check if tables exist and handle overwrite
+      const existing = targets.find(target => localStorageDB.getTable(target.tableName));
+      if (existing && !importOptions.overwrite) {
         return {
           success: false,
-          error: 'Failed to store imported data'
+          error: `Table '${existing.tableName}' already exists. Use overwrite option to replace.`
         };
       }
+
+      // Store the data and register the schema it carries, all or nothing
+      localStorageDB.transaction(() => {
+        targets.forEach(target => {
+          if (!localStorageDB.setTable(target.tableName, target.data)) {
+            throw new Error(`Failed to store imported data for table '${target.tableName}'`);
+          }
+          this.registerImportedSchema(target);
+        });
+      });
+
+      const recordCount = targets.reduce((total, target) => (
+        total + (Array.isArray(target.data) ? target.data.length : 1)
+      ), 0);
+
+      return {
+        success: true,
+        tableName: targets[0].tableName,
+        tables: targets.map(target => target.tableName),
+        recordCount,
+        message: targets.length === 1
+          ? `Successfully imported data to table '${targets[0].tableName}'`
+          : `Successfully imported ${targets.length} tables: ${targets.map(target => target.tableName).join(', ')}`
+      };
     } catch (error) {
       return {
         success: false,
@@ -416,6 +514,29 @@ export class ExportImportManager {
     };
   }
 
+  /**
+   * Import from newline-delimited JSON; blank lines are skipped
+   * @param {string} content - NDJSON content
+   * @param {Object} options - Import options
+   * @returns {Object} Parsed data
+   */
+  importFromNDJSON(content, options) {
+    const records = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+
+    return {
+      data: records,
+      tableName: null
+    };
+  }
+
   /**
    * Import from CSV
    * @param {string} content - CSV content
@@ -423,17 +544,18 @@ export class ExportImportManager {
    * @returns {Object} Parsed data
    */
   importFromCSV(content, options) {
-    const lines = content.split('\n').filter(line => line.trim());
-    if (lines.length === 0) {
+    // RFC 4180 parsing keeps quoted delimiters and line breaks inside their field
+    const { headers, rows } = parseCSV(content, {
+      delimiter: options.delimiter || this.csvDelimiter,
+      quote: options.quote || this.csvQuoteChar
+    });
+    if (headers.length === 0) {
       return { data: [], tableName: null };
     }
 
-    const delimiter = options.delimiter || this.csvDelimiter;
-    const headers = this.parseCSVLine(lines[0], delimiter);
     const records = [];
 
-    for (let i = 1; i < lines.length; i++) {
-      const values = this.parseCSVLine(lines[i], delimiter);
+    for (const values of rows) {
       const record = {};
 
       headers.forEach((header, index) => {
@@ -450,6 +572,177 @@ export class ExportImportManager {
     };
   }
 
+  /**
+   * Import from XML written by exportAsXML. Fields carry their type in a
+   * type attribute; untyped leaves are strings and nested elements objects.
+   * @param {string} content - XML content
+   * @param {Object} options - Import options
+   * @returns {Object} Parsed data with the schema and relationships of the dump
+   */
+  importFromXML(content, options) {
+    const root = parseXML(content);
+    const children = getChildElements(root);
+    const schemaElement = children.find(child => child.name === 'schema');
+    const relationshipsElement = children.find(child => child.name === 'relationships');
+    const isPrimitive = root.attributes.primitive === 'true';
+
+    const records = children
+      .filter(child => child !== schemaElement && child !== relationshipsElement)
+      .map(record => {
+        const fields = getChildElements(record);
+        if (isPrimitive) {
+          return fields.length > 0 ? this.readXMLValue(fields[0]) : null;
+        }
+        return this.readXMLFields(fields);
+      });
+
+    return {
+      data: records,
+      tableName: root.attributes.name || null,
+      schema: schemaElement ? JSON.parse(getElementText(schemaElement)) : null,
+      relationships: relationshipsElement ? JSON.parse(getElementText(relationshipsElement)) : []
+    };
+  }
+
+  /**
+   * Import from YAML
+   * @param {string} content - YAML content
+   * @param {Object} options - Import options
+   * @returns {Object} Parsed data with the schema and relationships of the dump
+   */
+  importFromYAML(content, options) {
+    const parsed = parseYAML(content);
+
+    // Check if it's our export format
+    if (parsed && typeof parsed === 'object' && parsed.table && parsed.data !== undefined) {
+      return {
+        data: parsed.data,
+        tableName: String(parsed.table),
+        schema: parsed.schema || null,
+        relationships: parsed.relationships || []
+      };
+    }
+
+    // Raw YAML data
+    return {
+      data: parsed,
+      tableName: null,
+      schema: null,
+      relationships: []
+    };
+  }
+
+  /**
+   * Import from a SQL dump. Every table created or inserted into becomes an
+   * imported table; CREATE TABLE column types coerce the inserted values and
+   * its constraints and REFERENCES become the table's schema.
+   * @param {string} content - SQL content
+   * @param {Object} options - Import options
+   * @returns {Object} Parsed tables
+   */
+  importFromSQL(content, options) {
+    const tables = parseSQLDump(content).map(table => {
+      if (!table.columns) {
+        return { tableName: table.name, data: table.rows, schema: null, relationships: [] };
+      }
+
+      const columnTypes = {};
+      table.columns.forEach(column => {
+        columnTypes[column.name] = column.type;
+      });
+
+      const data = table.rows.map(row => {
+        const record = {};
+        Object.entries(row).forEach(([column, value]) => {
+          record[column] = columnTypes[column] ? coerceValue(value, columnTypes[column]) : value;
+        });
+        return record;
+      });
+
+      return {
+        tableName: table.name,
+        data,
+        schema: this.buildSchemaFromSQL(table, data),
+        relationships: table.foreignKeys.map(foreignKey => ({
+          fromField: foreignKey.fromField,
+          toTable: foreignKey.toTable,
+          toField: foreignKey.toField,
+          type: RelationshipTypes.MANY_TO_ONE,
+          ...(foreignKey.onDelete && {
+            onDelete: Object.keys(SQL_REFERENTIAL_ACTIONS).find(action => SQL_REFERENTIAL_ACTIONS[action] === foreignKey.onDelete)
+          })
+        }))
+      };
+    });
+
+    return { tables };
+  }
+
+  /**
+   * Build a SchemaManager schema from a parsed CREATE TABLE
+   * @param {Object} table - Parsed table definition
+   * @param {Array} records - Coerced table rows
+   * @returns {Object} Schema definition
+   */
+  buildSchemaFromSQL(table, records) {
+    const schema = {
+      tableName: table.name,
+      type: 'object',
+      properties: {},
+      constraints: {},
+      indexes: []
+    };
+
+    table.columns.forEach(column => {
+      const values = records.map(record => record[column.name]).filter(value => value !== null && value !== undefined);
+      let type = column.type;
+
+      // JSON columns holding only lists were arrays before they were exported
+      if (type === DataTypes.JSON && values.length > 0 && values.every(Array.isArray)) {
+        type = DataTypes.ARRAY;
+      }
+
+      schema.properties[column.name] = {
+        type,
+        nullable: !column.notNull && !column.primaryKey,
+        ...(/^(TINY|SMALL|MEDIUM|BIG)?INT/i.test(column.sqlType || '') && { subtype: 'integer' })
+      };
+
+      const constraints = [];
+      if (column.notNull || column.primaryKey) {
+        constraints.push({ type: ConstraintTypes.REQUIRED });
+      }
+      if (column.unique || column.primaryKey) {
+        constraints.push({ type: ConstraintTypes.UNIQUE });
+      }
+      if (column.default !== undefined) {
+        constraints.push({ type: ConstraintTypes.DEFAULT, value: coerceValue(column.default, type) });
+      }
+      if (constraints.length > 0) {
+        schema.constraints[column.name] = constraints;
+      }
+    });
+
+    return schema;
+  }
+
+  /**
+   * Register the schema and foreign keys carried by an imported table
+   * @param {Object} target - Imported table with tableName, schema and relationships
+   */
+  registerImportedSchema(target) {
+    if (target.schema) {
+      const { createdAt, updatedAt, ...schema } = target.schema;
+      if (!schemaManager.defineSchema(target.tableName, { ...schema, tableName: target.tableName })) {
+        throw new Error(`Invalid schema for table '${target.tableName}'`);
+      }
+    }
+
+    (target.relationships || []).forEach(relationship => {
+      schemaManager.addRelationship({ ...relationship, fromTable: target.tableName });
+    });
+  }
+
   /**
    * Download exported data as file
    * @param {string} content - File content
@@ -493,7 +786,8 @@ export class ExportImportManager {
       return '';
     }
 
-    if (value instanceof Date || (typeof value === 'string' && !isNaN(Date.parse(value)))) {
+    // Date.parse accepts strings like 'Item 1', so only real date strings are reformatted
+    if (value instanceof Date || isDateString(value)) {
       const date = new Date(value);
       switch (dateFormat) {
         case 'iso':
@@ -595,19 +889,6 @@ export class ExportImportManager {
     return value;
   }
 
-  /**
-   * Escape SQL value
-   * @param {any} value - Value to escape
-   * @returns {string} Escaped SQL value
-   */
-  escapeSQLValue(value) {
-    if (value === null || value === undefined) {
-      return 'NULL';
-    }
-    
-    return "'" + String(value).replace(/'/g, "''") + "'";
-  }
-
   /**
    * Escape XML content
    * @param {string} content - Content to escape
@@ -637,7 +918,95 @@ export class ExportImportManager {
    * @returns {string} Sanitized name
    */
   sanitizeXMLTagName(name) {
-    return String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    const tagName = String(name).replace(/[^a-zA-Z0-9_-]/g, '_');
+    return /^[a-zA-Z_]/.test(tagName) ? tagName : `_${tagName}`;
+  }
+
+  /**
+   * Format one field of an XML record. Non-string values get a type attribute
+   * and keys that are not valid tag names keep their original name attribute.
+   * @param {string} key - Field name
+   * @param {any} value - Field value
+   * @param {string} dateFormat - Date format preference
+   * @returns {string} XML element
+   */
+  formatXMLField(key, value, dateFormat) {
+    const tagName = this.sanitizeXMLTagName(key);
+    const type = inferDataType(value);
+    let attributes = tagName !== key ? ` name="${this.escapeXMLAttribute(key)}"` : '';
+
+    if (type === DataTypes.NULL || type === DataTypes.UNDEFINED) {
+      return `<${tagName}${attributes} type="${DataTypes.NULL}"/>`;
+    }
+    if (type !== DataTypes.STRING && type !== DataTypes.DATE) {
+      attributes += ` type="${type}"`;
+    }
+
+    const formattedValue = this.formatValueForExport(value, dateFormat);
+    return `<${tagName}${attributes}>${this.escapeXMLContent(formattedValue)}</${tagName}>`;
+  }
+
+  /**
+   * Read a field element written by formatXMLField
+   * @param {Object} element - Parsed XML element
+   * @returns {any} Field value
+   */
+  readXMLValue(element) {
+    const text = getElementText(element);
+
+    switch (element.attributes.type) {
+      case DataTypes.NULL:
+        return null;
+      case DataTypes.NUMBER:
+        return Number(text);
+      case DataTypes.BOOLEAN:
+        return text.trim() === 'true';
+      case DataTypes.JSON:
+      case DataTypes.ARRAY:
+        return JSON.parse(text);
+      default: {
+        const children = getChildElements(element);
+        return children.length > 0 ? this.readXMLFields(children) : text;
+      }
+    }
+  }
+
+  /**
+   * Read sibling field elements into an object; repeated names become arrays
+   * @param {Array} elements - Parsed XML elements
+   * @returns {Object} Record
+   */
+  readXMLFields(elements) {
+    const fields = new Map();
+    elements.forEach(element => {
+      const key = element.attributes.name ?? element.name;
+      fields.set(key, [...(fields.get(key) || []), this.readXMLValue(element)]);
+    });
+
+    const record = {};
+    fields.forEach((values, key) => {
+      record[key] = values.length === 1 ? values[0] : values;
+    });
+    return record;
+  }
+
+  /**
+   * Get the registered schema and foreign keys of a table for a dump
+   * @param {string} tableName - Table name
+   * @returns {Object|null} { schema, relationships } or null without a schema
+   */
+  getDumpSchema(tableName) {
+    const schema = schemaManager.getSchema(tableName);
+    const relationships = schemaManager.getForeignKeys(tableName).map(relationship => ({
+      fromField: relationship.fromField,
+      toTable: relationship.toTable,
+      toField: relationship.toField,
+      type: relationship.type,
+      ...(relationship.onDelete && { onDelete: relationship.onDelete })
+    }));
+
+    if (!schema && relationships.length === 0) return null;
+    return { schema, relationships };
   }
 
   /**
@@ -656,37 +1025,97 @@ export class ExportImportManager {
   }
 
   /**
-   * Simple YAML conversion
+   * Block style YAML conversion that parseYAML reads back unchanged
    * @param {any} obj - Object to convert
    * @param {number} indent - Current indentation level
    * @returns {string} YAML string
    */
   convertToYAML(obj, indent = 0) {
     const spaces = '  '.repeat(indent);
-    
-    if (obj === null || obj === undefined) {
-      return 'null';
-    }
-    
-    if (typeof obj === 'string') {
-      return obj.includes('\n') ? `|\n${spaces}  ${obj.split('\n').join(`\n${spaces}  `)}` : obj;
-    }
-    
-    if (typeof obj === 'number' || typeof obj === 'boolean') {
-      return String(obj);
-    }
-    
-    if (Array.isArray(obj)) {
-      return obj.map(item => `${spaces}- ${this.convertToYAML(item, indent + 1)}`).join('\n');
+    const isBlock = value => value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+
+    if (isBlock(obj) && Array.isArray(obj)) {
+      return obj.map(item => {
+        if (isBlock(item)) {
+          // Nested collections start on the dash line and continue aligned under it
+          return `${spaces}- ${this.convertToYAML(item, indent + 1).slice(spaces.length + 2)}`;
+        }
+        return `${spaces}- ${this.formatYAMLScalar(item, indent + 1)}`;
+      }).join('\n');
     }
-    
-    if (typeof obj === 'object') {
+
+    if (isBlock(obj)) {
       return Object.entries(obj)
-        .map(([key, value]) => `${spaces}${key}: ${this.convertToYAML(value, indent + 1)}`)
+        .map(([key, value]) => (isBlock(value)
+          ? `${spaces}${this.formatYAMLKey(key)}:\n${this.convertToYAML(value, indent + 1)}`
+          : `${spaces}${this.formatYAMLKey(key)}: ${this.formatYAMLScalar(value, indent + 1)}`))
         .join('\n');
     }
-    
-    return String(obj);
+
+    return `${spaces}${this.formatYAMLScalar(obj, indent)}`;
+  }
+
+  /**
+   * Format a scalar (or empty collection) for YAML
+   * @param {any} value - Value to format
+   * @param {number} indent - Indentation level of block scalar content
+   * @returns {string} YAML scalar
+   */
+  formatYAMLScalar(value, indent) {
+    if (value === null || value === undefined) return 'null';
+    if (typeof value === 'boolean') return String(value);
+    if (typeof value === 'number') {
+      if (Number.isNaN(value)) return '.nan';
+      if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+      return String(value);
+    }
+    if (value instanceof Date) return this.quoteYAMLString(value.toISOString());
+    if (Array.isArray(value)) return '[]';
+    if (typeof value === 'object') return '{}';
+
+    const text = String(value);
+    if (text.includes('\n') && /^[^\s]/.test(text) && !text.endsWith('\n') && !/[\r\u0085\u2028\u2029]/.test(text)) {
+      const spaces = '  '.repeat(indent);
+      return `|-\n${text.split('\n').map(line => (line ? spaces + line : '')).join('\n')}`;
+    }
+
+    return this.needsYAMLQuotes(text) ? this.quoteYAMLString(text) : text;
+  }
+
+  /**
+   * Format a mapping key for YAML
+   * @param {string} key - Key
+   * @returns {string} Plain or quoted key
+   */
+  formatYAMLKey(key) {
+    return this.needsYAMLQuotes(key) ? this.quoteYAMLString(key) : key;
+  }
+
+  /**
+   * Check whether a string would be misread as plain YAML: as another type,
+   * as syntax, or as a timestamp by other YAML readers
+   * @param {string} text - String to check
+   * @returns {boolean} True if it must be quoted
+   */
+  needsYAMLQuotes(text) {
+    return resolveYAMLScalar(text) !== text ||
+      /^[-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+      /:\s|:$|\s#/.test(text) ||
+      /[\x00-\x1f\x7f\u0085\u2028\u2029\ufeff]/.test(text) ||
+      /^\d{4}-\d{2}-\d{2}/.test(text) ||
+      /^(?:y|n|yes|no|on|off)$/i.test(text);
+  }
+
+  /**
+   * Double-quote a string for YAML; JSON escapes are valid YAML escapes
+   * @param {string} text - String to quote
+   * @returns {string} Quoted string
+   */
+  quoteYAMLString(text) {
+    return JSON.stringify(text)
+      .replace(/\u0085/g, '\\N')
+      .replace(/\u2028/g, '\\L')
+      .replace(/\u2029/g, '\\P');
   }
 }
 
@@ -0,0 +1,386 @@
+/**
+ * Full-Text Search
+ * Tokenizing, stemming and BM25 ranking behind full-text indexes, the MATCH
+ * query operator and quickQuery.search. An index covers one field, or every
+ * primitive field of a record when its field is '*'.
+ */
+
+/**
+ * Field value covering every primitive field of a record
+ */
+export const ALL_FIELDS = '*';
+
+// BM25 term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Words only reached through a prefix count for less than the term itself
+const PREFIX_WEIGHT = 0.5;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}\p{M}]+/gu;
+// A trailing * asks for every word starting with the term
+const QUERY_TERM_PATTERN = /([\p{L}\p{N}\p{M}]+)(\*)?/gu;
+
+/**
+ * Lower-case a word and strip accents, so "Café" and "cafe" match
+ * @param {string} word - Word as written
+ * @returns {string} Normalized word
+ */
+const normalizeWord = (word) => word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * Split text into words with their offsets, for indexing and highlighting
+ * @param {string} text - Text to split
+ * @returns {Array} { word, start, end } with word normalized and offsets into text
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  for (const match of String(text).matchAll(TOKEN_PATTERN)) {
+    const word = normalizeWord(match[0]);
+    if (word) {
+      tokens.push({ word, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return tokens;
+};
+
+// Porter stemmer (M.F. Porter, 1980)
+
+const isConsonant = (word, i) => {
+  const char = word[i];
+  if ('aeiou'.includes(char)) return false;
+  if (char === 'y') return i === 0 || !isConsonant(word, i - 1);
+  return true;
+};
+
+/**
+ * Count the vowel-consonant sequences of a stem (Porter's m)
+ * @param {string} stem - Stem
+ * @returns {number} Measure
+ */
+const measure = (stem) => {
+  let count = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i >= stem.length) break;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+    count++;
+  }
+  return count;
+};
+
+const hasVowel = (stem) => Array.from(stem).some((char, i) => !isConsonant(stem, i));
+
+const endsWithDoubleConsonant = (word) => {
+  const n = word.length;
+  return n >= 2 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+};
+
+const endsWithCVC = (word) => {
+  const n = word.length;
+  return n >= 3 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) &&
+    isConsonant(word, n - 1) && !'wxy'.includes(word[n - 1]);
+};
+
+/**
+ * Replace the longest matching suffix when the remaining stem is long enough
+ * @param {string} word - Word
+ * @param {Array} rules - [suffix, replacement] pairs
+ * @param {number} minMeasure - Measure the stem must exceed
+ * @param {Function} accept - Extra condition on the stem
+ * @returns {string} Word
+ */
+const replaceSuffix = (word, rules, minMeasure, accept = () => true) => {
+  let match = null;
+  rules.forEach(rule => {
+    if (word.endsWith(rule[0]) && (!match || rule[0].length > match[0].length)) {
+      match = rule;
+    }
+  });
+  if (!match) return word;
+
+  const stem = word.slice(0, word.length - match[0].length);
+  return measure(stem) > minMeasure && accept(stem, match[0]) ? stem + match[1] : word;
+};
+
+const STEP2_RULES = [
+  ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'], ['izer', 'ize'],
+  ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'], ['ousli', 'ous'],
+  ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'], ['alism', 'al'], ['iveness', 'ive'],
+  ['fulness', 'ful'], ['ousness', 'ous'], ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'],
+  ['logi', 'log']
+];
+
+const STEP3_RULES = [
+  ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'], ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_RULES = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent',
+  'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+].map(suffix => [suffix, '']);
+
+/**
+ * Reduce an English word to its stem, so "connected", "connection" and
+ * "connecting" are indexed as one term. Words with digits or non-ASCII
+ * letters are left as they are.
+ * @param {string} word - Normalized word
+ * @returns {string} Stem
+ */
+export const stem = (word) => {
+  if (word.length <= 2 || /[^a-z]/.test(word)) return word;
+
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses') || w.endsWith('ies')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !w.endsWith('ss')) {
+    w = w.slice(0, -1);
+  }
+
+  // Step 1b: past tense and gerunds
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(candidate => w.endsWith(candidate) && hasVowel(w.slice(0, -candidate.length)));
+    if (suffix) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) {
+        w += 'e';
+      } else if (endsWithDoubleConsonant(w) && !'lsz'.includes(w[w.length - 1])) {
+        w = w.slice(0, -1);
+      } else if (measure(w) === 1 && endsWithCVC(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: terminal y
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = `${w.slice(0, -1)}i`;
+  }
+
+  // Steps 2-4: derivational suffixes
+  w = replaceSuffix(w, STEP2_RULES, 0);
+  w = replaceSuffix(w, STEP3_RULES, 0);
+  w = replaceSuffix(w, STEP4_RULES, 1, (remaining, suffix) =>
+    suffix !== 'ion' || remaining.endsWith('s') || remaining.endsWith('t')
+  );
+
+  // Step 5: final e and double l
+  if (w.endsWith('e')) {
+    const remaining = w.slice(0, -1);
+    const m = measure(remaining);
+    if (m > 1 || (m === 1 && !endsWithCVC(remaining))) w = remaining;
+  }
+  if (w.endsWith('ll') && measure(w) > 1) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+};
+
+/**
+ * Parse a search string into terms. Every term must match (AND).
+ * @param {string} query - Search text; "term*" matches words starting with term
+ * @param {Object} options - Parse options
+ * @param {boolean} options.prefix - Treat every term as a prefix
+ * @returns {Array} { text, stem, prefix }
+ */
+export const parseSearchQuery = (query, options = {}) => {
+  const terms = [];
+  for (const match of String(query ?? '').matchAll(QUERY_TERM_PATTERN)) {
+    const text = normalizeWord(match[1]);
+    if (text) {
+      terms.push({ text, stem: stem(text), prefix: Boolean(options.prefix || match[2]) });
+    }
+  }
+  return terms;
+};
+
+/**
+ * Check whether a word satisfies a query term
+ * @param {string} word - Normalized word
+ * @param {Object} term - Parsed term
+ * @returns {boolean} True when the stems match, or the word starts with a prefix term
+ */
+const matchesTerm = (word, term) => (term.prefix && word.startsWith(term.text)) || stem(word) === term.stem;
+
+/**
+ * Read the searchable text of a record
+ * @param {any} record - Record
+ * @param {string} field - Field path, or ALL_FIELDS for every primitive field
+ * @returns {string} Text
+ */
+export const extractText = (record, field = ALL_FIELDS) => {
+  if (record === null || record === undefined) return '';
+  if (typeof record !== 'object') return String(record);
+
+  if (field === ALL_FIELDS) {
+    return Object.values(record)
+      .filter(value => value !== null && value !== undefined && typeof value !== 'object' && typeof value !== 'boolean')
+      .join('\n');
+  }
+
+  const value = field.split('.').reduce((current, key) => (current && current[key] !== undefined ? current[key] : undefined), record);
+  return value === null || value === undefined || typeof value === 'object' ? '' : String(value);
+};
+
+/**
+ * Build an inverted index over one field (or all fields) of the records
+ * @param {Array} records - Table records
+ * @param {string} field - Field path, or ALL_FIELDS
+ * @returns {Object} Index with postings keyed by stem as flat [position, frequency, ...] arrays
+ */
+export const buildFullTextIndex = (records, field = ALL_FIELDS) => {
+  const terms = {};
+  const forms = {};
+  const lengths = [];
+  let documents = 0;
+  let totalLength = 0;
+
+  records.forEach((record, position) => {
+    const tokens = tokenize(extractText(record, field));
+    lengths.push(tokens.length);
+    if (tokens.length === 0) return;
+
+    documents++;
+    totalLength += tokens.length;
+
+    const frequencies = new Map();
+    tokens.forEach(({ word }) => {
+      if (!forms[word]) forms[word] = stem(word);
+      const key = forms[word];
+      frequencies.set(key, (frequencies.get(key) || 0) + 1);
+    });
+
+    frequencies.forEach((frequency, key) => {
+      if (!terms[key]) terms[key] = [];
+      terms[key].push(position, frequency);
+    });
+  });
+
+  return {
+    field,
+    type: 'fulltext',
+    unique: false,
+    size: documents,
+    documents,
+    totalLength,
+    lengths,
+    terms,
+    forms
+  };
+};
+
+/**
+ * Stems of the index that satisfy a query term
+ * @param {Object} index - Full-text index
+ * @param {Object} term - Parsed term
+ * @returns {Set} Stems
+ */
+const expandTerm = (index, term) => {
+  const stems = new Set();
+  if (index.terms[term.stem]) stems.add(term.stem);
+  if (term.prefix) {
+    Object.entries(index.forms).forEach(([word, wordStem]) => {
+      if (word.startsWith(term.text)) stems.add(wordStem);
+    });
+  }
+  return stems;
+};
+
+/**
+ * Find and rank the rows matching every term of a query
+ * @param {Object} index - Full-text index
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {boolean} options.prefix - Treat every term as a prefix
+ * @returns {Array} { position, score } ordered by descending BM25 score, then position
+ */
+export const searchFullTextIndex = (index, query, options = {}) => {
+  const terms = parseSearchQuery(query, options);
+  if (terms.length === 0 || index.documents === 0) return [];
+
+  const averageLength = index.totalLength / index.documents;
+  const scores = new Map();
+  const matched = new Map();
+
+  terms.forEach((term, termNumber) => {
+    expandTerm(index, term).forEach(key => {
+      const postings = index.terms[key];
+      const documentFrequency = postings.length / 2;
+      const idf = Math.log(1 + (index.documents - documentFrequency + 0.5) / (documentFrequency + 0.5));
+      const weight = key === term.stem ? 1 : PREFIX_WEIGHT;
+
+      for (let i = 0; i < postings.length; i += 2) {
+        const position = postings[i];
+        const frequency = postings[i + 1];
+        const lengthNorm = 1 - BM25_B + BM25_B * (index.lengths[position] / averageLength);
+        const score = weight * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * lengthNorm);
+
+        scores.set(position, (scores.get(position) || 0) + score);
+        if (!matched.has(position)) matched.set(position, new Set());
+        matched.get(position).add(termNumber);
+      }
+    });
+  });
+
+  return Array.from(scores.entries())
+    .filter(([position]) => matched.get(position).size === terms.length)
+    .map(([position, score]) => ({ position, score }))
+    .sort((a, b) => b.score - a.score || a.position - b.position);
+};
+
+/**
+ * Score each record against a query without a stored index
+ * @param {Array} records - Records
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {string} options.field - Field path, or ALL_FIELDS
+ * @param {boolean} options.prefix - Treat every term as a prefix
+ * @returns {Array} Score per record, 0 for records that do not match
+ */
+export const scoreRecords = (records, query, options = {}) => {
+  const scores = new Array(records.length).fill(0);
+  searchFullTextIndex(buildFullTextIndex(records, options.field || ALL_FIELDS), query, options)
+    .forEach(({ position, score }) => {
+      scores[position] = score;
+    });
+  return scores;
+};
+
+/**
+ * Check whether text contains every term of a query
+ * @param {string} text - Text to check
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {boolean} options.prefix - Treat every term as a prefix
+ * @returns {boolean} True when all terms match
+ */
+export const matchesFullText = (text, query, options = {}) => {
+  const terms = parseSearchQuery(query, options);
+  if (terms.length === 0) return false;
+
+  const words = tokenize(text).map(token => token.word);
+  return terms.every(term => words.some(word => matchesTerm(word, term)));
+};
+
+/**
+ * Find the words of a text that match a query, for highlighting
+ * @param {string} text - Displayed text
+ * @param {string} query - Search text
+ * @param {Object} options - Search options
+ * @param {boolean} options.prefix - Treat every term as a prefix
+ * @returns {Array} [start, end] offsets into text
+ */
+export const findHighlightRanges = (text, query, options = {}) => {
+  const terms = parseSearchQuery(query, options);
+  if (terms.length === 0) return [];
+
+  return tokenize(text)
+    .filter(token => terms.some(term => matchesTerm(token.word, term)))
+    .map(token => [token.start, token.end]);
+};
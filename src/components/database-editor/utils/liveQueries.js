@@ -0,0 +1,117 @@
+/**
+ * Live Queries
+ * Subscriptions behind LocalStorageDB.subscribe: a query is re-run when the
+ * change feed reports a write to a table it reads, and subscribers hear about
+ * runs whose rows differ from the previous run.
+ */
+
+import { subscribeToChanges, diffRows, hasChanges } from './changeFeed.js';
+
+/**
+ * One query subscription
+ */
+export class LiveQuery {
+  /**
+   * @param {LocalStorageDB} db - Database the subscription belongs to
+   * @param {QueryBuilder} query - Query to watch
+   * @param {Function} callback - Called with (rows, diff)
+   * @param {Object} options - See LocalStorageDB.subscribe
+   */
+  constructor(db, query, callback, options = {}) {
+    this.db = db;
+    this.query = query;
+    this.callback = callback;
+    this.key = options.key || (query.groupByFields.length > 0 ? query.groupByFields : 'id');
+    this.immediate = options.immediate !== false;
+    this.onError = options.onError || (error => console.error('Error in live query:', error));
+    this.rows = [];
+    this.watchedKeys = new Set();
+    this.scheduled = false;
+    this.remoteChange = false;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Run the query once and start listening for changes
+   * @returns {Function} Stops the subscription
+   */
+  start() {
+    this.unsubscribe = subscribeToChanges(event => this.handleChange(event));
+    this.run(true);
+    return () => this.stop();
+  }
+
+  /**
+   * Stop listening; a run already scheduled is dropped
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Storage keys whose change can alter the result. Views are stored in the
+   * database metadata, so queries reading one also watch the metadata key.
+   */
+  refreshWatchedKeys() {
+    const sources = this.query.getSources();
+    this.watchedKeys = new Set(sources);
+    for (const name of sources) {
+      if (this.db.storage.getItem(name) === null) {
+        this.watchedKeys.add(this.db.metaKey);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Schedule a run when a change touches a watched key; changes arriving
+   * together are handled by one run
+   * @param {Object} event - Change feed event { keys, remote }
+   */
+  handleChange({ keys, remote }) {
+    if (keys && !keys.some(key => this.watchedKeys.has(key))) return;
+
+    this.remoteChange = this.remoteChange || remote;
+    if (this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      if (this.unsubscribe) this.run(false);
+    });
+  }
+
+  /**
+   * Execute the query and report the rows when they changed
+   * @param {boolean} initial - True for the run made by start()
+   */
+  run(initial) {
+    const remote = this.remoteChange;
+    this.remoteChange = false;
+
+    let rows;
+    try {
+      this.refreshWatchedKeys();
+      rows = this.query.execute();
+    } catch (error) {
+      this.onError(error);
+      return;
+    }
+
+    const diff = initial
+      ? { added: rows, removed: [], changed: [] }
+      : diffRows(this.rows, rows, this.key);
+    this.rows = rows;
+
+    if (initial ? !this.immediate : !hasChanges(diff)) return;
+    try {
+      this.callback(rows, { ...diff, initial, remote });
+    } catch (error) {
+      this.onError(error);
+    }
+  }
+}
+
+export default LiveQuery;
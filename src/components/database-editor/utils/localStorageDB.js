@@ -1,9 +1,15 @@
 /**
  * Core LocalStorage Database Utility
- * Provides CRUD operations, schema inference, and data management for browser localStorage
+ * Provides CRUD operations, schema inference, and data management on top of a
+ * pluggable storage adapter (localStorage by default, IndexedDB or in-memory)
  */
 
 import { isValid } from 'date-fns';
+import { IndexTypes, buildIndex, lookupIndex, chooseIndex, describeIndex, readIndexedField } from './tableIndex.js';
+import { getStorageAdapter, migrateStorage } from './storageAdapters.js';
+import { ChangeJournal } from './changeJournal.js';
+import { publishChanges } from './changeFeed.js';
+import { LiveQuery } from './liveQueries.js';
 
 /**
  * Data type inference utilities
@@ -71,41 +77,407 @@ export const isDateString = (str) => {
   }
 };
 
+/**
+ * Converts a value to a data type, returning null when it cannot be represented
+ * @param {any} value - The value to convert
+ * @param {string} type - Target data type
+ * @returns {any} The converted value
+ */
+export const coerceValue = (value, type) => {
+  if (value === null || value === undefined) return null;
+
+  switch (type) {
+    case DataTypes.STRING:
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    case DataTypes.NUMBER: {
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (typeof value === 'string' && value.trim() === '') return null;
+      const number = Number(value);
+      return isNaN(number) ? null : number;
+    }
+
+    case DataTypes.BOOLEAN:
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'number') return value !== 0;
+      if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (['true', 'yes', '1', 'y'].includes(normalized)) return true;
+        if (['false', 'no', '0', 'n', ''].includes(normalized)) return false;
+      }
+      return null;
+
+    case DataTypes.DATE: {
+      if (isDateString(value)) return value;
+      const date = new Date(value);
+      return typeof value !== 'boolean' && isValid(date) ? date.toISOString() : null;
+    }
+
+    case DataTypes.JSON:
+    case DataTypes.ARRAY: {
+      let parsed = value;
+      if (typeof value === 'string') {
+        try {
+          parsed = JSON.parse(value);
+        } catch {
+          parsed = type === DataTypes.ARRAY ? value.split(',').map(item => item.trim()) : value;
+        }
+      }
+      if (type === DataTypes.ARRAY) {
+        return Array.isArray(parsed) ? parsed : [parsed];
+      }
+      return parsed;
+    }
+
+    default:
+      return value;
+  }
+};
+
 /**
  * Core LocalStorage Database Class
  */
 export class LocalStorageDB {
+  /**
+   * @param {Object} options - Database options
+   * @param {string} options.prefix - Prefix for internal keys
+   * @param {Object} options.storage - Storage adapter; defaults to the shared adapter from storageAdapters.js
+   * @param {Object} options.journal - ChangeJournal options (maxEntries, maxSize)
+   */
   constructor(options = {}) {
     this.prefix = options.prefix || 'lsdb_';
     this.metaKey = `${this.prefix}metadata`;
     this.indexKey = `${this.prefix}index`;
     this.schemaKey = `${this.prefix}schemas`;
+    this.relationshipKey = `${this.prefix}relationships`;
+    // Snapshot catalog; each snapshot's data lives under `${snapshotKey}:<id>`
+    this.snapshotKey = `${this.prefix}snapshots`;
+    this.ownStorage = options.storage || null;
+    this.activeTransaction = null;
+    this.pendingChange = null;
+    this.changedKeys = null;
+    this.journalSuspended = 0;
+    this.journal = new ChangeJournal(this, options.journal);
     
     this.initializeMetadata();
   }
 
+  /**
+   * Storage adapter holding the tables. Instances without their own adapter
+   * follow the shared one, so switching backends affects every default instance.
+   * @returns {Object} Storage adapter
+   */
+  get storage() {
+    return this.ownStorage || getStorageAdapter();
+  }
+
   /**
    * Initialize metadata storage
    */
   initializeMetadata() {
-    if (!localStorage.getItem(this.metaKey)) {
+    if (!this.storage.getItem(this.metaKey)) {
       const metadata = {
         version: '1.0.0',
         created: new Date().toISOString(),
         tables: {},
         lastModified: new Date().toISOString()
       };
-      localStorage.setItem(this.metaKey, JSON.stringify(metadata));
+      // Not undoable: every later entry depends on it
+      this.withoutJournal(() => this.writeKey(this.metaKey, JSON.stringify(metadata)));
+    }
+  }
+
+  /**
+   * Write a raw storage key, journaling its previous value inside a transaction
+   * @param {string} key - Storage key
+   * @param {string} value - Serialized value
+   */
+  writeKey(key, value) {
+    this.journalKey(key);
+    this.trackChange(key);
+    try {
+      this.storage.setItem(key, value);
+      this.announceChange(key);
+    } catch (error) {
+      // Methods report failures as false; remember the error so the transaction still rolls back
+      if (this.activeTransaction && !this.activeTransaction.error) {
+        this.activeTransaction.error = error;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a raw storage key, journaling its previous value inside a transaction
+   * @param {string} key - Storage key
+   */
+  removeKey(key) {
+    this.journalKey(key);
+    this.trackChange(key);
+    this.storage.removeItem(key);
+    this.announceChange(key);
+  }
+
+  /**
+   * Record the original value of a key the first time a transaction touches it
+   * @param {string} key - Storage key
+   */
+  journalKey(key) {
+    if (this.activeTransaction && !this.activeTransaction.originals.has(key)) {
+      this.activeTransaction.originals.set(key, this.storage.getItem(key));
+    }
+  }
+
+  /**
+   * Remember the value a key had before the current change so the change
+   * journal can undo it. Writes outside a transaction are grouped until the
+   * current task yields.
+   * @param {string} key - Storage key
+   */
+  trackChange(key) {
+    if (this.journalSuspended > 0 || key === this.journal.key) return;
+
+    if (!this.pendingChange) {
+      this.pendingChange = { originals: new Map(), label: null };
+      if (!this.activeTransaction) {
+        queueMicrotask(() => this.flushChanges());
+      }
+    }
+    if (!this.pendingChange.originals.has(key)) {
+      this.pendingChange.originals.set(key, this.storage.getItem(key));
+    }
+  }
+
+  /**
+   * Collect a written key for the change feed. Keys are announced together
+   * once the current task yields, or when the enclosing transaction ends.
+   * @param {string} key - Storage key
+   */
+  announceChange(key) {
+    if (!this.changedKeys) {
+      this.changedKeys = new Set();
+      if (!this.activeTransaction) {
+        queueMicrotask(() => this.publishChangedKeys());
+      }
+    }
+    this.changedKeys.add(key);
+  }
+
+  /**
+   * Announce the collected keys to live queries in this tab and others
+   */
+  publishChangedKeys() {
+    if (!this.changedKeys || this.activeTransaction) return;
+
+    const keys = Array.from(this.changedKeys);
+    this.changedKeys = null;
+    publishChanges(keys, this.storage);
+  }
+
+  /**
+   * Label the change in progress for the history panel
+   * @param {string} label - Description, e.g. 'Drop table users'
+   */
+  describeChange(label) {
+    if (this.journalSuspended > 0) return;
+    if (!this.pendingChange) {
+      this.pendingChange = { originals: new Map(), label: null };
+      if (!this.activeTransaction) {
+        queueMicrotask(() => this.flushChanges());
+      }
+    }
+    this.pendingChange.label = label;
+  }
+
+  /**
+   * Record the pending change in the journal. Keys that ended up with their
+   * original value are left out, so rolled back work records nothing.
+   */
+  flushChanges() {
+    if (!this.pendingChange || this.activeTransaction) return;
+
+    const { originals, label } = this.pendingChange;
+    this.pendingChange = null;
+
+    const changes = [];
+    originals.forEach((before, key) => {
+      const after = this.storage.getItem(key);
+      if (after !== before) changes.push({ key, before, after });
+    });
+    this.journal.record(changes, label);
+  }
+
+  /**
+   * Run a function without recording its writes, e.g. while undoing
+   * @param {Function} fn - Work to run
+   * @returns {any} The function's result
+   */
+  withoutJournal(fn) {
+    this.journalSuspended++;
+    try {
+      return fn();
+    } finally {
+      this.journalSuspended--;
+    }
+  }
+
+  /**
+   * Begin a transaction. Nested calls join the outer transaction.
+   */
+  beginTransaction() {
+    if (this.activeTransaction) {
+      this.activeTransaction.depth++;
+      return;
+    }
+
+    this.activeTransaction = {
+      originals: new Map(),
+      depth: 1,
+      error: null,
+      startedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Commit the current transaction, keeping every write made since begin
+   * @returns {boolean} Success status
+   */
+  commit() {
+    if (!this.activeTransaction) return false;
+
+    this.activeTransaction.depth--;
+    if (this.activeTransaction.depth === 0) {
+      this.activeTransaction = null;
+      this.flushChanges();
+      this.publishChangedKeys();
+    }
+    return true;
+  }
+
+  /**
+   * Roll back the current transaction, restoring every key it touched.
+   * A rollback inside a nested call aborts the whole outer transaction.
+   * @returns {boolean} Success status
+   */
+  rollback() {
+    if (!this.activeTransaction) return false;
+
+    const { originals } = this.activeTransaction;
+    this.activeTransaction = null;
+
+    try {
+      return this.restoreKeys(originals);
+    } finally {
+      this.flushChanges();
+      // Restored keys are announced too; live queries skip runs that change nothing
+      this.publishChangedKeys();
+    }
+  }
+
+  /**
+   * Put raw storage keys back to earlier values, bypassing the journal
+   * @param {Map} originals - Key to previous value (null for keys that did not exist)
+   * @returns {boolean} Success status
+   */
+  restoreKeys(originals) {
+    try {
+      // Remove keys that did not exist first so restoring never needs extra quota
+      originals.forEach((value, key) => {
+        if (value === null) this.storage.removeItem(key);
+      });
+      originals.forEach((value, key) => {
+        if (value !== null) this.storage.setItem(key, value);
+      });
+      return true;
+    } catch (error) {
+      console.error('Error restoring storage keys:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a transaction is open
+   * @returns {boolean} True inside a transaction
+   */
+  inTransaction() {
+    return this.activeTransaction !== null;
+  }
+
+  /**
+   * Run a function inside a transaction. Writes are committed when it returns
+   * and rolled back when it throws or when any write failed (e.g. QuotaExceededError),
+   * after which the error is rethrown. Async functions are awaited.
+   * The transaction becomes one entry in the change journal.
+   * @param {Function} fn - Work to run; receives this database
+   * @param {Object} options - Transaction options
+   * @param {string} options.label - Description shown in the history panel
+   * @returns {any} The function's result (or a promise of it)
+   */
+  transaction(fn, options = {}) {
+    this.beginTransaction();
+    // An enclosing transaction's label wins
+    if (options.label && !this.pendingChange?.label) {
+      this.describeChange(options.label);
+    }
+    const transaction = this.activeTransaction;
+
+    const finish = (result) => {
+      if (transaction.error) {
+        this.rollback();
+        throw transaction.error;
+      }
+      this.commit();
+      return result;
+    };
+
+    const abort = (error) => {
+      if (this.activeTransaction === transaction) {
+        this.rollback();
+      }
+      throw error;
+    };
+
+    let result;
+    try {
+      result = fn(this);
+    } catch (error) {
+      return abort(error);
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(finish, abort);
+    }
+
+    try {
+      return finish(result);
+    } catch (error) {
+      return abort(error);
     }
   }
 
+  /**
+   * Re-run a query whenever a table it reads changes, through this tab or
+   * another one. The callback first gets the current rows, then only runs
+   * that changed the result, together with a row-level diff.
+   * @param {QueryBuilder} query - Query to watch
+   * @param {Function} callback - Called with (rows, { added, removed, changed, initial, remote })
+   * @param {Object} options - Subscription options
+   * @param {string|Array|Function} options.key - Row key for diffs; defaults to the GROUP BY fields, else 'id'
+   * @param {boolean} options.immediate - Call back with the current rows right away (default true)
+   * @param {Function} options.onError - Called when a run throws; defaults to console.error
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(query, callback, options = {}) {
+    return new LiveQuery(this, query, callback, options).start();
+  }
+
   /**
    * Get metadata object
    * @returns {Object} Database metadata
    */
   getMetadata() {
     try {
-      return JSON.parse(localStorage.getItem(this.metaKey) || '{}');
+      return JSON.parse(this.storage.getItem(this.metaKey) || '{}');
     } catch (error) {
       console.error('Error parsing metadata:', error);
       return {};
@@ -123,11 +495,11 @@ export class LocalStorageDB {
       ...updates,
       lastModified: new Date().toISOString()
     };
-    localStorage.setItem(this.metaKey, JSON.stringify(newMetadata));
+    this.writeKey(this.metaKey, JSON.stringify(newMetadata));
   }
 
   /**
-   * Discover all available tables from localStorage
+   * Discover all available tables in storage
    * @returns {Array} Array of table names
    */
   discoverTables() {
@@ -142,13 +514,13 @@ export class LocalStorageDB {
   }
 
   /**
-   * Get data from a table (localStorage key)
+   * Get data from a table (storage key)
    * @param {string} tableName - Name of the table
    * @returns {any} The stored data
    */
   getTable(tableName) {
     try {
-      const rawData = localStorage.getItem(tableName);
+      const rawData = this.storage.getItem(tableName);
       if (rawData === null) return null;
       
       // Try to parse as JSON, fallback to string
@@ -171,17 +543,37 @@ export class LocalStorageDB {
    */
   setTable(tableName, data) {
     try {
+      // Unique indexes must still hold for the rows being written
+      const rebuilt = this.rebuildIndexes(tableName, data);
+      if (!rebuilt.success) {
+        console.error(`Error writing table ${tableName}: ${rebuilt.error}`);
+        return false;
+      }
+
       const serializedData = typeof data === 'string' ? data : JSON.stringify(data);
-      localStorage.setItem(tableName, serializedData);
-      
-      // Update metadata
-      const metadata = this.getMetadata();
-      metadata.tables[tableName] = {
-        lastModified: new Date().toISOString(),
-        size: serializedData.length,
-        type: inferDataType(data)
-      };
-      this.updateMetadata(metadata);
+
+      // Rows, metadata and indexes live under separate keys; when a later write
+      // fails (e.g. quota) the earlier ones are undone so indexes never drift from the rows
+      const originals = new Map([tableName, this.metaKey, this.indexKey].map(key => [key, this.storage.getItem(key)]));
+      try {
+        this.writeKey(tableName, serializedData);
+
+        // Update metadata
+        const metadata = this.getMetadata();
+        metadata.tables[tableName] = {
+          ...metadata.tables[tableName],
+          lastModified: new Date().toISOString(),
+          size: serializedData.length,
+          type: inferDataType(data)
+        };
+        this.updateMetadata(metadata);
+
+        // Keep secondary indexes in step with the stored rows
+        if (rebuilt.indexStore) this.saveIndexStore(rebuilt.indexStore);
+      } catch (error) {
+        this.restoreKeys(originals);
+        throw error;
+      }
       
       return true;
     } catch (error) {
@@ -197,12 +589,18 @@ export class LocalStorageDB {
    */
   deleteTable(tableName) {
     try {
-      localStorage.removeItem(tableName);
+      this.removeKey(tableName);
       
       // Update metadata
       const metadata = this.getMetadata();
       delete metadata.tables[tableName];
       this.updateMetadata(metadata);
+
+      const indexStore = this.getIndexStore();
+      if (indexStore[tableName]) {
+        delete indexStore[tableName];
+        this.saveIndexStore(indexStore);
+      }
       
       return true;
     } catch (error) {
@@ -222,6 +620,13 @@ export class LocalStorageDB {
       // Get existing data or create empty array
       const existingData = this.getTable(tableName);
       const tableData = Array.isArray(existingData) ? existingData : [];
+
+      // Reject duplicates on unique indexes before touching storage
+      const violation = this.findUniqueViolation(tableName, record);
+      if (violation) {
+        console.error(`Error inserting record into ${tableName}: duplicate value ${JSON.stringify(violation.value)} for unique index ${violation.index}`);
+        return false;
+      }
       
       // Add the new record
       tableData.push(record);
@@ -244,6 +649,35 @@ export class LocalStorageDB {
     return Array.isArray(data) ? data : [];
   }
 
+  /**
+   * Update a record in a table by ID
+   * @param {string} tableName - Name of the table
+   * @param {string} id - ID of the record to update
+   * @param {Object} updates - Fields to change
+   * @returns {boolean} Success status
+   */
+  update(tableName, id, updates) {
+    try {
+      const tableData = this.select(tableName);
+      const index = tableData.findIndex(record => record.id === id);
+      if (index === -1) return false;
+
+      const updated = { ...tableData[index], ...updates };
+      // The row keeps its own values without clashing with itself
+      const violation = this.findUniqueViolation(tableName, updated, index);
+      if (violation) {
+        console.error(`Error updating record in ${tableName}: duplicate value ${JSON.stringify(violation.value)} for unique index ${violation.index}`);
+        return false;
+      }
+
+      tableData[index] = updated;
+      return this.setTable(tableName, tableData);
+    } catch (error) {
+      console.error(`Error updating record in ${tableName}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Delete a record from a table by ID
    * @param {string} tableName - Name of the table
@@ -261,6 +695,218 @@ export class LocalStorageDB {
     }
   }
 
+  /**
+   * Get all persisted indexes, keyed by table then index name
+   * @returns {Object} Index store
+   */
+  getIndexStore() {
+    try {
+      return JSON.parse(this.storage.getItem(this.indexKey) || '{}');
+    } catch (error) {
+      console.error('Error parsing indexes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Persist the index store
+   * @param {Object} indexStore - Index store to save
+   */
+  saveIndexStore(indexStore) {
+    this.writeKey(this.indexKey, JSON.stringify(indexStore));
+  }
+
+  /**
+   * Create (or replace) a secondary index on a table field
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Field to index (dot notation allowed; '*' for every field of a full-text index)
+   * @param {Object} options - Index options
+   * @param {string} options.type - 'hash' for equality lookups, 'sorted' for equality and range lookups,
+   *   'fulltext' for ranked MATCH searches
+   * @param {boolean} options.unique - Reject duplicate values
+   * @param {string} options.name - Index name (defaults to idx_<table>_<field>, or fts_<table>[_<field>] for full-text)
+   * @returns {Object} Result with success flag and index summary or error
+   */
+  createIndex(tableName, field, options = {}) {
+    try {
+      const type = options.type || IndexTypes.HASH;
+      if (!Object.values(IndexTypes).includes(type)) {
+        return { success: false, error: `Unknown index type: ${type}` };
+      }
+
+      if (type === IndexTypes.FULLTEXT && options.unique) {
+        return { success: false, error: 'Full-text indexes cannot be unique' };
+      }
+
+      const defaultName = type === IndexTypes.FULLTEXT
+        ? `fts_${tableName}${field === '*' ? '' : `_${field.replace(/\./g, '_')}`}`
+        : `idx_${tableName}_${field.replace(/\./g, '_')}`;
+      const name = options.name || defaultName;
+      const { index, duplicate } = buildIndex(this.select(tableName), field, { type, unique: options.unique });
+
+      if (duplicate !== undefined) {
+        return {
+          success: false,
+          error: `Cannot create unique index ${name}: duplicate value ${JSON.stringify(duplicate)} in ${field}`
+        };
+      }
+
+      index.createdAt = new Date().toISOString();
+
+      const indexStore = this.getIndexStore();
+      indexStore[tableName] = { ...indexStore[tableName], [name]: index };
+      this.saveIndexStore(indexStore);
+
+      return { success: true, index: describeIndex(name, index) };
+    } catch (error) {
+      console.error(`Error creating index on ${tableName}.${field}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Drop an index
+   * @param {string} tableName - Name of the table
+   * @param {string} indexName - Name of the index
+   * @returns {boolean} Success status
+   */
+  dropIndex(tableName, indexName) {
+    const indexStore = this.getIndexStore();
+    if (!indexStore[tableName] || !indexStore[tableName][indexName]) {
+      return false;
+    }
+
+    delete indexStore[tableName][indexName];
+    if (Object.keys(indexStore[tableName]).length === 0) {
+      delete indexStore[tableName];
+    }
+    this.saveIndexStore(indexStore);
+    return true;
+  }
+
+  /**
+   * List index summaries for a table
+   * @param {string} tableName - Name of the table
+   * @returns {Array} Index summaries (without entries)
+   */
+  getIndexes(tableName) {
+    const tableIndexes = this.getIndexStore()[tableName] || {};
+    return Object.entries(tableIndexes).map(([name, index]) => describeIndex(name, index));
+  }
+
+  /**
+   * Pick the index best suited to a condition on a table field
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Filtered field
+   * @param {string} operator - Query operator code
+   * @param {any} value - Filter value
+   * @returns {Object|null} Full index (with name and entries) or null
+   */
+  findIndex(tableName, field, operator, value) {
+    const tableIndexes = this.getIndexStore()[tableName] || {};
+    const candidates = Object.entries(tableIndexes).map(([name, index]) => ({ ...index, name }));
+    return chooseIndex(candidates, field, operator, value);
+  }
+
+  /**
+   * Look up candidate row positions through an index
+   * @param {string} tableName - Name of the table
+   * @param {string} field - Filtered field
+   * @param {string} operator - Query operator code
+   * @param {any} value - Filter value
+   * @returns {Array|null} Row positions, or null when no index can answer the condition
+   */
+  lookup(tableName, field, operator, value) {
+    const index = this.findIndex(tableName, field, operator, value);
+    return index ? lookupIndex(index, operator, value) : null;
+  }
+
+  /**
+   * Rebuild every index on a table from the rows about to be written.
+   * Nothing is saved; the caller stores the returned index store once the rows are written.
+   * @param {string} tableName - Name of the table
+   * @param {any} data - Table data being written
+   * @returns {Object} Result with success flag and the updated index store, or an error
+   *   when the rows break a unique index
+   */
+  rebuildIndexes(tableName, data) {
+    const indexStore = this.getIndexStore();
+    const tableIndexes = indexStore[tableName];
+    if (!tableIndexes) return { success: true, indexStore: null };
+
+    const records = Array.isArray(data) ? data : [];
+    for (const [name, existing] of Object.entries(tableIndexes)) {
+      const { index, duplicate } = buildIndex(records, existing.field, existing);
+      if (duplicate !== undefined) {
+        return {
+          success: false,
+          error: `duplicate value ${JSON.stringify(duplicate)} for unique index ${name}`
+        };
+      }
+      tableIndexes[name] = { ...index, createdAt: existing.createdAt };
+    }
+
+    return { success: true, indexStore };
+  }
+
+  /**
+   * Check a record against the unique indexes of a table
+   * @param {string} tableName - Name of the table
+   * @param {Object} record - Record about to be inserted or updated
+   * @param {number} [ownPosition] - Row position of the record when it is an update
+   * @returns {Object|null} Violation { index, field, value } or null
+   */
+  findUniqueViolation(tableName, record, ownPosition = -1) {
+    const tableIndexes = this.getIndexStore()[tableName] || {};
+
+    for (const [name, index] of Object.entries(tableIndexes)) {
+      if (!index.unique) continue;
+
+      const value = readIndexedField(record, index.field);
+      const matches = lookupIndex(index, 'eq', value);
+      const records = matches && matches.length > 0 ? this.select(tableName) : [];
+      if (matches && matches.some(position => (
+        position !== ownPosition && readIndexedField(records[position], index.field) === value
+      ))) {
+        return { index: name, field: index.field, value };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build indexes from schema or relationship index suggestions
+   * @param {string} tableName - Name of the table
+   * @param {Array} suggestions - Suggestions shaped like { name?, fields|columns, unique?|type }
+   * @returns {Array} Results of each createIndex call
+   */
+  createSuggestedIndexes(tableName, suggestions = []) {
+    const records = this.select(tableName);
+    const existing = new Set(this.getIndexes(tableName).map(index => index.field));
+    const results = [];
+
+    suggestions.forEach(suggestion => {
+      const fields = suggestion.fields || suggestion.columns || [];
+      // Only single-field indexes are supported
+      if (fields.length !== 1 || existing.has(fields[0])) return;
+
+      const field = fields[0];
+      const sample = records.map(record => readIndexedField(record, field)).find(value => value !== null && value !== undefined);
+      const type = typeof sample === 'number' || inferDataType(sample) === DataTypes.DATE
+        ? IndexTypes.SORTED
+        : IndexTypes.HASH;
+
+      results.push(this.createIndex(tableName, field, {
+        type,
+        unique: suggestion.unique || suggestion.type === 'unique'
+      }));
+      existing.add(field);
+    });
+
+    return results;
+  }
+
   /**
    * Set schema for a table
    * @param {string} tableName - Name of the table
@@ -463,23 +1109,73 @@ export class LocalStorageDB {
     const tables = this.discoverTables();
     
     tables.forEach(tableName => {
-      const data = localStorage.getItem(tableName);
+      const data = this.storage.getItem(tableName);
       if (data) {
         totalSize += data.length;
         usedKeys++;
       }
     });
+
+    const indexSize = (this.storage.getItem(this.indexKey) || '').length;
+    totalSize += indexSize;
+
+    // Snapshots are stored compressed but still share the quota with the tables
+    let snapshotSize = 0;
+    let snapshotCount = 0;
+    this.storage.keys().forEach(key => {
+      if (key === this.snapshotKey || key.startsWith(`${this.snapshotKey}:`)) {
+        snapshotSize += (this.storage.getItem(key) || '').length;
+        if (key !== this.snapshotKey) snapshotCount++;
+      }
+    });
+    totalSize += snapshotSize;
     
-    // Estimate available space (localStorage typically 5-10MB)
-    const estimatedLimit = 5 * 1024 * 1024; // 5MB
-    const usedPercent = (totalSize / estimatedLimit) * 100;
+    // The adapter knows its own limit (about 5MB for localStorage, far more for IndexedDB)
+    const estimatedLimit = this.storage.quota;
+    const usedPercent = Number.isFinite(estimatedLimit) ? (totalSize / estimatedLimit) * 100 : 0;
     
     return {
+      backend: this.storage.name,
       totalSize,
       usedKeys,
+      indexSize,
+      snapshotSize,
+      snapshotCount,
       estimatedLimit,
       usedPercent: Math.min(usedPercent, 100),
-      availableSpace: Math.max(estimatedLimit - totalSize, 0)
+      availableSpace: Number.isFinite(estimatedLimit)
+        ? Math.max(estimatedLimit - totalSize, 0)
+        : Infinity
+    };
+  }
+
+  /**
+   * List every storage key that belongs to this database
+   * @returns {Array} Internal keys followed by table keys
+   */
+  getStorageKeys() {
+    const internalKeys = this.storage.keys().filter(key => 
+      key.startsWith(this.prefix) && key !== `${this.prefix}backend`
+    );
+    return [...new Set([...internalKeys, ...this.discoverTables()])];
+  }
+
+  /**
+   * Copy this database's tables, indexes, schemas and relationships to another adapter
+   * @param {Object} target - Destination storage adapter
+   * @param {Object} options - Options passed to migrateStorage (removeSource, onProgress)
+   * @returns {Promise<Object>} Migration result with the migrated table names
+   */
+  async migrateTo(target, options = {}) {
+    const tables = this.discoverTables();
+    const result = await migrateStorage(this.storage, target, {
+      ...options,
+      keys: this.getStorageKeys()
+    });
+
+    return {
+      ...result,
+      tables: tables.filter(tableName => result.migratedKeys.includes(tableName))
     };
   }
 
@@ -492,12 +1188,13 @@ export class LocalStorageDB {
       const tables = this.discoverTables();
       tables.forEach(tableName => {
         if (tableName !== this.metaKey && tableName !== this.indexKey && tableName !== this.schemaKey) {
-          localStorage.removeItem(tableName);
+          this.removeKey(tableName);
         }
       });
       
-      // Reset metadata
+      // Reset metadata and drop indexes of the removed tables
       this.updateMetadata({ tables: {} });
+      this.removeKey(this.indexKey);
       return true;
     } catch (error) {
       console.error('Error clearing tables:', error);
@@ -530,6 +1227,20 @@ export const dbUtils = {
     }
   },
 
+  /**
+   * Check whether an error means localStorage ran out of space
+   * @param {Error} error - Error to check
+   * @returns {boolean} True for quota errors
+   */
+  isQuotaExceededError(error) {
+    return Boolean(error) && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  },
+
   /**
    * Format bytes to human readable string
    * @param {number} bytes - Number of bytes
@@ -4,6 +4,16 @@
  */
 
 import { localStorageDB, DataTypes, inferDataType } from './localStorageDB.js';
+import { lookupIndex, describeIndex } from './tableIndex.js';
+import {
+  ALL_FIELDS,
+  buildFullTextIndex,
+  searchFullTextIndex,
+  scoreRecords,
+  matchesFullText,
+  extractText,
+  parseSearchQuery
+} from './fullTextSearch.js';
 import { isValid, parseISO, compareAsc, compareDesc } from 'date-fns';
 
 /**
@@ -28,6 +38,9 @@ export const QueryOperators = {
   IN: 'in',
   NOT_IN: 'notIn',
   
+  // Range operations
+  BETWEEN: 'between',
+  
   // Null checks
   IS_NULL: 'isNull',
   IS_NOT_NULL: 'isNotNull',
@@ -35,7 +48,10 @@ export const QueryOperators = {
   // Date operations
   DATE_BEFORE: 'dateBefore',
   DATE_AFTER: 'dateAfter',
-  DATE_BETWEEN: 'dateBetween'
+  DATE_BETWEEN: 'dateBetween',
+
+  // Full-text search; the field may be '*' for every field
+  MATCH: 'match'
 };
 
 /**
@@ -53,6 +69,51 @@ export const AggregationFunctions = {
   STRING_AGG: 'stringAgg'
 };
 
+/**
+ * Window functions. Aggregates run over the window frame instead of
+ * collapsing rows; the ranking and offset functions ignore the frame.
+ */
+export const WindowFunctions = {
+  ROW_NUMBER: 'rowNumber',
+  RANK: 'rank',
+  DENSE_RANK: 'denseRank',
+  LAG: 'lag',
+  LEAD: 'lead',
+  SUM: AggregationFunctions.SUM,
+  AVG: AggregationFunctions.AVG,
+  COUNT: AggregationFunctions.COUNT,
+  MIN: AggregationFunctions.MIN,
+  MAX: AggregationFunctions.MAX
+};
+
+/**
+ * Window frame bounds. A number is an offset from the current row:
+ * negative for PRECEDING, positive for FOLLOWING.
+ */
+export const WindowFrameBounds = {
+  UNBOUNDED_PRECEDING: 'unboundedPreceding',
+  CURRENT_ROW: 'currentRow',
+  UNBOUNDED_FOLLOWING: 'unboundedFollowing'
+};
+
+/**
+ * Window frame modes. RANGE frames treat rows with equal ORDER BY values
+ * (peers) as one and only support unbounded and current row bounds.
+ */
+export const WindowFrameModes = {
+  ROWS: 'rows',
+  RANGE: 'range'
+};
+
+const RANKING_WINDOW_FUNCTIONS = [WindowFunctions.ROW_NUMBER, WindowFunctions.RANK, WindowFunctions.DENSE_RANK];
+const OFFSET_WINDOW_FUNCTIONS = [WindowFunctions.LAG, WindowFunctions.LEAD];
+
+// Iterations a recursive common table expression may take before it is treated as endless
+const MAX_RECURSIVE_ITERATIONS = 1000;
+
+// Rows processed between two progress reports inside a stage
+const PROGRESS_INTERVAL = 1000;
+
 /**
  * Data type conversion functions
  */
@@ -92,6 +153,36 @@ export const JoinType = {
   FULL: 'full'
 };
 
+/**
+ * How the base table rows are read
+ */
+export const AccessPathTypes = {
+  FULL_SCAN: 'FULL_SCAN',
+  INDEX_SCAN: 'INDEX_SCAN'
+};
+
+/**
+ * How join rows are matched
+ */
+export const JoinStrategies = {
+  NESTED_LOOP: 'NESTED_LOOP',
+  HASH_JOIN: 'HASH_JOIN',
+  INDEX_LOOKUP: 'INDEX_LOOKUP'
+};
+
+/**
+ * Stages reported to executeQuery's onProgress callback, in execution order
+ */
+export const QueryStages = {
+  READ: 'read',
+  JOIN: 'join',
+  FILTER: 'filter',
+  GROUP: 'group',
+  WINDOW: 'window',
+  SORT: 'sort',
+  DONE: 'done'
+};
+
 /**
  * Query Builder Class
  */
@@ -110,6 +201,8 @@ export class QueryBuilder {
     this.subqueries = [];
     this.unionQueries = [];
     this.calculatedFields = [];
+    this.windowFunctions = [];
+    this.commonTableExpressions = [];
   }
 
   /**
@@ -141,6 +234,31 @@ export class QueryBuilder {
     return this.where(field, operator, value, 'OR');
   }
 
+  /**
+   * Add a parenthesized group of filter conditions
+   * @param {Function} build - Receives a QueryBuilder to add the grouped conditions to
+   * @param {string} logicalOperator - 'AND' or 'OR' (default: 'AND')
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  whereGroup(build, logicalOperator = 'AND') {
+    const group = new QueryBuilder(this.tableName);
+    build(group);
+    this.filters.push({
+      group: group.filters,
+      logicalOperator: this.filters.length === 0 ? null : logicalOperator
+    });
+    return this;
+  }
+
+  /**
+   * Add an OR parenthesized group of filter conditions
+   * @param {Function} build - Receives a QueryBuilder to add the grouped conditions to
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  orWhereGroup(build) {
+    return this.whereGroup(build, 'OR');
+  }
+
   /**
    * Add sorting
    * @param {string} field - Field name to sort by
@@ -227,6 +345,98 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Add a window function. Windows are evaluated after grouping and HAVING
+   * and before ORDER BY, so they can rank aggregated rows.
+   * @param {string} func - Window function name (WindowFunctions)
+   * @param {string} field - Field to read (null for ranking functions and COUNT(*))
+   * @param {string} alias - Alias for the result
+   * @param {Object} options - Window definition
+   * @param {string|Array} options.partitionBy - Field(s) to partition by
+   * @param {string|Array} options.orderBy - Field names or { field, direction } within each partition
+   * @param {Object} options.frame - { mode, start, end } for aggregates (default: partition start to current row when ordered, whole partition otherwise)
+   * @param {number} options.offset - Rows to look back or ahead for LAG and LEAD (default: 1)
+   * @param {any} options.defaultValue - LAG and LEAD value past the partition edge (default: null)
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  window(func, field = null, alias = null, options = {}) {
+    const isAggregate = !RANKING_WINDOW_FUNCTIONS.includes(func) && !OFFSET_WINDOW_FUNCTIONS.includes(func);
+    if (!Object.values(WindowFunctions).includes(func)) {
+      throw new Error(`Unknown window function: ${func}`);
+    }
+    if (!field && (OFFSET_WINDOW_FUNCTIONS.includes(func) || (isAggregate && func !== WindowFunctions.COUNT))) {
+      throw new Error(`Window function ${func} needs a field`);
+    }
+
+    const toArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+    const orderBy = toArray(options.orderBy).map(sort => (
+      typeof sort === 'string' ? { field: sort, direction: SortDirection.ASC } : { direction: SortDirection.ASC, ...sort }
+    ));
+
+    let frame = null;
+    if (options.frame && isAggregate) {
+      frame = {
+        mode: options.frame.mode || WindowFrameModes.ROWS,
+        start: options.frame.start ?? WindowFrameBounds.UNBOUNDED_PRECEDING,
+        end: options.frame.end ?? WindowFrameBounds.CURRENT_ROW
+      };
+      if (frame.mode === WindowFrameModes.RANGE && (typeof frame.start === 'number' || typeof frame.end === 'number')) {
+        throw new Error('RANGE frames only support unbounded and current row bounds');
+      }
+    }
+
+    this.windowFunctions.push({
+      function: func,
+      field,
+      alias: alias || `${func}_${field || 'all'}`,
+      partitionBy: toArray(options.partitionBy),
+      orderBy,
+      frame,
+      offset: OFFSET_WINDOW_FUNCTIONS.includes(func) ? (options.offset ?? 1) : null,
+      defaultValue: OFFSET_WINDOW_FUNCTIONS.includes(func) ? (options.defaultValue ?? null) : null
+    });
+    return this;
+  }
+
+  /**
+   * Add a common table expression (WITH clause). The query, its joins,
+   * subqueries and unions, and later CTEs can read it by name like a table;
+   * it hides a table or view of the same name.
+   * @param {string} name - Name to read the result by
+   * @param {QueryBuilder} query - Query producing the rows
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  with(name, query) {
+    this.commonTableExpressions.push({
+      name,
+      query,
+      recursiveQuery: null,
+      unionAll: true
+    });
+    return this;
+  }
+
+  /**
+   * Add a recursive common table expression (WITH RECURSIVE). The anchor
+   * query runs once; the recursive query then runs repeatedly, reading the
+   * rows produced by the previous step under the CTE name, until it returns
+   * no new rows.
+   * @param {string} name - Name to read the result by
+   * @param {QueryBuilder} anchorQuery - Query producing the starting rows
+   * @param {QueryBuilder} recursiveQuery - Query reading the previous step by name
+   * @param {boolean} unionAll - Keep duplicate rows; with false, rows already produced end the recursion
+   * @returns {QueryBuilder} This instance for chaining
+   */
+  withRecursive(name, anchorQuery, recursiveQuery, unionAll = true) {
+    this.commonTableExpressions.push({
+      name,
+      query: anchorQuery,
+      recursiveQuery,
+      unionAll
+    });
+    return this;
+  }
+
   /**
    * Add HAVING condition for aggregated results
    * @param {string} aggregateField - Aggregated field or alias
@@ -338,6 +548,107 @@ export class QueryBuilder {
     return this;
   }
 
+  /**
+   * Serialize the query to plain data for saved queries, views and history.
+   * Calculated fields with custom functions cannot be serialized.
+   * @returns {Object} Query spec accepted by QueryBuilder.fromJSON
+   */
+  toJSON() {
+    const unsaved = this.calculatedFields.find(field => field.type === 'FUNCTION');
+    if (unsaved) {
+      throw new Error(`Calculated field "${unsaved.alias}" uses a custom function and cannot be saved`);
+    }
+
+    return {
+      table: this.tableName,
+      filters: this.filters,
+      sorts: this.sorts,
+      limit: this.limitValue,
+      offset: this.offsetValue,
+      select: this.selectFields,
+      joins: this.joins,
+      groupBy: this.groupByFields,
+      aggregations: this.aggregations,
+      having: this.havingConditions,
+      subqueries: this.subqueries.map(subquery => ({ ...subquery, subquery: subquery.subquery.toJSON() })),
+      unions: this.unionQueries.map(union => ({ ...union, query: union.query.toJSON() })),
+      calculatedFields: this.calculatedFields,
+      windowFunctions: this.windowFunctions,
+      ctes: this.commonTableExpressions.map(cte => ({
+        ...cte,
+        query: cte.query.toJSON(),
+        recursiveQuery: cte.recursiveQuery ? cte.recursiveQuery.toJSON() : null
+      }))
+    };
+  }
+
+  /**
+   * Rebuild a query from the output of toJSON
+   * @param {Object} spec - Serialized query
+   * @returns {QueryBuilder} New query
+   */
+  static fromJSON(spec) {
+    const copy = JSON.parse(JSON.stringify(spec));
+    const query = new QueryBuilder(copy.table);
+
+    query.filters = copy.filters || [];
+    query.sorts = copy.sorts || [];
+    query.limitValue = copy.limit ?? null;
+    query.offsetValue = copy.offset || 0;
+    query.selectFields = copy.select || null;
+    query.joins = copy.joins || [];
+    query.groupByFields = copy.groupBy || [];
+    query.aggregations = copy.aggregations || [];
+    query.havingConditions = copy.having || [];
+    query.subqueries = (copy.subqueries || []).map(subquery => ({ ...subquery, subquery: QueryBuilder.fromJSON(subquery.subquery) }));
+    query.unionQueries = (copy.unions || []).map(union => ({ ...union, query: QueryBuilder.fromJSON(union.query) }));
+    query.calculatedFields = copy.calculatedFields || [];
+    query.windowFunctions = copy.windowFunctions || [];
+    query.commonTableExpressions = (copy.ctes || []).map(cte => ({
+      ...cte,
+      query: QueryBuilder.fromJSON(cte.query),
+      recursiveQuery: cte.recursiveQuery ? QueryBuilder.fromJSON(cte.recursiveQuery) : null
+    }));
+    return query;
+  }
+
+  /**
+   * Names the query reads from, following saved views to the tables behind
+   * them. Works for queries that cannot be serialized.
+   * @returns {Set} Table, view and CTE names
+   */
+  getSources() {
+    const names = new Set();
+    const visit = (query) => {
+      names.add(query.tableName);
+      query.joins.forEach(join => names.add(join.table));
+      query.subqueries.forEach(subquery => visit(subquery.subquery));
+      query.unionQueries.forEach(union => visit(union.query));
+      query.commonTableExpressions.forEach(cte => {
+        visit(cte.query);
+        if (cte.recursiveQuery) visit(cte.recursiveQuery);
+      });
+    };
+    visit(this);
+
+    const pending = [...names];
+    const expanded = new Set();
+    while (pending.length > 0) {
+      const name = pending.pop();
+      if (expanded.has(name)) continue;
+      expanded.add(name);
+
+      const view = getViewDefinition(name);
+      if (view) {
+        collectQuerySources(view.query).forEach(source => {
+          names.add(source);
+          pending.push(source);
+        });
+      }
+    }
+    return names;
+  }
+
   /**
    * Execute the query
    * @returns {Array} Query results
@@ -351,8 +662,12 @@ export class QueryBuilder {
    * @returns {Object} Query execution plan
    */
   explain() {
+    const access = chooseAccessPath(this);
+
     return {
       table: this.tableName,
+      accessPath: describeAccessPath(access),
+      joinStrategies: this.joins.map(join => describeJoinStrategy(join, findJoinIndex(join))),
       filters: this.filters,
       sorts: this.sorts,
       limit: this.limitValue,
@@ -365,6 +680,8 @@ export class QueryBuilder {
       subqueries: this.subqueries,
       unions: this.unionQueries,
       calculatedFields: this.calculatedFields,
+      windowFunctions: this.windowFunctions,
+      ctes: this.commonTableExpressions,
       estimatedComplexity: this.estimateComplexity()
     };
   }
@@ -385,6 +702,8 @@ export class QueryBuilder {
     score += this.subqueries.length * 4; // Subqueries are expensive
     score += this.unionQueries.length * 3; // Unions add complexity
     score += this.calculatedFields.length * 2; // Calculated fields add complexity
+    score += this.windowFunctions.length * 3; // Windows partition and sort
+    score += this.commonTableExpressions.length * 4; // CTEs run whole queries
     
     if (score <= 2) return 'LOW';
     if (score <= 8) return 'MEDIUM';
@@ -392,18 +711,204 @@ export class QueryBuilder {
   }
 }
 
+// Views being expanded by the current query, to stop views that reference themselves
+const expandingViews = new Set();
+
+// Common table expressions visible to the query being executed, one Map per WITH, innermost last
+const cteScopes = [];
+
+// Progress callback of the outermost query; views, CTEs and subqueries it runs report nothing
+let progressListener = null;
+let queryDepth = 0;
+
+/**
+ * Report progress of the outermost query
+ * @param {string} stage - QueryStages value
+ * @param {number} processed - Rows handled so far in this stage
+ * @param {number} total - Rows the stage will handle
+ */
+function reportProgress(stage, processed = 0, total = 0) {
+  if (progressListener && queryDepth === 1) {
+    progressListener({ stage, processed, total });
+  }
+}
+
+/**
+ * Report row-level progress every PROGRESS_INTERVAL rows
+ * @param {string} stage - QueryStages value
+ * @param {number} processed - Rows handled so far
+ * @param {number} total - Rows the stage will handle
+ */
+function reportRowProgress(stage, processed, total) {
+  if (processed % PROGRESS_INTERVAL === 0) {
+    reportProgress(stage, processed, total);
+  }
+}
+
+/**
+ * Look up a common table expression of the queries being executed
+ * @param {string} name - CTE name
+ * @returns {Array|null} Rows, or null when no CTE has the name
+ */
+function findCommonTableExpression(name) {
+  for (let i = cteScopes.length - 1; i >= 0; i--) {
+    if (cteScopes[i].has(name)) return cteScopes[i].get(name);
+  }
+  return null;
+}
+
+/**
+ * Look up a saved view. Views live with saved queries in database metadata
+ * (see savedQueries.js).
+ * @param {string} name - View name
+ * @returns {Object|null} Saved view { name, type, query, sql } or null
+ */
+export function getViewDefinition(name) {
+  const saved = localStorageDB.getMetadata().savedQueries || {};
+  const entry = saved[name];
+  return entry && entry.type === 'view' ? entry : null;
+}
+
 /**
- * Execute a query
+ * Collect every table, view or CTE name a serialized query reads from
+ * @param {Object} spec - Query spec from QueryBuilder.toJSON
+ * @param {Set} names - Accumulator
+ * @returns {Set} Source names
+ */
+export function collectQuerySources(spec, names = new Set()) {
+  names.add(spec.table);
+  (spec.joins || []).forEach(join => names.add(join.table));
+  (spec.subqueries || []).forEach(subquery => collectQuerySources(subquery.subquery, names));
+  (spec.unions || []).forEach(union => collectQuerySources(union.query, names));
+  (spec.ctes || []).forEach(cte => {
+    collectQuerySources(cte.query, names);
+    if (cte.recursiveQuery) collectQuerySources(cte.recursiveQuery, names);
+  });
+  return names;
+}
+
+/**
+ * Read the rows behind a FROM or JOIN name. Common table expressions hide
+ * tables, and tables win over views of the same name.
+ * @param {string} name - CTE, table or view name
+ * @returns {Object} { data, isDerived } where data is null when nothing has the name
+ *   and isDerived is true for CTE and view rows, which have no indexes
+ */
+function readSource(name) {
+  const cteRows = findCommonTableExpression(name);
+  // Copied so sorting the result never reorders the CTE for its other readers
+  if (cteRows) return { data: [...cteRows], isDerived: true };
+
+  const data = localStorageDB.getTable(name);
+  if (data !== null) return { data, isDerived: false };
+
+  const view = getViewDefinition(name);
+  if (!view) return { data: null, isDerived: false };
+
+  if (expandingViews.has(name)) {
+    throw new Error(`View "${name}" references itself`);
+  }
+  expandingViews.add(name);
+  // A view only sees tables and other views, never the CTEs of the query reading it
+  const outerScopes = cteScopes.splice(0);
+  try {
+    return { data: executeQuery(QueryBuilder.fromJSON(view.query)), isDerived: true };
+  } finally {
+    cteScopes.push(...outerScopes);
+    expandingViews.delete(name);
+  }
+}
+
+/**
+ * Evaluate a common table expression
+ * @param {Object} cte - CTE specification
+ * @param {Map} scope - Scope the CTE is registered in, used to expose each recursive step
+ * @returns {Array} Rows
+ */
+function evaluateCommonTableExpression(cte, scope) {
+  const anchorRows = executeQuery(cte.query);
+  if (!cte.recursiveQuery) return anchorRows;
+
+  // UNION drops duplicates, including rows the anchor repeats
+  const seen = cte.unionAll ? null : new Set();
+  const keepNew = (rows) => (seen ? rows.filter(row => {
+    const key = JSON.stringify(row);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }) : rows);
+
+  let working = keepNew(anchorRows);
+  let result = working;
+
+  for (let iteration = 0; working.length > 0; iteration++) {
+    if (iteration >= MAX_RECURSIVE_ITERATIONS) {
+      throw new Error(`Recursive query "${cte.name}" did not finish after ${MAX_RECURSIVE_ITERATIONS} iterations`);
+    }
+    scope.set(cte.name, working);
+    working = keepNew(executeQuery(cte.recursiveQuery));
+    result = result.concat(working);
+  }
+
+  return result;
+}
+
+/**
+ * Execute a query. The FROM table and joined tables may also be saved views
+ * or common table expressions of this query or an enclosing one.
+ * Execution is synchronous; use runQueryAsync (queryRunner.js) to keep
+ * large queries off the main thread.
+ * @param {QueryBuilder} query - Query to execute
+ * @param {Object} options - Execution options
+ * @param {Function} options.onProgress - Called with { stage, processed, total } as the query runs
+ * @returns {Array} Query results
+ */
+export function executeQuery(query, options = {}) {
+  const isOutermost = queryDepth === 0;
+  if (isOutermost) {
+    progressListener = options.onProgress || null;
+  }
+  queryDepth++;
+
+  const scope = new Map();
+  cteScopes.push(scope);
+  try {
+    query.commonTableExpressions.forEach(cte => {
+      scope.set(cte.name, evaluateCommonTableExpression(cte, scope));
+    });
+    return runQuery(query);
+  } finally {
+    cteScopes.pop();
+    queryDepth--;
+    if (isOutermost) {
+      progressListener = null;
+    }
+  }
+}
+
+/**
+ * Run the clauses of a query once its common table expressions are in scope
  * @param {QueryBuilder} query - Query to execute
  * @returns {Array} Query results
  */
-export function executeQuery(query) {
-  const data = localStorageDB.getTable(query.tableName);
-  if (!data) return [];
+function runQuery(query) {
+  reportProgress(QueryStages.READ);
+  const { data, isDerived } = readSource(query.tableName);
+  if (!data) {
+    reportProgress(QueryStages.DONE);
+    return [];
+  }
 
   // Convert single values to arrays for uniform processing
   let records = Array.isArray(data) ? data : [data];
 
+  // Narrow the base rows through an index when a filter allows it; view and CTE rows have no indexes
+  const access = Array.isArray(data) && !isDerived ? chooseAccessPath(query) : null;
+  if (access) {
+    records = lookupIndex(access.index, access.filter.operator, access.filter.value)
+      .map(position => data[position]);
+  }
+
   // Apply joins first
   if (query.joins.length > 0) {
     records = applyJoins(records, query.joins);
@@ -411,11 +916,18 @@ export function executeQuery(query) {
 
   // Apply filters and subqueries
   if (query.filters.length > 0 || query.subqueries.length > 0) {
-    records = applyFiltersAndSubqueries(records, query.filters, query.subqueries);
+    records = applyFiltersAndSubqueries(records, query.filters, query.subqueries, QueryStages.FILTER);
+  }
+
+  // Like MySQL's MATCH ... AGAINST, full-text conditions rank the rows by relevance unless ORDER BY is given
+  const matchFilters = query.filters.filter(filter => filter.operator === QueryOperators.MATCH);
+  if (matchFilters.length > 0 && query.sorts.length === 0 && query.groupByFields.length === 0 && query.aggregations.length === 0) {
+    records = orderByRelevance(records, matchFilters);
   }
 
   // Apply grouping and aggregation
   if (query.groupByFields.length > 0 || query.aggregations.length > 0) {
+    reportProgress(QueryStages.GROUP, 0, records.length);
     records = applyGroupByAndAggregation(records, query.groupByFields, query.aggregations);
     
     // Apply having conditions after aggregation
@@ -424,8 +936,15 @@ export function executeQuery(query) {
     }
   }
 
+  // Apply window functions over the filtered (and grouped) rows
+  if (query.windowFunctions.length > 0) {
+    reportProgress(QueryStages.WINDOW, 0, records.length);
+    records = applyWindowFunctions(records, query.windowFunctions);
+  }
+
   // Apply sorting
   if (query.sorts.length > 0) {
+    reportProgress(QueryStages.SORT, 0, records.length);
     records = applySorting(records, query.sorts);
   }
 
@@ -451,50 +970,174 @@ export function executeQuery(query) {
     records = applyUnionOperations(records, query.unionQueries);
   }
 
+  reportProgress(QueryStages.DONE, records.length, records.length);
   return records;
 }
 
+/**
+ * Find the index that can narrow the base table scan, if any. A filter can
+ * only narrow the scan when the final result implies it: it must be ANDed in
+ * and every filter or subquery after it must be ANDed as well.
+ * @param {QueryBuilder} query - Query to plan
+ * @returns {Object|null} { index, filter } or null for a full scan
+ */
+function chooseAccessPath(query) {
+  const conditions = [...query.filters, ...query.subqueries];
+  const candidates = [];
+
+  for (let i = 0; i < query.filters.length; i++) {
+    const filter = query.filters[i];
+    const laterConditions = conditions.slice(i + 1);
+
+    if (filter.group || filter.logicalOperator === 'OR') continue;
+    if (laterConditions.some(condition => condition.logicalOperator === 'OR')) continue;
+
+    const index = localStorageDB.findIndex(query.tableName, filter.field, filter.operator, filter.value);
+    if (index) {
+      candidates.push({ index, filter });
+    }
+  }
+
+  if (candidates.length === 0) return null;
+
+  // Prefer equality lookups, which usually return the fewest rows
+  const isEquality = candidate => [QueryOperators.EQUALS, QueryOperators.IN].includes(candidate.filter.operator);
+  return candidates.find(isEquality) || candidates[0];
+}
+
+/**
+ * Describe an access path for the query plan
+ * @param {Object|null} access - Result of chooseAccessPath
+ * @returns {Object} Access path description
+ */
+function describeAccessPath(access) {
+  if (!access) {
+    return { type: AccessPathTypes.FULL_SCAN };
+  }
+
+  const { index, filter } = access;
+  const positions = lookupIndex(index, filter.operator, filter.value);
+
+  return {
+    type: AccessPathTypes.INDEX_SCAN,
+    index: describeIndex(index.name, index),
+    field: filter.field,
+    operator: filter.operator,
+    estimatedRows: positions ? positions.length : null
+  };
+}
+
+/**
+ * Find an index on the joined table's join field
+ * @param {Object} join - Join specification
+ * @returns {Object|null} Index or null
+ */
+function findJoinIndex(join) {
+  return localStorageDB.findIndex(join.table, join.joinField, QueryOperators.EQUALS);
+}
+
+/**
+ * Describe how a join will be executed
+ * @param {Object} join - Join specification
+ * @param {Object|null} index - Index on the join field
+ * @returns {Object} Join strategy description
+ */
+function describeJoinStrategy(join, index) {
+  return {
+    table: join.table,
+    joinField: join.joinField,
+    localField: join.localField,
+    type: join.type,
+    strategy: index ? JoinStrategies.INDEX_LOOKUP : JoinStrategies.HASH_JOIN,
+    ...(index && { index: describeIndex(index.name, index) })
+  };
+}
+
 /**
  * Apply filters and subqueries to records
  * @param {Array} records - Records to filter
  * @param {Array} filters - Filter conditions
  * @param {Array} subqueries - Subquery conditions
+ * @param {string|null} stage - QueryStages value to report row progress under
  * @returns {Array} Filtered records
  */
-function applyFiltersAndSubqueries(records, filters = [], subqueries = []) {
-  return records.filter(record => {
+function applyFiltersAndSubqueries(records, filters = [], subqueries = [], stage = null) {
+  // Subqueries cannot refer to the outer row, so each one runs once for all rows
+  const subqueryResults = subqueries.map(resolveSubquery);
+
+  return records.filter((record, processed) => {
+    if (stage) {
+      reportRowProgress(stage, processed, records.length);
+    }
     let result = true;
-    let currentLogicalOp = null;
 
     // Apply regular filters
     for (const filter of filters) {
-      const fieldValue = getNestedValue(record, filter.field);
-      const conditionResult = evaluateCondition(fieldValue, filter.operator, filter.value);
-
-      if (currentLogicalOp === 'OR') {
-        result = result || conditionResult;
-      } else if (currentLogicalOp === 'AND' || currentLogicalOp === null) {
-        result = result && conditionResult;
-      }
-
-      currentLogicalOp = filter.logicalOperator;
+      result = combineConditions(result, evaluateFilter(record, filter), filter.logicalOperator);
     }
 
     // Apply subquery conditions
-    for (const subqueryCondition of subqueries) {
-      const conditionResult = evaluateSubqueryCondition(record, subqueryCondition);
+    subqueries.forEach((subqueryCondition, i) => {
+      const conditionResult = evaluateSubqueryCondition(record, subqueryCondition, subqueryResults[i]);
+      result = combineConditions(result, conditionResult, subqueryCondition.logicalOperator);
+    });
 
-      if (currentLogicalOp === 'OR') {
-        result = result || conditionResult;
-      } else if (currentLogicalOp === 'AND' || currentLogicalOp === null) {
-        result = result && conditionResult;
-      }
+    return result;
+  });
+}
 
-      currentLogicalOp = subqueryCondition.logicalOperator;
-    }
+/**
+ * Evaluate a filter, or a parenthesized group of filters, against a record
+ * @param {Object} record - Record to evaluate against
+ * @param {Object} filter - Filter condition or group
+ * @returns {boolean} Condition result
+ */
+function evaluateFilter(record, filter) {
+  if (filter.group) {
+    return filter.group.reduce(
+      (result, groupFilter) => combineConditions(result, evaluateFilter(record, groupFilter), groupFilter.logicalOperator),
+      true
+    );
+  }
 
-    return result;
+  // MATCH searches the text of one field, or of every field for '*'
+  if (filter.operator === QueryOperators.MATCH) {
+    return matchesFullText(extractText(record, filter.field || ALL_FIELDS), filter.value);
+  }
+
+  const fieldValue = getNestedValue(record, filter.field);
+  return evaluateCondition(fieldValue, filter.operator, filter.value);
+}
+
+/**
+ * Order records by their BM25 relevance to full-text conditions
+ * @param {Array} records - Filtered records
+ * @param {Array} matchFilters - MATCH filters of the query
+ * @returns {Array} Records, most relevant first
+ */
+function orderByRelevance(records, matchFilters) {
+  const totals = new Array(records.length).fill(0);
+  matchFilters.forEach(filter => {
+    scoreRecords(records, filter.value, { field: filter.field || ALL_FIELDS }).forEach((score, position) => {
+      totals[position] += score;
+    });
   });
+
+  return records
+    .map((record, position) => ({ record, score: totals[position] }))
+    .sort((a, b) => b.score - a.score)
+    .map(entry => entry.record);
+}
+
+/**
+ * Combine a running result with the next condition using that condition's logical operator
+ * @param {boolean} result - Result so far
+ * @param {boolean} conditionResult - Result of the next condition
+ * @param {string|null} logicalOperator - 'AND', 'OR' or null for the first condition
+ * @returns {boolean} Combined result
+ */
+function combineConditions(result, conditionResult, logicalOperator) {
+  return logicalOperator === 'OR' ? result || conditionResult : result && conditionResult;
 }
 
 /**
@@ -556,6 +1199,9 @@ function evaluateCondition(fieldValue, operator, filterValue) {
     case QueryOperators.ENDS_WITH:
       return String(fieldValue).toLowerCase().endsWith(String(filterValue).toLowerCase());
     
+    case QueryOperators.MATCH:
+      return matchesFullText(String(fieldValue), filterValue);
+
     case QueryOperators.REGEX:
       try {
         const regex = new RegExp(filterValue, 'i');
@@ -570,6 +1216,11 @@ function evaluateCondition(fieldValue, operator, filterValue) {
     case QueryOperators.NOT_IN:
       return Array.isArray(filterValue) && !filterValue.includes(fieldValue);
     
+    case QueryOperators.BETWEEN:
+      return Array.isArray(filterValue) && filterValue.length === 2 &&
+             compareValues(fieldValue, filterValue[0]) >= 0 &&
+             compareValues(fieldValue, filterValue[1]) <= 0;
+    
     case QueryOperators.DATE_BEFORE:
     case QueryOperators.DATE_AFTER:
     case QueryOperators.DATE_BETWEEN:
@@ -688,38 +1339,75 @@ function applyJoins(records, joins) {
   let result = records;
 
   for (const join of joins) {
-    const joinData = localStorageDB.getTable(join.table);
+    reportProgress(QueryStages.JOIN, 0, result.length);
+    const { data: joinData, isDerived } = readSource(join.table);
     if (!joinData) continue;
 
     const joinRecords = Array.isArray(joinData) ? joinData : [joinData];
-    result = performJoin(result, joinRecords, join);
+    const index = Array.isArray(joinData) && !isDerived ? findJoinIndex(join) : null;
+    result = performJoin(result, joinRecords, join, index);
   }
 
   return result;
 }
 
 /**
- * Perform a single join operation
+ * Hash the right side of a join on its join field
+ * @param {Array} rightRecords - Right side records
+ * @param {string} joinField - Right side join field
+ * @returns {Map} Join value -> row positions
+ */
+function buildJoinHashTable(rightRecords, joinField) {
+  const buckets = new Map();
+  rightRecords.forEach((rightRecord, position) => {
+    const value = getNestedValue(rightRecord, joinField);
+    if (!buckets.has(value)) {
+      buckets.set(value, []);
+    }
+    buckets.get(value).push(position);
+  });
+  return buckets;
+}
+
+/**
+ * Perform a single join operation. Right rows are found through the index
+ * when there is one, otherwise through a hash table built once per join.
  * @param {Array} leftRecords - Left side records
  * @param {Array} rightRecords - Right side records
  * @param {Object} joinSpec - Join specification
+ * @param {Object|null} index - Index on the right side join field, if any
  * @returns {Array} Joined records
  */
-function performJoin(leftRecords, rightRecords, joinSpec) {
+function performJoin(leftRecords, rightRecords, joinSpec, index = null) {
   const joined = [];
+  const column = `${joinSpec.table}_${joinSpec.joinField}`;
+  const keepUnmatchedRight = joinSpec.type === JoinType.RIGHT || joinSpec.type === JoinType.FULL;
+  const matchedRight = keepUnmatchedRight ? new Set() : null;
+  let buckets = null;
 
-  for (const leftRecord of leftRecords) {
+  leftRecords.forEach((leftRecord, processed) => {
+    reportRowProgress(QueryStages.JOIN, processed, leftRecords.length);
     const leftValue = getNestedValue(leftRecord, joinSpec.localField);
     let hasMatch = false;
 
-    for (const rightRecord of rightRecords) {
-      const rightValue = getNestedValue(rightRecord, joinSpec.joinField);
-      
-      if (leftValue === rightValue) {
+    // Indexes skip null and object values, so those keys go through the hash table
+    let positions;
+    if (index && leftValue !== null && typeof leftValue !== 'object') {
+      positions = lookupIndex(index, QueryOperators.EQUALS, leftValue);
+    }
+    if (!positions) {
+      buckets = buckets || buildJoinHashTable(rightRecords, joinSpec.joinField);
+      positions = buckets.get(leftValue) || [];
+    }
+
+    for (const position of positions) {
+      const rightRecord = rightRecords[position];
+      if (getNestedValue(rightRecord, joinSpec.joinField) === leftValue) {
         hasMatch = true;
+        matchedRight?.add(position);
         joined.push({
           ...leftRecord,
-          [`${joinSpec.table}_${joinSpec.joinField}`]: rightRecord
+          [column]: rightRecord
         });
       }
     }
@@ -728,25 +1416,20 @@ function performJoin(leftRecords, rightRecords, joinSpec) {
     if (!hasMatch && (joinSpec.type === JoinType.LEFT || joinSpec.type === JoinType.FULL)) {
       joined.push({
         ...leftRecord,
-        [`${joinSpec.table}_${joinSpec.joinField}`]: null
+        [column]: null
       });
     }
-  }
+  });
 
   // Handle RIGHT and FULL joins (add unmatched right records)
-  if (joinSpec.type === JoinType.RIGHT || joinSpec.type === JoinType.FULL) {
-    for (const rightRecord of rightRecords) {
-      const rightValue = getNestedValue(rightRecord, joinSpec.joinField);
-      const hasMatch = leftRecords.some(leftRecord => 
-        getNestedValue(leftRecord, joinSpec.localField) === rightValue
-      );
-
-      if (!hasMatch) {
+  if (keepUnmatchedRight) {
+    rightRecords.forEach((rightRecord, position) => {
+      if (!matchedRight.has(position)) {
         joined.push({
-          [`${joinSpec.table}_${joinSpec.joinField}`]: rightRecord
+          [column]: rightRecord
         });
       }
-    }
+    });
   }
 
   return joined;
@@ -867,43 +1550,189 @@ function calculateAggregation(records, func, field) {
   }
 }
 
+/**
+ * Apply window functions, adding one column per window without collapsing rows
+ * @param {Array} records - Records to process
+ * @param {Array} windowFunctions - Window function specifications
+ * @returns {Array} Records with window columns, in their original order
+ */
+function applyWindowFunctions(records, windowFunctions) {
+  const result = records.map(record => ({ ...record }));
+
+  // Later windows may read the columns of earlier ones
+  windowFunctions.forEach(win => {
+    const partitions = new Map();
+    result.forEach(record => {
+      const key = JSON.stringify(win.partitionBy.map(field => getNestedValue(record, field) ?? null));
+      if (!partitions.has(key)) {
+        partitions.set(key, []);
+      }
+      partitions.get(key).push(record);
+    });
+
+    for (const partition of partitions.values()) {
+      const ordered = win.orderBy.length > 0 ? applySorting([...partition], win.orderBy) : partition;
+      const values = calculateWindowValues(ordered, win);
+      ordered.forEach((record, position) => {
+        record[win.alias] = values[position];
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Calculate a window function for every row of one ordered partition
+ * @param {Array} rows - Partition rows in window order
+ * @param {Object} win - Window function specification
+ * @returns {Array} Value for each row
+ */
+function calculateWindowValues(rows, win) {
+  // Peers share their ORDER BY values; without ORDER BY the whole partition is one peer group
+  const isPeer = (a, b) => win.orderBy.every(sort =>
+    compareValues(getNestedValue(a, sort.field), getNestedValue(b, sort.field)) === 0
+  );
+
+  switch (win.function) {
+    case WindowFunctions.ROW_NUMBER:
+      return rows.map((row, position) => position + 1);
+
+    case WindowFunctions.RANK: {
+      let rank = 0;
+      return rows.map((row, position) => {
+        if (position === 0 || !isPeer(rows[position - 1], row)) rank = position + 1;
+        return rank;
+      });
+    }
+
+    case WindowFunctions.DENSE_RANK: {
+      let rank = 0;
+      return rows.map((row, position) => {
+        if (position === 0 || !isPeer(rows[position - 1], row)) rank++;
+        return rank;
+      });
+    }
+
+    case WindowFunctions.LAG:
+    case WindowFunctions.LEAD: {
+      const step = win.function === WindowFunctions.LAG ? -win.offset : win.offset;
+      return rows.map((row, position) => {
+        const target = position + step;
+        if (target < 0 || target >= rows.length) return win.defaultValue;
+        return getNestedValue(rows[target], win.field) ?? null;
+      });
+    }
+
+    default:
+      return calculateFrameAggregates(rows, win, isPeer);
+  }
+}
+
+/**
+ * Calculate an aggregate over each row's window frame
+ * @param {Array} rows - Partition rows in window order
+ * @param {Object} win - Window function specification
+ * @param {Function} isPeer - Whether two rows share their ORDER BY values
+ * @returns {Array} Value for each row
+ */
+function calculateFrameAggregates(rows, win, isPeer) {
+  const frame = win.frame || (win.orderBy.length > 0
+    ? { mode: WindowFrameModes.RANGE, start: WindowFrameBounds.UNBOUNDED_PRECEDING, end: WindowFrameBounds.CURRENT_ROW }
+    : { mode: WindowFrameModes.ROWS, start: WindowFrameBounds.UNBOUNDED_PRECEDING, end: WindowFrameBounds.UNBOUNDED_FOLLOWING });
+
+  // First and last position of each row's peer group, for RANGE frames
+  const peerStart = [];
+  const peerEnd = [];
+  rows.forEach((row, position) => {
+    peerStart[position] = position > 0 && isPeer(rows[position - 1], row) ? peerStart[position - 1] : position;
+  });
+  for (let position = rows.length - 1; position >= 0; position--) {
+    peerEnd[position] = position < rows.length - 1 && isPeer(rows[position + 1], rows[position]) ? peerEnd[position + 1] : position;
+  }
+
+  const resolveBound = (bound, position, isStart) => {
+    if (bound === WindowFrameBounds.UNBOUNDED_PRECEDING) return isStart ? 0 : -1;
+    if (bound === WindowFrameBounds.UNBOUNDED_FOLLOWING) return isStart ? rows.length : rows.length - 1;
+    if (frame.mode === WindowFrameModes.RANGE) return isStart ? peerStart[position] : peerEnd[position];
+    return position + (bound === WindowFrameBounds.CURRENT_ROW ? 0 : bound);
+  };
+
+  // Running totals make SUM, COUNT and AVG linear for any frame
+  const useTotals = [AggregationFunctions.SUM, AggregationFunctions.COUNT, AggregationFunctions.AVG].includes(win.function);
+  const sums = [0];
+  const counts = [0];
+  if (useTotals) {
+    rows.forEach((row, position) => {
+      const value = win.field ? getNestedValue(row, win.field) : row;
+      const present = value !== null && value !== undefined;
+      sums[position + 1] = sums[position] + (present && win.field ? Number(value) || 0 : 0);
+      counts[position + 1] = counts[position] + (present ? 1 : 0);
+    });
+  }
+
+  return rows.map((row, position) => {
+    const first = Math.max(resolveBound(frame.start, position, true), 0);
+    const last = Math.min(resolveBound(frame.end, position, false), rows.length - 1);
+    if (first > last) return null;
+
+    if (!useTotals) {
+      return calculateAggregation(rows.slice(first, last + 1), win.function, win.field);
+    }
+
+    const sum = sums[last + 1] - sums[first];
+    const count = counts[last + 1] - counts[first];
+    switch (win.function) {
+      case AggregationFunctions.SUM:
+        return sum;
+      case AggregationFunctions.COUNT:
+        return win.field ? count : last - first + 1;
+      default:
+        return count > 0 ? sum / count : null;
+    }
+  });
+}
+
+/**
+ * Run the subquery of a subquery condition
+ * @param {Object} subqueryCondition - Subquery condition
+ * @returns {Object} { rows, values } where values holds the first column of each row
+ */
+function resolveSubquery(subqueryCondition) {
+  const rows = executeQuery(subqueryCondition.subquery);
+  // Assume subquery returns single column, use first column of each row
+  const values = new Set(rows.map(row => {
+    const keys = Object.keys(row);
+    return keys.length > 0 ? row[keys[0]] : null;
+  }));
+  return { rows, values };
+}
+
 /**
  * Evaluate subquery condition
  * @param {Object} record - Record to evaluate against
  * @param {Object} subqueryCondition - Subquery condition
+ * @param {Object} resolved - Subquery result from resolveSubquery, run when omitted
  * @returns {boolean} Condition result
  */
-function evaluateSubqueryCondition(record, subqueryCondition) {
-  const { field, operator, subquery } = subqueryCondition;
-  
-  // Execute subquery
-  const subqueryResults = executeQuery(subquery);
+function evaluateSubqueryCondition(record, subqueryCondition, resolved = resolveSubquery(subqueryCondition)) {
+  const { field, operator } = subqueryCondition;
+  const { rows, values } = resolved;
   
   switch (operator) {
     case 'EXISTS':
-      return subqueryResults.length > 0;
+      return rows.length > 0;
     
     case 'NOT EXISTS':
-      return subqueryResults.length === 0;
+      return rows.length === 0;
     
     case 'IN':
-      if (!field || subqueryResults.length === 0) return false;
-      const fieldValue = getNestedValue(record, field);
-      // Assume subquery returns single column, use first column of each row
-      const subqueryValues = subqueryResults.map(row => {
-        const keys = Object.keys(row);
-        return keys.length > 0 ? row[keys[0]] : null;
-      });
-      return subqueryValues.includes(fieldValue);
+      if (!field || rows.length === 0) return false;
+      return values.has(getNestedValue(record, field));
     
     case 'NOT IN':
-      if (!field || subqueryResults.length === 0) return true;
-      const fieldVal = getNestedValue(record, field);
-      const subVals = subqueryResults.map(row => {
-        const keys = Object.keys(row);
-        return keys.length > 0 ? row[keys[0]] : null;
-      });
-      return !subVals.includes(fieldVal);
+      if (!field || rows.length === 0) return true;
+      return !values.has(getNestedValue(record, field));
     
     default:
       console.warn(`Unknown subquery operator: ${operator}`);
@@ -1100,42 +1929,59 @@ export function query(tableName) {
 /**
  * Export query as SQL string
  * @param {QueryBuilder} queryBuilder - Query builder instance
- * @param {string} dialect - SQL dialect ('standard', 'mysql', 'postgresql', 'sqlite')
+ * @param {string} dialect - SQL dialect ('standard', 'mysql', 'postgresql', 'sqlite', 'mssql')
+ * @param {Object} options - Export options
+ * @param {boolean} options.tableColumnsOnly - Select only the FROM table's columns when nothing
+ *   is selected explicitly, so joined columns stay out (recursive CTE members)
  * @returns {string} SQL query string
+ * @throws {Error} If the query uses something the dialect cannot express
  */
-export function exportToSQL(queryBuilder, dialect = 'standard') {
+export function exportToSQL(queryBuilder, dialect = 'standard', options = {}) {
   const plan = queryBuilder.explain();
   const parts = [];
+  const isGrouped = plan.groupBy.length > 0 || plan.aggregations.length > 0;
+  const expressionAliases = new Set([
+    ...plan.calculatedFields.map(field => field.alias),
+    ...plan.windowFunctions.map(win => win.alias)
+  ]);
+
+  // Aggregate aliases are not visible inside HAVING or OVER, so the expressions are repeated there
+  const resolveAggregate = (field) => {
+    const agg = plan.aggregations.find(candidate => candidate.alias === field);
+    return agg ? generateAggregationSQL(agg, dialect) : field;
+  };
   
   // SELECT clause
-  let selectClause = '*';
-  if (plan.select && plan.select.length > 0) {
-    selectClause = plan.select.join(', ');
-  } else if (plan.groupBy && plan.groupBy.length > 0) {
-    const selectParts = [...plan.groupBy];
-    if (plan.aggregations && plan.aggregations.length > 0) {
-      selectParts.push(...plan.aggregations.map(agg => {
-        const funcCall = agg.field ? `${agg.function.toUpperCase()}(${agg.field})` : `${agg.function.toUpperCase()}(*)`;
-        return agg.alias ? `${funcCall} AS ${agg.alias}` : funcCall;
-      }));
-    }
-    selectClause = selectParts.join(', ');
+  const selectParts = [];
+  if (isGrouped) {
+    selectParts.push(...plan.groupBy);
+    selectParts.push(...plan.aggregations.map(agg => `${generateAggregationSQL(agg, dialect)} AS ${agg.alias}`));
+  } else if (plan.select && plan.select.length > 0) {
+    // Calculated field and window aliases are listed in the selection so they
+    // survive it, but they are emitted below as expressions
+    selectParts.push(...plan.select.filter(field => !expressionAliases.has(field)));
   }
   
-  // Add calculated fields to SELECT
-  if (plan.calculatedFields && plan.calculatedFields.length > 0) {
-    const calcFields = plan.calculatedFields.map(field => {
+  // Add calculated fields and window functions to SELECT
+  if (plan.calculatedFields.length > 0 || plan.windowFunctions.length > 0) {
+    if (selectParts.length === 0 && !isGrouped && !plan.select) {
+      selectParts.push('*');
+    }
+    selectParts.push(...plan.calculatedFields.map(field => {
       if (field.type === 'CASE') {
-        return `CASE ${generateCaseSQL(field.expression)} END AS ${field.alias}`;
+        return `CASE ${generateCaseSQL(field.expression, dialect)} END AS ${field.alias}`;
       } else if (field.type === 'CONVERT') {
         return `${generateConvertSQL(field, dialect)} AS ${field.alias}`;
       }
       return `${field.alias}`; // Custom functions can't be easily converted
-    });
-    selectClause = selectClause === '*' ? calcFields.join(', ') : `${selectClause}, ${calcFields.join(', ')}`;
+    }));
+    selectParts.push(...plan.windowFunctions.map(win =>
+      `${generateWindowSQL(win, dialect, resolveAggregate)} AS ${win.alias}`
+    ));
   }
   
-  parts.push(`SELECT ${selectClause}`);
+  const allColumns = options.tableColumnsOnly ? `${plan.table}.*` : '*';
+  parts.push(`SELECT ${selectParts.length > 0 ? selectParts.join(', ') : allColumns}`);
   parts.push(`FROM ${plan.table}`);
   
   // JOIN clauses
@@ -1146,19 +1992,35 @@ export function exportToSQL(queryBuilder, dialect = 'standard') {
     });
   }
   
-  // WHERE clause
-  if (plan.filters && plan.filters.length > 0) {
-    const whereClause = generateWhereClause(plan.filters);
-    if (whereClause) {
-      parts.push(`WHERE ${whereClause}`);
+  // WHERE clause; a MATCH on every field searches the whole row where the dialect allows it.
+  // MySQL has no whole-row MATCH, so the table's text columns are listed; a FULLTEXT
+  // index over exactly those columns is needed to run it
+  const resolveWhereField = (field) => {
+    if (field !== ALL_FIELDS) return field;
+    if (dialect === 'postgresql') return `${plan.table}::text`;
+    if (dialect === 'sqlite') return plan.table;
+    if (dialect === 'mysql') {
+      const schema = localStorageDB.getSchema(plan.table);
+      const textColumns = Object.entries(schema?.fields || {})
+        .filter(([, definition]) => definition.type === DataTypes.STRING)
+        .map(([name]) => name);
+      if (textColumns.length === 0) {
+        throw new Error(`Full-text search on every field of ${plan.table} cannot be exported to MySQL: it has no text columns to MATCH`);
+      }
+      return textColumns.join(', ');
     }
+    return field;
+  };
+  const whereClause = generateWhereClause(plan.filters, dialect, resolveWhereField);
+  if (whereClause) {
+    parts.push(`WHERE ${whereClause}`);
   }
   
   // Subqueries in WHERE
   if (plan.subqueries && plan.subqueries.length > 0) {
     const subqueryClause = generateSubqueryClause(plan.subqueries, dialect);
     if (subqueryClause) {
-      const connector = plan.filters && plan.filters.length > 0 ? ' AND ' : 'WHERE ';
+      const connector = whereClause ? `${plan.subqueries[0].logicalOperator || 'AND'} ` : 'WHERE ';
       parts.push(connector + subqueryClause);
     }
   }
@@ -1168,9 +2030,9 @@ export function exportToSQL(queryBuilder, dialect = 'standard') {
     parts.push(`GROUP BY ${plan.groupBy.join(', ')}`);
   }
   
-  // HAVING clause
+  // HAVING clause, written against the aggregate expressions rather than their aliases
   if (plan.having && plan.having.length > 0) {
-    const havingClause = generateWhereClause(plan.having);
+    const havingClause = generateWhereClause(plan.having, dialect, resolveAggregate);
     if (havingClause) {
       parts.push(`HAVING ${havingClause}`);
     }
@@ -1199,6 +2061,16 @@ export function exportToSQL(queryBuilder, dialect = 'standard') {
         parts[0] = parts[0].replace('SELECT', `SELECT TOP ${plan.limit}`);
       }
     }
+  } else if (plan.offset > 0) {
+    if (dialect === 'mysql') {
+      parts.push(`LIMIT 18446744073709551615 OFFSET ${plan.offset}`);
+    } else if (dialect === 'sqlite') {
+      parts.push(`LIMIT -1 OFFSET ${plan.offset}`);
+    } else if (dialect === 'postgresql') {
+      parts.push(`OFFSET ${plan.offset}`);
+    } else {
+      parts.push(`OFFSET ${plan.offset} ROWS`);
+    }
   }
   
   // UNION clauses
@@ -1209,6 +2081,25 @@ export function exportToSQL(queryBuilder, dialect = 'standard') {
       parts.push(unionSQL);
     });
   }
+
+  // WITH clause, added last so TOP is still inserted into the main SELECT.
+  // The recursive member reads the CTE through a join, but must return the
+  // anchor's columns for UNION to line up.
+  if (plan.ctes.length > 0) {
+    const recursive = plan.ctes.some(cte => cte.recursiveQuery);
+    const definitions = plan.ctes.map(cte => {
+      if (!cte.recursiveQuery) return `${cte.name} AS (${exportToSQL(cte.query, dialect)})`;
+      if (dialect === 'mssql' && !cte.unionAll) {
+        throw new Error(`Recursive query "${cte.name}" cannot be exported to SQL Server, which only allows UNION ALL in recursive CTEs`);
+      }
+      const anchorSQL = exportToSQL(cte.query, dialect);
+      const recursiveSQL = exportToSQL(cte.recursiveQuery, dialect, { tableColumnsOnly: true });
+      return `${cte.name} AS (${anchorSQL} ${cte.unionAll ? 'UNION ALL' : 'UNION'} ${recursiveSQL})`;
+    });
+    // SQL Server detects recursion itself and rejects the keyword
+    const keyword = recursive && dialect !== 'mssql' ? 'RECURSIVE ' : '';
+    parts.unshift(`WITH ${keyword}${definitions.join(', ')}`);
+  }
   
   return parts.join(' ');
 }
@@ -1216,53 +2107,216 @@ export function exportToSQL(queryBuilder, dialect = 'standard') {
 /**
  * Generate WHERE clause from filters
  * @param {Array} filters - Filter conditions
+ * @param {string} dialect - SQL dialect
+ * @param {Function} resolveField - Maps a filter field to the SQL expression to emit
  * @returns {string} WHERE clause
  */
-function generateWhereClause(filters) {
+function generateWhereClause(filters, dialect = 'standard', resolveField = field => field) {
   return filters
-    .filter(f => f.field && f.operator && f.value !== '')
+    .filter(f => f.group ? f.group.length > 0 : f.field && f.operator && f.value !== '')
     .map((f, index) => {
-      const condition = generateConditionSQL(f.field, f.operator, f.value);
+      const condition = f.group
+        ? `(${generateWhereClause(f.group, dialect, resolveField)})`
+        : generateConditionSQL(resolveField(f.field), f.operator, f.value, dialect);
       const prefix = index === 0 ? '' : ` ${f.logicalOperator || 'AND'} `;
       return prefix + condition;
     })
     .join('');
 }
 
+/**
+ * Format a JavaScript value as a SQL literal
+ * @param {any} value - Value to format
+ * @returns {string} SQL literal
+ */
+function formatSQLValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return `'${value.toISOString()}'`;
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Split a list-valued filter value, accepting arrays or comma-separated strings
+ * @param {any} value - Filter value
+ * @returns {Array} List of values
+ */
+function toValueList(value) {
+  return Array.isArray(value) ? value : String(value).split(',').map(v => v.trim());
+}
+
 /**
  * Generate SQL condition
  * @param {string} field - Field name
  * @param {string} operator - Operator
  * @param {any} value - Value
+ * @param {string} dialect - SQL dialect
  * @returns {string} SQL condition
  */
-function generateConditionSQL(field, operator, value) {
+function generateConditionSQL(field, operator, value, dialect = 'standard') {
+  const escapeLike = (text) => String(text).replace(/'/g, "''");
+  
   switch (operator) {
-    case 'contains':
-      return `${field} LIKE '%${value}%'`;
-    case 'startsWith':
-      return `${field} LIKE '${value}%'`;
-    case 'endsWith':
-      return `${field} LIKE '%${value}'`;
-    case 'in':
-      const values = Array.isArray(value) ? value : value.split(',').map(v => v.trim());
-      return `${field} IN (${values.map(v => `'${v}'`).join(', ')})`;
-    case 'between':
-      const [min, max] = value.split(',').map(v => v.trim());
-      return `${field} BETWEEN '${min}' AND '${max}'`;
+    case QueryOperators.EQUALS:
+    case '=':
+      return `${field} = ${formatSQLValue(value)}`;
+    case QueryOperators.NOT_EQUALS:
+    case '!=':
+      return `${field} <> ${formatSQLValue(value)}`;
+    case QueryOperators.GREATER_THAN:
+    case QueryOperators.DATE_AFTER:
+      return `${field} > ${formatSQLValue(value)}`;
+    case QueryOperators.GREATER_THAN_OR_EQUAL:
+      return `${field} >= ${formatSQLValue(value)}`;
+    case QueryOperators.LESS_THAN:
+    case QueryOperators.DATE_BEFORE:
+      return `${field} < ${formatSQLValue(value)}`;
+    case QueryOperators.LESS_THAN_OR_EQUAL:
+      return `${field} <= ${formatSQLValue(value)}`;
+    case QueryOperators.CONTAINS:
+      return `${field} LIKE '%${escapeLike(value)}%'`;
+    case QueryOperators.STARTS_WITH:
+      return `${field} LIKE '${escapeLike(value)}%'`;
+    case QueryOperators.ENDS_WITH:
+      return `${field} LIKE '%${escapeLike(value)}'`;
+    case QueryOperators.REGEX:
+      if (dialect === 'postgresql') return `${field} ~* ${formatSQLValue(value)}`;
+      if (dialect === 'mysql' || dialect === 'sqlite') return `${field} REGEXP ${formatSQLValue(value)}`;
+      return `${field} LIKE_REGEX ${formatSQLValue(value)}`;
+    case QueryOperators.IN:
+      return `${field} IN (${toValueList(value).map(formatSQLValue).join(', ')})`;
+    case QueryOperators.NOT_IN:
+      return `${field} NOT IN (${toValueList(value).map(formatSQLValue).join(', ')})`;
+    case QueryOperators.IS_NULL:
+      return `${field} IS NULL`;
+    case QueryOperators.IS_NOT_NULL:
+      return `${field} IS NOT NULL`;
+    case QueryOperators.BETWEEN:
+    case QueryOperators.DATE_BETWEEN:
+      const [min, max] = toValueList(value);
+      return `${field} BETWEEN ${formatSQLValue(min)} AND ${formatSQLValue(max)}`;
+    case QueryOperators.MATCH:
+      return generateMatchSQL(field, value, dialect);
     default:
-      return `${field} ${operator} '${value}'`;
+      return `${field} ${operator} ${formatSQLValue(value)}`;
   }
 }
 
+/**
+ * Generate full-text search SQL. Every term must match; prefix terms keep their wildcard.
+ * MySQL needs a FULLTEXT index on the field(s), SQLite an FTS5 table.
+ * @param {string} field - Field, column list (MySQL), table (SQLite) or row expression (PostgreSQL)
+ * @param {string} value - Search text
+ * @param {string} dialect - SQL dialect
+ * @returns {string} SQL condition
+ */
+function generateMatchSQL(field, value, dialect) {
+  const terms = parseSearchQuery(value);
+
+  if (dialect === 'postgresql') {
+    const tsquery = terms.map(term => (term.prefix ? `${term.text}:*` : term.text)).join(' & ');
+    return `to_tsvector(${field}) @@ to_tsquery(${formatSQLValue(tsquery)})`;
+  }
+  if (dialect === 'mysql') {
+    const booleanQuery = terms.map(term => `+${term.text}${term.prefix ? '*' : ''}`).join(' ');
+    return `MATCH(${field}) AGAINST (${formatSQLValue(booleanQuery)} IN BOOLEAN MODE)`;
+  }
+  if (dialect === 'sqlite') {
+    return `${field} MATCH ${formatSQLValue(terms.map(term => `${term.text}${term.prefix ? '*' : ''}`).join(' '))}`;
+  }
+  return `CONTAINS(${field}, ${formatSQLValue(terms.map(term => `"${term.text}${term.prefix ? '*' : ''}"`).join(' AND '))})`;
+}
+
+/**
+ * Generate aggregate function SQL
+ * @param {Object} agg - Aggregation specification
+ * @param {string} dialect - SQL dialect
+ * @returns {string} Aggregate SQL
+ */
+function generateAggregationSQL(agg, dialect) {
+  const field = agg.field || '*';
+  
+  switch (agg.function) {
+    case AggregationFunctions.COUNT_DISTINCT:
+      return `COUNT(DISTINCT ${field})`;
+    case AggregationFunctions.STRING_AGG:
+      if (dialect === 'mysql') return `GROUP_CONCAT(${field} SEPARATOR ', ')`;
+      if (dialect === 'sqlite') return `GROUP_CONCAT(${field}, ', ')`;
+      return `STRING_AGG(${field}, ', ')`;
+    case AggregationFunctions.AVG:
+      // SQL Server averages integer columns as integers
+      return dialect === 'mssql' ? `AVG(CAST(${field} AS FLOAT))` : `AVG(${field})`;
+    default:
+      return `${agg.function.toUpperCase()}(${field})`;
+  }
+}
+
+/**
+ * Generate window function SQL. PostgreSQL, MySQL 8 and SQLite 3.25+ take
+ * the standard form; SQL Server needs an ORDER BY for ranking and offset
+ * functions and for explicit frames, so unordered windows get a neutral one.
+ * @param {Object} win - Window function specification
+ * @param {string} dialect - SQL dialect
+ * @param {Function} resolveField - Maps an OVER field to the SQL expression to emit
+ * @returns {string} Window function SQL
+ */
+function generateWindowSQL(win, dialect, resolveField = field => field) {
+  let call;
+  switch (win.function) {
+    case WindowFunctions.ROW_NUMBER:
+      call = 'ROW_NUMBER()';
+      break;
+    case WindowFunctions.RANK:
+      call = 'RANK()';
+      break;
+    case WindowFunctions.DENSE_RANK:
+      call = 'DENSE_RANK()';
+      break;
+    case WindowFunctions.LAG:
+    case WindowFunctions.LEAD: {
+      const args = [win.field, win.offset];
+      if (win.defaultValue !== null) args.push(formatSQLValue(win.defaultValue));
+      call = `${win.function.toUpperCase()}(${args.join(', ')})`;
+      break;
+    }
+    default:
+      call = generateAggregationSQL(win, dialect);
+  }
+
+  const over = [];
+  if (win.partitionBy.length > 0) {
+    over.push(`PARTITION BY ${win.partitionBy.map(resolveField).join(', ')}`);
+  }
+  if (win.orderBy.length > 0) {
+    over.push(`ORDER BY ${win.orderBy.map(sort => `${resolveField(sort.field)} ${sort.direction.toUpperCase()}`).join(', ')}`);
+  } else if (dialect === 'mssql' && (
+    RANKING_WINDOW_FUNCTIONS.includes(win.function) || OFFSET_WINDOW_FUNCTIONS.includes(win.function) || win.frame
+  )) {
+    over.push('ORDER BY (SELECT NULL)');
+  }
+  if (win.frame) {
+    const bound = (value) => {
+      if (value === WindowFrameBounds.UNBOUNDED_PRECEDING) return 'UNBOUNDED PRECEDING';
+      if (value === WindowFrameBounds.UNBOUNDED_FOLLOWING) return 'UNBOUNDED FOLLOWING';
+      if (value === WindowFrameBounds.CURRENT_ROW || value === 0) return 'CURRENT ROW';
+      return value < 0 ? `${-value} PRECEDING` : `${value} FOLLOWING`;
+    };
+    over.push(`${win.frame.mode.toUpperCase()} BETWEEN ${bound(win.frame.start)} AND ${bound(win.frame.end)}`);
+  }
+
+  return `${call} OVER (${over.join(' ')})`;
+}
+
 /**
  * Generate CASE SQL
  * @param {Object} caseExpr - Case expression
+ * @param {string} dialect - SQL dialect
  * @returns {string} CASE SQL
  */
-function generateCaseSQL(caseExpr) {
+function generateCaseSQL(caseExpr, dialect = 'standard') {
   const conditions = caseExpr.conditions.map(cond => 
-    `WHEN ${generateConditionSQL(cond.field, cond.operator, cond.value)} THEN '${cond.result}'`
+    `WHEN ${generateConditionSQL(cond.field, cond.operator, cond.value, dialect)} THEN '${cond.result}'`
   ).join(' ');
   
   const elsePart = caseExpr.defaultValue !== null ? ` ELSE '${caseExpr.defaultValue}'` : '';
@@ -1285,6 +2339,8 @@ function generateConvertSQL(field, dialect) {
       return dialect === 'postgresql' ? `${sourceField}::NUMERIC` : `CAST(${sourceField} AS DECIMAL)`;
     case DataTypeFunctions.TO_DATE:
       return dialect === 'postgresql' ? `${sourceField}::DATE` : `CAST(${sourceField} AS DATE)`;
+    case DataTypeFunctions.TO_BOOLEAN:
+      return `CAST(${sourceField} AS BOOLEAN)`;
     case DataTypeFunctions.UPPER:
       return `UPPER(${sourceField})`;
     case DataTypeFunctions.LOWER:
@@ -1308,6 +2364,9 @@ function generateConvertSQL(field, dialect) {
       return dialect === 'postgresql' ? `CEIL(${sourceField})` : `CEILING(${sourceField})`;
     case DataTypeFunctions.ABS:
       return `ABS(${sourceField})`;
+    case DataTypeFunctions.CONCAT:
+      const suffixes = Array.isArray(params) ? params.map(formatSQLValue) : [];
+      return `CONCAT(${[sourceField, ...suffixes].join(', ')})`;
     default:
       return sourceField;
   }
@@ -1369,27 +2428,34 @@ export const quickQuery = {
   },
 
   /**
-   * Search across all string fields
+   * Full-text search across all fields, most relevant first. Uses the table's
+   * full-text index on '*' when there is one, otherwise indexes the rows on the fly.
    * @param {string} tableName - Table name
-   * @param {string} searchTerm - Term to search for
-   * @returns {Array} Matching records
+   * @param {string} searchTerm - Words to search for; every word must match
+   * @param {Object} options - Search options
+   * @param {boolean} options.prefix - Match words starting with each term, for search-as-you-type (default: true)
+   * @param {number} options.limit - Maximum number of results
+   * @param {boolean} options.withScores - Return { record, score } instead of records
+   * @returns {Array} Matching records ranked by BM25 score
    */
-  search(tableName, searchTerm) {
+  search(tableName, searchTerm, options = {}) {
     const data = localStorageDB.getTable(tableName);
     if (!data) return [];
 
     const records = Array.isArray(data) ? data : [data];
-    const searchLower = searchTerm.toLowerCase();
+    const searchOptions = { prefix: options.prefix !== false };
 
-    return records.filter(record => {
-      if (typeof record !== 'object' || record === null) {
-        return String(record).toLowerCase().includes(searchLower);
-      }
+    const stored = Array.isArray(data)
+      ? localStorageDB.findIndex(tableName, ALL_FIELDS, QueryOperators.MATCH, String(searchTerm))
+      : null;
+    const index = stored || buildFullTextIndex(records, ALL_FIELDS);
 
-      return Object.values(record).some(value => 
-        String(value).toLowerCase().includes(searchLower)
-      );
-    });
+    const ranked = searchFullTextIndex(index, searchTerm, searchOptions);
+    const limited = options.limit ? ranked.slice(0, options.limit) : ranked;
+
+    return limited.map(({ position, score }) => (
+      options.withScores ? { record: records[position], score } : records[position]
+    ));
   }
 };
 
@@ -1427,9 +2493,34 @@ export const QueryOptimizer = {
       issues.push('Multiple subqueries detected');
       suggestions.push('Consider using JOINs instead of subqueries where possible');
     }
+
+    if (plan.accessPath.type === AccessPathTypes.FULL_SCAN && plan.filters.length > 0) {
+      const indexable = plan.filters.find(filter => !filter.group && filter.logicalOperator !== 'OR');
+      issues.push(`Full scan of ${plan.table}; no index matches the filters`);
+      if (indexable) {
+        const isRange = [
+          QueryOperators.GREATER_THAN,
+          QueryOperators.GREATER_THAN_OR_EQUAL,
+          QueryOperators.LESS_THAN,
+          QueryOperators.LESS_THAN_OR_EQUAL,
+          QueryOperators.BETWEEN
+        ].includes(indexable.operator);
+        const indexType = indexable.operator === QueryOperators.MATCH ? 'full-text' : isRange ? 'sorted' : 'hash';
+        suggestions.push(`Consider creating a ${indexType} index on ${plan.table}.${indexable.field}`);
+      }
+    }
+
+    // Hash joins are fast but hash the whole joined table on every run
+    plan.joinStrategies
+      .filter(join => join.strategy === JoinStrategies.HASH_JOIN)
+      .forEach(join => {
+        suggestions.push(`Consider creating an index on ${join.table}.${join.joinField} to avoid hashing it on every run`);
+      });
     
     return {
       complexity: plan.estimatedComplexity,
+      accessPath: plan.accessPath,
+      joinStrategies: plan.joinStrategies,
       issues,
       suggestions,
       estimatedCost: this.estimateQueryCost(plan)
@@ -1445,18 +2536,28 @@ export const QueryOptimizer = {
     let cost = 1; // Base cost
     
     cost += plan.filters.length * 0.5;
-    cost += plan.joins.length * 2;
+    (plan.joinStrategies || plan.joins).forEach(join => {
+      cost += join.strategy === JoinStrategies.INDEX_LOOKUP ? 1
+        : join.strategy === JoinStrategies.HASH_JOIN ? 1.5 : 2;
+    });
     cost += plan.sorts.length * 1.5;
     cost += plan.groupBy.length * 2;
     cost += plan.aggregations.length * 1;
     cost += plan.subqueries.length * 3;
     cost += plan.unions.length * 2;
     cost += plan.calculatedFields.length * 0.5;
+    cost += (plan.windowFunctions || []).length * 1.5;
+    cost += (plan.ctes || []).length * 2;
     
     // Penalty for no filters
     if (plan.filters.length === 0 && !plan.limit) {
       cost *= 2;
     }
+
+    // Index scans only touch the matching rows
+    if (plan.accessPath?.type === AccessPathTypes.INDEX_SCAN) {
+      cost *= 0.5;
+    }
     
     return Math.round(cost * 10) / 10;
   }
@@ -0,0 +1,211 @@
+/**
+ * Query Runner
+ * Runs queries in a Web Worker so large joins and subqueries never freeze
+ * the page. Workers cannot read localStorage or IndexedDB, so each run posts
+ * a snapshot of the keys the query reads: database metadata (which holds the
+ * saved views), the indexes of the tables involved and the tables themselves.
+ */
+
+import { localStorageDB } from './localStorageDB.js';
+import { executeQuery, getViewDefinition, collectQuerySources } from './queryEngine.js';
+
+/**
+ * Milliseconds a query may run before it is stopped
+ */
+export const DEFAULT_QUERY_TIMEOUT = 30000;
+
+/**
+ * Error raised when a query is cancelled through its AbortSignal
+ */
+export class QueryCancelledError extends Error {
+  constructor() {
+    super('Query cancelled');
+    this.name = 'QueryCancelledError';
+  }
+}
+
+/**
+ * Error raised when a query runs longer than its timeout
+ */
+export class QueryTimeoutError extends Error {
+  constructor(timeout) {
+    super(`Query timed out after ${Math.round(timeout / 1000)}s`);
+    this.name = 'QueryTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// A finished worker is kept for the next run; busy runs get a worker of their own
+let idleWorker = null;
+
+/**
+ * Take the idle worker or start a new one
+ * @returns {Worker} Worker for one run
+ */
+function acquireWorker() {
+  const worker = idleWorker || new Worker(new URL('./queryWorker.js', import.meta.url), { type: 'module' });
+  idleWorker = null;
+  return worker;
+}
+
+/**
+ * Keep a worker that finished cleanly for the next run
+ * @param {Worker} worker - Worker to release
+ */
+function releaseWorker(worker) {
+  if (idleWorker) {
+    worker.terminate();
+  } else {
+    idleWorker = worker;
+  }
+}
+
+/**
+ * Copy the storage keys a query reads, following saved views to the tables behind them
+ * @param {Object} spec - Query spec from QueryBuilder.toJSON
+ * @returns {Object} Storage key -> serialized value
+ */
+export function snapshotQueryData(spec) {
+  const { storage } = localStorageDB;
+  const data = {};
+  const metadata = storage.getItem(localStorageDB.metaKey);
+  if (metadata !== null) {
+    data[localStorageDB.metaKey] = metadata;
+  }
+
+  const indexStore = localStorageDB.getIndexStore();
+  const indexes = {};
+  const visited = new Set();
+  const pending = [...collectQuerySources(spec)];
+
+  while (pending.length > 0) {
+    const name = pending.pop();
+    if (visited.has(name)) continue;
+    visited.add(name);
+
+    const raw = storage.getItem(name);
+    if (raw !== null) {
+      data[name] = raw;
+      if (indexStore[name]) {
+        indexes[name] = indexStore[name];
+      }
+    }
+
+    const view = getViewDefinition(name);
+    if (view) pending.push(...collectQuerySources(view.query));
+  }
+
+  data[localStorageDB.indexKey] = JSON.stringify(indexes);
+  return data;
+}
+
+/**
+ * Run a query on the main thread, for queries that cannot be posted to a worker
+ * @param {QueryBuilder} query - Query to execute
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<Object>} { results, executionTime }
+ */
+function runInline(query, onProgress) {
+  return new Promise((resolve, reject) => {
+    const startTime = performance.now();
+    try {
+      const results = executeQuery(query, { onProgress });
+      resolve({ results, executionTime: performance.now() - startTime });
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Execute a query in a Web Worker. Queries with function-based calculated
+ * fields cannot be serialized and, like environments without workers, run on
+ * the main thread, where cancellation and the timeout cannot interrupt them.
+ * @param {QueryBuilder} query - Query to execute
+ * @param {Object} options - Run options
+ * @param {Function} options.onProgress - Called with { stage, processed, total } (see QueryStages)
+ * @param {AbortSignal} options.signal - Cancels the query, rejecting with QueryCancelledError
+ * @param {number} options.timeout - Milliseconds before rejecting with QueryTimeoutError; 0 disables
+ * @returns {Promise<Object>} { results, executionTime }
+ */
+export function runQueryAsync(query, options = {}) {
+  const {
+    onProgress = null,
+    signal = null,
+    timeout = DEFAULT_QUERY_TIMEOUT
+  } = options;
+
+  if (signal && signal.aborted) {
+    return Promise.reject(new QueryCancelledError());
+  }
+
+  let spec = null;
+  try {
+    spec = query.toJSON();
+  } catch {
+    // Falls through to the main thread
+  }
+  if (!spec || typeof Worker === 'undefined') {
+    return runInline(query, onProgress);
+  }
+
+  return new Promise((resolve, reject) => {
+    const startTime = performance.now();
+    const worker = acquireWorker();
+    let timer = null;
+
+    const finish = (keepWorker) => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      worker.onmessage = null;
+      worker.onerror = null;
+      if (keepWorker) {
+        releaseWorker(worker);
+      } else {
+        // Terminating is the only way to stop a query mid-run
+        worker.terminate();
+      }
+    };
+
+    function handleAbort() {
+      finish(false);
+      reject(new QueryCancelledError());
+    }
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        if (onProgress) onProgress(message.progress);
+        return;
+      }
+
+      finish(true);
+      if (message.type === 'result') {
+        resolve({ results: message.results, executionTime: performance.now() - startTime });
+      } else {
+        const error = new Error(message.message);
+        error.name = message.name;
+        reject(error);
+      }
+    };
+
+    // The worker script could not be loaded (e.g. no module worker support)
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish(false);
+      runInline(query, onProgress).then(resolve, reject);
+    };
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        finish(false);
+        reject(new QueryTimeoutError(timeout));
+      }, timeout);
+    }
+    if (signal) signal.addEventListener('abort', handleAbort);
+
+    worker.postMessage({ spec, data: snapshotQueryData(spec) });
+  });
+}
+
+export default runQueryAsync;
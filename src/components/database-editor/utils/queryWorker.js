@@ -0,0 +1,24 @@
+/**
+ * Query Worker
+ * Executes one query per message against the storage snapshot sent with it
+ * (see queryRunner.js) and posts progress, then the results or the error.
+ */
+
+import { MemoryAdapter, setStorageAdapter } from './storageAdapters.js';
+import { QueryBuilder, executeQuery } from './queryEngine.js';
+
+self.onmessage = (event) => {
+  const { spec, data } = event.data;
+
+  // The engine reads through the shared adapter, so the snapshot stands in for the page's storage
+  setStorageAdapter(new MemoryAdapter({ initialData: data }));
+
+  try {
+    const results = executeQuery(QueryBuilder.fromJSON(spec), {
+      onProgress: progress => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'result', results });
+  } catch (error) {
+    self.postMessage({ type: 'error', name: error.name, message: error.message });
+  }
+};
@@ -0,0 +1,305 @@
+/**
+ * Record Form
+ * Turns a table's SchemaManager schema into form fields, validates form
+ * records live through SchemaManager.validateRecord (plus the unique and
+ * foreign key checks it leaves to the write path) and builds the options of
+ * foreign key lookup pickers.
+ */
+
+import { localStorageDB, DataTypes, inferDataType } from './localStorageDB.js';
+import { schemaManager, ConstraintTypes } from './schemaManager.js';
+
+/**
+ * Input rendered for a field
+ */
+export const FormControls = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  DATE: 'date',
+  BOOLEAN: 'boolean',
+  ENUM: 'enum',
+  ARRAY: 'array',
+  OBJECT: 'object',
+  LOOKUP: 'lookup'
+};
+
+// Context validateRecord prefixes its messages with
+const VALIDATION_CONTEXT = 'Record';
+// Columns tried, in order, to label rows in a lookup picker
+const LABEL_FIELDS = ['name', 'title', 'label', 'displayName', 'username', 'email', 'description'];
+const MAX_LOOKUP_OPTIONS = 200;
+
+/**
+ * Convert the field schema edited in SchemaEditor to a SchemaManager schema
+ * @param {string} tableName - Name of the table
+ * @param {Object} fields - Field name -> { type, required, unique, minLength, maxLength, defaultValue }
+ * @returns {Object} SchemaManager schema
+ */
+export function fieldsToSchema(tableName, fields = {}) {
+  const schema = { tableName, type: 'object', properties: {}, constraints: {} };
+
+  Object.entries(fields).forEach(([name, field]) => {
+    schema.properties[name] = { type: field.type || DataTypes.STRING, nullable: field.nullable !== false };
+
+    const constraints = [];
+    if (field.required) constraints.push({ type: ConstraintTypes.REQUIRED });
+    if (field.unique) constraints.push({ type: ConstraintTypes.UNIQUE });
+    if (field.minLength) constraints.push({ type: ConstraintTypes.MIN_LENGTH, value: field.minLength });
+    if (field.maxLength) constraints.push({ type: ConstraintTypes.MAX_LENGTH, value: field.maxLength });
+    if (field.defaultValue !== undefined && field.defaultValue !== '') {
+      constraints.push({ type: ConstraintTypes.DEFAULT, value: field.defaultValue });
+    }
+    if (constraints.length > 0) schema.constraints[name] = constraints;
+  });
+
+  return schema;
+}
+
+/**
+ * Schema a record form is built from: the table's SchemaManager schema, or
+ * its SchemaEditor fields when SchemaManager has none. Generated schemas are
+ * not used because their ranges and lengths only describe the current rows.
+ * @param {string} tableName - Name of the table
+ * @returns {Object} SchemaManager schema
+ */
+export function getRecordSchema(tableName) {
+  const schema = schemaManager.getSchema(tableName);
+  if (schema) {
+    return { ...schema, constraints: schema.constraints || {} };
+  }
+  return fieldsToSchema(tableName, localStorageDB.getSchema(tableName)?.fields);
+}
+
+/**
+ * Pick the input for a property
+ * @param {Object} property - Property schema
+ * @param {Array} constraints - Property constraints
+ * @param {Object} reference - Foreign key relationship, if any
+ * @returns {string} One of FormControls
+ */
+function pickControl(property, constraints, reference) {
+  if (reference) return FormControls.LOOKUP;
+  if (constraints.some(constraint => constraint.type === ConstraintTypes.ENUM)) return FormControls.ENUM;
+
+  switch (property.type) {
+    case DataTypes.NUMBER:
+      return FormControls.NUMBER;
+    case DataTypes.BOOLEAN:
+      return FormControls.BOOLEAN;
+    case DataTypes.DATE:
+      return FormControls.DATE;
+    case DataTypes.ARRAY:
+      return FormControls.ARRAY;
+    case DataTypes.JSON:
+      return FormControls.OBJECT;
+    default:
+      return FormControls.TEXT;
+  }
+}
+
+/**
+ * Describe the form fields of a schema, `id` first
+ * @param {string} tableName - Name of the table
+ * @param {Object} schema - SchemaManager schema
+ * @returns {Array} { name, type, format, control, required, nullable, constraints, enumValues, defaultValue, reference }
+ */
+export function buildFormFields(tableName, schema) {
+  const references = new Map(schemaManager.getForeignKeys(tableName).map(rel => [rel.fromField, rel]));
+
+  return Object.entries(schema.properties || {})
+    .map(([name, property]) => {
+      const constraints = schema.constraints?.[name] || [];
+      const find = type => constraints.find(constraint => constraint.type === type);
+      const reference = references.get(name) || null;
+
+      return {
+        name,
+        type: property.type,
+        format: property.format || null,
+        control: pickControl(property, constraints, reference),
+        required: Boolean(find(ConstraintTypes.REQUIRED)),
+        nullable: property.nullable !== false,
+        constraints,
+        enumValues: find(ConstraintTypes.ENUM)?.values || [],
+        defaultValue: find(ConstraintTypes.DEFAULT)?.value,
+        reference
+      };
+    })
+    .sort((a, b) => (a.name === 'id' ? -1 : b.name === 'id' ? 1 : 0));
+}
+
+/**
+ * Next record ID: one past the largest numeric ID, or a random string key.
+ * The schema's id type decides; without one the existing IDs do.
+ * @param {Array} rows - Existing rows
+ * @param {string} idType - Schema type of the id field, if the schema has one
+ * @returns {number|string} New ID
+ */
+export function nextRecordId(rows, idType = null) {
+  const ids = rows.map(row => row && row.id).filter(id => id !== undefined && id !== null);
+  const numeric = idType ? idType === 'number' : ids.every(id => typeof id === 'number');
+  if (numeric) {
+    // Stray string IDs that hold numbers still count towards the sequence
+    const largest = ids.reduce((max, id) => {
+      const value = Number(id);
+      return Number.isFinite(value) ? Math.max(max, value) : max;
+    }, 0);
+    return Math.floor(largest) + 1;
+  }
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Empty value for a field, from its DEFAULT constraint when it has one.
+ * Blank inputs hold null so that REQUIRED constraints catch them.
+ * @param {Object} field - Form field from buildFormFields
+ * @returns {any} Initial value
+ */
+export function getInitialValue(field) {
+  if (field.defaultValue !== undefined) return field.defaultValue;
+
+  switch (field.control) {
+    case FormControls.BOOLEAN:
+      return false;
+    case FormControls.ARRAY:
+      return [];
+    case FormControls.OBJECT:
+      return {};
+    default:
+      return null;
+  }
+}
+
+/**
+ * Record a new-record form starts from. It always gets an ID, which rows
+ * need to be edited or deleted later, even when the schema has no id field.
+ * @param {Array} fields - Form fields from buildFormFields
+ * @param {Array} rows - Existing rows, used to number the ID
+ * @returns {Object} Record
+ */
+export function createEmptyRecord(fields, rows = []) {
+  return fields.reduce((record, field) => {
+    if (field.name !== 'id') {
+      record[field.name] = getInitialValue(field);
+    }
+    return record;
+  }, { id: nextRecordId(rows, fields.find(field => field.name === 'id')?.type) });
+}
+
+/**
+ * Validate a form record. Type, required, length, range, pattern and enum
+ * constraints go through SchemaManager.validateRecord; unique constraints are
+ * checked against the other rows and foreign keys against the referenced tables.
+ * @param {string} tableName - Name of the table
+ * @param {Object} schema - SchemaManager schema
+ * @param {Object} record - Record being edited
+ * @param {Object} options - Validation options
+ * @param {Array} options.rows - Table rows; read from the table when omitted
+ * @param {any} options.originalId - ID of the record being edited, excluded from unique checks
+ * @returns {Object} { valid, errors: field -> messages }
+ */
+export function validateFormRecord(tableName, schema, record, options = {}) {
+  const { rows = localStorageDB.select(tableName), originalId } = options;
+  const errors = {};
+  const add = (field, message) => {
+    errors[field] = [...(errors[field] || []), message];
+  };
+
+  schemaManager.validateRecord(schema, record, VALIDATION_CONTEXT).forEach(message => {
+    const match = message.match(new RegExp(`^${VALIDATION_CONTEXT}\\.(.+?): (.*)$`));
+    if (match) {
+      add(match[1], match[2]);
+    } else {
+      add('_record', message);
+    }
+  });
+
+  const others = originalId === undefined ? rows : rows.filter(row => !row || row.id !== originalId);
+  Object.entries(schema.constraints || {}).forEach(([field, constraints]) => {
+    const value = record[field];
+    if (value === null || value === undefined || value === '') return;
+    if (!constraints.some(constraint => constraint.type === ConstraintTypes.UNIQUE)) return;
+
+    if (others.some(row => row && row[field] === value)) {
+      add(field, `${JSON.stringify(value)} is already used by another record`);
+    }
+  });
+
+  schemaManager.checkForeignKeys(tableName, record).forEach(violation => {
+    add(violation.field, violation.message);
+  });
+
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Column that best labels the rows of a table
+ * @param {Array} rows - Table rows
+ * @param {string} keyField - Referenced key column, never used as the label
+ * @returns {string|null} Column name
+ */
+function findLabelField(rows, keyField) {
+  const sample = rows.find(row => row && typeof row === 'object');
+  if (!sample) return null;
+
+  const textFields = Object.keys(sample).filter(field => field !== keyField && typeof sample[field] === 'string');
+  return LABEL_FIELDS.find(field => textFields.includes(field)) || textFields[0] || null;
+}
+
+/**
+ * Options of a foreign key lookup picker
+ * @param {Object} reference - Foreign key relationship
+ * @param {string} search - Text to match against keys and labels
+ * @param {number} limit - Most options returned
+ * @returns {Array} { value, label, record }
+ */
+export function getLookupOptions(reference, search = '', limit = MAX_LOOKUP_OPTIONS) {
+  const rows = localStorageDB.select(reference.toTable);
+  const labelField = findLabelField(rows, reference.toField);
+  const term = search.trim().toLowerCase();
+
+  const options = [];
+  for (const row of rows) {
+    if (!row || row[reference.toField] === undefined || row[reference.toField] === null) continue;
+
+    const value = row[reference.toField];
+    const label = labelField && row[labelField] ? `${value} — ${row[labelField]}` : String(value);
+    if (term && !label.toLowerCase().includes(term)) continue;
+
+    options.push({ value, label, record: row });
+    if (options.length >= limit) break;
+  }
+  return options;
+}
+
+/**
+ * Empty value of the same kind as an existing one, for nested editors
+ * @param {string} type - DataTypes value
+ * @returns {any} Empty value
+ */
+export function emptyValueOfType(type) {
+  switch (type) {
+    case DataTypes.NUMBER:
+      return 0;
+    case DataTypes.BOOLEAN:
+      return false;
+    case DataTypes.ARRAY:
+      return [];
+    case DataTypes.JSON:
+      return {};
+    case DataTypes.NULL:
+      return null;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Type of a value in a nested editor; dates are edited as text
+ * @param {any} value - Nested value
+ * @returns {string} DataTypes value
+ */
+export function nestedValueType(value) {
+  const type = inferDataType(value);
+  return type === DataTypes.DATE ? DataTypes.STRING : type;
+}
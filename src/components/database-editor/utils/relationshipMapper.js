@@ -16,6 +16,41 @@ export const ConfidenceLevels = {
   VERY_LOW: 0.2
 };
 
+/**
+ * Review state of a relationship shown in the ERD
+ */
+export const RelationshipStatus = {
+  DETECTED: 'detected',
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Bucket a confidence score into the named levels used for styling and statistics
+ * @param {number} confidence - Confidence score (0-1)
+ * @returns {string} 'high', 'medium', 'low' or 'veryLow'
+ */
+export const getConfidenceLevel = (confidence) => {
+  if (confidence >= ConfidenceLevels.HIGH) return 'high';
+  if (confidence >= ConfidenceLevels.MEDIUM) return 'medium';
+  if (confidence >= ConfidenceLevels.LOW) return 'low';
+  return 'veryLow';
+};
+
+/**
+ * Percentile of sorted numbers, interpolating between the closest ranks
+ * @param {Array} sorted - Numbers in ascending order
+ * @param {number} p - Percentile (0-100)
+ * @returns {number} Percentile value
+ */
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
 /**
  * Relationship detection patterns
  */
@@ -73,10 +108,7 @@ export class RelationshipMapper {
     // Calculate confidence distribution
     const confidenceGroups = { high: 0, medium: 0, low: 0, veryLow: 0 };
     relationships.forEach(rel => {
-      if (rel.confidence >= ConfidenceLevels.HIGH) confidenceGroups.high++;
-      else if (rel.confidence >= ConfidenceLevels.MEDIUM) confidenceGroups.medium++;
-      else if (rel.confidence >= ConfidenceLevels.LOW) confidenceGroups.low++;
-      else confidenceGroups.veryLow++;
+      confidenceGroups[getConfidenceLevel(rel.confidence)]++;
     });
     analysis.statistics.confidenceDistribution = confidenceGroups;
 
@@ -265,9 +297,10 @@ export class RelationshipMapper {
    */
   calculateStringStats(values) {
     const lengths = values.map(v => String(v).length);
+    // Reduced rather than spread so large columns do not overflow the call stack
     return {
-      minLength: Math.min(...lengths),
-      maxLength: Math.max(...lengths),
+      minLength: lengths.reduce((min, length) => Math.min(min, length), Infinity),
+      maxLength: lengths.reduce((max, length) => Math.max(max, length), 0),
       avgLength: lengths.reduce((a, b) => a + b, 0) / lengths.length,
       emptyCount: values.filter(v => String(v).trim() === '').length
     };
@@ -284,12 +317,23 @@ export class RelationshipMapper {
 
     numbers.sort((a, b) => a - b);
     const sum = numbers.reduce((a, b) => a + b, 0);
+    const avg = sum / numbers.length;
+    const variance = numbers.reduce((acc, n) => acc + (n - avg) ** 2, 0) / numbers.length;
 
     return {
       min: numbers[0],
       max: numbers[numbers.length - 1],
-      avg: sum / numbers.length,
+      avg,
       median: numbers[Math.floor(numbers.length / 2)],
+      stdDev: Math.sqrt(variance),
+      percentiles: {
+        p5: percentile(numbers, 5),
+        p25: percentile(numbers, 25),
+        p50: percentile(numbers, 50),
+        p75: percentile(numbers, 75),
+        p95: percentile(numbers, 95),
+        p99: percentile(numbers, 99)
+      },
       isInteger: numbers.every(n => Number.isInteger(n))
     };
   }
@@ -639,11 +683,15 @@ export class RelationshipMapper {
   }
 
   /**
-   * Generate ERD data structure
+   * Generate ERD data structure. Nodes carry their saved layout position (or
+   * null), and edges combine detected relationships with the ones accepted in
+   * SchemaManager, each marked with its review status.
    * @returns {Object} ERD data for visualization
    */
   generateERD() {
     const analysis = this.analyzeAllTables();
+    const { positions, rejected } = this.getERDState();
+    const rejectedIds = new Set(rejected);
     
     const erdData = {
       nodes: [],
@@ -672,12 +720,11 @@ export class RelationshipMapper {
           recordCount: tableInfo.recordCount,
           primaryKey: tableInfo.primaryKeyCandidate
         },
-        position: { x: 0, y: 0 } // Will be set by layout algorithm
+        position: positions[tableName] || null // Null until placed by the layout algorithm
       });
     });
 
-    // Create edges for relationships
-    analysis.relationships.forEach(rel => {
+    const addEdge = (rel, status) => {
       erdData.edges.push({
         id: rel.id,
         source: rel.fromTable,
@@ -688,14 +735,119 @@ export class RelationshipMapper {
           fromColumn: rel.fromColumn,
           toColumn: rel.toColumn,
           confidence: rel.confidence,
+          confidenceLevel: getConfidenceLevel(rel.confidence),
+          status,
           label: `${rel.fromColumn} → ${rel.toColumn}`
         }
       });
+    };
+
+    // Create edges for relationships
+    analysis.relationships.forEach(rel => {
+      let status = RelationshipStatus.DETECTED;
+      if (this.isAccepted(rel)) status = RelationshipStatus.ACCEPTED;
+      else if (rejectedIds.has(rel.id)) status = RelationshipStatus.REJECTED;
+      addEdge(rel, status);
+    });
+
+    // Accepted relationships the detector did not find (e.g. imported foreign keys)
+    const edgeIds = new Set(erdData.edges.map(edge => edge.id));
+    Object.values(schemaManager.getAllRelationships()).forEach(rel => {
+      const id = `${rel.fromTable}.${rel.fromField}->${rel.toTable}.${rel.toField}`;
+      if (edgeIds.has(id) || !analysis.tables[rel.fromTable] || !analysis.tables[rel.toTable]) return;
+
+      addEdge({
+        id,
+        fromTable: rel.fromTable,
+        fromColumn: rel.fromField,
+        toTable: rel.toTable,
+        toColumn: rel.toField,
+        type: rel.type,
+        confidence: rel.confidence ?? 1
+      }, RelationshipStatus.ACCEPTED);
     });
 
     return erdData;
   }
 
+  /**
+   * Check whether a detected relationship is stored in SchemaManager
+   * @param {Object} rel - Relationship with fromTable, fromColumn, toTable and toColumn
+   * @returns {boolean} True if accepted
+   */
+  isAccepted(rel) {
+    const stored = schemaManager.relationships[`${rel.fromTable}.${rel.fromColumn}`];
+    return Boolean(stored && stored.toTable === rel.toTable && stored.toField === rel.toColumn);
+  }
+
+  /**
+   * Get the saved ERD layout and rejected relationship ids
+   * @returns {Object} { positions, rejected }
+   */
+  getERDState() {
+    const { erd } = localStorageDB.getMetadata();
+    return {
+      positions: {},
+      rejected: [],
+      ...(erd || {})
+    };
+  }
+
+  /**
+   * Persist ERD state to metadata
+   * @param {Object} updates - Partial ERD state
+   */
+  saveERDState(updates) {
+    localStorageDB.updateMetadata({ erd: { ...this.getERDState(), ...updates } });
+  }
+
+  /**
+   * Save table node positions
+   * @param {Object} positions - Table name to { x, y }
+   */
+  saveLayout(positions) {
+    this.saveERDState({ positions });
+  }
+
+  /**
+   * Accept a relationship from the ERD, storing it as a foreign key in SchemaManager
+   * @param {Object} edge - ERD edge
+   */
+  acceptRelationship(edge) {
+    schemaManager.addRelationship({
+      fromTable: edge.source,
+      fromField: edge.data.fromColumn,
+      toTable: edge.target,
+      toField: edge.data.toColumn,
+      type: edge.data.relationshipType,
+      confidence: edge.data.confidence
+    });
+    this.saveERDState({ rejected: this.getERDState().rejected.filter(id => id !== edge.id) });
+  }
+
+  /**
+   * Reject a relationship so it stays out of the diagram and SchemaManager
+   * @param {Object} edge - ERD edge
+   */
+  rejectRelationship(edge) {
+    if (this.isAccepted({ fromTable: edge.source, fromColumn: edge.data.fromColumn, toTable: edge.target, toColumn: edge.data.toColumn })) {
+      schemaManager.removeRelationship(edge.source, edge.data.fromColumn);
+    }
+
+    const { rejected } = this.getERDState();
+    if (!rejected.includes(edge.id)) {
+      this.saveERDState({ rejected: [...rejected, edge.id] });
+    }
+  }
+
+  /**
+   * Return a rejected relationship to the detected state
+   * @param {Object} edge - ERD edge
+   */
+  restoreRelationship(edge) {
+    this.saveERDState({ rejected: this.getERDState().rejected.filter(id => id !== edge.id) });
+  }
+
   /**
    * Set confidence threshold for relationship detection
    * @param {number} threshold - Confidence threshold (0-1)
@@ -0,0 +1,281 @@
+/**
+ * Saved Queries, Views and Query History
+ * Named queries and views are kept in database metadata, so saving or
+ * deleting one is recorded in the change journal. Views can be used like
+ * tables in FROM and JOIN (see executeQuery). The run history lives under
+ * its own key outside the journal, so re-running queries never shows up
+ * in undo.
+ */
+
+import { localStorageDB } from './localStorageDB.js';
+import { QueryBuilder, getViewDefinition, collectQuerySources } from './queryEngine.js';
+
+/**
+ * Kinds of saved query
+ */
+export const SavedQueryTypes = {
+  QUERY: 'query',
+  VIEW: 'view'
+};
+
+const DEFAULT_MAX_HISTORY = 100;
+
+/**
+ * Saved query manager
+ */
+export class SavedQueryManager {
+  /**
+   * @param {LocalStorageDB} db - Database holding the queries
+   * @param {Object} options - Manager options
+   * @param {number} options.maxHistory - History entries kept
+   */
+  constructor(db = localStorageDB, options = {}) {
+    this.db = db;
+    this.historyKey = `${db.prefix}query_history`;
+    this.maxHistory = options.maxHistory || DEFAULT_MAX_HISTORY;
+  }
+
+  /**
+   * Get all saved queries and views
+   * @returns {Object} Saved queries keyed by name
+   */
+  getSavedQueryMap() {
+    return this.db.getMetadata().savedQueries || {};
+  }
+
+  /**
+   * List saved queries and views
+   * @param {string} type - Optional SavedQueryTypes filter
+   * @returns {Array} Saved queries sorted by name
+   */
+  getSavedQueries(type = null) {
+    return Object.values(this.getSavedQueryMap())
+      .filter(saved => !type || saved.type === type)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * List view names, for table pickers
+   * @returns {Array} View names
+   */
+  getViewNames() {
+    return this.getSavedQueries(SavedQueryTypes.VIEW).map(view => view.name);
+  }
+
+  /**
+   * Get one saved query or view
+   * @param {string} name - Saved query name
+   * @returns {Object|null} Saved query
+   */
+  getSavedQuery(name) {
+    return this.getSavedQueryMap()[name] || null;
+  }
+
+  /**
+   * Validate a name and query before saving
+   * @param {string} name - Saved query name
+   * @param {Object} spec - Serialized query
+   * @param {string} type - SavedQueryTypes value
+   * @returns {Array} Error messages
+   */
+  validate(name, spec, type) {
+    const errors = [];
+
+    if (!name || !name.trim()) {
+      errors.push('Name is required');
+      return errors;
+    }
+    if (name.length > 100) {
+      errors.push('Name too long (max 100 characters)');
+    }
+
+    if (type === SavedQueryTypes.VIEW) {
+      if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        errors.push('View names must start with a letter or underscore and contain only letters, numbers and underscores');
+      }
+      if (this.db.discoverTables().includes(name)) {
+        errors.push(`A table named "${name}" already exists`);
+      }
+
+      // Follow views the query reads from and make sure none leads back here
+      const visited = new Set();
+      const pending = [...collectQuerySources(spec)];
+      while (pending.length > 0) {
+        const source = pending.pop();
+        if (source === name) {
+          errors.push(`View "${name}" would reference itself`);
+          break;
+        }
+        if (visited.has(source)) continue;
+        visited.add(source);
+
+        const view = getViewDefinition(source);
+        if (view) pending.push(...collectQuerySources(view.query));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Save a named query or view
+   * @param {string} name - Name; for views, the name used in FROM and JOIN
+   * @param {QueryBuilder} query - Query to save
+   * @param {Object} options - Save options
+   * @param {string} options.type - SavedQueryTypes value (default query)
+   * @param {string} options.sql - SQL text to show when the query is opened
+   * @param {string} options.description - Free-form description
+   * @param {boolean} options.overwrite - Replace an existing entry with this name
+   * @returns {Object} { success, savedQuery, errors }
+   */
+  saveQuery(name, query, options = {}) {
+    const type = options.type || SavedQueryTypes.QUERY;
+    const trimmed = (name || '').trim();
+
+    let spec;
+    try {
+      spec = query.toJSON();
+    } catch (error) {
+      return { success: false, savedQuery: null, errors: [error.message] };
+    }
+
+    const errors = this.validate(trimmed, spec, type);
+    const existing = this.getSavedQuery(trimmed);
+    if (existing && !options.overwrite) {
+      errors.push(`"${trimmed}" already exists`);
+    }
+    if (errors.length > 0) {
+      return { success: false, savedQuery: null, errors };
+    }
+
+    const now = new Date().toISOString();
+    const savedQuery = {
+      name: trimmed,
+      type,
+      query: spec,
+      sql: options.sql || null,
+      description: options.description || '',
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.db.describeChange(`Save ${type} ${trimmed}`);
+    this.db.updateMetadata({
+      savedQueries: { ...this.getSavedQueryMap(), [trimmed]: savedQuery }
+    });
+    return { success: true, savedQuery, errors: [] };
+  }
+
+  /**
+   * Delete a saved query or view
+   * @param {string} name - Saved query name
+   * @returns {boolean} True when something was deleted
+   */
+  deleteSavedQuery(name) {
+    const savedQueries = this.getSavedQueryMap();
+    if (!savedQueries[name]) return false;
+
+    const { [name]: removed, ...rest } = savedQueries;
+    this.db.describeChange(`Delete ${removed.type} ${name}`);
+    this.db.updateMetadata({ savedQueries: rest });
+    return true;
+  }
+
+  /**
+   * Rebuild the query of a saved entry
+   * @param {string} name - Saved query name
+   * @returns {QueryBuilder|null} Query, or null when not found
+   */
+  loadQuery(name) {
+    const saved = this.getSavedQuery(name);
+    return saved ? QueryBuilder.fromJSON(saved.query) : null;
+  }
+
+  /**
+   * Get the run history, newest first
+   * @returns {Array} { id, timestamp, table, query, sql, resultCount, executionTime, error }
+   */
+  getHistory() {
+    try {
+      return JSON.parse(this.db.storage.getItem(this.historyKey) || '[]');
+    } catch (error) {
+      console.error('Error reading query history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write the history outside the change journal, dropping old entries on quota errors
+   * @param {Array} history - History entries
+   */
+  saveHistory(history) {
+    let entries = history.slice(0, this.maxHistory);
+    while (entries.length > 0) {
+      try {
+        this.db.withoutJournal(() => this.db.writeKey(this.historyKey, JSON.stringify(entries)));
+        return;
+      } catch {
+        entries = entries.slice(0, Math.floor(entries.length / 2));
+      }
+    }
+    this.db.withoutJournal(() => this.db.removeKey(this.historyKey));
+  }
+
+  /**
+   * Record a query run
+   * @param {QueryBuilder} query - Query that ran
+   * @param {Object} run - Run details
+   * @param {string} run.sql - SQL text, if the query was typed or generated
+   * @param {number} run.resultCount - Rows returned
+   * @param {number} run.executionTime - Milliseconds
+   * @param {string} run.error - Error message for failed runs
+   * @returns {Object|null} History entry, or null when the query cannot be serialized
+   */
+  recordRun(query, run = {}) {
+    let spec;
+    try {
+      spec = query.toJSON();
+    } catch {
+      return null;
+    }
+
+    const history = this.getHistory();
+    const entry = {
+      id: (history[0]?.id || 0) + 1,
+      timestamp: new Date().toISOString(),
+      table: spec.table,
+      query: spec,
+      sql: run.sql || null,
+      resultCount: run.resultCount ?? null,
+      executionTime: run.executionTime ?? null,
+      error: run.error || null
+    };
+
+    this.saveHistory([entry, ...history]);
+    return entry;
+  }
+
+  /**
+   * Rebuild the query of a history entry
+   * @param {number} id - History entry ID
+   * @returns {QueryBuilder|null} Query, or null when not found
+   */
+  loadHistoryQuery(id) {
+    const entry = this.getHistory().find(candidate => candidate.id === id);
+    return entry ? QueryBuilder.fromJSON(entry.query) : null;
+  }
+
+  /**
+   * Forget the run history
+   */
+  clearHistory() {
+    this.db.withoutJournal(() => this.db.removeKey(this.historyKey));
+  }
+}
+
+/**
+ * Singleton instance
+ */
+export const savedQueryManager = new SavedQueryManager();
+
+export default SavedQueryManager;
@@ -4,6 +4,7 @@
  */
 
 import { localStorageDB, DataTypes, inferDataType } from './localStorageDB.js';
+import { subscribeToJournal, JournalEvents } from './changeJournal.js';
 import { isValid, parseISO } from 'date-fns';
 
 /**
@@ -32,22 +33,38 @@ export const RelationshipTypes = {
   MANY_TO_MANY: 'manyToMany'
 };
 
+/**
+ * Actions applied to referencing rows when a referenced key is deleted
+ */
+export const ReferentialActions = {
+  RESTRICT: 'restrict',
+  CASCADE: 'cascade',
+  SET_NULL: 'setNull'
+};
+
 /**
  * Schema Manager Class
  */
 export class SchemaManager {
   constructor() {
+    this.reload();
+  }
+
+  /**
+   * Re-read schemas and relationships, e.g. after switching storage backends
+   */
+  reload() {
     this.schemas = this.loadSchemas();
     this.relationships = this.loadRelationships();
   }
 
   /**
-   * Load schemas from localStorage
+   * Load schemas from storage
    * @returns {Object} Stored schemas
    */
   loadSchemas() {
     try {
-      const stored = localStorage.getItem(localStorageDB.schemaKey);
+      const stored = localStorageDB.storage.getItem(localStorageDB.schemaKey);
       return stored ? JSON.parse(stored) : {};
     } catch (error) {
       console.error('Error loading schemas:', error);
@@ -56,24 +73,23 @@ export class SchemaManager {
   }
 
   /**
-   * Save schemas to localStorage
+   * Save schemas to storage
    */
   saveSchemas() {
     try {
-      localStorage.setItem(localStorageDB.schemaKey, JSON.stringify(this.schemas));
+      localStorageDB.writeKey(localStorageDB.schemaKey, JSON.stringify(this.schemas));
     } catch (error) {
       console.error('Error saving schemas:', error);
     }
   }
 
   /**
-   * Load relationships from localStorage
+   * Load relationships from storage
    * @returns {Object} Stored relationships
    */
   loadRelationships() {
     try {
-      const relationshipKey = `${localStorageDB.prefix}relationships`;
-      const stored = localStorage.getItem(relationshipKey);
+      const stored = localStorageDB.storage.getItem(localStorageDB.relationshipKey);
       return stored ? JSON.parse(stored) : {};
     } catch (error) {
       console.error('Error loading relationships:', error);
@@ -82,12 +98,11 @@ export class SchemaManager {
   }
 
   /**
-   * Save relationships to localStorage
+   * Save relationships to storage
    */
   saveRelationships() {
     try {
-      const relationshipKey = `${localStorageDB.prefix}relationships`;
-      localStorage.setItem(relationshipKey, JSON.stringify(this.relationships));
+      localStorageDB.writeKey(localStorageDB.relationshipKey, JSON.stringify(this.relationships));
     } catch (error) {
       console.error('Error saving relationships:', error);
     }
@@ -109,7 +124,7 @@ export class SchemaManager {
 
       this.schemas[tableName] = {
         ...schema,
-        createdAt: new Date().toISOString(),
+        createdAt: this.schemas[tableName]?.createdAt || new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
@@ -392,6 +407,18 @@ export class SchemaManager {
     return indexes;
   }
 
+  /**
+   * Build the suggested indexes of a table in LocalStorageDB
+   * @param {string} tableName - Name of the table
+   * @returns {Array} Results of each index creation
+   */
+  buildSuggestedIndexes(tableName) {
+    const schema = this.getSchema(tableName) || this.generateSchema(tableName);
+    if (!schema || !schema.indexes) return [];
+
+    return localStorageDB.createSuggestedIndexes(tableName, schema.indexes);
+  }
+
   /**
    * Detect potential relationships between tables
    * @param {string} tableName - Current table name
@@ -403,8 +430,9 @@ export class SchemaManager {
 
     Object.entries(schema.properties).forEach(([propName, propSchema]) => {
       // Look for foreign key patterns
-      if (propName.toLowerCase().endsWith('id') || 
-          propName.toLowerCase().endsWith('_id')) {
+      if (propName.toLowerCase() !== 'id' &&
+          (propName.toLowerCase().endsWith('id') || 
+           propName.toLowerCase().endsWith('_id'))) {
         
         const referencedTable = propName
           .replace(/id$/i, '')
@@ -442,6 +470,21 @@ export class SchemaManager {
     this.saveRelationships();
   }
 
+  /**
+   * Remove a relationship
+   * @param {string} fromTable - Referencing table
+   * @param {string} fromField - Foreign key field
+   * @returns {boolean} True if a relationship was removed
+   */
+  removeRelationship(fromTable, fromField) {
+    const key = `${fromTable}.${fromField}`;
+    if (!this.relationships[key]) return false;
+
+    delete this.relationships[key];
+    this.saveRelationships();
+    return true;
+  }
+
   /**
    * Get relationships for a table
    * @param {string} tableName - Table name
@@ -453,6 +496,229 @@ export class SchemaManager {
     );
   }
 
+  /**
+   * Set the ON DELETE action of a relationship
+   * @param {string} fromTable - Referencing table
+   * @param {string} fromField - Foreign key field
+   * @param {string} onDelete - Referential action
+   * @returns {boolean} Success status
+   */
+  setReferentialAction(fromTable, fromField, onDelete) {
+    const relationship = this.relationships[`${fromTable}.${fromField}`];
+    if (!relationship || !Object.values(ReferentialActions).includes(onDelete)) {
+      return false;
+    }
+
+    relationship.onDelete = onDelete;
+    this.saveRelationships();
+    return true;
+  }
+
+  /**
+   * Get the foreign keys declared on a table. Every stored relationship except
+   * many-to-many is enforced as fromTable.fromField referencing toTable.toField.
+   * @param {string} tableName - Referencing table
+   * @returns {Array} Relationships
+   */
+  getForeignKeys(tableName) {
+    return Object.values(this.relationships).filter(rel =>
+      rel.fromTable === tableName && rel.type !== RelationshipTypes.MANY_TO_MANY
+    );
+  }
+
+  /**
+   * Get the foreign keys that reference a table
+   * @param {string} tableName - Referenced table
+   * @returns {Array} Relationships
+   */
+  getReferencingKeys(tableName) {
+    return Object.values(this.relationships).filter(rel =>
+      rel.toTable === tableName && rel.type !== RelationshipTypes.MANY_TO_MANY
+    );
+  }
+
+  /**
+   * Check the foreign keys of a single record
+   * @param {string} tableName - Table the record belongs to
+   * @param {Object} record - Record to check
+   * @returns {Array} Violations
+   */
+  checkForeignKeys(tableName, record) {
+    return this.getForeignKeys(tableName)
+      .map(rel => this.checkReference(rel, record, localStorageDB.select(rel.toTable)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check one foreign key value against the referenced rows
+   * @param {Object} rel - Relationship
+   * @param {Object} record - Referencing record
+   * @param {Array} parentRows - Rows of the referenced table
+   * @param {Set} parentKeys - Optional precomputed set of referenced key values
+   * @returns {Object|null} Violation or null
+   */
+  checkReference(rel, record, parentRows, parentKeys = null) {
+    const value = record ? record[rel.fromField] : undefined;
+    if (value === null || value === undefined) return null;
+
+    const keys = parentKeys || new Set(parentRows.map(row => row && row[rel.toField]));
+    if (keys.has(value)) return null;
+
+    return {
+      type: ConstraintTypes.FOREIGN_KEY,
+      table: rel.fromTable,
+      field: rel.fromField,
+      value,
+      recordId: record.id,
+      message: `${rel.fromField} ${JSON.stringify(value)} does not exist in ${rel.toTable}.${rel.toField}`
+    };
+  }
+
+  /**
+   * Replace the rows of a table while enforcing foreign keys. New or changed
+   * rows must reference existing keys; removing or changing a referenced key
+   * applies the relationship's ON DELETE action (RESTRICT by default) to the
+   * referencing rows. All affected tables are written in one transaction.
+   * @param {string} tableName - Table to write
+   * @param {Array} rows - New table rows
+   * @returns {Object} { success, violations, affectedTables }
+   */
+  writeTable(tableName, rows) {
+    const pending = new Map();
+    const previous = new Map();
+    const violations = [];
+
+    const getRows = table => (pending.has(table) ? pending.get(table) : localStorageDB.select(table));
+
+    const stage = (table, tableRows) => {
+      const before = getRows(table);
+      if (!previous.has(table)) {
+        previous.set(table, before);
+      }
+      pending.set(table, tableRows);
+
+      this.getReferencingKeys(table).forEach(rel => {
+        const remainingKeys = new Set(tableRows.map(row => row && row[rel.toField]));
+        const removedKeys = new Set(
+          before
+            .map(row => row && row[rel.toField])
+            .filter(value => value !== null && value !== undefined && !remainingKeys.has(value))
+        );
+        if (removedKeys.size === 0) return;
+
+        const childRows = getRows(rel.fromTable);
+        const isAffected = row => row && removedKeys.has(row[rel.fromField]);
+        const affected = childRows.filter(isAffected);
+        if (affected.length === 0) return;
+
+        switch (rel.onDelete || ReferentialActions.RESTRICT) {
+          case ReferentialActions.CASCADE:
+            stage(rel.fromTable, childRows.filter(row => !isAffected(row)));
+            break;
+
+          case ReferentialActions.SET_NULL:
+            stage(rel.fromTable, childRows.map(row => (isAffected(row) ? { ...row, [rel.fromField]: null } : row)));
+            break;
+
+          default:
+            removedKeys.forEach(value => {
+              const count = affected.filter(row => row[rel.fromField] === value).length;
+              if (count === 0) return;
+
+              const parent = before.find(row => row && row[rel.toField] === value);
+              violations.push({
+                type: ReferentialActions.RESTRICT,
+                table,
+                field: rel.toField,
+                value,
+                recordId: parent ? parent.id : undefined,
+                message: `${count} row(s) in ${rel.fromTable} still reference ${table}.${rel.toField} ${JSON.stringify(value)}`
+              });
+            });
+        }
+      });
+    };
+
+    stage(tableName, rows);
+
+    // Check foreign keys of every new or changed row in the staged tables
+    pending.forEach((tableRows, table) => {
+      const unchanged = new Set(previous.get(table).map(row => JSON.stringify(row)));
+
+      this.getForeignKeys(table).forEach(rel => {
+        const parentKeys = new Set(getRows(rel.toTable).map(row => row && row[rel.toField]));
+
+        tableRows.forEach(row => {
+          if (unchanged.has(JSON.stringify(row))) return;
+
+          const violation = this.checkReference(rel, row, null, parentKeys);
+          if (violation) violations.push(violation);
+        });
+      });
+    });
+
+    if (violations.length > 0) {
+      return { success: false, violations, affectedTables: [] };
+    }
+
+    try {
+      localStorageDB.transaction(() => {
+        pending.forEach((tableRows, table) => {
+          if (!localStorageDB.setTable(table, tableRows)) {
+            throw new Error(`Could not write table ${table}`);
+          }
+        });
+      });
+    } catch (error) {
+      console.error(`Error writing table ${tableName}:`, error);
+      return {
+        success: false,
+        violations: [{ type: 'storage', table: tableName, message: error.message }],
+        affectedTables: []
+      };
+    }
+
+    return { success: true, violations: [], affectedTables: Array.from(pending.keys()) };
+  }
+
+  /**
+   * Insert a record, rejecting orphan foreign key values
+   * @param {string} tableName - Table name
+   * @param {Object} record - Record to insert
+   * @returns {Object} { success, violations, affectedTables }
+   */
+  insertRecord(tableName, record) {
+    return this.writeTable(tableName, [...localStorageDB.select(tableName), record]);
+  }
+
+  /**
+   * Update a record by ID, enforcing foreign keys in both directions
+   * @param {string} tableName - Table name
+   * @param {string} id - Record ID
+   * @param {Object} updates - Fields to change
+   * @returns {Object} { success, violations, affectedTables }
+   */
+  updateRecord(tableName, id, updates) {
+    return this.writeTable(
+      tableName,
+      localStorageDB.select(tableName).map(record => (record.id === id ? { ...record, ...updates } : record))
+    );
+  }
+
+  /**
+   * Delete records by ID, applying ON DELETE actions
+   * @param {string} tableName - Table name
+   * @param {Array} ids - Record IDs to delete
+   * @returns {Object} { success, violations, affectedTables }
+   */
+  deleteRecords(tableName, ids) {
+    const idSet = new Set(ids);
+    return this.writeTable(
+      tableName,
+      localStorageDB.select(tableName).filter(record => !idSet.has(record.id))
+    );
+  }
+
   /**
    * Validate data against schema
    * @param {string} tableName - Table name
@@ -637,4 +903,11 @@ export class SchemaManager {
  */
 export const schemaManager = new SchemaManager();
 
+// Undo, redo and table restores rewrite the stored schemas behind the cache
+subscribeToJournal(({ type }) => {
+  if (type !== JournalEvents.RECORD && type !== JournalEvents.CLEAR) {
+    schemaManager.reload();
+  }
+});
+
 export default SchemaManager;
\ No newline at end of file
@@ -0,0 +1,769 @@
+/**
+ * Schema Migrations
+ * Versioned, reversible schema changes that transform existing records and
+ * record their history in database metadata
+ */
+
+import { localStorageDB, DataTypes, coerceValue, inferDataType } from './localStorageDB.js';
+import { schemaManager, ConstraintTypes } from './schemaManager.js';
+
+/**
+ * Supported migration steps
+ */
+export const MigrationStepTypes = {
+  ADD_COLUMN: 'addColumn',
+  RENAME_COLUMN: 'renameColumn',
+  DROP_COLUMN: 'dropColumn',
+  CHANGE_TYPE: 'changeType',
+  ADD_CONSTRAINT: 'addConstraint',
+  DROP_CONSTRAINT: 'dropConstraint'
+};
+
+/**
+ * Constraints a migration can add or drop
+ */
+const MIGRATABLE_CONSTRAINTS = [
+  ConstraintTypes.REQUIRED,
+  ConstraintTypes.UNIQUE,
+  ConstraintTypes.MIN_LENGTH,
+  ConstraintTypes.MAX_LENGTH,
+  ConstraintTypes.MIN_VALUE,
+  ConstraintTypes.MAX_VALUE,
+  ConstraintTypes.PATTERN,
+  ConstraintTypes.ENUM
+];
+
+/**
+ * Key identifying a row across up and down runs
+ * @param {Object} row - Table row
+ * @param {number} position - Row position
+ * @returns {string} Row key
+ */
+const rowKey = (row, position) => {
+  return row && typeof row === 'object' && row.id !== undefined ? `id:${row.id}` : `#${position}`;
+};
+
+/**
+ * Compare two values by content
+ * @param {any} a - First value
+ * @param {any} b - Second value
+ * @returns {boolean} True if equal
+ */
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Check whether a column exists in the schema, the editor fields or the rows
+ * @param {Object} context - Migration context
+ * @param {string} column - Column name
+ * @returns {boolean} True if the column exists
+ */
+const hasColumn = (context, column) => {
+  return Boolean(context.schema.properties[column]) ||
+         Boolean(context.fields[column]) ||
+         context.rows.some(row => row && typeof row === 'object' && column in row);
+};
+
+/**
+ * Type of a column without a schema entry, from its editor field or its first stored value
+ * @param {Object} context - Migration context
+ * @param {string} column - Column name
+ * @returns {string} Data type
+ */
+const inferColumnType = (context, column) => {
+  const field = context.fields[column];
+  if (field && Object.values(DataTypes).includes(field.type)) return field.type;
+
+  const row = context.rows.find(candidate => (
+    candidate && typeof candidate === 'object' && candidate[column] !== undefined && candidate[column] !== null
+  ));
+  return row ? inferDataType(row[column]) : DataTypes.STRING;
+};
+
+/**
+ * Mirror a constraint onto the editor field definition
+ * @param {Object} field - Editor field definition
+ * @param {Object} constraint - Constraint definition
+ * @param {boolean} enabled - Add (true) or remove (false) the constraint
+ */
+const mirrorConstraint = (field, constraint, enabled) => {
+  if (!field) return;
+
+  const key = constraint.type === ConstraintTypes.ENUM ? 'enum' : constraint.type;
+  if (!enabled) {
+    delete field[key];
+  } else if (constraint.type === ConstraintTypes.REQUIRED || constraint.type === ConstraintTypes.UNIQUE) {
+    field[key] = true;
+  } else {
+    field[key] = constraint.type === ConstraintTypes.ENUM ? constraint.values : constraint.value;
+  }
+};
+
+/**
+ * Move (or drop, when to is null) the indexes on a column once rows are written
+ * @param {Object} context - Migration context
+ * @param {string} from - Current column
+ * @param {string|null} to - New column
+ * @returns {Array} Definitions of the indexes that were on the column
+ */
+const moveIndexes = (context, from, to) => {
+  const moved = localStorageDB.getIndexes(context.table)
+    .filter(index => index.field === from)
+    .map(({ name, type, unique }) => ({ name, type, unique }));
+
+  context.afterWrite.push(() => {
+    moved.forEach(({ name, type, unique }) => {
+      localStorageDB.dropIndex(context.table, name);
+      if (to) {
+        const defaultName = `idx_${context.table}_${from.replace(/\./g, '_')}`;
+        localStorageDB.createIndex(context.table, to, {
+          type,
+          unique,
+          ...(name !== defaultName && { name })
+        });
+      }
+    });
+  });
+
+  return moved;
+};
+
+/**
+ * Up/down handlers per step type. up returns undo data that down receives.
+ */
+const stepHandlers = {
+  [MigrationStepTypes.ADD_COLUMN]: {
+    validate: (step) => (step.dataType && !Object.values(DataTypes).includes(step.dataType)
+      ? `Unknown data type: ${step.dataType}`
+      : null),
+    check: (context, step) => (hasColumn(context, step.column) ? `Column "${step.column}" already exists` : null),
+    up: (context, step) => {
+      const type = step.dataType || DataTypes.STRING;
+      const defaultValue = step.defaultValue === undefined ? null : coerceValue(step.defaultValue, type);
+
+      context.rows.forEach(row => {
+        if (row && typeof row === 'object' && row[step.column] === undefined) {
+          row[step.column] = defaultValue;
+        }
+      });
+      context.schema.properties[step.column] = { type, nullable: !step.required };
+      if (step.required) {
+        context.schema.constraints[step.column] = [{ type: ConstraintTypes.REQUIRED }];
+      }
+      context.fields[step.column] = {
+        type,
+        required: Boolean(step.required),
+        nullable: !step.required,
+        unique: false,
+        ...(step.field || {}),
+        ...(step.defaultValue !== undefined && { defaultValue: step.defaultValue })
+      };
+      return null;
+    },
+    down: (context, step) => {
+      context.rows.forEach(row => {
+        if (row && typeof row === 'object') delete row[step.column];
+      });
+      delete context.schema.properties[step.column];
+      delete context.schema.constraints[step.column];
+      delete context.fields[step.column];
+      moveIndexes(context, step.column, null);
+    }
+  },
+
+  [MigrationStepTypes.RENAME_COLUMN]: {
+    validate: (step) => (!step.newName ? 'New column name is required' : null),
+    check: (context, step) => {
+      if (!hasColumn(context, step.column)) return `Column "${step.column}" does not exist`;
+      if (hasColumn(context, step.newName)) return `Column "${step.newName}" already exists`;
+      return null;
+    },
+    up: (context, step) => renameColumn(context, step.column, step.newName),
+    down: (context, step) => renameColumn(context, step.newName, step.column)
+  },
+
+  [MigrationStepTypes.DROP_COLUMN]: {
+    validate: (step) => (step.column === 'id' ? 'The id column cannot be dropped' : null),
+    check: (context, step) => (!hasColumn(context, step.column) ? `Column "${step.column}" does not exist` : null),
+    up: (context, step) => {
+      const values = {};
+      context.rows.forEach((row, position) => {
+        if (row && typeof row === 'object' && step.column in row) {
+          values[rowKey(row, position)] = row[step.column];
+          delete row[step.column];
+        }
+      });
+
+      const undo = {
+        values,
+        property: context.schema.properties[step.column] || null,
+        constraints: context.schema.constraints[step.column] || null,
+        field: context.fields[step.column] || null,
+        indexes: moveIndexes(context, step.column, null)
+      };
+      delete context.schema.properties[step.column];
+      delete context.schema.constraints[step.column];
+      delete context.fields[step.column];
+      return undo;
+    },
+    down: (context, step, undo) => {
+      context.rows.forEach((row, position) => {
+        const key = rowKey(row, position);
+        if (row && typeof row === 'object' && key in undo.values) {
+          row[step.column] = undo.values[key];
+        }
+      });
+      if (undo.property) context.schema.properties[step.column] = undo.property;
+      if (undo.constraints) context.schema.constraints[step.column] = undo.constraints;
+      if (undo.field) context.fields[step.column] = undo.field;
+      context.afterWrite.push(() => {
+        undo.indexes.forEach(({ name, type, unique }) => {
+          localStorageDB.createIndex(context.table, step.column, { name, type, unique });
+        });
+      });
+    }
+  },
+
+  [MigrationStepTypes.CHANGE_TYPE]: {
+    validate: (step) => (!Object.values(DataTypes).includes(step.dataType) ? `Unknown data type: ${step.dataType}` : null),
+    check: (context, step) => (!hasColumn(context, step.column) ? `Column "${step.column}" does not exist` : null),
+    up: (context, step) => {
+      const values = {};
+      context.rows.forEach((row, position) => {
+        if (!row || typeof row !== 'object' || row[step.column] === undefined) return;
+
+        const converted = coerceValue(row[step.column], step.dataType);
+        if (!sameValue(converted, row[step.column])) {
+          values[rowKey(row, position)] = row[step.column];
+          row[step.column] = converted;
+        }
+      });
+
+      const property = context.schema.properties[step.column];
+      const field = context.fields[step.column];
+      const undo = {
+        values,
+        propertyType: property ? property.type : null,
+        fieldType: field ? field.type : null
+      };
+      context.schema.properties[step.column] = { ...(property || { nullable: true }), type: step.dataType };
+      if (field) field.type = step.dataType;
+      // Sorted index key kinds depend on the value type
+      moveIndexes(context, step.column, step.column);
+      return undo;
+    },
+    down: (context, step, undo) => {
+      context.rows.forEach((row, position) => {
+        const key = rowKey(row, position);
+        if (row && typeof row === 'object' && key in undo.values) {
+          row[step.column] = undo.values[key];
+        }
+      });
+      if (undo.propertyType) {
+        context.schema.properties[step.column] = { ...context.schema.properties[step.column], type: undo.propertyType };
+      } else {
+        delete context.schema.properties[step.column];
+      }
+      if (undo.fieldType && context.fields[step.column]) {
+        context.fields[step.column].type = undo.fieldType;
+      }
+      moveIndexes(context, step.column, step.column);
+    }
+  },
+
+  [MigrationStepTypes.ADD_CONSTRAINT]: {
+    validate: (step) => validateConstraintStep(step),
+    check: (context, step) => {
+      if (!hasColumn(context, step.column)) return `Column "${step.column}" does not exist`;
+      return findConstraintViolation(context.rows, step.column, step.constraint);
+    },
+    up: (context, step) => {
+      const constraints = (context.schema.constraints[step.column] || [])
+        .filter(existing => existing.type !== step.constraint.type);
+      const replaced = (context.schema.constraints[step.column] || [])
+        .find(existing => existing.type === step.constraint.type) || null;
+
+      context.schema.constraints[step.column] = [...constraints, step.constraint];
+      // A column only present in the rows gets a schema entry that down removes again
+      const createdProperty = !context.schema.properties[step.column];
+      if (createdProperty) {
+        context.schema.properties[step.column] = { type: inferColumnType(context, step.column), nullable: true };
+      }
+      if (step.constraint.type === ConstraintTypes.REQUIRED) {
+        context.schema.properties[step.column].nullable = false;
+      }
+      mirrorConstraint(context.fields[step.column], step.constraint, true);
+      return { replaced, createdProperty };
+    },
+    down: (context, step, undo) => {
+      const constraints = (context.schema.constraints[step.column] || [])
+        .filter(existing => existing.type !== step.constraint.type);
+      context.schema.constraints[step.column] = undo.replaced ? [...constraints, undo.replaced] : constraints;
+      if (undo.createdProperty) {
+        delete context.schema.properties[step.column];
+        if (context.schema.constraints[step.column].length === 0) delete context.schema.constraints[step.column];
+      } else if (step.constraint.type === ConstraintTypes.REQUIRED && context.schema.properties[step.column]) {
+        context.schema.properties[step.column].nullable = !undo.replaced;
+      }
+      mirrorConstraint(context.fields[step.column], undo.replaced || step.constraint, Boolean(undo.replaced));
+    }
+  },
+
+  [MigrationStepTypes.DROP_CONSTRAINT]: {
+    validate: (step) => (!step.constraintType ? 'Constraint type is required' : null),
+    check: (context, step) => (!hasColumn(context, step.column) ? `Column "${step.column}" does not exist` : null),
+    up: (context, step) => {
+      const existing = context.schema.constraints[step.column] || [];
+      const removed = existing.find(constraint => constraint.type === step.constraintType) || null;
+
+      context.schema.constraints[step.column] = existing.filter(constraint => constraint.type !== step.constraintType);
+      if (step.constraintType === ConstraintTypes.REQUIRED && context.schema.properties[step.column]) {
+        context.schema.properties[step.column].nullable = true;
+      }
+      mirrorConstraint(context.fields[step.column], removed || { type: step.constraintType }, false);
+      return { removed };
+    },
+    down: (context, step, undo) => {
+      if (!undo.removed) return;
+
+      context.schema.constraints[step.column] = [...(context.schema.constraints[step.column] || []), undo.removed];
+      if (step.constraintType === ConstraintTypes.REQUIRED && context.schema.properties[step.column]) {
+        context.schema.properties[step.column].nullable = false;
+      }
+      mirrorConstraint(context.fields[step.column], undo.removed, true);
+    }
+  }
+};
+
+/**
+ * Rename a column in rows, schema, editor fields and indexes
+ * @param {Object} context - Migration context
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ * @returns {null} No undo data is needed
+ */
+const renameColumn = (context, from, to) => {
+  // Rebuild objects so the renamed column keeps its position
+  const renameKey = (object) => Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key === from ? to : key, value])
+  );
+
+  context.rows = context.rows.map(row => (
+    row && typeof row === 'object' && from in row ? renameKey(row) : row
+  ));
+  context.schema.properties = renameKey(context.schema.properties);
+  context.schema.constraints = renameKey(context.schema.constraints);
+  context.fields = renameKey(context.fields);
+
+  moveIndexes(context, from, to);
+  return null;
+};
+
+/**
+ * Validate an addConstraint step definition
+ * @param {Object} step - Migration step
+ * @returns {string|null} Error message
+ */
+const validateConstraintStep = (step) => {
+  const constraint = step.constraint;
+  if (!constraint || !MIGRATABLE_CONSTRAINTS.includes(constraint.type)) {
+    return `Unsupported constraint: ${constraint ? constraint.type : 'none'}`;
+  }
+  if (constraint.type === ConstraintTypes.ENUM && !Array.isArray(constraint.values)) {
+    return 'Enum constraints need a list of values';
+  }
+  if (![ConstraintTypes.REQUIRED, ConstraintTypes.UNIQUE, ConstraintTypes.ENUM].includes(constraint.type) &&
+      (constraint.value === undefined || constraint.value === '')) {
+    return `Constraint ${constraint.type} needs a value`;
+  }
+  return null;
+};
+
+/**
+ * Find the first existing row that would break a new constraint
+ * @param {Array} rows - Table rows
+ * @param {string} column - Constrained column
+ * @param {Object} constraint - Constraint definition
+ * @returns {string|null} Error message
+ */
+const findConstraintViolation = (rows, column, constraint) => {
+  const seen = new Set();
+
+  for (let position = 0; position < rows.length; position++) {
+    const row = rows[position];
+    const value = row && typeof row === 'object' ? row[column] : undefined;
+    const context = `Row ${row && row.id !== undefined ? row.id : position}.${column}`;
+
+    if (value === undefined || value === null) {
+      if (constraint.type === ConstraintTypes.REQUIRED) {
+        return `${context}: Required field is missing`;
+      }
+      continue;
+    }
+
+    if (constraint.type === ConstraintTypes.UNIQUE) {
+      const key = JSON.stringify(value);
+      if (seen.has(key)) return `${context}: Duplicate value ${key}`;
+      seen.add(key);
+      continue;
+    }
+
+    const error = schemaManager.validateConstraint(value, constraint, context);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+/**
+ * Convert an editor field schema into a SchemaManager schema
+ * @param {string} tableName - Table name
+ * @param {Object} fields - Editor field definitions
+ * @returns {Object} SchemaManager schema
+ */
+const schemaFromFields = (tableName, fields) => {
+  const schema = { tableName, type: 'object', properties: {}, constraints: {}, indexes: [] };
+
+  Object.entries(fields).forEach(([name, field]) => {
+    schema.properties[name] = {
+      type: Object.values(DataTypes).includes(field.type) ? field.type : DataTypes.STRING,
+      nullable: field.nullable !== false
+    };
+
+    const constraints = [];
+    if (field.required) constraints.push({ type: ConstraintTypes.REQUIRED });
+    if (field.unique) constraints.push({ type: ConstraintTypes.UNIQUE });
+    if (constraints.length > 0) schema.constraints[name] = constraints;
+  });
+
+  return schema;
+};
+
+/**
+ * Describe a migration step for display
+ * @param {Object} step - Migration step
+ * @returns {string} Summary
+ */
+export const describeMigrationStep = (step) => {
+  switch (step.type) {
+    case MigrationStepTypes.ADD_COLUMN:
+      return `Add column ${step.column} (${step.dataType || DataTypes.STRING})`;
+    case MigrationStepTypes.RENAME_COLUMN:
+      return `Rename column ${step.column} to ${step.newName}`;
+    case MigrationStepTypes.DROP_COLUMN:
+      return `Drop column ${step.column}`;
+    case MigrationStepTypes.CHANGE_TYPE:
+      return `Change ${step.column} to ${step.dataType}`;
+    case MigrationStepTypes.ADD_CONSTRAINT:
+      return `Add ${step.constraint.type} constraint on ${step.column}`;
+    case MigrationStepTypes.DROP_CONSTRAINT:
+      return `Drop ${step.constraintType} constraint on ${step.column}`;
+    default:
+      return step.type;
+  }
+};
+
+/**
+ * Derive migration steps from two editor field schemas
+ * @param {Object} before - Saved field definitions
+ * @param {Object} after - Edited field definitions
+ * @param {Object} renames - Map of old column name to new column name
+ * @returns {Array} Migration steps
+ */
+export const diffFieldSchemas = (before = {}, after = {}, renames = {}) => {
+  const steps = [];
+  const renamed = { ...before };
+
+  Object.entries(renames).forEach(([from, to]) => {
+    if (renamed[from] && from !== to) {
+      steps.push({ type: MigrationStepTypes.RENAME_COLUMN, column: from, newName: to });
+      renamed[to] = renamed[from];
+      delete renamed[from];
+    }
+  });
+
+  Object.keys(renamed).forEach(column => {
+    if (!after[column]) {
+      steps.push({ type: MigrationStepTypes.DROP_COLUMN, column });
+    }
+  });
+
+  Object.entries(after).forEach(([column, field]) => {
+    const previous = renamed[column];
+
+    if (!previous) {
+      const { type, required, defaultValue, ...rest } = field;
+      steps.push({
+        type: MigrationStepTypes.ADD_COLUMN,
+        column,
+        dataType: type,
+        required: Boolean(required),
+        ...(defaultValue !== undefined && defaultValue !== '' && { defaultValue }),
+        field: rest
+      });
+      return;
+    }
+
+    if (previous.type !== field.type) {
+      steps.push({ type: MigrationStepTypes.CHANGE_TYPE, column, dataType: field.type });
+    }
+
+    [ConstraintTypes.REQUIRED, ConstraintTypes.UNIQUE].forEach(constraintType => {
+      if (!previous[constraintType] && field[constraintType]) {
+        steps.push({ type: MigrationStepTypes.ADD_CONSTRAINT, column, constraint: { type: constraintType } });
+      } else if (previous[constraintType] && !field[constraintType]) {
+        steps.push({ type: MigrationStepTypes.DROP_CONSTRAINT, column, constraintType });
+      }
+    });
+  });
+
+  return steps;
+};
+
+/**
+ * Schema Migrator Class
+ */
+export class SchemaMigrator {
+  /**
+   * Get migration state from metadata
+   * @returns {Object} { version, applied, pending }
+   */
+  getState() {
+    const { migrations } = localStorageDB.getMetadata();
+    return {
+      version: 0,
+      applied: [],
+      pending: [],
+      ...(migrations || {})
+    };
+  }
+
+  /**
+   * Persist migration state to metadata
+   * @param {Object} state - Migration state
+   */
+  saveState(state) {
+    localStorageDB.updateMetadata({ migrations: state });
+  }
+
+  /**
+   * Current schema version
+   * @returns {number} Version of the last applied migration
+   */
+  getCurrentVersion() {
+    return this.getState().version;
+  }
+
+  /**
+   * Get applied migrations, optionally for one table
+   * @param {string} tableName - Table filter
+   * @returns {Array} Applied migrations in version order
+   */
+  getAppliedMigrations(tableName = null) {
+    return this.getState().applied.filter(migration => !tableName || migration.table === tableName);
+  }
+
+  /**
+   * Get pending migrations, optionally for one table
+   * @param {string} tableName - Table filter
+   * @returns {Array} Pending migrations in version order
+   */
+  getPendingMigrations(tableName = null) {
+    return this.getState().pending.filter(migration => !tableName || migration.table === tableName);
+  }
+
+  /**
+   * Register a pending migration
+   * @param {string} tableName - Table to migrate
+   * @param {Array} steps - Migration steps
+   * @param {string} name - Description
+   * @returns {Object} { success, migration, error }
+   */
+  createMigration(tableName, steps, name = '') {
+    if (!tableName) {
+      return { success: false, error: 'Table name is required' };
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return { success: false, error: 'A migration needs at least one step' };
+    }
+
+    for (const step of steps) {
+      const handler = stepHandlers[step.type];
+      if (!handler) {
+        return { success: false, error: `Unknown migration step: ${step.type}` };
+      }
+      if (!step.column) {
+        return { success: false, error: `${step.type}: column is required` };
+      }
+      const error = handler.validate(step);
+      if (error) {
+        return { success: false, error: `${step.type}: ${error}` };
+      }
+    }
+
+    const state = this.getState();
+    const versions = [...state.applied, ...state.pending].map(migration => migration.version);
+    const migration = {
+      version: Math.max(state.version, ...versions) + 1,
+      table: tableName,
+      name: name || steps.map(describeMigrationStep).join(', '),
+      steps,
+      createdAt: new Date().toISOString()
+    };
+
+    state.pending = [...state.pending, migration];
+    this.saveState(state);
+    return { success: true, migration };
+  }
+
+  /**
+   * Discard a pending migration
+   * @param {number} version - Migration version
+   * @returns {boolean} True if a migration was removed
+   */
+  removePendingMigration(version) {
+    const state = this.getState();
+    const pending = state.pending.filter(migration => migration.version !== version);
+    if (pending.length === state.pending.length) return false;
+
+    this.saveState({ ...state, pending });
+    return true;
+  }
+
+  /**
+   * Load the rows and both schema formats of a table
+   * @param {string} tableName - Table name
+   * @returns {Object} Migration context
+   */
+  loadContext(tableName) {
+    const data = localStorageDB.getTable(tableName);
+    const tableMeta = (localStorageDB.getMetadata().tables || {})[tableName] || {};
+    const fields = JSON.parse(JSON.stringify((tableMeta.schema && tableMeta.schema.fields) || {}));
+    const existing = schemaManager.getSchema(tableName);
+
+    return {
+      table: tableName,
+      rows: Array.isArray(data) ? JSON.parse(JSON.stringify(data)) : [],
+      hasEditorSchema: Boolean(tableMeta.schema),
+      fields,
+      schema: existing
+        ? JSON.parse(JSON.stringify({ ...existing, constraints: existing.constraints || {} }))
+        : schemaFromFields(tableName, fields),
+      afterWrite: []
+    };
+  }
+
+  /**
+   * Write a migrated context back to storage
+   * @param {Object} context - Migration context
+   */
+  saveContext(context) {
+    if (!localStorageDB.setTable(context.table, context.rows)) {
+      throw new Error(`Could not write table "${context.table}"`);
+    }
+
+    const { createdAt, updatedAt, ...schema } = context.schema;
+    if (!schemaManager.defineSchema(context.table, schema)) {
+      throw new Error(`Migrated schema for "${context.table}" is invalid`);
+    }
+
+    if (context.hasEditorSchema || Object.keys(context.fields).length > 0) {
+      const tableMeta = (localStorageDB.getMetadata().tables || {})[context.table] || {};
+      localStorageDB.setSchema(context.table, { ...(tableMeta.schema || {}), fields: context.fields });
+    }
+
+    context.afterWrite.forEach(action => action());
+  }
+
+  /**
+   * Apply pending migrations up to a version, each one all-or-nothing
+   * @param {number} targetVersion - Last version to apply (default: all)
+   * @returns {Object} { success, applied, version, error }
+   */
+  migrate(targetVersion = Infinity) {
+    const applied = [];
+
+    for (const migration of this.getState().pending.filter(pending => pending.version <= targetVersion)) {
+      try {
+        localStorageDB.transaction(() => {
+          const context = this.loadContext(migration.table);
+          const undo = migration.steps.map(step => {
+            const error = stepHandlers[step.type].check(context, step);
+            if (error) throw new Error(error);
+            return stepHandlers[step.type].up(context, step);
+          });
+          this.saveContext(context);
+
+          const state = this.getState();
+          this.saveState({
+            version: migration.version,
+            applied: [...state.applied, { ...migration, undo, appliedAt: new Date().toISOString() }],
+            pending: state.pending.filter(pending => pending.version !== migration.version)
+          });
+        });
+        applied.push(migration.version);
+      } catch (error) {
+        schemaManager.reload();
+        return {
+          success: false,
+          applied,
+          version: this.getCurrentVersion(),
+          error: `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        };
+      }
+    }
+
+    return { success: true, applied, version: this.getCurrentVersion() };
+  }
+
+  /**
+   * Revert applied migrations newer than a version; they become pending again
+   * @param {number} targetVersion - Version to return to (0 reverts everything)
+   * @returns {Object} { success, rolledBack, version, error }
+   */
+  rollback(targetVersion) {
+    const rolledBack = [];
+    const toRevert = this.getState().applied
+      .filter(migration => migration.version > targetVersion)
+      .reverse();
+
+    for (const migration of toRevert) {
+      try {
+        localStorageDB.transaction(() => {
+          const context = this.loadContext(migration.table);
+          [...migration.steps].reverse().forEach((step, i) => {
+            const undo = migration.undo[migration.steps.length - 1 - i];
+            stepHandlers[step.type].down(context, step, undo);
+          });
+          this.saveContext(context);
+
+          const state = this.getState();
+          const applied = state.applied.filter(entry => entry.version !== migration.version);
+          const { undo, appliedAt, ...pending } = migration;
+          this.saveState({
+            version: applied.length > 0 ? applied[applied.length - 1].version : 0,
+            applied,
+            pending: [...state.pending, pending].sort((a, b) => a.version - b.version)
+          });
+        });
+        rolledBack.push(migration.version);
+      } catch (error) {
+        schemaManager.reload();
+        return {
+          success: false,
+          rolledBack,
+          version: this.getCurrentVersion(),
+          error: `Rollback of migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        };
+      }
+    }
+
+    return { success: true, rolledBack, version: this.getCurrentVersion() };
+  }
+}
+
+/**
+ * Singleton instance
+ */
+export const schemaMigrator = new SchemaMigrator();
+
+export default SchemaMigrator;
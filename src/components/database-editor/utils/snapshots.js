@@ -0,0 +1,451 @@
+/**
+ * Database Snapshots
+ * Named copies of the whole database: every table with its metadata and
+ * indexes, plus the schemas and relationships. Snapshots are compressed and
+ * kept next to the tables, outside the change journal, so taking or deleting
+ * one is never undone. Restoring one (fully or a single table) is a normal
+ * journaled change. Snapshots can be diffed against each other or against
+ * the current state, per table and per row.
+ */
+
+import { localStorageDB, dbUtils } from './localStorageDB.js';
+import { schemaManager } from './schemaManager.js';
+import { compress, decompress } from './compression.js';
+import { diffRows, hasChanges } from './changeFeed.js';
+
+/**
+ * Stands for the live database wherever a snapshot ID is expected
+ */
+export const CURRENT_STATE = 'current';
+
+/**
+ * How a table differs between two states
+ */
+export const TableDiffStatus = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged'
+};
+
+const SNAPSHOT_FORMAT = 1;
+
+const parseObject = (value) => {
+  try {
+    return value ? JSON.parse(value) : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Rows of a serialized table; values that are not arrays count as one row
+ * @param {string|null} value - Serialized table
+ * @returns {Array} Rows
+ */
+const toRows = (value) => {
+  if (value === null || value === undefined) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [parsed];
+  } catch {
+    return [value];
+  }
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Compare two keyed objects, e.g. relationships
+ * @returns {Object} { added, removed, changed } key lists
+ */
+const diffKeys = (before, after) => ({
+  added: Object.keys(after).filter(key => !(key in before)),
+  removed: Object.keys(before).filter(key => !(key in after)),
+  changed: Object.keys(after).filter(key => key in before && !sameValue(before[key], after[key]))
+});
+
+/**
+ * Snapshot manager
+ */
+export class SnapshotManager {
+  /**
+   * @param {LocalStorageDB} db - Database to snapshot
+   */
+  constructor(db = localStorageDB) {
+    this.db = db;
+  }
+
+  /**
+   * Storage key of a snapshot's compressed data
+   * @param {string} id - Snapshot ID
+   * @returns {string} Storage key
+   */
+  dataKey(id) {
+    return `${this.db.snapshotKey}:${id}`;
+  }
+
+  /**
+   * List snapshots
+   * @returns {Array} { id, name, description, createdAt, tableCount, rowCount, size, compressedSize }, newest first
+   */
+  getSnapshots() {
+    try {
+      const catalog = JSON.parse(this.db.storage.getItem(this.db.snapshotKey) || '[]');
+      return Array.isArray(catalog)
+        ? [...catalog].sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        : [];
+    } catch (error) {
+      console.error('Error reading snapshots:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get one snapshot's catalog entry
+   * @param {string} id - Snapshot ID
+   * @returns {Object|null} Snapshot
+   */
+  getSnapshot(id) {
+    return this.getSnapshots().find(snapshot => snapshot.id === id) || null;
+  }
+
+  /**
+   * Write a snapshot key without recording it in the change journal
+   * @param {string} key - Storage key
+   * @param {string|null} value - Value, or null to remove the key
+   */
+  writeUnjournaled(key, value) {
+    this.db.withoutJournal(() => {
+      if (value === null) {
+        this.db.removeKey(key);
+      } else {
+        this.db.writeKey(key, value);
+      }
+    });
+  }
+
+  /**
+   * Read every part of the live database a snapshot holds
+   * @returns {Object} { format, metadata, tables: name -> serialized table, indexes, schemas, relationships }
+   */
+  captureState() {
+    const { storage } = this.db;
+    const tables = {};
+    this.db.discoverTables().forEach(tableName => {
+      tables[tableName] = storage.getItem(tableName);
+    });
+
+    return {
+      format: SNAPSHOT_FORMAT,
+      metadata: this.db.getMetadata(),
+      tables,
+      indexes: storage.getItem(this.db.indexKey),
+      schemas: storage.getItem(this.db.schemaKey),
+      relationships: storage.getItem(this.db.relationshipKey)
+    };
+  }
+
+  /**
+   * Save the current state under a name
+   * @param {string} name - Snapshot name, unique among snapshots
+   * @param {Object} options - Snapshot options
+   * @param {string} options.description - Free text shown with the snapshot
+   * @returns {Object} { success, snapshot, error }
+   */
+  createSnapshot(name, options = {}) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      return { success: false, snapshot: null, error: 'Snapshot name is required' };
+    }
+
+    const snapshots = this.getSnapshots();
+    if (snapshots.some(snapshot => snapshot.name === trimmed)) {
+      return { success: false, snapshot: null, error: `A snapshot named "${trimmed}" already exists` };
+    }
+
+    const state = this.captureState();
+    const serialized = JSON.stringify(state);
+    const compressed = compress(serialized);
+    const snapshot = {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`,
+      name: trimmed,
+      description: options.description || '',
+      createdAt: new Date().toISOString(),
+      tableCount: Object.keys(state.tables).length,
+      rowCount: Object.values(state.tables).reduce((total, value) => total + toRows(value).length, 0),
+      size: serialized.length,
+      compressedSize: compressed.length
+    };
+
+    try {
+      this.writeUnjournaled(this.dataKey(snapshot.id), compressed);
+    } catch (error) {
+      return {
+        success: false,
+        snapshot: null,
+        error: dbUtils.isQuotaExceededError(error)
+          ? `Not enough storage space for the snapshot (${dbUtils.formatBytes(compressed.length)} compressed)`
+          : `Could not save snapshot: ${error.message}`
+      };
+    }
+
+    try {
+      this.writeUnjournaled(this.db.snapshotKey, JSON.stringify([...snapshots, snapshot]));
+    } catch (error) {
+      this.writeUnjournaled(this.dataKey(snapshot.id), null);
+      return { success: false, snapshot: null, error: `Could not save snapshot: ${error.message}` };
+    }
+
+    return { success: true, snapshot, error: null };
+  }
+
+  /**
+   * Delete a snapshot
+   * @param {string} id - Snapshot ID
+   * @returns {boolean} Success status
+   */
+  deleteSnapshot(id) {
+    const snapshots = this.getSnapshots();
+    if (!snapshots.some(snapshot => snapshot.id === id)) return false;
+
+    try {
+      this.writeUnjournaled(this.db.snapshotKey, JSON.stringify(snapshots.filter(snapshot => snapshot.id !== id)));
+      this.writeUnjournaled(this.dataKey(id), null);
+      return true;
+    } catch (error) {
+      console.error('Error deleting snapshot:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Read a snapshot's state, or the live one
+   * @param {string} id - Snapshot ID or CURRENT_STATE
+   * @returns {Object} State as returned by captureState
+   * @throws {Error} When the snapshot is missing or unreadable
+   */
+  loadState(id) {
+    if (id === CURRENT_STATE) return this.captureState();
+
+    const compressed = this.db.storage.getItem(this.dataKey(id));
+    if (compressed === null) {
+      throw new Error(`Snapshot "${id}" not found`);
+    }
+    const state = JSON.parse(decompress(compressed));
+    if (state.format !== SNAPSHOT_FORMAT) {
+      throw new Error(`Unsupported snapshot format: ${state.format}`);
+    }
+    return state;
+  }
+
+  /**
+   * Describe one side of a diff
+   * @param {string} id - Snapshot ID or CURRENT_STATE
+   * @returns {Object} { id, name, createdAt }
+   */
+  describeSide(id) {
+    if (id === CURRENT_STATE) {
+      return { id, name: 'Current state', createdAt: null };
+    }
+    const snapshot = this.getSnapshot(id);
+    return { id, name: snapshot ? snapshot.name : id, createdAt: snapshot ? snapshot.createdAt : null };
+  }
+
+  /**
+   * Compare two states table by table and row by row. Rows are matched by
+   * their id, or by content in tables without distinct ids.
+   * @param {string} fromId - Older side: snapshot ID or CURRENT_STATE
+   * @param {string} toId - Newer side (default CURRENT_STATE)
+   * @returns {Object} { from, to, tables, relationships, summary }
+   */
+  diff(fromId, toId = CURRENT_STATE) {
+    const before = this.loadState(fromId);
+    const after = this.loadState(toId);
+    const schemasBefore = parseObject(before.schemas);
+    const schemasAfter = parseObject(after.schemas);
+    const metaBefore = before.metadata.tables || {};
+    const metaAfter = after.metadata.tables || {};
+
+    const names = [...new Set([...Object.keys(before.tables), ...Object.keys(after.tables)])].sort();
+    const tables = names.map(tableName => {
+      const oldValue = tableName in before.tables ? before.tables[tableName] : null;
+      const newValue = tableName in after.tables ? after.tables[tableName] : null;
+      const oldRows = toRows(oldValue);
+      const newRows = toRows(newValue);
+      const rows = oldValue === newValue
+        ? { added: [], removed: [], changed: [] }
+        : diffRows(oldRows, newRows);
+      const schemaChanged = !sameValue(schemasBefore[tableName], schemasAfter[tableName]) ||
+        !sameValue(metaBefore[tableName]?.schema, metaAfter[tableName]?.schema);
+
+      let status = TableDiffStatus.UNCHANGED;
+      if (!(tableName in before.tables)) {
+        status = TableDiffStatus.ADDED;
+      } else if (!(tableName in after.tables)) {
+        status = TableDiffStatus.REMOVED;
+      } else if (hasChanges(rows) || schemaChanged) {
+        status = TableDiffStatus.CHANGED;
+      }
+
+      return {
+        tableName,
+        status,
+        rowsBefore: oldRows.length,
+        rowsAfter: newRows.length,
+        schemaChanged,
+        ...rows
+      };
+    });
+
+    const relationships = diffKeys(parseObject(before.relationships), parseObject(after.relationships));
+    const count = (status) => tables.filter(table => table.status === status).length;
+    const total = (field) => tables.reduce((sum, table) => sum + table[field].length, 0);
+
+    return {
+      from: this.describeSide(fromId),
+      to: this.describeSide(toId),
+      tables,
+      relationships,
+      summary: {
+        tablesAdded: count(TableDiffStatus.ADDED),
+        tablesRemoved: count(TableDiffStatus.REMOVED),
+        tablesChanged: count(TableDiffStatus.CHANGED),
+        rowsAdded: total('added'),
+        rowsRemoved: total('removed'),
+        rowsChanged: total('changed'),
+        relationshipsChanged: relationships.added.length + relationships.removed.length + relationships.changed.length
+      }
+    };
+  }
+
+  /**
+   * Set a storage key to a snapshot's value, skipping keys that already hold it
+   * @param {string} key - Storage key
+   * @param {string|null} value - Snapshot value; null removes the key
+   */
+  restoreKey(key, value) {
+    if (this.db.storage.getItem(key) === value) return;
+    if (value === null) {
+      this.db.removeKey(key);
+    } else {
+      this.db.writeKey(key, value);
+    }
+  }
+
+  /**
+   * Bring the whole database back to a snapshot: tables created since are
+   * dropped, and metadata, indexes, schemas and relationships are replaced.
+   * The restore is one entry in the change journal, so it can be undone.
+   * @param {string} id - Snapshot ID
+   * @returns {Object} { success, error }
+   */
+  restoreSnapshot(id) {
+    const snapshot = this.getSnapshot(id);
+    if (!snapshot) {
+      return { success: false, error: `Snapshot "${id}" not found` };
+    }
+
+    const db = this.db;
+    try {
+      const state = this.loadState(id);
+      db.transaction(() => {
+        db.discoverTables()
+          .filter(tableName => !(tableName in state.tables))
+          .forEach(tableName => db.removeKey(tableName));
+        Object.entries(state.tables).forEach(([tableName, value]) => this.restoreKey(tableName, value));
+
+        db.writeKey(db.metaKey, JSON.stringify({ ...state.metadata, lastModified: new Date().toISOString() }));
+        this.restoreKey(db.indexKey, state.indexes);
+        this.restoreKey(db.schemaKey, state.schemas);
+        this.restoreKey(db.relationshipKey, state.relationships);
+      }, { label: `Restore snapshot "${snapshot.name}"` });
+
+      schemaManager.reload();
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: `Could not restore snapshot "${snapshot.name}": ${error.message}` };
+    }
+  }
+
+  /**
+   * Bring one table back to a snapshot, with its metadata, indexes and
+   * schema. A table the snapshot does not have is dropped. Relationships
+   * span tables and are left as they are.
+   * @param {string} id - Snapshot ID
+   * @param {string} tableName - Name of the table
+   * @returns {Object} { success, error }
+   */
+  restoreTable(id, tableName) {
+    const snapshot = this.getSnapshot(id);
+    if (!snapshot) {
+      return { success: false, error: `Snapshot "${id}" not found` };
+    }
+
+    const db = this.db;
+    try {
+      const state = this.loadState(id);
+      const inSnapshot = tableName in state.tables;
+      if (!inSnapshot && !db.discoverTables().includes(tableName)) {
+        return { success: false, error: `Table "${tableName}" is in neither the snapshot nor the database` };
+      }
+
+      db.transaction(() => {
+        const metadata = db.getMetadata();
+        const tables = { ...metadata.tables };
+        const indexStore = db.getIndexStore();
+        const schemas = parseObject(db.storage.getItem(db.schemaKey));
+        const snapshotIndexes = parseObject(state.indexes)[tableName];
+        const snapshotSchema = parseObject(state.schemas)[tableName];
+
+        if (inSnapshot) {
+          this.restoreKey(tableName, state.tables[tableName]);
+          tables[tableName] = state.metadata.tables[tableName];
+        } else {
+          db.removeKey(tableName);
+          delete tables[tableName];
+        }
+        db.updateMetadata({ tables });
+
+        if (!sameValue(indexStore[tableName], snapshotIndexes)) {
+          if (snapshotIndexes) {
+            indexStore[tableName] = snapshotIndexes;
+          } else {
+            delete indexStore[tableName];
+          }
+          db.saveIndexStore(indexStore);
+        }
+
+        if (!sameValue(schemas[tableName], snapshotSchema)) {
+          if (snapshotSchema) {
+            schemas[tableName] = snapshotSchema;
+          } else {
+            delete schemas[tableName];
+          }
+          db.writeKey(db.schemaKey, JSON.stringify(schemas));
+        }
+      }, { label: `Restore ${tableName} from snapshot "${snapshot.name}"` });
+
+      schemaManager.reload();
+      return { success: true, error: null };
+    } catch (error) {
+      return { success: false, error: `Could not restore "${tableName}": ${error.message}` };
+    }
+  }
+
+  /**
+   * Space taken by snapshots
+   * @returns {Object} { count, size } with size in stored characters
+   */
+  getUsage() {
+    const stats = this.db.getStorageStats();
+    return { count: stats.snapshotCount, size: stats.snapshotSize };
+  }
+}
+
+/**
+ * Singleton instance
+ */
+export const snapshotManager = new SnapshotManager();
+
+export default SnapshotManager;
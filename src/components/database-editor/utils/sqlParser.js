@@ -0,0 +1,1189 @@
+/**
+ * SQL Parser for LocalStorage Database
+ * Parses SQL SELECT statements into QueryBuilder chains that run through executeQuery
+ */
+
+import {
+  QueryBuilder,
+  QueryOperators,
+  AggregationFunctions,
+  DataTypeFunctions,
+  SortDirection,
+  JoinType,
+  executeQuery
+} from './queryEngine.js';
+
+/**
+ * Error raised for malformed or unsupported SQL, with the position it occurred at
+ */
+export class SQLParseError extends Error {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'SQLParseError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Words that end a clause and so can never be read as a column or table alias
+ */
+const RESERVED_WORDS = new Set([
+  'SELECT', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'AS',
+  'AND', 'OR', 'NOT', 'IN', 'IS', 'NULL', 'LIKE', 'ILIKE', 'BETWEEN', 'EXISTS',
+  'UNION', 'ALL', 'ASC', 'DESC', 'DISTINCT', 'TOP', 'TRUE', 'FALSE',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'REGEXP', 'RLIKE', 'LIKE_REGEX'
+]);
+
+/**
+ * SQL aggregate function names mapped to engine aggregation functions
+ */
+const AGGREGATE_FUNCTIONS = {
+  COUNT: AggregationFunctions.COUNT,
+  SUM: AggregationFunctions.SUM,
+  AVG: AggregationFunctions.AVG,
+  MIN: AggregationFunctions.MIN,
+  MAX: AggregationFunctions.MAX,
+  FIRST: AggregationFunctions.FIRST,
+  LAST: AggregationFunctions.LAST,
+  STRING_AGG: AggregationFunctions.STRING_AGG,
+  GROUP_CONCAT: AggregationFunctions.STRING_AGG
+};
+
+/**
+ * SQL scalar function names mapped to engine data type functions
+ */
+const SCALAR_FUNCTIONS = {
+  UPPER: DataTypeFunctions.UPPER,
+  LOWER: DataTypeFunctions.LOWER,
+  TRIM: DataTypeFunctions.TRIM,
+  LENGTH: DataTypeFunctions.LENGTH,
+  LEN: DataTypeFunctions.LENGTH,
+  ROUND: DataTypeFunctions.ROUND,
+  FLOOR: DataTypeFunctions.FLOOR,
+  CEIL: DataTypeFunctions.CEIL,
+  CEILING: DataTypeFunctions.CEIL,
+  ABS: DataTypeFunctions.ABS,
+  SUBSTRING: DataTypeFunctions.SUBSTRING,
+  SUBSTR: DataTypeFunctions.SUBSTRING,
+  CONCAT: DataTypeFunctions.CONCAT,
+  CAST: DataTypeFunctions.CAST
+};
+
+/**
+ * SQL type names accepted by CAST and :: mapped to engine conversions
+ */
+const CAST_TYPES = {
+  TEXT: DataTypeFunctions.TO_STRING,
+  VARCHAR: DataTypeFunctions.TO_STRING,
+  NVARCHAR: DataTypeFunctions.TO_STRING,
+  CHAR: DataTypeFunctions.TO_STRING,
+  STRING: DataTypeFunctions.TO_STRING,
+  NUMERIC: DataTypeFunctions.TO_NUMBER,
+  DECIMAL: DataTypeFunctions.TO_NUMBER,
+  INT: DataTypeFunctions.TO_NUMBER,
+  INTEGER: DataTypeFunctions.TO_NUMBER,
+  BIGINT: DataTypeFunctions.TO_NUMBER,
+  SMALLINT: DataTypeFunctions.TO_NUMBER,
+  FLOAT: DataTypeFunctions.TO_NUMBER,
+  REAL: DataTypeFunctions.TO_NUMBER,
+  DOUBLE: DataTypeFunctions.TO_NUMBER,
+  DATE: DataTypeFunctions.TO_DATE,
+  DATETIME: DataTypeFunctions.TO_DATE,
+  TIMESTAMP: DataTypeFunctions.TO_DATE,
+  BOOLEAN: DataTypeFunctions.TO_BOOLEAN,
+  BOOL: DataTypeFunctions.TO_BOOLEAN
+};
+
+/**
+ * Comparison symbols mapped to engine operators, with the operator to use when the sides are swapped
+ */
+const COMPARISON_OPERATORS = {
+  '=': { operator: QueryOperators.EQUALS, flipped: QueryOperators.EQUALS },
+  '!=': { operator: QueryOperators.NOT_EQUALS, flipped: QueryOperators.NOT_EQUALS },
+  '<>': { operator: QueryOperators.NOT_EQUALS, flipped: QueryOperators.NOT_EQUALS },
+  '>': { operator: QueryOperators.GREATER_THAN, flipped: QueryOperators.LESS_THAN },
+  '>=': { operator: QueryOperators.GREATER_THAN_OR_EQUAL, flipped: QueryOperators.LESS_THAN_OR_EQUAL },
+  '<': { operator: QueryOperators.LESS_THAN, flipped: QueryOperators.GREATER_THAN },
+  '<=': { operator: QueryOperators.LESS_THAN_OR_EQUAL, flipped: QueryOperators.GREATER_THAN_OR_EQUAL }
+};
+
+const TWO_CHARACTER_SYMBOLS = ['<=', '>=', '<>', '!=', '::', '~*'];
+const ONE_CHARACTER_SYMBOLS = '=<>~(),.*;-+';
+
+/**
+ * Split SQL text into tokens carrying their line and column
+ * @param {string} sql - SQL text
+ * @returns {Array} Tokens, ending with an 'eof' token
+ */
+export function tokenizeSQL(sql) {
+  const tokens = [];
+  let index = 0;
+  let line = 1;
+  let column = 1;
+
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) {
+      if (sql[index] === '\n') {
+        line++;
+        column = 1;
+      } else {
+        column++;
+      }
+      index++;
+    }
+  };
+
+  while (index < sql.length) {
+    const char = sql[index];
+    const startLine = line;
+    const startColumn = column;
+    const push = (type, value, length) => {
+      tokens.push({ type, value, upper: type === 'word' ? value.toUpperCase() : null, line: startLine, column: startColumn });
+      advance(length);
+    };
+
+    if (/\s/.test(char)) {
+      advance(1);
+      continue;
+    }
+
+    // Line and block comments
+    if (char === '-' && sql[index + 1] === '-') {
+      while (index < sql.length && sql[index] !== '\n') advance(1);
+      continue;
+    }
+    if (char === '/' && sql[index + 1] === '*') {
+      const end = sql.indexOf('*/', index + 2);
+      if (end === -1) throw new SQLParseError('Unterminated block comment', startLine, startColumn);
+      advance(end + 2 - index);
+      continue;
+    }
+
+    // String literals with '' escapes
+    if (char === "'") {
+      let value = '';
+      let cursor = index + 1;
+      while (true) {
+        if (cursor >= sql.length) throw new SQLParseError('Unterminated string literal', startLine, startColumn);
+        if (sql[cursor] === "'") {
+          if (sql[cursor + 1] === "'") {
+            value += "'";
+            cursor += 2;
+            continue;
+          }
+          break;
+        }
+        value += sql[cursor];
+        cursor++;
+      }
+      push('string', value, cursor + 1 - index);
+      continue;
+    }
+
+    // Quoted identifiers: "name", `name` and [name]
+    if (char === '"' || char === '`' || char === '[') {
+      const closing = char === '[' ? ']' : char;
+      const end = sql.indexOf(closing, index + 1);
+      if (end === -1) throw new SQLParseError('Unterminated quoted identifier', startLine, startColumn);
+      push('identifier', sql.slice(index + 1, end), end + 1 - index);
+      continue;
+    }
+
+    const rest = sql.slice(index);
+    const numberMatch = rest.match(/^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/);
+    if (numberMatch) {
+      push('number', numberMatch[0], numberMatch[0].length);
+      continue;
+    }
+
+    const wordMatch = rest.match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+    if (wordMatch) {
+      push('word', wordMatch[0], wordMatch[0].length);
+      continue;
+    }
+
+    const symbol = TWO_CHARACTER_SYMBOLS.find(candidate => rest.startsWith(candidate)) ||
+      (ONE_CHARACTER_SYMBOLS.includes(char) ? char : null);
+    if (symbol) {
+      push('symbol', symbol, symbol.length);
+      continue;
+    }
+
+    throw new SQLParseError(`Unexpected character '${char}'`, startLine, startColumn);
+  }
+
+  tokens.push({ type: 'eof', value: null, upper: null, line, column });
+  return tokens;
+}
+
+/**
+ * Describe a token for error messages
+ * @param {Object} token - Token to describe
+ * @returns {string} Human readable description
+ */
+function describeToken(token) {
+  switch (token.type) {
+    case 'eof':
+      return 'end of query';
+    case 'string':
+      return `string '${token.value}'`;
+    default:
+      return `'${token.value}'`;
+  }
+}
+
+/**
+ * Recursive descent parser producing a SELECT syntax tree
+ */
+class SQLParser {
+  constructor(sql) {
+    this.tokens = tokenizeSQL(sql);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.position + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    if (token.type !== 'eof') this.position++;
+    return token;
+  }
+
+  fail(message, token = this.peek()) {
+    throw new SQLParseError(message, token.line, token.column);
+  }
+
+  unexpected(expected) {
+    const token = this.peek();
+    this.fail(`Expected ${expected} but found ${describeToken(token)}`, token);
+  }
+
+  isKeyword(keyword, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'word' && token.upper === keyword;
+  }
+
+  matchKeyword(...keywords) {
+    return keywords.some(keyword => this.isKeyword(keyword)) ? this.next() : null;
+  }
+
+  expectKeyword(keyword) {
+    if (!this.isKeyword(keyword)) this.unexpected(keyword);
+    return this.next();
+  }
+
+  isSymbol(symbol, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'symbol' && token.value === symbol;
+  }
+
+  matchSymbol(symbol) {
+    return this.isSymbol(symbol) ? this.next() : null;
+  }
+
+  expectSymbol(symbol) {
+    if (!this.isSymbol(symbol)) this.unexpected(`'${symbol}'`);
+    return this.next();
+  }
+
+  isName(offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'identifier' || (token.type === 'word' && !RESERVED_WORDS.has(token.upper));
+  }
+
+  expectName(expected) {
+    if (!this.isName()) this.unexpected(expected);
+    return this.next().value;
+  }
+
+  /**
+   * statement := query [;]
+   */
+  parseStatement() {
+    const statement = this.parseQuery();
+    this.matchSymbol(';');
+    if (this.peek().type !== 'eof') this.unexpected('end of query');
+    return statement;
+  }
+
+  /**
+   * query := select { UNION [ALL] select }
+   */
+  parseQuery() {
+    const select = this.parseSelect();
+    while (this.isKeyword('UNION')) {
+      const token = this.next();
+      const all = Boolean(this.matchKeyword('ALL'));
+      select.unions.push({ all, query: this.parseSelect(), token });
+    }
+    return select;
+  }
+
+  parseSelect() {
+    const token = this.expectKeyword('SELECT');
+    if (this.isKeyword('DISTINCT')) this.fail('SELECT DISTINCT is not supported');
+
+    let top = null;
+    if (this.matchKeyword('TOP')) {
+      top = this.parseInteger();
+    }
+
+    const columns = this.parseList(() => this.parseSelectItem());
+    this.expectKeyword('FROM');
+    const from = this.parseTableRef();
+
+    const joins = [];
+    while (['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'].some(keyword => this.isKeyword(keyword))) {
+      joins.push(this.parseJoin());
+    }
+
+    const where = this.matchKeyword('WHERE') ? this.parseCondition() : null;
+
+    let groupBy = [];
+    if (this.matchKeyword('GROUP')) {
+      this.expectKeyword('BY');
+      groupBy = this.parseList(() => this.parseGroupItem());
+    }
+
+    const having = this.matchKeyword('HAVING') ? this.parseCondition() : null;
+
+    let orderBy = [];
+    if (this.matchKeyword('ORDER')) {
+      this.expectKeyword('BY');
+      orderBy = this.parseList(() => this.parseOrderItem());
+    }
+
+    const { limit, offset } = this.parseLimitClause();
+
+    return {
+      type: 'select',
+      token,
+      columns,
+      from,
+      joins,
+      where,
+      groupBy,
+      having,
+      orderBy,
+      limit: limit !== null ? limit : top,
+      offset,
+      unions: []
+    };
+  }
+
+  parseList(parseItem) {
+    const items = [parseItem()];
+    while (this.matchSymbol(',')) {
+      items.push(parseItem());
+    }
+    return items;
+  }
+
+  parseInteger() {
+    const token = this.peek();
+    const negative = Boolean(this.matchSymbol('-'));
+    const numberToken = this.peek();
+    if (numberToken.type !== 'number' || !/^\d+$/.test(numberToken.value)) this.unexpected('an integer');
+    this.next();
+    const value = Number(numberToken.value);
+    return { value: negative ? -value : value, token };
+  }
+
+  parseTableRef() {
+    const token = this.peek();
+    const name = this.expectName('a table name');
+    return { name, alias: this.parseAlias(), token };
+  }
+
+  parseAlias() {
+    if (this.matchKeyword('AS')) return this.expectName('an alias');
+    return this.isName() ? this.next().value : null;
+  }
+
+  /**
+   * column := name { . name } [ . * ]
+   */
+  parseColumnRef() {
+    const token = this.peek();
+    const parts = [this.expectName('a column name')];
+    while (this.isSymbol('.')) {
+      this.next();
+      if (this.matchSymbol('*')) {
+        parts.push('*');
+        break;
+      }
+      parts.push(this.expectName('a column name'));
+    }
+    return { parts, token };
+  }
+
+  parseSelectItem() {
+    const token = this.peek();
+    if (this.matchSymbol('*')) return { type: 'star', qualifier: null, token };
+
+    let item;
+    if (token.type === 'word' && this.isSymbol('(', 1)) {
+      item = AGGREGATE_FUNCTIONS[token.upper]
+        ? { type: 'aggregate', ...this.parseAggregate() }
+        : this.parseScalarFunction();
+    } else {
+      const ref = this.parseColumnRef();
+      if (ref.parts[ref.parts.length - 1] === '*') {
+        return { type: 'star', qualifier: ref.parts.slice(0, -1).join('.'), token };
+      }
+      item = { type: 'column', ref, token };
+    }
+
+    if (this.matchSymbol('::')) {
+      if (item.type !== 'column') this.fail('The :: cast can only be applied to a column');
+      item = { type: 'function', func: this.parseCastType(), field: item.ref, params: null, token };
+    }
+
+    item.alias = this.parseAlias();
+    return item;
+  }
+
+  /**
+   * aggregate := name ( * | [DISTINCT] column [, separator | SEPARATOR separator] )
+   */
+  parseAggregate() {
+    const token = this.next();
+    const name = token.upper;
+    this.expectSymbol('(');
+
+    const distinct = Boolean(this.matchKeyword('DISTINCT'));
+    let field = null;
+    if (this.isSymbol('*')) {
+      if (name !== 'COUNT' || distinct) this.fail(`${name}(*) is not supported`);
+      this.next();
+    } else {
+      field = this.parseColumnRef();
+    }
+
+    // The engine always joins with ', ', so an explicit separator is read and dropped
+    if (AGGREGATE_FUNCTIONS[name] === AggregationFunctions.STRING_AGG) {
+      if (this.matchSymbol(',') || this.matchKeyword('SEPARATOR')) this.parseValue();
+    }
+    this.expectSymbol(')');
+
+    let func = AGGREGATE_FUNCTIONS[name];
+    if (distinct) {
+      if (func !== AggregationFunctions.COUNT) this.fail(`DISTINCT is only supported inside COUNT`, token);
+      func = AggregationFunctions.COUNT_DISTINCT;
+    }
+    return { kind: 'aggregate', func, field, token };
+  }
+
+  parseScalarFunction() {
+    const token = this.next();
+    const func = SCALAR_FUNCTIONS[token.upper];
+    if (!func) this.fail(`Unknown function ${token.value}`, token);
+    this.expectSymbol('(');
+    const field = this.parseColumnRef();
+    let params = null;
+    let resolvedFunc = func;
+
+    switch (func) {
+      case DataTypeFunctions.CAST:
+        this.expectKeyword('AS');
+        resolvedFunc = this.parseCastType();
+        break;
+      case DataTypeFunctions.ROUND:
+        if (this.matchSymbol(',')) params = this.parseInteger().value;
+        break;
+      case DataTypeFunctions.SUBSTRING: {
+        // SQL positions are 1-based, the engine's are 0-based
+        this.expectSymbol(',');
+        params = [this.parseInteger().value - 1];
+        if (this.matchSymbol(',')) params.push(this.parseInteger().value);
+        break;
+      }
+      case DataTypeFunctions.CONCAT:
+        params = [];
+        while (this.matchSymbol(',')) params.push(this.parseValue());
+        break;
+      default:
+        break;
+    }
+
+    this.expectSymbol(')');
+    return { type: 'function', func: resolvedFunc, field, params, token };
+  }
+
+  parseCastType() {
+    const token = this.peek();
+    if (token.type !== 'word') this.unexpected('a type name');
+    this.next();
+    const func = CAST_TYPES[token.upper];
+    if (!func) this.fail(`Unsupported cast type ${token.value}`, token);
+    if (token.upper === 'DOUBLE') this.matchKeyword('PRECISION');
+
+    // Length and precision arguments such as VARCHAR(255) do not affect the conversion
+    if (this.matchSymbol('(')) {
+      this.parseList(() => this.parseInteger());
+      this.expectSymbol(')');
+    }
+    return func;
+  }
+
+  /**
+   * join := [INNER | LEFT [OUTER] | RIGHT [OUTER] | FULL [OUTER]] JOIN table ON column = column
+   */
+  parseJoin() {
+    const token = this.peek();
+    let type = JoinType.INNER;
+
+    if (this.matchKeyword('CROSS')) {
+      this.fail('CROSS JOIN is not supported', token);
+    } else if (this.matchKeyword('LEFT')) {
+      type = JoinType.LEFT;
+    } else if (this.matchKeyword('RIGHT')) {
+      type = JoinType.RIGHT;
+    } else if (this.matchKeyword('FULL')) {
+      type = JoinType.FULL;
+    } else {
+      this.matchKeyword('INNER');
+    }
+    if (type !== JoinType.INNER) this.matchKeyword('OUTER');
+
+    this.expectKeyword('JOIN');
+    const table = this.parseTableRef();
+    this.expectKeyword('ON');
+    const left = this.parseColumnRef();
+    this.expectSymbol('=');
+    const right = this.parseColumnRef();
+    if (this.isKeyword('AND') || this.isKeyword('OR')) {
+      this.fail('JOIN conditions with more than one comparison are not supported');
+    }
+
+    return { type, table, left, right, token };
+  }
+
+  parseGroupItem() {
+    const token = this.peek();
+    if (token.type === 'number') return { ordinal: this.parseInteger().value, token };
+    return { ref: this.parseColumnRef(), token };
+  }
+
+  parseOrderItem() {
+    const token = this.peek();
+    let target;
+    if (token.type === 'number') {
+      target = { kind: 'ordinal', value: this.parseInteger().value, token };
+    } else if (token.type === 'word' && this.isSymbol('(', 1) && AGGREGATE_FUNCTIONS[token.upper]) {
+      target = this.parseAggregate();
+    } else {
+      target = { kind: 'column', ref: this.parseColumnRef(), token };
+    }
+
+    let direction = SortDirection.ASC;
+    if (this.matchKeyword('DESC')) {
+      direction = SortDirection.DESC;
+    } else {
+      this.matchKeyword('ASC');
+    }
+    return { target, direction, token };
+  }
+
+  /**
+   * limit := LIMIT n [OFFSET m] | LIMIT m, n | OFFSET m [ROWS] [FETCH {FIRST|NEXT} n {ROWS|ROW} ONLY]
+   */
+  parseLimitClause() {
+    let limit = null;
+    let offset = null;
+
+    if (this.matchKeyword('LIMIT')) {
+      limit = this.parseInteger();
+      if (this.matchSymbol(',')) {
+        offset = limit;
+        limit = this.parseInteger();
+      } else if (this.matchKeyword('OFFSET')) {
+        offset = this.parseInteger();
+      }
+    } else if (this.matchKeyword('OFFSET')) {
+      offset = this.parseInteger();
+      this.matchKeyword('ROWS', 'ROW');
+      if (this.matchKeyword('FETCH')) {
+        if (!this.matchKeyword('FIRST', 'NEXT')) this.unexpected('FIRST or NEXT');
+        limit = this.parseInteger();
+        if (!this.matchKeyword('ROWS', 'ROW')) this.unexpected('ROWS');
+        this.expectKeyword('ONLY');
+      }
+    }
+
+    return { limit, offset };
+  }
+
+  /**
+   * condition := and { OR and }
+   */
+  parseCondition() {
+    const terms = [this.parseAndCondition()];
+    while (this.matchKeyword('OR')) {
+      terms.push(this.parseAndCondition());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  }
+
+  /**
+   * and := predicate { AND predicate }
+   */
+  parseAndCondition() {
+    const terms = [this.parsePredicate()];
+    while (this.matchKeyword('AND')) {
+      terms.push(this.parsePredicate());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  parsePredicate() {
+    const token = this.peek();
+
+    if (this.matchSymbol('(')) {
+      if (this.isKeyword('SELECT')) this.fail('Scalar subqueries are not supported');
+      const condition = this.parseCondition();
+      this.expectSymbol(')');
+      return condition;
+    }
+
+    if (this.isKeyword('NOT')) {
+      if (!this.isKeyword('EXISTS', 1)) {
+        this.fail('NOT is only supported before EXISTS, IN, LIKE, BETWEEN and IS NULL');
+      }
+      this.next();
+      return this.parseExists(token, true);
+    }
+    if (this.isKeyword('EXISTS')) {
+      return this.parseExists(token, false);
+    }
+
+    const left = this.parseOperand();
+
+    // Comparison
+    const symbol = this.peek();
+    if (symbol.type === 'symbol' && COMPARISON_OPERATORS[symbol.value]) {
+      this.next();
+      const right = this.parseOperand();
+      const comparison = COMPARISON_OPERATORS[symbol.value];
+      if (left.kind === 'value' && right.kind !== 'value') {
+        return { type: 'condition', target: right, operator: comparison.flipped, value: left.value, token };
+      }
+      if (right.kind !== 'value') {
+        this.fail('Comparing two columns is only supported in JOIN ... ON', right.token);
+      }
+      if (left.kind === 'value') {
+        this.fail('A condition must reference a column', token);
+      }
+      return { type: 'condition', target: left, operator: comparison.operator, value: right.value, token };
+    }
+
+    if (left.kind === 'value') this.unexpected('a comparison operator');
+
+    if (this.matchKeyword('IS')) {
+      const negated = Boolean(this.matchKeyword('NOT'));
+      this.expectKeyword('NULL');
+      return {
+        type: 'condition',
+        target: left,
+        operator: negated ? QueryOperators.IS_NOT_NULL : QueryOperators.IS_NULL,
+        value: null,
+        token
+      };
+    }
+
+    const negated = Boolean(this.matchKeyword('NOT'));
+
+    if (this.matchKeyword('LIKE', 'ILIKE')) {
+      const patternToken = this.peek();
+      if (patternToken.type !== 'string') this.unexpected('a string pattern');
+      this.next();
+      return { type: 'condition', target: left, ...likeToCondition(patternToken.value, negated), token };
+    }
+
+    if (this.matchKeyword('REGEXP', 'RLIKE', 'LIKE_REGEX') || (!negated && (this.matchSymbol('~*') || this.matchSymbol('~')))) {
+      const patternToken = this.peek();
+      if (patternToken.type !== 'string') this.unexpected('a string pattern');
+      this.next();
+      const pattern = negated ? `^(?!.*(?:${patternToken.value}))` : patternToken.value;
+      return { type: 'condition', target: left, operator: QueryOperators.REGEX, value: pattern, token };
+    }
+
+    if (this.matchKeyword('IN')) {
+      this.expectSymbol('(');
+      if (this.isKeyword('SELECT')) {
+        const query = this.parseQuery();
+        this.expectSymbol(')');
+        return { type: 'subquery', target: left, operator: negated ? 'NOT IN' : 'IN', query, token };
+      }
+      const values = this.parseList(() => this.parseValue());
+      this.expectSymbol(')');
+      return {
+        type: 'condition',
+        target: left,
+        operator: negated ? QueryOperators.NOT_IN : QueryOperators.IN,
+        value: values,
+        token
+      };
+    }
+
+    if (this.matchKeyword('BETWEEN')) {
+      const low = this.parseValue();
+      this.expectKeyword('AND');
+      const high = this.parseValue();
+      if (negated) {
+        return {
+          type: 'or',
+          terms: [
+            { type: 'condition', target: left, operator: QueryOperators.LESS_THAN, value: low, token },
+            { type: 'condition', target: left, operator: QueryOperators.GREATER_THAN, value: high, token }
+          ]
+        };
+      }
+      return { type: 'condition', target: left, operator: QueryOperators.BETWEEN, value: [low, high], token };
+    }
+
+    this.unexpected(negated ? 'IN, LIKE, REGEXP or BETWEEN after NOT' : 'a comparison operator');
+  }
+
+  parseExists(token, negated) {
+    this.expectKeyword('EXISTS');
+    this.expectSymbol('(');
+    const query = this.parseQuery();
+    this.expectSymbol(')');
+    return { type: 'subquery', target: null, operator: negated ? 'NOT EXISTS' : 'EXISTS', query, token };
+  }
+
+  /**
+   * operand := literal | aggregate | column
+   */
+  parseOperand() {
+    const token = this.peek();
+
+    if (token.type === 'word' && this.isSymbol('(', 1)) {
+      if (AGGREGATE_FUNCTIONS[token.upper]) return this.parseAggregate();
+      this.fail(`Function ${token.value} cannot be used in a condition`, token);
+    }
+
+    if (this.isLiteralStart()) {
+      return { kind: 'value', value: this.parseValue(), token };
+    }
+
+    return { kind: 'column', ref: this.parseColumnRef(), token };
+  }
+
+  isLiteralStart() {
+    const token = this.peek();
+    if (token.type === 'string' || token.type === 'number') return true;
+    if (token.type === 'symbol') return token.value === '-' || token.value === '+';
+    if (token.type !== 'word') return false;
+    if (['TRUE', 'FALSE', 'NULL'].includes(token.upper)) return true;
+    return (token.upper === 'DATE' || token.upper === 'TIMESTAMP') && this.peek(1).type === 'string';
+  }
+
+  /**
+   * literal := string | [+|-] number | TRUE | FALSE | NULL | DATE string | TIMESTAMP string
+   */
+  parseValue() {
+    const token = this.peek();
+
+    if (token.type === 'string') {
+      this.next();
+      return token.value;
+    }
+
+    if (token.type === 'symbol' && (token.value === '-' || token.value === '+')) {
+      this.next();
+      const numberToken = this.peek();
+      if (numberToken.type !== 'number') this.unexpected('a number');
+      this.next();
+      return token.value === '-' ? -Number(numberToken.value) : Number(numberToken.value);
+    }
+
+    if (token.type === 'number') {
+      this.next();
+      return Number(token.value);
+    }
+
+    if (token.type === 'word') {
+      if (token.upper === 'TRUE' || token.upper === 'FALSE') {
+        this.next();
+        return token.upper === 'TRUE';
+      }
+      if (token.upper === 'NULL') {
+        this.next();
+        return null;
+      }
+      if ((token.upper === 'DATE' || token.upper === 'TIMESTAMP') && this.peek(1).type === 'string') {
+        this.next();
+        return this.next().value;
+      }
+    }
+
+    this.unexpected('a literal value');
+  }
+}
+
+/**
+ * Translate a LIKE pattern into the closest engine operator
+ * @param {string} pattern - LIKE pattern using % and _ wildcards
+ * @param {boolean} negated - Whether this is NOT LIKE
+ * @returns {Object} Operator and value
+ */
+function likeToCondition(pattern, negated) {
+  const hasWildcard = (text) => /[%_]/.test(text);
+
+  if (!negated && pattern.length > 1) {
+    const inner = pattern.slice(1, -1);
+    if (pattern.startsWith('%') && pattern.endsWith('%') && !hasWildcard(inner)) {
+      return { operator: QueryOperators.CONTAINS, value: inner };
+    }
+    if (pattern.endsWith('%') && !hasWildcard(pattern.slice(0, -1))) {
+      return { operator: QueryOperators.STARTS_WITH, value: pattern.slice(0, -1) };
+    }
+    if (pattern.startsWith('%') && !hasWildcard(pattern.slice(1))) {
+      return { operator: QueryOperators.ENDS_WITH, value: pattern.slice(1) };
+    }
+  }
+
+  const body = pattern
+    .split('')
+    .map(char => {
+      if (char === '%') return '.*';
+      if (char === '_') return '.';
+      return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return {
+    operator: QueryOperators.REGEX,
+    value: negated ? `^(?!${body}$)` : `^${body}$`
+  };
+}
+
+/**
+ * Check whether a condition tree contains a subquery
+ * @param {Object} condition - Condition node
+ * @returns {boolean} True if a subquery appears anywhere in the tree
+ */
+function containsSubquery(condition) {
+  if (condition.type === 'subquery') return true;
+  if (condition.terms) return condition.terms.some(containsSubquery);
+  return false;
+}
+
+/**
+ * Check whether a condition tree evaluates the same under the engine's left-to-right
+ * AND/OR chaining as under SQL precedence, i.e. every OR branch after the first is a single predicate
+ * @param {Object} condition - Condition node
+ * @returns {boolean} True if it can be written as a flat chain
+ */
+function isFlatChain(condition) {
+  const isPredicate = (node) => node.type === 'condition';
+  if (isPredicate(condition)) return true;
+  if (condition.type === 'and') return condition.terms.every(isPredicate);
+  if (condition.type === 'or') {
+    const [first, ...rest] = condition.terms;
+    return (isPredicate(first) || (first.type === 'and' && first.terms.every(isPredicate))) && rest.every(isPredicate);
+  }
+  return false;
+}
+
+/**
+ * Flatten a chain-shaped condition tree into predicates paired with their logical operator
+ * @param {Object} condition - Condition node that satisfies isFlatChain
+ * @returns {Array} Entries of { condition, logicalOperator }
+ */
+function flattenChain(condition) {
+  if (condition.type === 'condition') return [{ condition, logicalOperator: 'AND' }];
+  if (condition.type === 'and') return condition.terms.map(term => ({ condition: term, logicalOperator: 'AND' }));
+
+  const [first, ...rest] = condition.terms;
+  return [
+    ...flattenChain(first),
+    ...rest.map(term => ({ condition: term, logicalOperator: 'OR' }))
+  ];
+}
+
+/**
+ * Compiles a SELECT syntax tree into a QueryBuilder
+ */
+class SQLCompiler {
+  constructor(ast) {
+    this.ast = ast;
+    this.sources = [{ name: ast.from.name, alias: ast.from.alias, prefix: null }];
+    this.builder = new QueryBuilder(ast.from.name);
+    this.outputs = [];
+  }
+
+  fail(message, token) {
+    throw new SQLParseError(message, token.line, token.column);
+  }
+
+  compile() {
+    const { ast, builder } = this;
+
+    ast.joins.forEach(join => this.compileJoin(join));
+    this.compileSelectList();
+
+    if (ast.where) this.compileWhere(ast.where);
+    if (ast.having) this.compileHaving(ast.having);
+
+    ast.orderBy.forEach(item => {
+      builder.orderBy(this.resolveOrderTarget(item.target), item.direction);
+    });
+
+    if (ast.limit && ast.limit.value >= 0) builder.limit(ast.limit.value);
+    if (ast.offset && ast.offset.value > 0) builder.offset(ast.offset.value);
+
+    ast.unions.forEach(union => {
+      builder.union(new SQLCompiler(union.query).compile(), union.all);
+    });
+
+    return builder;
+  }
+
+  refersTo(ref, source) {
+    const qualifier = ref.parts[0];
+    return qualifier === source.alias || qualifier === source.name;
+  }
+
+  /**
+   * Resolve a column reference to the record path executeQuery reads.
+   * Columns of joined tables live under the `${table}_${joinField}` key performJoin writes.
+   */
+  resolveColumn(ref) {
+    if (ref.parts.length > 1) {
+      const source = this.sources.find(candidate => this.refersTo(ref, candidate));
+      if (source) {
+        const rest = ref.parts.slice(1).join('.');
+        return source.prefix ? `${source.prefix}.${rest}` : rest;
+      }
+    }
+    return ref.parts.join('.');
+  }
+
+  compileJoin(join) {
+    const target = { name: join.table.name, alias: join.table.alias };
+    const isTargetColumn = (ref) => ref.parts.length > 1 && this.refersTo(ref, target);
+
+    let joinRef;
+    let localRef;
+    if (isTargetColumn(join.right)) {
+      joinRef = join.right;
+      localRef = join.left;
+    } else if (isTargetColumn(join.left)) {
+      joinRef = join.left;
+      localRef = join.right;
+    } else {
+      this.fail(`JOIN condition must reference a column of ${target.alias || target.name}`, join.token);
+    }
+
+    const joinField = joinRef.parts.slice(1).join('.');
+    const localField = this.resolveColumn(localRef);
+    this.builder.join(target.name, joinField, localField, join.type);
+    this.sources.push({ ...target, prefix: `${target.name}_${joinField}` });
+  }
+
+  compileSelectList() {
+    const { ast, builder } = this;
+    const plainColumns = [];
+    const calculated = [];
+    let hasStar = false;
+
+    ast.columns.forEach(item => {
+      switch (item.type) {
+        case 'star':
+          if (item.qualifier && !this.refersTo({ parts: [item.qualifier] }, this.sources[0])) {
+            this.fail(`${item.qualifier}.* is not supported; only the FROM table can be selected with *`, item.token);
+          }
+          hasStar = true;
+          this.outputs.push(null);
+          break;
+        case 'column': {
+          if (item.alias) {
+            this.fail('Column aliases are only supported on aggregate and function expressions', item.token);
+          }
+          const path = this.resolveColumn(item.ref);
+          plainColumns.push({ path, token: item.token });
+          this.outputs.push(path);
+          break;
+        }
+        case 'aggregate': {
+          const field = item.field ? this.resolveColumn(item.field) : null;
+          builder.aggregate(item.func, field, item.alias);
+          this.outputs.push(builder.aggregations[builder.aggregations.length - 1].alias);
+          break;
+        }
+        case 'function': {
+          const field = this.resolveColumn(item.field);
+          const alias = item.alias || `${item.func}_${field.replace(/\./g, '_')}`;
+          builder.addConvertedField(alias, field, item.func, item.params);
+          calculated.push(alias);
+          this.outputs.push(alias);
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    const groupFields = ast.groupBy.map(item => {
+      if (item.ordinal !== undefined) {
+        const output = this.outputs[item.ordinal - 1];
+        const column = ast.columns[item.ordinal - 1];
+        if (!column || column.type !== 'column') {
+          this.fail(`GROUP BY position ${item.ordinal} does not refer to a column`, item.token);
+        }
+        return output;
+      }
+      return this.resolveColumn(item.ref);
+    });
+    if (groupFields.length > 0) builder.groupBy(groupFields);
+
+    const isGrouped = groupFields.length > 0 || builder.aggregations.length > 0;
+    if (isGrouped) {
+      if (hasStar) {
+        this.fail('SELECT * cannot be combined with GROUP BY or aggregate functions', ast.token);
+      }
+      plainColumns.forEach(column => {
+        if (!groupFields.includes(column.path)) {
+          this.fail(`Column ${column.path} must appear in GROUP BY or be used in an aggregate function`, column.token);
+        }
+      });
+    } else if (!hasStar) {
+      builder.select([...plainColumns.map(column => column.path), ...calculated]);
+    }
+  }
+
+  /**
+   * Find the alias of a matching aggregation, adding one when the query does not select it
+   */
+  resolveAggregate(target) {
+    const field = target.field ? this.resolveColumn(target.field) : null;
+    const existing = this.builder.aggregations.find(agg => agg.function === target.func && agg.field === field);
+    if (existing) return existing.alias;
+
+    if (this.ast.groupBy.length === 0 && this.builder.aggregations.length === 0) {
+      this.fail('Aggregate functions in HAVING or ORDER BY need GROUP BY or an aggregate in SELECT', target.token);
+    }
+    this.builder.aggregate(target.func, field);
+    return this.builder.aggregations[this.builder.aggregations.length - 1].alias;
+  }
+
+  compileWhere(condition) {
+    const { builder } = this;
+
+    if (condition.type === 'or') {
+      if (containsSubquery(condition)) {
+        this.fail('Subquery conditions can only be combined with AND', this.findSubqueryToken(condition));
+      }
+      if (isFlatChain(condition)) {
+        flattenChain(condition).forEach(entry => this.addFilter(builder, entry.condition, entry.logicalOperator));
+      } else {
+        condition.terms.forEach(term => this.addFilter(builder, term, 'OR'));
+      }
+      return;
+    }
+
+    const terms = condition.type === 'and' ? condition.terms : [condition];
+    terms.forEach(term => {
+      if (term.type === 'subquery') {
+        const field = term.target ? this.resolveWhereTarget(term.target) : null;
+        builder.whereSubquery(field, term.operator, new SQLCompiler(term.query).compile(), 'AND');
+      } else {
+        if (containsSubquery(term)) {
+          this.fail('Subquery conditions cannot be nested inside parentheses', this.findSubqueryToken(term));
+        }
+        this.addFilter(builder, term, 'AND');
+      }
+    });
+  }
+
+  findSubqueryToken(condition) {
+    if (condition.type === 'subquery') return condition.token;
+    const nested = condition.terms.find(containsSubquery);
+    return this.findSubqueryToken(nested);
+  }
+
+  /**
+   * Add a predicate, or a parenthesized group for nested AND/OR trees
+   */
+  addFilter(builder, condition, logicalOperator) {
+    if (condition.type === 'condition') {
+      builder.where(this.resolveWhereTarget(condition.target), condition.operator, condition.value, logicalOperator);
+      return;
+    }
+
+    builder.whereGroup(group => {
+      const junction = condition.type === 'or' ? 'OR' : 'AND';
+      condition.terms.forEach(term => this.addFilter(group, term, junction));
+    }, logicalOperator);
+  }
+
+  resolveWhereTarget(target) {
+    if (target.kind === 'aggregate') {
+      this.fail('Aggregate functions are not allowed in WHERE; use HAVING', target.token);
+    }
+    return this.resolveColumn(target.ref);
+  }
+
+  compileHaving(condition) {
+    if (containsSubquery(condition)) {
+      this.fail('Subqueries are not supported in HAVING', this.findSubqueryToken(condition));
+    }
+    if (!isFlatChain(condition)) {
+      this.fail('HAVING supports AND/OR chains where each OR branch after the first is a single condition', this.ast.token);
+    }
+
+    flattenChain(condition).forEach(({ condition: predicate, logicalOperator }) => {
+      const field = predicate.target.kind === 'aggregate'
+        ? this.resolveAggregate(predicate.target)
+        : this.resolveColumn(predicate.target.ref);
+      this.builder.having(field, predicate.operator, predicate.value, logicalOperator);
+    });
+  }
+
+  resolveOrderTarget(target) {
+    if (target.kind === 'aggregate') return this.resolveAggregate(target);
+
+    if (target.kind === 'ordinal') {
+      const output = this.outputs[target.value - 1];
+      if (!output) this.fail(`ORDER BY position ${target.value} does not refer to a named column`, target.token);
+      return output;
+    }
+
+    // Bare names may refer to a SELECT alias
+    if (target.ref.parts.length === 1 && this.outputs.includes(target.ref.parts[0])) {
+      return target.ref.parts[0];
+    }
+    return this.resolveColumn(target.ref);
+  }
+}
+
+/**
+ * Parse a SQL SELECT statement into a QueryBuilder
+ * @param {string} sql - SQL text
+ * @returns {QueryBuilder} Query builder equivalent to the statement
+ * @throws {SQLParseError} If the SQL is malformed or uses unsupported syntax
+ */
+export function parseSQL(sql) {
+  const ast = new SQLParser(sql).parseStatement();
+  return new SQLCompiler(ast).compile();
+}
+
+/**
+ * Parse and execute a SQL SELECT statement
+ * @param {string} sql - SQL text
+ * @returns {Array} Query results
+ * @throws {SQLParseError} If the SQL is malformed or uses unsupported syntax
+ */
+export function executeSQL(sql) {
+  return executeQuery(parseSQL(sql));
+}
+
+export default parseSQL;
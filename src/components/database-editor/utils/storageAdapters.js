@@ -0,0 +1,515 @@
+/**
+ * Storage Adapters
+ * Pluggable key/value backends for LocalStorageDB: browser localStorage,
+ * IndexedDB and an in-memory store for Node and unit tests
+ */
+
+/**
+ * Available storage backends
+ */
+export const StorageBackends = {
+  LOCAL_STORAGE: 'localStorage',
+  INDEXED_DB: 'indexedDB',
+  MEMORY: 'memory'
+};
+
+/**
+ * localStorage key that remembers the selected backend. It always lives in
+ * localStorage because it decides where everything else is read from.
+ */
+const BACKEND_PREFERENCE_KEY = 'lsdb_backend';
+
+/**
+ * Create an error that dbUtils.isQuotaExceededError recognises
+ * @param {string} message - Error message
+ * @returns {Error} Quota error
+ */
+const createQuotaError = (message) => {
+  if (typeof DOMException !== 'undefined') {
+    return new DOMException(message, 'QuotaExceededError');
+  }
+  const error = new Error(message);
+  error.name = 'QuotaExceededError';
+  return error;
+};
+
+/**
+ * Adapter over window.localStorage
+ */
+export class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.name = StorageBackends.LOCAL_STORAGE;
+    this.storage = storage;
+    // Browsers typically allow 5-10MB; report the conservative end
+    this.quota = 5 * 1024 * 1024;
+  }
+
+  /**
+   * Resolve when the adapter can be used
+   * @returns {Promise<LocalStorageAdapter>} This adapter
+   */
+  async open() {
+    return this;
+  }
+
+  /**
+   * Read a key
+   * @param {string} key - Storage key
+   * @returns {string|null} Stored value
+   */
+  getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  /**
+   * Write a key; throws QuotaExceededError when storage is full
+   * @param {string} key - Storage key
+   * @param {string} value - Serialized value
+   */
+  setItem(key, value) {
+    this.storage.setItem(key, value);
+  }
+
+  /**
+   * Remove a key
+   * @param {string} key - Storage key
+   */
+  removeItem(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * List all keys
+   * @returns {Array} Storage keys
+   */
+  keys() {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      keys.push(this.storage.key(i));
+    }
+    return keys;
+  }
+
+  /**
+   * Wait for pending writes (localStorage writes are synchronous)
+   * @returns {Promise<void>} Resolved promise
+   */
+  async flush() {}
+
+  /**
+   * Whether writes are still on their way to storage
+   * @returns {boolean} Always false; localStorage writes are synchronous
+   */
+  hasPendingWrites() {
+    return false;
+  }
+}
+
+/**
+ * In-memory adapter, used when localStorage does not exist (e.g. Node) and in tests
+ */
+export class MemoryAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {number} options.quota - Maximum stored characters (default unlimited)
+   * @param {Object} options.initialData - Key/value pairs to start with
+   */
+  constructor(options = {}) {
+    this.name = StorageBackends.MEMORY;
+    this.quota = options.quota || Infinity;
+    this.store = new Map(Object.entries(options.initialData || {}));
+  }
+
+  async open() {
+    return this;
+  }
+
+  getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  setItem(key, value) {
+    const serialized = String(value);
+    const current = this.store.has(key) ? key.length + this.store.get(key).length : 0;
+    if (usedCharacters(this) - current + key.length + serialized.length > this.quota) {
+      throw createQuotaError(`Memory storage quota of ${this.quota} characters exceeded`);
+    }
+    this.store.set(key, serialized);
+  }
+
+  removeItem(key) {
+    this.store.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.store.keys());
+  }
+
+  async flush() {}
+
+  hasPendingWrites() {
+    return false;
+  }
+}
+
+/**
+ * IndexedDB adapter. Every key is loaded into memory by open(), so reads stay
+ * synchronous like localStorage; writes update the cache immediately and are
+ * persisted in batched IndexedDB transactions. Call flush() to wait for them.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.databaseName - IndexedDB database name
+   * @param {string} options.storeName - Object store name
+   */
+  constructor(options = {}) {
+    this.name = StorageBackends.INDEXED_DB;
+    this.databaseName = options.databaseName || 'lsdb';
+    this.storeName = options.storeName || 'keyval';
+    this.quota = Infinity;
+    this.cache = new Map();
+    this.pendingWrites = new Map();
+    this.flushing = null;
+    this.database = null;
+    this.lastError = null;
+    this.onError = null;
+  }
+
+  /**
+   * Open the database and load every stored key into the cache
+   * @returns {Promise<IndexedDBAdapter>} This adapter
+   */
+  async open() {
+    if (this.database) return this;
+
+    this.database = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    const [keys, values] = await Promise.all([
+      this.request(store => store.getAllKeys()),
+      this.request(store => store.getAll())
+    ]);
+    this.cache = new Map(keys.map((key, i) => [key, values[i]]));
+
+    // Use the browser's estimate so getStorageStats reports a real limit
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      try {
+        const { quota, usage } = await navigator.storage.estimate();
+        if (quota) {
+          this.quota = Math.max(quota - (usage || 0) + usedCharacters(this), 0);
+        }
+      } catch (error) {
+        console.error('Error estimating IndexedDB quota:', error);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Run a read request against the object store
+   * @param {Function} build - Receives the store and returns an IDBRequest
+   * @returns {Promise<any>} Request result
+   */
+  request(build) {
+    return new Promise((resolve, reject) => {
+      const request = build(this.database.transaction(this.storeName, 'readonly').objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  getItem(key) {
+    return this.cache.has(key) ? this.cache.get(key) : null;
+  }
+
+  setItem(key, value) {
+    if (!this.database) {
+      throw new Error('IndexedDB adapter used before open()');
+    }
+
+    const serialized = String(value);
+    const current = this.cache.has(key) ? key.length + this.cache.get(key).length : 0;
+    if (usedCharacters(this) - current + key.length + serialized.length > this.quota) {
+      throw createQuotaError('IndexedDB storage quota exceeded');
+    }
+
+    this.cache.set(key, serialized);
+    this.queueWrite(key, serialized);
+  }
+
+  removeItem(key) {
+    this.cache.delete(key);
+    this.queueWrite(key, null);
+  }
+
+  keys() {
+    return Array.from(this.cache.keys());
+  }
+
+  /**
+   * Queue a write (null value deletes the key) and schedule a flush
+   * @param {string} key - Storage key
+   * @param {string|null} value - Serialized value or null
+   */
+  queueWrite(key, value) {
+    this.pendingWrites.set(key, value);
+    if (this.flushing) return;
+
+    this.flushing = (async () => {
+      // Let synchronous callers finish so related writes share one transaction
+      await null;
+
+      while (this.pendingWrites.size > 0) {
+        const writes = this.pendingWrites;
+        this.pendingWrites = new Map();
+
+        try {
+          await this.writeBatch(writes);
+        } catch (error) {
+          this.lastError = error;
+          console.error('Error persisting to IndexedDB:', error);
+          if (this.onError) this.onError(error);
+        }
+      }
+
+      this.flushing = null;
+    })();
+  }
+
+  /**
+   * Persist a batch of writes in a single IndexedDB transaction
+   * @param {Map} writes - Key to value (null deletes)
+   * @returns {Promise<void>} Resolves when the transaction completes
+   */
+  writeBatch(writes) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.database.transaction(this.storeName, 'readwrite');
+      const store = transaction.objectStore(this.storeName);
+
+      writes.forEach((value, key) => {
+        if (value === null) {
+          store.delete(key);
+        } else {
+          store.put(value, key);
+        }
+      });
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Re-read keys another tab wrote. Keys with writes still queued here keep
+   * their cached value.
+   * @param {Array} keys - Storage keys
+   * @returns {Promise<void>} Resolves when the cache is up to date
+   */
+  async reloadKeys(keys) {
+    if (!this.database) return;
+
+    const values = await Promise.all(keys.map(key => this.request(store => store.get(key))));
+    keys.forEach((key, i) => {
+      if (this.pendingWrites.has(key)) return;
+      if (values[i] === undefined) {
+        this.cache.delete(key);
+      } else {
+        this.cache.set(key, values[i]);
+      }
+    });
+  }
+
+  /**
+   * Wait until every queued write is persisted
+   * @returns {Promise<void>} Resolves when idle
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+  }
+
+  /**
+   * Whether writes are queued or in flight
+   * @returns {boolean} True until every write is persisted
+   */
+  hasPendingWrites() {
+    return this.pendingWrites.size > 0 || this.flushing !== null;
+  }
+
+  /**
+   * Close the underlying database
+   */
+  close() {
+    if (this.database) {
+      this.database.close();
+      this.database = null;
+    }
+  }
+}
+
+/**
+ * Total characters used by an adapter's keys and values
+ * @param {Object} adapter - Storage adapter
+ * @returns {number} Used characters
+ */
+export const usedCharacters = (adapter) => {
+  return adapter.keys().reduce((total, key) => total + key.length + (adapter.getItem(key) || '').length, 0);
+};
+
+/**
+ * Check whether IndexedDB exists in this environment
+ * @returns {boolean} True if IndexedDB is available
+ */
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Create an adapter for a backend
+ * @param {string} backend - StorageBackends value
+ * @param {Object} options - Adapter options
+ * @returns {Object} Storage adapter (call open() before use)
+ */
+export const createStorageAdapter = (backend, options = {}) => {
+  switch (backend) {
+    case StorageBackends.INDEXED_DB:
+      return new IndexedDBAdapter(options);
+    case StorageBackends.MEMORY:
+      return new MemoryAdapter(options);
+    case StorageBackends.LOCAL_STORAGE:
+    default:
+      return new LocalStorageAdapter(options.storage);
+  }
+};
+
+let activeAdapter = null;
+
+/**
+ * Get the adapter shared by every LocalStorageDB instance without its own storage
+ * @returns {Object} Active storage adapter
+ */
+export const getStorageAdapter = () => {
+  if (!activeAdapter) {
+    activeAdapter = typeof localStorage !== 'undefined'
+      ? new LocalStorageAdapter()
+      : new MemoryAdapter();
+  }
+  return activeAdapter;
+};
+
+/**
+ * Replace the shared adapter
+ * @param {Object} adapter - Opened storage adapter
+ */
+export const setStorageAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+/**
+ * Read the remembered backend choice
+ * @returns {string} StorageBackends value
+ */
+export const getPreferredBackend = () => {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(BACKEND_PREFERENCE_KEY)) ||
+      StorageBackends.LOCAL_STORAGE;
+  } catch {
+    return StorageBackends.LOCAL_STORAGE;
+  }
+};
+
+/**
+ * Remember the backend choice for the next page load
+ * @param {string} backend - StorageBackends value
+ */
+export const setPreferredBackend = (backend) => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(BACKEND_PREFERENCE_KEY, backend);
+    }
+  } catch (error) {
+    console.error('Error saving storage backend preference:', error);
+  }
+};
+
+/**
+ * Open the remembered backend and make it the shared adapter. Falls back to
+ * localStorage if IndexedDB is unavailable or fails to open.
+ * @returns {Promise<Object>} Active storage adapter
+ */
+export const initializeStorage = async () => {
+  const backend = getPreferredBackend();
+  const current = getStorageAdapter();
+  if (current.name === backend) return current;
+
+  if (backend === StorageBackends.INDEXED_DB && isIndexedDBAvailable()) {
+    try {
+      const adapter = await createStorageAdapter(backend).open();
+      setStorageAdapter(adapter);
+      return adapter;
+    } catch (error) {
+      console.error('Error opening IndexedDB, using localStorage:', error);
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Copy database keys from one adapter to another and verify the copy
+ * @param {Object} source - Adapter to read from
+ * @param {Object} target - Adapter to write to
+ * @param {Object} options - Migration options
+ * @param {Array} options.keys - Keys to copy
+ * @param {boolean} options.removeSource - Delete the keys from the source after a verified copy
+ * @param {Function} options.onProgress - Called with (copied, total, key)
+ * @returns {Promise<Object>} { success, migratedKeys, bytes, errors }
+ */
+export const migrateStorage = async (source, target, options = {}) => {
+  const { keys = [], removeSource = false, onProgress = null } = options;
+  const migratedKeys = [];
+  const errors = [];
+  let bytes = 0;
+
+  await source.open();
+  await target.open();
+
+  keys.forEach((key, i) => {
+    const value = source.getItem(key);
+    if (value === null) return;
+
+    try {
+      target.setItem(key, value);
+      migratedKeys.push(key);
+      bytes += value.length;
+    } catch (error) {
+      errors.push(`${key}: ${error.message}`);
+    }
+
+    if (onProgress) onProgress(i + 1, keys.length, key);
+  });
+
+  await target.flush();
+
+  migratedKeys
+    .filter(key => target.getItem(key) !== source.getItem(key))
+    .forEach(key => errors.push(`${key}: copy does not match source`));
+
+  if (errors.length === 0 && removeSource) {
+    migratedKeys.forEach(key => source.removeItem(key));
+    await source.flush();
+  }
+
+  return {
+    success: errors.length === 0,
+    migratedKeys,
+    bytes,
+    errors
+  };
+};
@@ -0,0 +1,835 @@
+/**
+ * Streaming Import Utilities
+ * RFC 4180 CSV and JSON parsers that read files in chunks, plus the column
+ * mapping, type coercion and chunked commit used by the import preview
+ */
+
+import { localStorageDB, DataTypes, inferDataType, isDateString, coerceValue } from './localStorageDB.js';
+import { schemaManager, ConstraintTypes } from './schemaManager.js';
+
+/**
+ * Formats the streaming importer understands
+ */
+export const StreamImportFormats = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+/**
+ * How imported rows are combined with an existing table
+ */
+export const ImportModes = {
+  APPEND: 'append',
+  REPLACE: 'replace'
+};
+
+/**
+ * Target value that leaves a source column out of the import
+ */
+export const SKIP_COLUMN = '';
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const DEFAULT_BATCH_SIZE = 1000;
+
+/**
+ * Let the browser paint and handle input between chunks
+ * @returns {Promise<void>} Resolves on the next macrotask
+ */
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * RFC 4180 CSV parser fed with arbitrary text chunks. Quoted fields may
+ * contain delimiters, doubled quotes and line breaks (CRLF, LF or CR).
+ */
+export class CSVStreamParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {string} options.delimiter - Field delimiter (default ',')
+   * @param {string} options.quote - Quote character (default '"')
+   * @param {Function} options.onRow - Called with (fields, lineNumber) for each row
+   * @param {Function} options.onError - Called with { line, message } for malformed input
+   */
+  constructor(options = {}) {
+    this.delimiter = options.delimiter || ',';
+    this.quote = options.quote || '"';
+    this.onRow = options.onRow || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.row = [];
+    this.field = '';
+    this.inQuotes = false;
+    this.quotePending = false;
+    this.quoteClosed = false;
+    this.skipLineFeed = false;
+    this.line = 1;
+    this.rowLine = 1;
+  }
+
+  /**
+   * Parse the next chunk of text
+   * @param {string} chunk - Text chunk
+   */
+  write(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      this.consume(chunk[i]);
+    }
+  }
+
+  /**
+   * Process one character
+   * @param {string} char - Character
+   */
+  consume(char) {
+    if (this.skipLineFeed) {
+      this.skipLineFeed = false;
+      if (char === '\n') return;
+    }
+
+    if (this.quotePending) {
+      this.quotePending = false;
+      if (char === this.quote) {
+        this.field += this.quote;
+        return;
+      }
+      this.inQuotes = false;
+      this.quoteClosed = true;
+    }
+
+    if (this.inQuotes) {
+      if (char === this.quote) {
+        this.quotePending = true;
+        return;
+      }
+      if (char === '\n' || (char === '\r')) {
+        this.line++;
+        if (char === '\r') this.skipLineFeed = true;
+        this.field += '\n';
+        return;
+      }
+      this.field += char;
+      return;
+    }
+
+    if (char === this.delimiter) {
+      this.endField();
+    } else if (char === '\n' || char === '\r') {
+      this.endRow();
+      this.line++;
+      this.rowLine = this.line;
+      if (char === '\r') this.skipLineFeed = true;
+    } else if (char === this.quote && this.field === '' && !this.quoteClosed) {
+      this.inQuotes = true;
+    } else {
+      if (char === this.quote || this.quoteClosed) {
+        this.onError({ line: this.line, message: `Unexpected character ${JSON.stringify(char)} in field ${this.row.length + 1}` });
+      }
+      this.field += char;
+    }
+  }
+
+  /**
+   * Finish the current field
+   */
+  endField() {
+    this.row.push(this.field);
+    this.field = '';
+    this.quoteClosed = false;
+  }
+
+  /**
+   * Finish the current row; blank lines are skipped
+   */
+  endRow() {
+    this.endField();
+    const row = this.row;
+    this.row = [];
+
+    if (row.length === 1 && row[0] === '') return;
+    this.onRow(row, this.rowLine);
+  }
+
+  /**
+   * Flush the final row once the input is exhausted
+   */
+  end() {
+    if (this.quotePending) {
+      this.quotePending = false;
+      this.inQuotes = false;
+      this.quoteClosed = true;
+    }
+
+    if (this.inQuotes) {
+      this.onError({ line: this.rowLine, message: 'Unterminated quoted field' });
+      this.inQuotes = false;
+    }
+
+    if (this.field !== '' || this.row.length > 0 || this.quoteClosed) {
+      this.endRow();
+    }
+  }
+}
+
+/**
+ * Incremental JSON scanner that emits records without parsing the whole file.
+ * Accepts a root array of records, this editor's export wrapper
+ * ({ table, data: [...] }), or newline-delimited JSON (one value per line).
+ */
+export class JSONStreamParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {Function} options.onRecord - Called with (record, index) for each record
+   * @param {Function} options.onError - Called with { record, message } for invalid records
+   */
+  constructor(options = {}) {
+    this.onRecord = options.onRecord || (() => {});
+    this.onError = options.onError || (() => {});
+
+    this.stack = [];
+    this.inString = false;
+    this.escape = false;
+    this.buffer = null;
+    this.bufferDepth = 0;
+    this.recordDepth = null;
+    this.recordCount = 0;
+    this.tableName = null;
+
+    // Key tracking for the root object of the export wrapper
+    this.rootString = null;
+    this.lastString = null;
+    this.currentKey = null;
+    this.expectValue = false;
+    this.keys = new Set();
+  }
+
+  /**
+   * Parse the next chunk of text
+   * @param {string} chunk - Text chunk
+   */
+  write(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      this.consume(chunk[i]);
+    }
+  }
+
+  /**
+   * Check whether the scanner is directly inside the root object
+   * @returns {boolean} True at root object level
+   */
+  atRootObject() {
+    return this.stack.length === 1 && this.stack[0] === '{';
+  }
+
+  /**
+   * Process one character
+   * @param {string} char - Character
+   */
+  consume(char) {
+    if (this.inString) {
+      if (this.buffer !== null) this.buffer += char;
+      if (this.rootString !== null) this.rootString += char;
+
+      if (this.escape) {
+        this.escape = false;
+      } else if (char === '\\') {
+        this.escape = true;
+      } else if (char === '"') {
+        this.inString = false;
+        this.endRootString();
+      }
+      return;
+    }
+
+    const depth = this.stack.length;
+
+    if (char === '"') {
+      this.startValue(depth);
+      this.inString = true;
+      if (this.buffer !== null) this.buffer += char;
+      if (this.atRootObject()) this.rootString = char;
+      return;
+    }
+
+    if (char === '{' || char === '[') {
+      // The export wrapper: stream the elements of "data" instead of the root object
+      if (char === '[' && this.atRootObject() && this.currentKey === 'data' && this.expectValue && this.keys.has('table')) {
+        this.buffer = null;
+        this.recordDepth = 2;
+        this.stack.push(char);
+        return;
+      }
+
+      if (depth === 0 && char === '[') {
+        this.recordDepth = 1;
+      } else {
+        this.startValue(depth);
+      }
+
+      this.stack.push(char);
+      if (this.buffer !== null) this.buffer += char;
+      return;
+    }
+
+    if (char === '}' || char === ']') {
+      // A primitive element ends at the bracket that closes its container
+      if (this.buffer !== null && depth === this.bufferDepth) {
+        this.emit();
+      } else if (this.buffer !== null) {
+        this.buffer += char;
+      }
+      this.stack.pop();
+
+      if (this.buffer !== null && this.stack.length === this.bufferDepth) {
+        this.emit();
+      }
+
+      // Leaving the wrapper's data array, or finishing a root value
+      if (this.recordDepth === 2 && this.stack.length === 1) {
+        this.recordDepth = -1;
+      }
+      if (this.stack.length === 0) {
+        this.recordDepth = null;
+        this.currentKey = null;
+        this.expectValue = false;
+        this.keys.clear();
+      }
+      return;
+    }
+
+    if (char === ',') {
+      if (this.buffer !== null && depth === this.bufferDepth) {
+        this.emit();
+      } else if (this.buffer !== null) {
+        this.buffer += char;
+      }
+      if (this.atRootObject()) this.expectValue = false;
+      return;
+    }
+
+    if (char === ':' && this.atRootObject()) {
+      this.currentKey = this.lastString;
+      this.keys.add(this.currentKey);
+      this.expectValue = true;
+      if (this.buffer !== null) this.buffer += char;
+      return;
+    }
+
+    if (/\s/.test(char)) {
+      // Whitespace ends a primitive root value (NDJSON lines)
+      if (this.buffer !== null && depth === 0) {
+        this.emit();
+      } else if (this.buffer !== null) {
+        this.buffer += char;
+      }
+      return;
+    }
+
+    this.startValue(depth);
+    if (this.buffer !== null) this.buffer += char;
+  }
+
+  /**
+   * Start buffering a record if a value begins at the record depth
+   * @param {number} depth - Current nesting depth
+   */
+  startValue(depth) {
+    if (this.buffer !== null) return;
+
+    const recordDepth = this.recordDepth === null && depth === 0 ? 0 : this.recordDepth;
+    if (depth === recordDepth) {
+      this.recordDepth = recordDepth;
+      this.buffer = '';
+      this.bufferDepth = depth;
+    }
+  }
+
+  /**
+   * Track keys and the table name of the root object
+   */
+  endRootString() {
+    if (this.rootString === null) return;
+
+    let text = null;
+    try {
+      text = JSON.parse(this.rootString);
+    } catch {
+      text = null;
+    }
+    this.rootString = null;
+
+    if (this.expectValue) {
+      if (this.currentKey === 'table') this.tableName = text;
+    } else {
+      this.lastString = text;
+    }
+  }
+
+  /**
+   * Parse and emit the buffered record
+   */
+  emit() {
+    const text = this.buffer.trim();
+    this.buffer = null;
+    if (!text) return;
+
+    const index = this.recordCount++;
+    try {
+      this.onRecord(JSON.parse(text), index);
+    } catch (error) {
+      this.onError({ record: index + 1, message: error.message });
+    }
+  }
+
+  /**
+   * Flush the final record once the input is exhausted
+   */
+  end() {
+    if (this.buffer !== null && this.stack.length === 0) {
+      this.emit();
+    }
+    if (this.inString || this.stack.length > 0) {
+      this.onError({ record: this.recordCount + 1, message: 'Unexpected end of JSON input' });
+    }
+  }
+}
+
+/**
+ * Read a string or Blob/File as text chunks
+ * @param {string|Blob} source - Content or file
+ * @param {number} chunkSize - Characters (string) or bytes (Blob) per chunk
+ * @returns {AsyncGenerator} Yields { text, loaded, total }
+ */
+export async function* readTextChunks(source, chunkSize = DEFAULT_CHUNK_SIZE) {
+  if (typeof source === 'string') {
+    for (let offset = 0; offset < source.length; offset += chunkSize) {
+      yield {
+        text: source.slice(offset, offset + chunkSize),
+        loaded: Math.min(offset + chunkSize, source.length),
+        total: source.length
+      };
+    }
+    return;
+  }
+
+  // Decode in streaming mode so multi-byte characters split across chunks survive
+  const decoder = new TextDecoder();
+  for (let offset = 0; offset < source.size; offset += chunkSize) {
+    const buffer = await source.slice(offset, offset + chunkSize).arrayBuffer();
+    const loaded = Math.min(offset + chunkSize, source.size);
+    yield {
+      text: decoder.decode(buffer, { stream: loaded < source.size }),
+      loaded,
+      total: source.size
+    };
+  }
+}
+
+/**
+ * Stream records out of CSV or JSON content in batches
+ * @param {string|Blob} source - Content or file
+ * @param {Object} options - Stream options
+ * @param {string} options.format - StreamImportFormats value
+ * @param {string} options.delimiter - CSV delimiter
+ * @param {string} options.quote - CSV quote character
+ * @param {number} options.limit - Stop after this many records
+ * @param {number} options.batchSize - Records per onBatch call
+ * @param {Function} options.onBatch - Async callback receiving ([{ record, row }], progress)
+ * @param {AbortSignal} options.signal - Cancels the stream
+ * @returns {Promise<Object>} { columns, recordCount, errors, tableName, complete }
+ */
+export const streamRecords = async (source, options = {}) => {
+  const {
+    format = StreamImportFormats.CSV,
+    limit = Infinity,
+    batchSize = DEFAULT_BATCH_SIZE,
+    onBatch = null,
+    signal = null
+  } = options;
+
+  const errors = [];
+  const columns = [];
+  const knownColumns = new Set();
+  let batch = [];
+  let recordCount = 0;
+
+  const addColumns = (names) => {
+    names.forEach(name => {
+      if (!knownColumns.has(name)) {
+        knownColumns.add(name);
+        columns.push(name);
+      }
+    });
+  };
+
+  const collect = (record, row) => {
+    if (recordCount >= limit) return;
+    recordCount++;
+    batch.push({ record, row });
+  };
+
+  let parser;
+  if (format === StreamImportFormats.JSON) {
+    parser = new JSONStreamParser({
+      onRecord: (record, index) => {
+        const value = record !== null && typeof record === 'object' && !Array.isArray(record)
+          ? record
+          : { value: record };
+        addColumns(Object.keys(value));
+        collect(value, index + 1);
+      },
+      onError: ({ record, message }) => errors.push({ row: record, field: null, value: null, message })
+    });
+  } else {
+    let headers = null;
+    parser = new CSVStreamParser({
+      delimiter: options.delimiter,
+      quote: options.quote,
+      onRow: (fields, line) => {
+        if (!headers) {
+          headers = fields.map((name, i) => name.trim() || `column_${i + 1}`);
+          addColumns(headers);
+          return;
+        }
+
+        if (fields.length !== headers.length) {
+          errors.push({
+            row: line,
+            field: null,
+            value: null,
+            message: `Expected ${headers.length} fields, found ${fields.length}`
+          });
+        }
+
+        const record = {};
+        headers.forEach((header, i) => {
+          record[header] = fields[i] !== undefined ? fields[i] : '';
+        });
+        collect(record, line);
+      },
+      onError: ({ line, message }) => errors.push({ row: line, field: null, value: null, message })
+    });
+  }
+
+  const flush = async (progress) => {
+    if (batch.length === 0 || !onBatch) {
+      batch = [];
+      return;
+    }
+    const current = batch;
+    batch = [];
+    await onBatch(current, progress);
+  };
+
+  let progress = { loaded: 0, total: 0 };
+  for await (const chunk of readTextChunks(source, options.chunkSize)) {
+    if (signal && signal.aborted) {
+      return { columns, recordCount, errors, tableName: parser.tableName || null, complete: false };
+    }
+
+    progress = { loaded: chunk.loaded, total: chunk.total };
+    parser.write(chunk.text);
+    if (batch.length >= batchSize) {
+      await flush(progress);
+    }
+    if (recordCount >= limit) break;
+  }
+
+  if (recordCount < limit) parser.end();
+  await flush(progress);
+
+  return {
+    columns,
+    recordCount,
+    errors,
+    tableName: parser.tableName || null,
+    complete: recordCount < limit
+  };
+};
+
+/**
+ * Infer a data type for raw CSV text values
+ * @param {Array} values - Raw values
+ * @returns {string} Data type
+ */
+const inferTextType = (values) => {
+  const present = values.filter(value => value !== '' && value !== null && value !== undefined);
+  if (present.length === 0) return DataTypes.STRING;
+
+  if (present.every(value => typeof value !== 'string')) {
+    const types = new Set(present.map(value => inferDataType(value)));
+    return types.size === 1 ? [...types][0] : DataTypes.STRING;
+  }
+
+  const text = present.map(value => String(value).trim());
+  if (text.every(value => value !== '' && !isNaN(Number(value)))) return DataTypes.NUMBER;
+  if (text.every(value => ['true', 'false'].includes(value.toLowerCase()))) return DataTypes.BOOLEAN;
+  if (text.every(value => isDateString(value))) return DataTypes.DATE;
+  if (text.every(value => value.startsWith('['))) return DataTypes.ARRAY;
+  if (text.every(value => value.startsWith('{'))) return DataTypes.JSON;
+  return DataTypes.STRING;
+};
+
+/**
+ * Get the fields (with types) of an existing table
+ * @param {string} tableName - Table name
+ * @returns {Object} Field name to { type, required }
+ */
+export const getTargetFields = (tableName) => {
+  if (!tableName) return {};
+
+  const tableMeta = (localStorageDB.getMetadata().tables || {})[tableName];
+  if (tableMeta && tableMeta.schema && tableMeta.schema.fields) {
+    return Object.fromEntries(Object.entries(tableMeta.schema.fields).map(([name, field]) => [
+      name,
+      { type: field.type || DataTypes.STRING, required: Boolean(field.required) }
+    ]));
+  }
+
+  const schema = schemaManager.getSchema(tableName);
+  if (schema && schema.properties) {
+    return Object.fromEntries(Object.entries(schema.properties).map(([name, property]) => [
+      name,
+      {
+        type: property.type,
+        required: (schema.constraints?.[name] || []).some(constraint => constraint.type === ConstraintTypes.REQUIRED)
+      }
+    ]));
+  }
+
+  const rows = localStorageDB.select(tableName);
+  return Object.fromEntries(Object.entries(localStorageDB.inferObjectSchema(rows)).map(([name, property]) => [
+    name,
+    { type: property.type, required: false }
+  ]));
+};
+
+/**
+ * Map source columns onto target fields by (case-insensitive) name
+ * @param {Array} columns - Source columns
+ * @param {Array} sampleRecords - Sample source records used for type inference
+ * @param {Object} targetFields - Existing target fields; empty for a new table
+ * @returns {Array} [{ source, target, type, required }]
+ */
+export const buildColumnMapping = (columns, sampleRecords, targetFields = {}) => {
+  const isNewTable = Object.keys(targetFields).length === 0;
+  const byLowerName = Object.fromEntries(Object.keys(targetFields).map(name => [name.toLowerCase(), name]));
+
+  return columns.map(source => {
+    const target = targetFields[source] ? source : byLowerName[source.toLowerCase()];
+
+    if (target) {
+      return { source, target, type: targetFields[target].type, required: targetFields[target].required };
+    }
+
+    return {
+      source,
+      target: isNewTable ? source : SKIP_COLUMN,
+      type: inferTextType(sampleRecords.map(record => record[source])),
+      required: false
+    };
+  });
+};
+
+/**
+ * Apply a column mapping and type coercion to one source record
+ * @param {Object} source - Source record
+ * @param {Array} mapping - Column mapping
+ * @param {number} row - Source row (CSV line or JSON record number) for errors
+ * @returns {Object} { record, errors }
+ */
+export const convertRecord = (source, mapping, row) => {
+  const record = {};
+  const errors = [];
+
+  mapping.forEach(({ source: column, target, type, required }) => {
+    if (target === SKIP_COLUMN) return;
+
+    const raw = source[column];
+    const empty = raw === undefined || raw === null || raw === '';
+    const value = empty ? null : coerceValue(typeof raw === 'string' && type !== DataTypes.STRING ? raw.trim() : raw, type);
+
+    if (empty && required) {
+      errors.push({ row, field: target, value: raw, message: 'Required field is missing' });
+    } else if (!empty && value === null) {
+      errors.push({ row, field: target, value: raw, message: `Cannot convert ${JSON.stringify(raw)} to ${type}` });
+    }
+
+    record[target] = value;
+  });
+
+  return { record, errors };
+};
+
+/**
+ * Read the first rows of a file and propose a column mapping
+ * @param {string|Blob} source - Content or file
+ * @param {Object} options - Preview options
+ * @param {string} options.format - StreamImportFormats value
+ * @param {string} options.delimiter - CSV delimiter
+ * @param {string} options.quote - CSV quote character
+ * @param {string} options.tableName - Target table (existing or new)
+ * @param {Array} options.mapping - Mapping to apply instead of the proposed one
+ * @param {number} options.sampleSize - Rows to preview
+ * @returns {Promise<Object>} { columns, mapping, rows: [{ row, source, record, errors }], errors, targetFields, suggestedTableName }
+ */
+export const previewImport = async (source, options = {}) => {
+  const sampleSize = options.sampleSize || 50;
+  const samples = [];
+
+  const result = await streamRecords(source, {
+    ...options,
+    limit: sampleSize,
+    onBatch: (batch) => {
+      samples.push(...batch);
+    }
+  });
+
+  const targetFields = getTargetFields(options.tableName);
+  const mapping = options.mapping || buildColumnMapping(
+    result.columns,
+    samples.map(sample => sample.record),
+    targetFields
+  );
+
+  const errors = [...result.errors];
+  const rows = samples.map(({ record, row }) => {
+    const converted = convertRecord(record, mapping, row);
+    errors.push(...converted.errors);
+    return { row, source: record, record: converted.record, errors: converted.errors };
+  });
+
+  return {
+    columns: result.columns,
+    mapping,
+    rows,
+    errors: errors.sort((a, b) => (a.row || 0) - (b.row || 0)),
+    targetFields,
+    suggestedTableName: result.tableName
+  };
+};
+
+/**
+ * Convert a whole file in chunks and write it to a table in one transaction
+ * @param {string|Blob} source - Content or file
+ * @param {Object} options - Commit options
+ * @param {string} options.tableName - Target table
+ * @param {Array} options.mapping - Column mapping from the preview
+ * @param {string} options.mode - ImportModes value
+ * @param {boolean} options.skipInvalidRows - Leave out rows with conversion errors (default true)
+ * @param {Function} options.onProgress - Called with { loaded, total, processed }
+ * @param {AbortSignal} options.signal - Cancels the import before anything is written
+ * @returns {Promise<Object>} { success, imported, skipped, errors, violations, cancelled, error }
+ */
+export const commitImport = async (source, options = {}) => {
+  const {
+    tableName,
+    mapping,
+    mode = ImportModes.APPEND,
+    skipInvalidRows = true,
+    onProgress = null,
+    signal = null
+  } = options;
+
+  if (!tableName) {
+    return { success: false, error: 'Table name is required' };
+  }
+  if (!mapping || !mapping.some(column => column.target !== SKIP_COLUMN)) {
+    return { success: false, error: 'Map at least one column' };
+  }
+
+  const records = [];
+  const errors = [];
+  let skipped = 0;
+  let processed = 0;
+
+  const result = await streamRecords(source, {
+    ...options,
+    signal,
+    onBatch: async (batch, progress) => {
+      batch.forEach(({ record, row }) => {
+        const converted = convertRecord(record, mapping, row);
+        errors.push(...converted.errors);
+        if (converted.errors.length > 0 && skipInvalidRows) {
+          skipped++;
+        } else {
+          records.push(converted.record);
+        }
+      });
+
+      processed += batch.length;
+      if (onProgress) onProgress({ ...progress, processed });
+      await yieldToBrowser();
+    }
+  });
+
+  if (!result.complete || (signal && signal.aborted)) {
+    return { success: false, cancelled: true, imported: 0, skipped, errors, error: 'Import cancelled' };
+  }
+
+  errors.push(...result.errors);
+  if (!skipInvalidRows && errors.length > 0) {
+    return { success: false, imported: 0, skipped, errors, error: `${errors.length} row errors` };
+  }
+
+  const existing = mode === ImportModes.APPEND ? localStorageDB.select(tableName) : [];
+  const write = schemaManager.writeTable(tableName, [...existing, ...records]);
+  if (!write.success) {
+    return {
+      success: false,
+      imported: 0,
+      skipped,
+      errors,
+      violations: write.violations,
+      error: write.violations.length > 0
+        ? `Integrity violation: ${write.violations[0].message}`
+        : 'Failed to store imported data'
+    };
+  }
+
+  // Give a new table the field types chosen in the preview
+  const tableMeta = (localStorageDB.getMetadata().tables || {})[tableName] || {};
+  if (!tableMeta.schema) {
+    const fields = {};
+    mapping.filter(column => column.target !== SKIP_COLUMN).forEach(column => {
+      fields[column.target] = {
+        type: column.type,
+        required: Boolean(column.required),
+        nullable: !column.required,
+        ...(column.target === 'id' && { primaryKey: true })
+      };
+    });
+    localStorageDB.setSchema(tableName, { fields });
+  }
+
+  return {
+    success: true,
+    imported: records.length,
+    skipped,
+    errors,
+    violations: []
+  };
+};
+
+/**
+ * Parse a complete CSV string
+ * @param {string} content - CSV content
+ * @param {Object} options - { delimiter, quote }
+ * @returns {Object} { headers, rows, errors } where rows are arrays of field strings
+ */
+export const parseCSV = (content, options = {}) => {
+  const rows = [];
+  const errors = [];
+  const parser = new CSVStreamParser({
+    ...options,
+    onRow: fields => rows.push(fields),
+    onError: error => errors.push(error)
+  });
+
+  parser.write(content);
+  parser.end();
+
+  return {
+    headers: rows.length > 0 ? rows[0] : [],
+    rows: rows.slice(1),
+    errors
+  };
+};
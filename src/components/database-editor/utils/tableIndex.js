@@ -0,0 +1,352 @@
+/**
+ * Secondary Table Indexes
+ * Hash, sorted and full-text index structures used by LocalStorageDB and the query planner
+ */
+
+import { isValid } from 'date-fns';
+import { ALL_FIELDS, buildFullTextIndex, searchFullTextIndex } from './fullTextSearch.js';
+
+/**
+ * Supported index types
+ */
+export const IndexTypes = {
+  HASH: 'hash',
+  SORTED: 'sorted',
+  FULLTEXT: 'fulltext'
+};
+
+/**
+ * Key kinds a sorted index can be ordered by. Range lookups are only served
+ * for NUMBER and DATE kinds, where the index order matches the query engine's
+ * value comparison exactly; STRING sorted indexes answer equality only.
+ */
+export const IndexKeyKinds = {
+  NUMBER: 'number',
+  DATE: 'date',
+  STRING: 'string'
+};
+
+/**
+ * Operators an index can answer, keyed by the query engine operator codes
+ */
+const EQUALITY_OPERATORS = ['eq', 'in'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+const MATCH_OPERATOR = 'match';
+
+/**
+ * Read a (possibly dot-separated) field from a record
+ * @param {Object} record - Record to read from
+ * @param {string} field - Field path
+ * @returns {any} Field value
+ */
+export const readIndexedField = (record, field) => {
+  if (!record || typeof record !== 'object') return undefined;
+
+  return field.split('.').reduce((current, key) => {
+    return current && current[key] !== undefined ? current[key] : undefined;
+  }, record);
+};
+
+/**
+ * Check whether a value can be stored in an index
+ * @param {any} value - Field value
+ * @returns {boolean} True for non-null primitive values
+ */
+const isIndexableValue = (value) => {
+  return value !== null && value !== undefined && typeof value !== 'object';
+};
+
+/**
+ * Hash key for a value; distinguishes 5 from '5' like strict equality does
+ * @param {any} value - Field value
+ * @returns {string} Hash key
+ */
+const toHashKey = (value) => JSON.stringify(value);
+
+/**
+ * Determine the key kind shared by every indexed value
+ * @param {Array} values - Non-null field values
+ * @returns {string} Key kind
+ */
+const detectKeyKind = (values) => {
+  if (values.length === 0) return IndexKeyKinds.STRING;
+  if (values.some(value => typeof value === 'object')) return IndexKeyKinds.STRING;
+
+  if (values.every(value => !isNaN(Number(value)))) {
+    return IndexKeyKinds.NUMBER;
+  }
+
+  if (values.every(value => typeof value === 'string' && isNaN(Number(value)) && isValid(new Date(value)))) {
+    return IndexKeyKinds.DATE;
+  }
+
+  return IndexKeyKinds.STRING;
+};
+
+/**
+ * Sort key for a value in a sorted index of the given kind
+ * @param {any} value - Field or filter value
+ * @param {string} kind - Index key kind
+ * @returns {number|string|null} Sort key, or null if the value cannot be ordered
+ */
+const toSortKey = (value, kind) => {
+  if (kind === IndexKeyKinds.NUMBER) {
+    const number = Number(value);
+    return isNaN(number) ? null : number;
+  }
+
+  if (kind === IndexKeyKinds.DATE) {
+    const date = new Date(value);
+    return isValid(date) ? date.getTime() : null;
+  }
+
+  return isIndexableValue(value) ? toHashKey(value) : null;
+};
+
+/**
+ * Build an index over a field of the given records
+ * @param {Array} records - Table records
+ * @param {string} field - Indexed field
+ * @param {Object} options - Index options
+ * @param {string} options.type - Index type (hash or sorted)
+ * @param {boolean} options.unique - Reject duplicate values
+ * @returns {Object} { index, duplicate } where duplicate is the first repeated value of a unique index
+ */
+export const buildIndex = (records, field, options = {}) => {
+  const type = options.type || IndexTypes.HASH;
+  if (type === IndexTypes.FULLTEXT) {
+    return { index: buildFullTextIndex(records, field), duplicate: undefined };
+  }
+
+  const unique = Boolean(options.unique);
+  const seen = new Set();
+  let duplicate;
+
+  const rows = [];
+  records.forEach((record, position) => {
+    const value = readIndexedField(record, field);
+    if (!isIndexableValue(value)) return;
+
+    if (unique) {
+      const key = toHashKey(value);
+      if (seen.has(key) && duplicate === undefined) {
+        duplicate = value;
+      }
+      seen.add(key);
+    }
+
+    rows.push([value, position]);
+  });
+
+  const index = {
+    field,
+    type,
+    unique,
+    size: rows.length
+  };
+
+  if (type === IndexTypes.SORTED) {
+    const kind = detectKeyKind(rows.map(([value]) => value));
+    index.kind = kind;
+    index.entries = rows
+      .map(([value, position]) => [toSortKey(value, kind), position])
+      .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] - b[1]));
+  } else {
+    index.entries = {};
+    rows.forEach(([value, position]) => {
+      const key = toHashKey(value);
+      if (!index.entries[key]) {
+        index.entries[key] = [];
+      }
+      index.entries[key].push(position);
+    });
+  }
+
+  return { index, duplicate };
+};
+
+/**
+ * Find the first entry position whose key is >= (or > when exclusive) the given key
+ * @param {Array} entries - Sorted [key, position] pairs
+ * @param {number|string} key - Key to search for
+ * @param {boolean} exclusive - Skip entries equal to the key
+ * @returns {number} Entry offset
+ */
+const lowerBound = (entries, key, exclusive = false) => {
+  let low = 0;
+  let high = entries.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    const entryKey = entries[mid][0];
+    if (entryKey < key || (exclusive && entryKey === key)) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+};
+
+/**
+ * Collect row positions for entries between two offsets
+ * @param {Array} entries - Sorted [key, position] pairs
+ * @param {number} start - First offset (inclusive)
+ * @param {number} end - Last offset (exclusive)
+ * @returns {Array} Row positions
+ */
+const collectPositions = (entries, start, end) => {
+  const positions = [];
+  for (let i = start; i < end; i++) {
+    positions.push(entries[i][1]);
+  }
+  return positions;
+};
+
+/**
+ * Look up equal keys in a sorted index
+ * @param {Object} index - Sorted index
+ * @param {any} value - Value to look up
+ * @returns {Array} Row positions
+ */
+const sortedEquals = (index, value) => {
+  const key = toSortKey(value, index.kind);
+  if (key === null) return [];
+
+  return collectPositions(
+    index.entries,
+    lowerBound(index.entries, key),
+    lowerBound(index.entries, key, true)
+  );
+};
+
+/**
+ * Check whether an index can answer a condition
+ * @param {Object} index - Index definition
+ * @param {string} operator - Query operator code
+ * @param {any} value - Filter value
+ * @returns {boolean} True if lookupIndex would return candidates
+ */
+export const canUseIndex = (index, operator, value) => {
+  if (!index) return false;
+
+  // Full-text indexes answer MATCH and nothing else
+  if (index.type === IndexTypes.FULLTEXT || operator === MATCH_OPERATOR) {
+    return index.type === IndexTypes.FULLTEXT && operator === MATCH_OPERATOR && typeof value === 'string';
+  }
+
+  if (EQUALITY_OPERATORS.includes(operator)) {
+    return operator !== 'in' || Array.isArray(value);
+  }
+
+  if (!RANGE_OPERATORS.includes(operator) || index.type !== IndexTypes.SORTED) {
+    return false;
+  }
+
+  if (index.kind !== IndexKeyKinds.NUMBER && index.kind !== IndexKeyKinds.DATE) {
+    return false;
+  }
+
+  const bounds = operator === 'between' ? value : [value];
+  return Array.isArray(bounds) && bounds.length === (operator === 'between' ? 2 : 1) &&
+         bounds.every(bound => toSortKey(bound, index.kind) !== null);
+};
+
+/**
+ * Look up candidate row positions for a condition. The result is a superset
+ * of the matching rows in ascending position order; callers still evaluate
+ * the condition on each candidate.
+ * @param {Object} index - Index definition
+ * @param {string} operator - Query operator code
+ * @param {any} value - Filter value
+ * @returns {Array|null} Row positions, or null if the index cannot answer the condition
+ */
+export const lookupIndex = (index, operator, value) => {
+  if (!canUseIndex(index, operator, value)) return null;
+
+  if (operator === MATCH_OPERATOR) {
+    return searchFullTextIndex(index, value)
+      .map(result => result.position)
+      .sort((a, b) => a - b);
+  }
+
+  const values = operator === 'in' ? value : [value];
+
+  if (EQUALITY_OPERATORS.includes(operator)) {
+    const positions = new Set();
+    values.forEach(item => {
+      if (!isIndexableValue(item)) return;
+
+      const matches = index.type === IndexTypes.SORTED
+        ? sortedEquals(index, item)
+        : index.entries[toHashKey(item)] || [];
+      matches.forEach(position => positions.add(position));
+    });
+    return Array.from(positions).sort((a, b) => a - b);
+  }
+
+  const { entries, kind } = index;
+  let start = 0;
+  let end = entries.length;
+
+  switch (operator) {
+    case 'gt':
+      start = lowerBound(entries, toSortKey(value, kind), true);
+      break;
+    case 'gte':
+      start = lowerBound(entries, toSortKey(value, kind));
+      break;
+    case 'lt':
+      end = lowerBound(entries, toSortKey(value, kind));
+      break;
+    case 'lte':
+      end = lowerBound(entries, toSortKey(value, kind), true);
+      break;
+    case 'between':
+      start = lowerBound(entries, toSortKey(value[0], kind));
+      end = lowerBound(entries, toSortKey(value[1], kind), true);
+      break;
+    default:
+      return null;
+  }
+
+  return collectPositions(entries, start, Math.max(start, end)).sort((a, b) => a - b);
+};
+
+/**
+ * Pick the best index on a field for a condition
+ * @param {Array} indexes - Candidate indexes
+ * @param {string} field - Filtered field
+ * @param {string} operator - Query operator code
+ * @param {any} value - Filter value
+ * @returns {Object|null} Chosen index or null
+ */
+export const chooseIndex = (indexes, field, operator, value) => {
+  // A full-text index over all fields also serves MATCH on any single field
+  const covers = (index) => index.field === field || (index.type === IndexTypes.FULLTEXT && index.field === ALL_FIELDS);
+  const usable = indexes.filter(index => covers(index) && canUseIndex(index, operator, value));
+  if (usable.length === 0) return null;
+
+  // Hash lookups are cheapest for equality; sorted indexes are the only option for ranges
+  return usable.find(index => index.type === IndexTypes.HASH) ||
+         usable.find(index => index.field === field) ||
+         usable[0];
+};
+
+/**
+ * Strip the entries from an index for display and planning output
+ * @param {string} name - Index name
+ * @param {Object} index - Index definition
+ * @returns {Object} Index summary
+ */
+export const describeIndex = (name, index) => ({
+  name,
+  field: index.field,
+  type: index.type,
+  unique: index.unique,
+  ...(index.kind && { kind: index.kind }),
+  ...(index.type === IndexTypes.FULLTEXT && { terms: Object.keys(index.terms).length }),
+  size: index.size,
+  createdAt: index.createdAt
+});
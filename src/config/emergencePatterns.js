@@ -22,7 +22,7 @@ export const cellular3DGridConfig = {
 };
 
 // Initial rule set for cellular automata simulations
-export const initialCellularRules = 'conway'; // e.g., 'conway', 'maze', 'coral'
+export const initialCellularRules = 'conway'; // A preset id from engine/LifeRules.js or any rulestring
 
 // Simulation speeds for cellular automata (in milliseconds per simulation step)
 export const simulationSpeeds = {
@@ -0,0 +1,44 @@
+// src/config/lifePatterns.js
+
+// Built-in Game of Life patterns (rule B3/S23), stored as RLE.
+// Parsed on demand by getLibraryPattern in engine/LifePatterns.js.
+
+export const PATTERN_CATEGORIES = [
+  { id: 'still-life', name: 'Still Lifes' },
+  { id: 'oscillator', name: 'Oscillators' },
+  { id: 'spaceship', name: 'Spaceships' },
+  { id: 'gun', name: 'Guns' },
+  { id: 'methuselah', name: 'Methuselahs' }
+];
+
+export const PATTERN_LIBRARY = [
+  // Still lifes
+  { id: 'block', name: 'Block', category: 'still-life', description: 'The most common still life', rle: '2o$2o!' },
+  { id: 'beehive', name: 'Beehive', category: 'still-life', description: 'Second most common still life', rle: 'b2o$o2bo$b2o!' },
+  { id: 'loaf', name: 'Loaf', category: 'still-life', description: 'Seven-cell still life', rle: 'b2o$o2bo$bobo$2bo!' },
+  { id: 'boat', name: 'Boat', category: 'still-life', description: 'Five-cell still life', rle: '2o$obo$bo!' },
+
+  // Oscillators
+  { id: 'blinker', name: 'Blinker', category: 'oscillator', period: 2, description: 'The smallest oscillator', rle: '3o!' },
+  { id: 'toad', name: 'Toad', category: 'oscillator', period: 2, description: 'Period 2 oscillator', rle: 'b3o$3o!' },
+  { id: 'beacon', name: 'Beacon', category: 'oscillator', period: 2, description: 'Two blocks blinking at their corners', rle: '2o$o$3bo$2b2o!' },
+  { id: 'pulsar', name: 'Pulsar', category: 'oscillator', period: 3, description: 'Most common period 3 oscillator', rle: '2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!' },
+  { id: 'pentadecathlon', name: 'Pentadecathlon', category: 'oscillator', period: 15, description: 'Period 15 oscillator', rle: '2bo4bo$2ob4ob2o$2bo4bo!' },
+  { id: 'kok-galaxy', name: "Kok's Galaxy", category: 'oscillator', period: 8, description: 'Spiral-shaped period 8 oscillator', rle: '6ob2o$6ob2o$7b2o$2o5b2o$2o5b2o$2o5b2o$2o$2ob6o$2ob6o!' },
+
+  // Spaceships
+  { id: 'glider', name: 'Glider', category: 'spaceship', period: 4, description: 'Moves diagonally one cell every 4 generations', rle: 'bo$2bo$3o!' },
+  { id: 'lwss', name: 'Lightweight Spaceship', category: 'spaceship', period: 4, description: 'Moves orthogonally at c/2', rle: 'bo2bo$o$o3bo$4o!' },
+  { id: 'mwss', name: 'Middleweight Spaceship', category: 'spaceship', period: 4, description: 'Moves orthogonally at c/2', rle: '3bo$bo3bo$o$o4bo$5o!' },
+  { id: 'hwss', name: 'Heavyweight Spaceship', category: 'spaceship', period: 4, description: 'Moves orthogonally at c/2', rle: '3b2o$bo4bo$o$o5bo$6o!' },
+  { id: 'copperhead', name: 'Copperhead', category: 'spaceship', period: 10, description: 'Slow c/10 orthogonal spaceship', rle: 'b2o2b2o$3b2o$3b2o$obo2bobo$o6bo2$o6bo$b2o2b2o$2b4o2$3b2o$3b2o!' },
+
+  // Guns
+  { id: 'gosper-gun', name: 'Gosper Glider Gun', category: 'gun', period: 30, description: 'The first known gun; fires a glider every 30 generations', rle: '24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!' },
+  { id: 'simkin-gun', name: 'Simkin Glider Gun', category: 'gun', period: 120, description: 'Smallest known gun by population; fires a glider every 120 generations', rle: '2o5b2o$2o5b2o2$4b2o$4b2o5$22b2ob2o$21bo5bo$21bo6bo2b2o$21b3o3bo3b2o$26bo4$20b2o$20bo$21b3o$23bo!' },
+
+  // Methuselahs
+  { id: 'r-pentomino', name: 'R-pentomino', category: 'methuselah', description: 'Five cells that take 1103 generations to settle', rle: 'b2o$2o$bo!' },
+  { id: 'acorn', name: 'Acorn', category: 'methuselah', description: 'Seven cells that take 5206 generations to settle', rle: 'bo$3bo$2o2b3o!' },
+  { id: 'diehard', name: 'Diehard', category: 'methuselah', description: 'Vanishes after 130 generations', rle: '6bo$2o$bo3b3o!' }
+];
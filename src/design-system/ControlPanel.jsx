@@ -201,6 +201,44 @@ export const SelectControl = ({
   </div>
 );
 
+/**
+ * Text Control - free text input with an optional error message
+ */
+export const TextControl = ({
+  label,
+  value,
+  onChange,
+  onCommit,
+  placeholder,
+  error,
+  icon,
+  disabled = false,
+  className = '',
+  ...props
+}) => (
+  <div className={`md3-text-control ${error ? 'md3-text-control--error' : ''} ${className}`}>
+    <label className="md3-text-control__label">
+      {icon && <i className={`${icon} me-2`}></i>}
+      {label}
+    </label>
+    <input
+      type="text"
+      className="md3-text-control__input"
+      value={value}
+      placeholder={placeholder}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter' && onCommit) onCommit(e.target.value);
+      }}
+      onBlur={(e) => onCommit && onCommit(e.target.value)}
+      disabled={disabled}
+      aria-invalid={Boolean(error)}
+      {...props}
+    />
+    {error && <span className="md3-text-control__error">{error}</span>}
+  </div>
+);
+
 /**
  * Info Display - shows read-only information
  */
@@ -299,6 +337,18 @@ SelectControl.propTypes = {
   className: PropTypes.string,
 };
 
+TextControl.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onCommit: PropTypes.func,
+  placeholder: PropTypes.string,
+  error: PropTypes.string,
+  icon: PropTypes.string,
+  disabled: PropTypes.bool,
+  className: PropTypes.string,
+};
+
 InfoDisplay.propTypes = {
   label: PropTypes.string.isRequired,
   value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
@@ -1,5 +1,8 @@
 // src/engine/CellularAutomata.js
 
+import { stepGrid, resolveRule, mapToTopology, Topologies } from './LifeRules.js';
+import { stampPattern, getLibraryPattern } from './LifePatterns.js';
+
 // Initialize 3D cellular automata grid
 export const initialize3DGrid = (width = 20, height = 20, depth = 20) => {
   const grid = [];
@@ -28,7 +31,7 @@ export const initialize3DGrid = (width = 20, height = 20, depth = 20) => {
 };
 
 // Count 3D neighbors
-export const count3DNeighbors = (grid, x, y, z) => {
+export const count3DNeighbors = (grid, x, y, z, topology = Topologies.TORUS) => {
   // Check if grid and its dimensions are valid before proceeding
   if (!grid || grid.length === 0 || !grid[0] || grid[0].length === 0 || !grid[0][0] || grid[0][0].length === 0) {
     // console.error("Invalid grid structure in count3DNeighbors");
@@ -43,10 +46,10 @@ export const count3DNeighbors = (grid, x, y, z) => {
     for (let dy = -1; dy <= 1; dy++) {
       for (let dx = -1; dx <= 1; dx++) {
         if (dx === 0 && dy === 0 && dz === 0) continue;
-        const nz = (z + dz + depth) % depth; // Ensure wrapping for toroidal array
-        const ny = (y + dy + height) % height;
-        const nx = (x + dx + width) % width;
-        // Additional checks for grid integrity if necessary, though modulo should handle bounds
+        const neighbor = mapToTopology(topology, [z + dz, y + dy, x + dx], [depth, height, width]);
+        if (!neighbor) continue; // Fell off a dead boundary
+        const [nz, ny, nx] = neighbor;
+        // Additional checks for grid integrity if necessary, though the topology keeps indices in bounds
         if (grid[nz] && grid[nz][ny] && typeof grid[nz][ny][nx] !== 'undefined') {
            count += grid[nz][ny][nx];
         }
@@ -58,7 +61,7 @@ export const count3DNeighbors = (grid, x, y, z) => {
 };
 
 // Update 3D cellular automata
-export const update3DGrid = (currentGrid) => {
+export const update3DGrid = (currentGrid, topology = Topologies.TORUS) => {
   if (!currentGrid || currentGrid.length === 0 || !currentGrid[0] || currentGrid[0].length === 0 || !currentGrid[0][0] || currentGrid[0][0].length === 0) {
     // console.warn("update3DGrid: currentGrid is empty or invalid.");
     return []; // Or handle error appropriately
@@ -73,7 +76,7 @@ export const update3DGrid = (currentGrid) => {
   for (let z = 0; z < depth; z++) {
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
-        const neighbors = count3DNeighbors(currentGrid, x, y, z); // Pass currentGrid
+        const neighbors = count3DNeighbors(currentGrid, x, y, z, topology); // Pass currentGrid
 
         // Example 3D rule (e.g., "Life 4-5/5")
         if (currentGrid[z][y][x] === 1) { // If cell is alive
@@ -157,7 +160,7 @@ export const draw3DCellularAutomata = (ctx, cellular3DGrid, width, height, editM
 
 // Initialize cellular automata grid
 export const initializeCellularGrid = (cellularRules, width = 60, height = 40) => {
-  const grid = [];
+  let grid = [];
   for (let y = 0; y < height; y++) {
     grid[y] = [];
     for (let x = 0; x < width; x++) {
@@ -175,7 +178,7 @@ export const initializeCellularGrid = (cellularRules, width = 60, height = 40) =
     }
     // Glider
     if (width > 5 && height > 5) {
-        grid[1][2] = 1; grid[2][3] = 1; grid[3][1] = 1; grid[3][2] = 1; grid[3][3] = 1;
+      grid = stampPattern(grid, getLibraryPattern('glider'), 1, 1);
     }
 
     // Pulsar (example, requires larger grid)
@@ -186,26 +189,14 @@ export const initializeCellularGrid = (cellularRules, width = 60, height = 40) =
           grid[y][x] = 0;
         }
       }
-      const pulsarPattern = [
-        [2,4],[2,5],[2,6],[2,10],[2,11],[2,12],
-        [4,2],[4,7],[4,9],[4,14],[5,2],[5,7],[5,9],[5,14],
-        [6,2],[6,7],[6,9],[6,14],[7,4],[7,5],[7,6],[7,10],[7,11],[7,12],
-        [9,4],[9,5],[9,6],[9,10],[9,11],[9,12],[10,2],[10,7],[10,9],[10,14],
-        [11,2],[11,7],[11,9],[11,14],[12,2],[12,7],[12,9],[12,14],
-        [14,4],[14,5],[14,6],[14,10],[14,11],[14,12]
-      ];
-      pulsarPattern.forEach(([dx, dy]) => {
-        if (py + dy < height && px + dx < width) { // Check bounds for each cell
-          grid[py + dy][px + dx] = 1;
-        }
-      });
+      grid = stampPattern(grid, getLibraryPattern('pulsar'), px + 2, py + 2);
     }
   }
   return grid;
 };
 
 // Count neighbors for cellular automata
-export const countNeighbors = (grid, x, y) => {
+export const countNeighbors = (grid, x, y, topology = Topologies.TORUS) => {
   if (!grid || grid.length === 0 || !grid[0] || grid[0].length === 0) {
     // console.error("Invalid grid structure in countNeighbors");
     return 0;
@@ -217,8 +208,9 @@ export const countNeighbors = (grid, x, y) => {
   for (let dy = -1; dy <= 1; dy++) {
     for (let dx = -1; dx <= 1; dx++) {
       if (dx === 0 && dy === 0) continue;
-      const nx = (x + dx + width) % width;   // Toroidal wrapping
-      const ny = (y + dy + height) % height; // Toroidal wrapping
+      const neighbor = mapToTopology(topology, [y + dy, x + dx], [height, width]);
+      if (!neighbor) continue; // Fell off a dead boundary
+      const [ny, nx] = neighbor;
       if (grid[ny] && typeof grid[ny][nx] !== 'undefined') {
         count += grid[ny][nx];
       }
@@ -227,51 +219,13 @@ export const countNeighbors = (grid, x, y) => {
   return count;
 };
 
-// Update cellular automata
-export const updateCellularGrid = (currentGrid, cellularRules) => {
+// Update cellular automata; cellularRules is a preset id from LifeRules.js or any rulestring
+export const updateCellularGrid = (currentGrid, cellularRules, topology = Topologies.TORUS) => {
   if (!currentGrid || currentGrid.length === 0 || !currentGrid[0] || currentGrid[0].length === 0) {
     // console.warn("updateCellularGrid: currentGrid is empty or invalid.");
     return [];
   }
-  const height = currentGrid.length;
-  const width = currentGrid[0].length;
-  const newGrid = currentGrid.map(row => [...row]); // Deep copy
-
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const neighbors = countNeighbors(currentGrid, x, y); // Pass currentGrid
-
-      if (cellularRules === 'conway') { // Conway's Game of Life rules
-        if (currentGrid[y][x] === 1) { // If cell is alive
-          if (neighbors < 2 || neighbors > 3) {
-            newGrid[y][x] = 0; // Dies (underpopulation/overpopulation)
-          } else {
-            newGrid[y][x] = 1; // Survives (2-3 neighbors)
-          }
-        } else { // If cell is dead
-          if (neighbors === 3) {
-            newGrid[y][x] = 1; // Born (reproduction)
-          } else {
-            newGrid[y][x] = 0; // Stays dead
-          }
-        }
-      } else if (cellularRules === 'maze') { // Maze generation rules (example)
-        if (currentGrid[y][x] === 1) { // If cell is part of maze (alive)
-          if (neighbors < 1 || neighbors > 5) newGrid[y][x] = 0; // Dies if too few/many neighbors
-        } else { // If cell is empty space
-          if (neighbors === 3) newGrid[y][x] = 1; // Becomes part of maze
-        }
-      } else if (cellularRules === 'coral') { // Coral growth simulation (example)
-        if (currentGrid[y][x] === 1) { // If cell is coral
-          if (neighbors < 4 || neighbors > 7) newGrid[y][x] = 0; // Dies (original had <4, let's try <4 or >7 for variety)
-        } else { // If cell is empty water
-          if (neighbors === 3 || neighbors === 6 || neighbors === 7) newGrid[y][x] = 1; // Grows coral (original had ===3, let's add more conditions)
-        }
-      }
-      // Add other rule sets as needed
-    }
-  }
-  return newGrid;
+  return stepGrid(currentGrid, cellularRules, topology);
 };
 
 // Draw cellular automata
@@ -293,9 +247,12 @@ export const drawCellularAutomata = (ctx, cellularGrid, cellular3DGrid, width, h
   ctx.fillStyle = 'rgba(15, 23, 42, 1)'; // Background color (e.g., dark slate blue)
   ctx.fillRect(0, 0, width, height);
 
+  // Dying cells of Generations rules fade out with age
+  const states = resolveRule(cellularRules).states;
+
   cellularGrid.forEach((row, y) => {
     row.forEach((cell, x) => {
-      if (cell === 1) {
+      if (cell >= 1) {
         const age = Math.min(1, generation * 0.01); // Use generation for color variation
         let R, G, B;
         if (cellularRules === 'conway') {
@@ -305,7 +262,8 @@ export const drawCellularAutomata = (ctx, cellularGrid, cellular3DGrid, width, h
         } else { // Default or 'coral'
           R = 251; G = 146; B = 60; // Orange
         }
-        ctx.fillStyle = `rgba(${R}, ${G}, ${B}, ${0.7 + age * 0.3})`;
+        const fade = cell === 1 ? 1 : 1 - (cell - 1) / states;
+        ctx.fillStyle = `rgba(${R}, ${G}, ${B}, ${(0.7 + age * 0.3) * fade})`;
 
         ctx.fillRect(x * cellWidth, y * cellHeight, cellWidth - 0.5, cellHeight - 0.5); // -0.5 for grid line effect
       }
@@ -0,0 +1,308 @@
+// src/engine/HashLife.js
+
+// HashLife universe: an unbounded plane stored as a hash-consed quadtree.
+// Identical subtrees are shared and the future of every node is memoized, so
+// periodic or repetitive patterns can jump 2^n generations per step.
+// Supports two-state, range 1 rules (any Life-like rule without B0).
+//
+// Node: { level, nw, ne, sw, se, population, id } covering 2^level cells a side.
+// The root is centred on the origin: it covers [-2^(level-1), 2^(level-1)).
+
+import { Neighborhoods, resolveRule } from './LifeRules.js';
+
+// Canonical nodes kept before unreachable ones are dropped
+const MAX_NODES = 1 << 20;
+
+// Smallest root; the centring test looks three levels down
+const MIN_ROOT_LEVEL = 3;
+
+// Whether HashLife can run a rule; returns a reason when it cannot
+export const hashLifeSupport = (rule) => {
+  if (rule.states > 2) return 'HashLife only supports two-state rules';
+  if (rule.range > 1) return 'HashLife only supports range 1 neighborhoods';
+  if (rule.birth[0]) return 'Rules with B0 need a bounded grid';
+  return null;
+};
+
+// Offsets of the cells a range 1 neighborhood counts
+const neighborOffsets = (rule) => {
+  const offsets = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0 && !rule.includeCenter) continue;
+      if (rule.neighborhood === Neighborhoods.VON_NEUMANN && dx !== 0 && dy !== 0) continue;
+      offsets.push([dx, dy]);
+    }
+  }
+  return offsets;
+};
+
+export const createHashLifeUniverse = (ruleOrName) => {
+  let rule = resolveRule(ruleOrName);
+  let offsets = neighborOffsets(rule);
+  let nextId = 2;
+  let table = new Map();
+  const zeros = [];
+
+  const DEAD = { level: 0, population: 0, id: 0 };
+  const ALIVE = { level: 0, population: 1, id: 1 };
+
+  // Canonical node for four children
+  const join = (nw, ne, sw, se) => {
+    const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+    let node = table.get(key);
+    if (!node) {
+      node = {
+        level: nw.level + 1,
+        nw, ne, sw, se,
+        population: nw.population + ne.population + sw.population + se.population,
+        id: nextId++,
+        results: null
+      };
+      table.set(key, node);
+    }
+    return node;
+  };
+
+  // Empty node of a level
+  const zero = (level) => {
+    if (level === 0) return DEAD;
+    if (!zeros[level]) {
+      const child = zero(level - 1);
+      zeros[level] = join(child, child, child, child);
+    }
+    return zeros[level];
+  };
+
+  let root = zero(MIN_ROOT_LEVEL);
+  let generation = 0;
+
+  // Same content one level up, centred
+  const expand = (node) => {
+    const empty = zero(node.level - 1);
+    return join(
+      join(empty, empty, empty, node.nw),
+      join(empty, empty, node.ne, empty),
+      join(empty, node.sw, empty, empty),
+      join(node.se, empty, empty, empty)
+    );
+  };
+
+  // Central half of a node
+  const centre = (node) => join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+
+  // True when every live cell lies in the middle quarter of the root, leaving
+  // room for a jump of up to 2^(level - 2) generations
+  const isCentred = (node) => (
+    node.nw.population === node.nw.se.se.population &&
+    node.ne.population === node.ne.sw.sw.population &&
+    node.sw.population === node.sw.ne.ne.population &&
+    node.se.population === node.se.nw.nw.population
+  );
+
+  // Cell of a node, (x, y) relative to its top-left corner
+  const cellIn = (node, x, y) => {
+    if (node.level === 0) return node.population;
+    if (node.population === 0) return 0;
+    const half = 2 ** (node.level - 1);
+    if (y < half) return x < half ? cellIn(node.nw, x, y) : cellIn(node.ne, x - half, y);
+    return x < half ? cellIn(node.sw, x, y - half) : cellIn(node.se, x - half, y - half);
+  };
+
+  // Next state of the centre 2x2 of a 4x4 node
+  const baseStep = (node) => {
+    const next = (x, y) => {
+      let count = 0;
+      offsets.forEach(([dx, dy]) => { count += cellIn(node, x + dx, y + dy); });
+      const table = cellIn(node, x, y) ? rule.survival : rule.birth;
+      return table[count] ? ALIVE : DEAD;
+    };
+    return join(next(1, 1), next(2, 1), next(1, 2), next(2, 2));
+  };
+
+  // Centre of a node (one level down) advanced 2^step generations; step <= level - 2
+  const successor = (node, step) => {
+    if (node.population === 0) return zero(node.level - 1);
+    if (node.results && node.results.has(step)) return node.results.get(step);
+
+    let result;
+    if (node.level === 2) {
+      result = baseStep(node);
+    } else {
+      const { nw, ne, sw, se } = node;
+      const parts = [
+        nw,
+        join(nw.ne, ne.nw, nw.se, ne.sw),
+        ne,
+        join(nw.sw, nw.se, sw.nw, sw.ne),
+        join(nw.se, ne.sw, sw.ne, se.nw),
+        join(ne.sw, ne.se, se.nw, se.ne),
+        sw,
+        join(sw.ne, se.nw, sw.se, se.sw),
+        se
+      ];
+      // At full speed both halves of the jump are taken; otherwise only the last
+      const fullSpeed = step === node.level - 2;
+      const inner = parts.map(part => (fullSpeed ? successor(part, step - 1) : centre(part)));
+      const advance = (a, b, c, d) => successor(join(a, b, c, d), fullSpeed ? step - 1 : step);
+      result = join(
+        advance(inner[0], inner[1], inner[3], inner[4]),
+        advance(inner[1], inner[2], inner[4], inner[5]),
+        advance(inner[3], inner[4], inner[6], inner[7]),
+        advance(inner[4], inner[5], inner[7], inner[8])
+      );
+    }
+
+    if (!node.results) node.results = new Map();
+    node.results.set(step, result);
+    return result;
+  };
+
+  // Drop nodes the root no longer uses, along with every memoized result
+  const collectGarbage = () => {
+    const live = new Map();
+    const keep = (node) => {
+      if (node.level === 0) return;
+      const key = `${node.nw.id},${node.ne.id},${node.sw.id},${node.se.id}`;
+      if (live.has(key)) return;
+      node.results = null;
+      live.set(key, node);
+      keep(node.nw); keep(node.ne); keep(node.sw); keep(node.se);
+    };
+    keep(root);
+    zeros.forEach(node => node && keep(node));
+    table = live;
+  };
+
+  const stepPowerOfTwo = (step) => {
+    while (root.level < step + 2 || !isCentred(root)) root = expand(root);
+    root = successor(expand(root), step);
+    generation += 2 ** step;
+    if (table.size > MAX_NODES) collectGarbage();
+  };
+
+  // Node with cell (x, y) set, coordinates relative to its top-left corner
+  const setIn = (node, x, y, state) => {
+    if (node.level === 0) return state ? ALIVE : DEAD;
+    const half = 2 ** (node.level - 1);
+    const { nw, ne, sw, se } = node;
+    if (y < half) {
+      return x < half
+        ? join(setIn(nw, x, y, state), ne, sw, se)
+        : join(nw, setIn(ne, x - half, y, state), sw, se);
+    }
+    return x < half
+      ? join(nw, ne, setIn(sw, x, y - half, state), se)
+      : join(nw, ne, sw, setIn(se, x - half, y - half, state));
+  };
+
+  const rootHalf = () => 2 ** (root.level - 1);
+
+  // Bounding box of a node's live cells relative to its top-left corner, cached on the node
+  const boundsOf = (node) => {
+    if (node.population === 0) return null;
+    if (node.level === 0) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+    if (node.bounds) return node.bounds;
+    const half = 2 ** (node.level - 1);
+    let box = null;
+    [[node.nw, 0, 0], [node.ne, half, 0], [node.sw, 0, half], [node.se, half, half]].forEach(([child, dx, dy]) => {
+      const inner = boundsOf(child);
+      if (!inner) return;
+      box = box
+        ? {
+          minX: Math.min(box.minX, inner.minX + dx),
+          minY: Math.min(box.minY, inner.minY + dy),
+          maxX: Math.max(box.maxX, inner.maxX + dx),
+          maxY: Math.max(box.maxY, inner.maxY + dy)
+        }
+        : { minX: inner.minX + dx, minY: inner.minY + dy, maxX: inner.maxX + dx, maxY: inner.maxY + dy };
+    });
+    node.bounds = box;
+    return box;
+  };
+
+  // Visit live nodes overlapping a rectangle, stopping at blocks of `resolution` cells
+  const visit = (node, x0, y0, minX, minY, maxX, maxY, resolution, callback) => {
+    if (node.population === 0) return;
+    const size = 2 ** node.level;
+    if (x0 > maxX || y0 > maxY || x0 + size <= minX || y0 + size <= minY) return;
+    if (node.level === 0 || size <= resolution) {
+      callback(x0, y0, size, 1);
+      return;
+    }
+    const half = size / 2;
+    visit(node.nw, x0, y0, minX, minY, maxX, maxY, resolution, callback);
+    visit(node.ne, x0 + half, y0, minX, minY, maxX, maxY, resolution, callback);
+    visit(node.sw, x0, y0 + half, minX, minY, maxX, maxY, resolution, callback);
+    visit(node.se, x0 + half, y0 + half, minX, minY, maxX, maxY, resolution, callback);
+  };
+
+  return {
+    engine: 'hashlife',
+
+    getRule: () => rule,
+
+    // Memoized futures depend on the rule, so they are forgotten on change
+    setRule: (ruleOrNameNext) => {
+      const next = resolveRule(ruleOrNameNext);
+      const problem = hashLifeSupport(next);
+      if (problem) throw new Error(problem);
+      rule = next;
+      offsets = neighborOffsets(rule);
+      table.forEach(node => { node.results = null; });
+    },
+
+    getGeneration: () => generation,
+    // Restored history keeps its generation number
+    setGeneration: (value) => { generation = value; },
+    getPopulation: () => root.population,
+
+    getCell: (x, y) => {
+      const half = rootHalf();
+      if (x < -half || y < -half || x >= half || y >= half) return 0;
+      return cellIn(root, x + half, y + half);
+    },
+
+    setCell: (x, y, state) => {
+      while (x < -rootHalf() || y < -rootHalf() || x >= rootHalf() || y >= rootHalf()) {
+        root = expand(root);
+      }
+      const half = rootHalf();
+      root = setIn(root, x + half, y + half, state === 1 ? 1 : 0);
+    },
+
+    clear: () => {
+      root = zero(MIN_ROOT_LEVEL);
+      generation = 0;
+      collectGarbage();
+    },
+
+    // Advance any number of generations, one power of two at a time
+    step: (generations = 1) => {
+      let remaining = Math.floor(generations);
+      for (let bit = 0; remaining > 0; bit++, remaining = Math.floor(remaining / 2)) {
+        if (remaining % 2 === 1) stepPowerOfTwo(bit);
+      }
+    },
+
+    getBounds: () => {
+      const box = boundsOf(root);
+      if (!box) return null;
+      const half = rootHalf();
+      return { minX: box.minX - half, minY: box.minY - half, maxX: box.maxX - half, maxY: box.maxY - half };
+    },
+
+    // callback(x, y, size, state) for each live cell, or live block when resolution > 1
+    forEachCell: (minX, minY, maxX, maxY, resolution, callback) => {
+      const half = rootHalf();
+      visit(root, -half, -half, minX, minY, maxX, maxY, Math.max(1, resolution), callback);
+    },
+
+    getCells: () => {
+      const cells = [];
+      const half = rootHalf();
+      visit(root, -half, -half, -half, -half, half, half, 1, (x, y) => cells.push([x, y, 1]));
+      return cells;
+    }
+  };
+};
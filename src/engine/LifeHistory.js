@@ -0,0 +1,220 @@
+// src/engine/LifeHistory.js
+
+// Bounded, compressed record of past generations. Snapshots are either a
+// run-length encoded bounded grid or the cell list of an unbounded universe,
+// shifted to its bounding box so moving patterns are recognised. Recording a
+// generation again with different cells (an edit) forgets everything from that
+// generation on.
+// Events mark where the pattern became periodic or died out.
+
+export const HistoryEvents = {
+  PERIODIC: 'periodic',
+  EXTINCT: 'extinct'
+};
+
+export const DEFAULT_HISTORY_CAPACITY = 1000;
+export const DEFAULT_HISTORY_BYTES = 16 * 1024 * 1024;
+
+// 32-bit FNV-1a over the values of an integer array
+const hashValues = (values) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < values.length; i++) {
+    hash ^= values[i];
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const sameValues = (a, b) => {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+};
+
+// Snapshot of a grid of any orientation as [state, run, state, run, ...]
+export const encodeGrid = (grid) => {
+  const outer = grid.length;
+  const inner = outer ? grid[0].length : 0;
+  const runs = [];
+  let population = 0;
+  let state = -1;
+  let run = 0;
+  for (let i = 0; i < outer; i++) {
+    for (let j = 0; j < inner; j++) {
+      const value = grid[i][j] || 0;
+      if (value > 0) population++;
+      if (value === state) {
+        run++;
+      } else {
+        if (run > 0) runs.push(state, run);
+        state = value;
+        run = 1;
+      }
+    }
+  }
+  if (run > 0) runs.push(state, run);
+  const data = Uint32Array.from(runs);
+  return { kind: 'grid', outer, inner, data, population, offset: [0, 0], hash: hashValues(data) };
+};
+
+export const decodeGrid = (snapshot) => {
+  const grid = Array.from({ length: snapshot.outer }, () => new Array(snapshot.inner).fill(0));
+  let index = 0;
+  for (let k = 0; k < snapshot.data.length; k += 2) {
+    const state = snapshot.data[k];
+    for (let n = 0; n < snapshot.data[k + 1]; n++, index++) {
+      if (state) grid[Math.floor(index / snapshot.inner)][index % snapshot.inner] = state;
+    }
+  }
+  return grid;
+};
+
+// Snapshot of [x, y, state] cells as [x, y, state, ...] relative to their bounding box
+export const encodeCells = (cells) => {
+  let minX = Infinity;
+  let minY = Infinity;
+  cells.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+  });
+  const sorted = cells
+    .map(([x, y, state]) => [x - minX, y - minY, state])
+    .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  const data = new Int32Array(sorted.length * 3);
+  sorted.forEach(([x, y, state], i) => data.set([x, y, state], i * 3));
+  const offset = cells.length ? [minX, minY] : [0, 0];
+  return { kind: 'cells', data, population: cells.length, offset, hash: hashValues(data) };
+};
+
+export const decodeCells = (snapshot) => {
+  const cells = [];
+  const [offsetX, offsetY] = snapshot.offset;
+  for (let i = 0; i < snapshot.data.length; i += 3) {
+    cells.push([snapshot.data[i] + offsetX, snapshot.data[i + 1] + offsetY, snapshot.data[i + 2]]);
+  }
+  return cells;
+};
+
+const sameSnapshot = (a, b) => (
+  a.kind === b.kind && a.hash === b.hash && a.outer === b.outer && a.inner === b.inner && sameValues(a.data, b.data)
+);
+
+export const createLifeHistory = ({ capacity = DEFAULT_HISTORY_CAPACITY, maxBytes = DEFAULT_HISTORY_BYTES } = {}) => {
+  // Sorted by generation; { generation, snapshot }
+  let entries = [];
+  let events = [];
+  let bytes = 0;
+  // First generation of the current uninterrupted run; periods are only looked for inside it
+  let runStart = 0;
+  // Whether the run already ended up periodic or extinct
+  let runSettled = false;
+
+  const startRun = (generation) => {
+    runStart = generation;
+    runSettled = false;
+  };
+
+  const indexOf = (generation) => entries.findIndex(entry => entry.generation === generation);
+
+  // Forget every entry and event from a generation on
+  const truncate = (generation) => {
+    const kept = entries.filter(entry => entry.generation < generation);
+    entries.slice(kept.length).forEach(entry => { bytes -= entry.snapshot.data.byteLength; });
+    entries = kept;
+    events = events.filter(event => event.detectedAt < generation);
+  };
+
+  const detect = (generation, snapshot) => {
+    if (runSettled) return null;
+    if (snapshot.population === 0) {
+      return { type: HistoryEvents.EXTINCT, generation, detectedAt: generation };
+    }
+    const earlier = entries.find(entry => (
+      entry.generation >= runStart && entry.generation < generation && sameSnapshot(entry.snapshot, snapshot)
+    ));
+    if (!earlier) return null;
+    return {
+      type: HistoryEvents.PERIODIC,
+      generation: earlier.generation,
+      period: generation - earlier.generation,
+      // Spaceships come back shifted
+      displacement: [
+        snapshot.offset[0] - earlier.snapshot.offset[0],
+        snapshot.offset[1] - earlier.snapshot.offset[1]
+      ],
+      detectedAt: generation
+    };
+  };
+
+  return {
+    // Store the state of a generation; returns an event it revealed, if any
+    record: (generation, snapshot) => {
+      const existing = indexOf(generation);
+      if (existing !== -1) {
+        if (sameSnapshot(entries[existing].snapshot, snapshot)) return null;
+        // The past was rewritten; everything recorded from here on is stale
+        truncate(generation);
+        startRun(generation);
+      }
+      if (!entries.length) startRun(generation);
+
+      const event = detect(generation, snapshot);
+      if (event) {
+        events.push(event);
+        runSettled = true;
+      }
+      // Usually appended, but a replay with a different step can land between entries
+      const after = entries.findIndex(entry => entry.generation > generation);
+      entries.splice(after === -1 ? entries.length : after, 0, { generation, snapshot });
+      bytes += snapshot.data.byteLength;
+
+      // Oldest generations go first once over budget
+      while (entries.length > 1 && (entries.length > capacity || bytes > maxBytes)) {
+        bytes -= entries.shift().snapshot.data.byteLength;
+      }
+      return event;
+    },
+
+    // Drop what followed a generation and look for periods afresh from it,
+    // for changes such as a new rule that leave the current cells alone
+    forgetAfter: (generation) => {
+      truncate(generation + 1);
+      startRun(generation);
+    },
+
+    // Snapshot of a recorded generation, or null
+    get: (generation) => {
+      const index = indexOf(generation);
+      return index === -1 ? null : entries[index].snapshot;
+    },
+
+    // Latest recorded generation at or before the given one, or null
+    nearestBefore: (generation) => {
+      let found = null;
+      entries.forEach(entry => {
+        if (entry.generation <= generation) found = entry;
+      });
+      return found;
+    },
+
+    // Earliest recorded generation after the given one, or null
+    nearestAfter: (generation) => entries.find(entry => entry.generation > generation) || null,
+
+    getRange: () => (
+      entries.length ? { start: entries[0].generation, end: entries[entries.length - 1].generation } : null
+    ),
+
+    getEvents: () => events,
+
+    getSize: () => ({ entries: entries.length, bytes }),
+
+    clear: () => {
+      entries = [];
+      events = [];
+      bytes = 0;
+      startRun(0);
+    }
+  };
+};
@@ -0,0 +1,358 @@
+// src/engine/LifePatterns.js
+
+// Reading, writing and placing Life patterns. A pattern is
+//   { name, comments, rule, topology, width, height, cells: [[x, y, state], ...] }
+// with cells relative to the top-left corner of its bounding box; state is 1
+// for live cells and 2+ for the dying states of Generations rules. topology is
+// the bounded grid the pattern was saved from ({ type, width, height }) or null.
+// Formats: RLE (.rle), Life 1.06 (.lif) and plaintext (.cells); only RLE
+// records the topology, as a suffix of its rule: B3/S23:T50,40.
+
+import { PATTERN_LIBRARY } from '../config/lifePatterns.js';
+import { formatTopology, parseTopology, mapToTopology, Topologies } from './LifeRules.js';
+
+export const PatternFormats = {
+  RLE: 'rle',
+  LIFE_106: 'life106',
+  PLAINTEXT: 'plaintext'
+};
+
+export const PATTERN_FILE_EXTENSIONS = {
+  [PatternFormats.RLE]: 'rle',
+  [PatternFormats.LIFE_106]: 'lif',
+  [PatternFormats.PLAINTEXT]: 'cells'
+};
+
+// RLE lines are kept below the customary 70 characters
+const RLE_LINE_LENGTH = 70;
+
+// Shift cells so the bounding box starts at 0,0 and measure it
+const normalize = (cells, extra = {}) => {
+  if (cells.length === 0) {
+    return { name: '', comments: [], rule: null, topology: null, ...extra, width: 0, height: 0, cells: [] };
+  }
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  cells.forEach(([x, y]) => {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  });
+  return {
+    name: '',
+    comments: [],
+    rule: null,
+    topology: null,
+    ...extra,
+    width: maxX - minX + 1,
+    height: maxY - minY + 1,
+    cells: cells.map(([x, y, state = 1]) => [x - minX, y - minY, state])
+  };
+};
+
+const lineError = (lineNumber, message) => new Error(`Line ${lineNumber}: ${message}`);
+
+// RLE state letters: b/o for two-state patterns, . and A-X for multi-state ones
+const rleState = (char) => {
+  if (char === 'b' || char === '.') return 0;
+  if (char === 'o') return 1;
+  if (char >= 'A' && char <= 'X') return char.charCodeAt(0) - 64;
+  return null;
+};
+
+// Split a Golly-style topology suffix off an RLE rule. Topologies without a
+// counterpart here (Golly's sphere, half-infinite tubes) are dropped.
+const splitRuleTopology = (pattern, text) => {
+  const [rule, suffix] = text.split(':');
+  pattern.rule = rule;
+  if (!suffix) return;
+  try {
+    const topology = parseTopology(suffix);
+    pattern.topology = topology.width > 0 && topology.height > 0 ? topology : null;
+  } catch {
+    pattern.topology = null;
+  }
+};
+
+// Parse an RLE pattern; the x/y header is optional, a rule in it is kept
+export const parseRLE = (text) => {
+  const pattern = { name: '', comments: [], rule: null, topology: null };
+  const cells = [];
+  let x = 0;
+  let y = 0;
+  let run = '';
+  let done = false;
+  let declared = null;
+
+  String(text).split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (done || line === '') return;
+
+    if (line.startsWith('#')) {
+      const kind = line[1];
+      const content = line.slice(2).trim();
+      if (kind === 'N') pattern.name = content;
+      else if (kind === 'C' || kind === 'c' || kind === 'O') pattern.comments.push(content);
+      else if (kind === 'r') splitRuleTopology(pattern, content);
+      return;
+    }
+
+    const header = line.match(/^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)(?:\s*,\s*rule\s*=\s*(\S+))?/i);
+    if (header) {
+      declared = { width: Number(header[1]), height: Number(header[2]) };
+      if (header[3]) splitRuleTopology(pattern, header[3]);
+      return;
+    }
+
+    for (const char of line) {
+      if (done) break;
+      if (char >= '0' && char <= '9') {
+        run += char;
+        continue;
+      }
+      if (char === ' ' || char === '\t') continue;
+      const count = run === '' ? 1 : Number(run);
+      run = '';
+
+      if (char === '!') {
+        done = true;
+      } else if (char === '$') {
+        y += count;
+        x = 0;
+      } else {
+        const state = rleState(char);
+        if (state === null) throw lineError(lineNumber, `Unexpected '${char}' in RLE data`);
+        if (state > 0) {
+          for (let i = 0; i < count; i++) cells.push([x + i, y, state]);
+        }
+        x += count;
+      }
+    }
+  });
+
+  if (declared && cells.some(([cellX, cellY]) => cellX >= declared.width || cellY >= declared.height)) {
+    throw new Error(`Pattern data does not fit the declared ${declared.width}x${declared.height} size`);
+  }
+  return normalize(cells, pattern);
+};
+
+// Write a pattern as RLE
+export const writeRLE = (pattern, options = {}) => {
+  const name = options.name ?? pattern.name;
+  const rule = options.rule ?? pattern.rule;
+  const topology = options.topology ?? pattern.topology;
+  const multiState = pattern.cells.some(([, , state]) => state > 1);
+  const lines = [];
+  if (name) lines.push(`#N ${name}`);
+  (pattern.comments || []).forEach(comment => lines.push(`#C ${comment}`));
+  const ruleText = rule && topology ? `${rule}:${formatTopology(topology)}` : rule;
+  lines.push(`x = ${pattern.width}, y = ${pattern.height}${ruleText ? `, rule = ${ruleText}` : ''}`);
+
+  const rows = Array.from({ length: pattern.height }, () => new Map());
+  pattern.cells.forEach(([x, y, state]) => rows[y].set(x, state));
+
+  // Runs of equal symbols; trailing dead cells and empty rows collapse into $ runs
+  const tokens = [];
+  const push = (count, symbol) => {
+    const last = tokens[tokens.length - 1];
+    if (last && last.symbol === symbol) last.count += count;
+    else tokens.push({ count, symbol });
+  };
+  rows.forEach((row, y) => {
+    const lastX = Math.max(-1, ...row.keys());
+    for (let x = 0; x <= lastX; x++) {
+      const state = row.get(x) || 0;
+      push(1, multiState ? (state === 0 ? '.' : String.fromCharCode(64 + state)) : (state === 0 ? 'b' : 'o'));
+    }
+    if (y < rows.length - 1) push(1, '$');
+  });
+
+  let body = '';
+  let line = '';
+  [...tokens.map(({ count, symbol }) => `${count > 1 ? count : ''}${symbol}`), '!'].forEach(token => {
+    if (line.length + token.length > RLE_LINE_LENGTH) {
+      body += `${line}\n`;
+      line = '';
+    }
+    line += token;
+  });
+  lines.push(body + line);
+  return `${lines.join('\n')}\n`;
+};
+
+// Parse a Life 1.06 pattern: one "x y" pair per live cell
+export const parseLife106 = (text) => {
+  const pattern = { name: '', comments: [], rule: null };
+  const cells = [];
+  String(text).split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (line === '') return;
+    if (line.startsWith('#')) {
+      if (line.startsWith('#N')) pattern.name = line.slice(2).trim();
+      else if (line.startsWith('#C') || line.startsWith('#D')) pattern.comments.push(line.slice(2).trim());
+      else if (line.startsWith('#R')) pattern.rule = line.slice(2).trim();
+      return;
+    }
+    const match = line.match(/^(-?\d+)\s+(-?\d+)$/);
+    if (!match) throw lineError(index + 1, `Expected "x y" but found '${line}'`);
+    cells.push([Number(match[1]), Number(match[2]), 1]);
+  });
+  return normalize(cells, pattern);
+};
+
+// Write a pattern as Life 1.06; dying states are not representable and are dropped
+export const writeLife106 = (pattern) => {
+  const lines = ['#Life 1.06'];
+  pattern.cells
+    .filter(([, , state]) => state === 1)
+    .forEach(([x, y]) => lines.push(`${x} ${y}`));
+  return `${lines.join('\n')}\n`;
+};
+
+// Parse a plaintext (.cells) pattern: "O" (or "*") live, "." dead, "!" comments
+export const parsePlaintext = (text) => {
+  const pattern = { name: '', comments: [], rule: null };
+  const cells = [];
+  let y = 0;
+  String(text).split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/\s+$/, '');
+    if (line.startsWith('!')) {
+      const nameMatch = line.match(/^!Name:\s*(.*)$/);
+      if (nameMatch) pattern.name = nameMatch[1].trim();
+      else pattern.comments.push(line.slice(1).trim());
+      return;
+    }
+    for (let x = 0; x < line.length; x++) {
+      const char = line[x];
+      if (char === 'O' || char === '*') cells.push([x, y, 1]);
+      else if (char !== '.') throw lineError(index + 1, `Unexpected '${char}' in plaintext pattern`);
+    }
+    y++;
+  });
+  return normalize(cells, pattern);
+};
+
+// Write a pattern as plaintext; dying states are written as dead cells
+export const writePlaintext = (pattern, options = {}) => {
+  const name = options.name ?? pattern.name;
+  const lines = [];
+  if (name) lines.push(`!Name: ${name}`);
+  (pattern.comments || []).forEach(comment => lines.push(`!${comment}`));
+  const rows = Array.from({ length: pattern.height }, () => new Array(pattern.width).fill('.'));
+  pattern.cells.forEach(([x, y, state]) => {
+    if (state === 1) rows[y][x] = 'O';
+  });
+  rows.forEach(row => lines.push(row.join('').replace(/\.+$/, '')));
+  return `${lines.join('\n')}\n`;
+};
+
+// Guess the format of pattern text
+export const detectPatternFormat = (text) => {
+  const content = String(text).trim();
+  if (/^#Life 1\.06/i.test(content)) return PatternFormats.LIFE_106;
+  if (/^!/.test(content) || /^[.O*\s]+$/.test(content)) return PatternFormats.PLAINTEXT;
+  return PatternFormats.RLE;
+};
+
+// Parse pattern text in any supported format (detected unless given)
+export const parsePattern = (text, format = detectPatternFormat(text)) => {
+  switch (format) {
+    case PatternFormats.LIFE_106:
+      return parseLife106(text);
+    case PatternFormats.PLAINTEXT:
+      return parsePlaintext(text);
+    default:
+      return parseRLE(text);
+  }
+};
+
+// Write a pattern in a supported format
+export const writePattern = (pattern, format = PatternFormats.RLE, options = {}) => {
+  switch (format) {
+    case PatternFormats.LIFE_106:
+      return writeLife106(pattern);
+    case PatternFormats.PLAINTEXT:
+      return writePlaintext(pattern, options);
+    default:
+      return writeRLE(pattern, options);
+  }
+};
+
+// Rotate a pattern clockwise by a number of quarter turns
+export const rotatePattern = (pattern, quarterTurns = 1) => {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  let cells = pattern.cells;
+  let width = pattern.width;
+  let height = pattern.height;
+  for (let i = 0; i < turns; i++) {
+    const h = height;
+    cells = cells.map(([x, y, state]) => [h - 1 - y, x, state]);
+    [width, height] = [height, width];
+  }
+  return normalize(cells, { name: pattern.name, comments: pattern.comments, rule: pattern.rule });
+};
+
+// Mirror a pattern left-right ('horizontal') or top-bottom ('vertical')
+export const flipPattern = (pattern, axis = 'horizontal') => normalize(
+  pattern.cells.map(([x, y, state]) => (
+    axis === 'vertical' ? [x, pattern.height - 1 - y, state] : [pattern.width - 1 - x, y, state]
+  )),
+  { name: pattern.name, comments: pattern.comments, rule: pattern.rule }
+);
+
+// Apply an orientation { rotation (quarter turns), flipX, flipY }: flips first, then rotation
+export const orientPattern = (pattern, { rotation = 0, flipX = false, flipY = false } = {}) => {
+  let result = pattern;
+  if (flipX) result = flipPattern(result, 'horizontal');
+  if (flipY) result = flipPattern(result, 'vertical');
+  return rotation ? rotatePattern(result, rotation) : result;
+};
+
+// Copy of a grid with a pattern's cells set, top-left corner at (originX, originY).
+// Cells past an edge land where the grid topology takes them (torus by
+// default); dead and reflective edges clip them. columnMajor grids are indexed
+// grid[x][y] (useGameOfLife), others grid[y][x] (CellularAutomata.js). In 'copy'
+// mode the pattern's dead cells clear the grid; in 'or' mode they leave it alone.
+export const stampPattern = (grid, pattern, originX, originY, { columnMajor = false, mode = 'or', topology = Topologies.TORUS } = {}) => {
+  if (!grid || grid.length === 0 || !grid[0]) return grid;
+  const sizes = [grid.length, grid[0].length];
+  const edges = topology === Topologies.REFLECTIVE ? Topologies.DEAD : topology;
+  const next = grid.map(line => [...line]);
+  const set = (x, y, state) => {
+    const target = mapToTopology(edges, columnMajor ? [x, y] : [y, x], sizes);
+    if (target) next[target[0]][target[1]] = state;
+  };
+
+  if (mode === 'copy') {
+    for (let y = 0; y < pattern.height; y++) {
+      for (let x = 0; x < pattern.width; x++) set(originX + x, originY + y, 0);
+    }
+  }
+  pattern.cells.forEach(([x, y, state]) => set(originX + x, originY + y, state));
+  return next;
+};
+
+// Pattern of the non-dead cells of a grid, trimmed to their bounding box
+export const patternFromGrid = (grid, { columnMajor = false, name = '', rule = null, topology = null } = {}) => {
+  const cells = [];
+  grid.forEach((line, i) => line.forEach((state, j) => {
+    if (state > 0) cells.push(columnMajor ? [i, j, state] : [j, i, state]);
+  }));
+  return normalize(cells, { name, rule, topology });
+};
+
+// Pattern of a list of [x, y, state] cells at any coordinates, trimmed to their bounding box
+export const patternFromCells = (cells, { name = '', rule = null } = {}) => normalize(cells, { name, rule });
+
+const libraryCache = new Map();
+
+// Parsed pattern of a library entry
+export const getLibraryPattern = (id) => {
+  if (!libraryCache.has(id)) {
+    const entry = PATTERN_LIBRARY.find(item => item.id === id);
+    if (!entry) return null;
+    libraryCache.set(id, { ...parseRLE(entry.rle), name: entry.name, comments: [entry.description] });
+  }
+  return libraryCache.get(id);
+};
@@ -0,0 +1,408 @@
+// src/engine/LifeRules.js
+
+// Shared rule engine for Life-like cellular automata. Understands:
+//   - Life-like rulestrings: B3/S23, B3S23, S/B notation 23/3, and a V suffix
+//     for the von Neumann neighborhood (B2/S013V)
+//   - Generations rules with decay states: B2/S/C3 or S/B/C notation /2/3
+//   - Larger than Life rules: R5,C0,M1,S34..58,B34..45,NM (NN for von Neumann)
+// Cell states: 0 is dead, 1 is alive, 2..states-1 are dying (Generations).
+// Only live cells count as neighbors. Grid edges follow a Topology.
+
+export const Neighborhoods = {
+  MOORE: 'moore',
+  VON_NEUMANN: 'vonNeumann'
+};
+
+// How neighborhoods reach past the edges of a grid
+export const Topologies = {
+  DEAD: 'dead',
+  TORUS: 'torus',
+  KLEIN: 'klein',
+  PROJECTIVE: 'projective',
+  REFLECTIVE: 'reflective'
+};
+
+export const TopologyNames = {
+  [Topologies.DEAD]: 'Dead boundary',
+  [Topologies.TORUS]: 'Torus',
+  [Topologies.KLEIN]: 'Klein bottle',
+  [Topologies.PROJECTIVE]: 'Projective plane',
+  [Topologies.REFLECTIVE]: 'Reflective'
+};
+
+export const MAX_RANGE = 10;
+export const MAX_STATES = 256;
+
+// Named rules; ids are stable so settings can refer to them
+export const RULE_PRESETS = [
+  { id: 'conway', name: "Conway's Life", rulestring: 'B3/S23', description: 'Birth on 3, survival on 2 or 3' },
+  { id: 'highlife', name: 'HighLife', rulestring: 'B36/S23', description: 'Life with an extra birth on 6; home of a small replicator' },
+  { id: 'daynight', name: 'Day & Night', rulestring: 'B3678/S34678', description: 'Live and dead regions behave alike' },
+  { id: 'seeds', name: 'Seeds', rulestring: 'B2/S', description: 'Every cell dies at once; explosive growth' },
+  { id: 'lifewithoutdeath', name: 'Life without Death', rulestring: 'B3/S012345678', description: 'Cells never die; ladders grow' },
+  { id: 'maze', name: 'Maze', rulestring: 'B3/S12345', description: 'Grows into maze-like corridors' },
+  { id: 'mazectric', name: 'Mazectric', rulestring: 'B3/S1234', description: 'Mazes with longer, straighter corridors' },
+  { id: 'coral', name: 'Coral', rulestring: 'B3/S45678', description: 'Slow coral-like growth' },
+  { id: 'replicator', name: 'Replicator', rulestring: 'B1357/S1357', description: 'Every pattern is copied over and over' },
+  { id: '2x2', name: '2x2', rulestring: 'B36/S125', description: 'Patterns built from 2x2 blocks' },
+  { id: 'diamoeba', name: 'Diamoeba', rulestring: 'B35678/S5678', description: 'Diamond-shaped amoebas' },
+  { id: 'morley', name: 'Morley', rulestring: 'B368/S245', description: 'Rich in spaceships' },
+  { id: 'anneal', name: 'Anneal', rulestring: 'B4678/S35678', description: 'Majority-like rule; regions smooth out' },
+  { id: 'briansbrain', name: "Brian's Brain", rulestring: 'B2/S/C3', description: 'Generations: cells fire once, then rest a generation' },
+  { id: 'starwars', name: 'Star Wars', rulestring: 'B2/S345/C4', description: 'Generations with four states' },
+  { id: 'bosco', name: "Bosco's Rule", rulestring: 'R5,C0,M1,S34..58,B34..45,NM', description: 'Larger than Life, range 5; has gliding bugs' },
+  { id: 'majority', name: 'Majority', rulestring: 'R4,C0,M1,S41..81,B41..81,NM', description: 'Larger than Life, range 4; cells follow the local majority' }
+];
+
+// Number of cells a neighborhood counts, the center cell excluded
+const neighborhoodSize = (neighborhood, range) => (
+  neighborhood === Neighborhoods.VON_NEUMANN ? 2 * range * (range + 1) : (2 * range + 1) ** 2 - 1
+);
+
+// Largest possible neighbor count of a rule
+export const maxNeighbors = (rule) => neighborhoodSize(rule.neighborhood, rule.range) + (rule.includeCenter ? 1 : 0);
+
+// Turn a list of counts into a lookup table indexed by neighbor count
+const toTable = (counts, size, letter) => {
+  const table = new Array(size + 1).fill(false);
+  counts.forEach(count => {
+    if (count > size) {
+      throw new Error(`${letter}${count} is out of range: this neighborhood has at most ${size} neighbors`);
+    }
+    table[count] = true;
+  });
+  return table;
+};
+
+const digitsOf = (text) => Array.from(text, Number);
+
+const makeRule = ({ birth, survival, states = 2, range = 1, neighborhood = Neighborhoods.MOORE, includeCenter = false }) => {
+  if (!Number.isInteger(states) || states < 2 || states > MAX_STATES) {
+    throw new Error(`The number of states must be between 2 and ${MAX_STATES}`);
+  }
+  if (!Number.isInteger(range) || range < 1 || range > MAX_RANGE) {
+    throw new Error(`The range must be between 1 and ${MAX_RANGE}`);
+  }
+
+  const size = neighborhoodSize(neighborhood, range) + (includeCenter ? 1 : 0);
+  const rule = {
+    birth: toTable(birth, size, 'B'),
+    survival: toTable(survival, size, 'S'),
+    states,
+    range,
+    neighborhood,
+    includeCenter
+  };
+  rule.rulestring = formatRule(rule);
+  return rule;
+};
+
+// Parse the comma-separated R,C,M,S,B,N items of a Larger than Life rule
+const parseLargerThanLife = (text) => {
+  const options = { birth: [], survival: [], states: 2, range: 1, neighborhood: Neighborhoods.MOORE, includeCenter: false };
+  let list = null;
+
+  text.split(',').forEach(item => {
+    const match = item.match(/^([RCMSBN])(.*)$/i);
+    const value = match ? match[2] : item;
+    const letter = match ? match[1].toUpperCase() : null;
+
+    if (letter === 'R' || letter === 'C' || letter === 'M') {
+      if (!/^\d+$/.test(value)) throw new Error(`Expected a number after ${letter}`);
+      const number = Number(value);
+      if (letter === 'R') options.range = number;
+      // C0 and C1 both mean two states
+      if (letter === 'C') options.states = Math.max(2, number);
+      if (letter === 'M') {
+        if (number > 1) throw new Error('M must be 0 or 1');
+        options.includeCenter = number === 1;
+      }
+      list = null;
+    } else if (letter === 'N') {
+      const code = value.toUpperCase();
+      if (code !== 'M' && code !== 'N') throw new Error('The neighborhood must be NM (Moore) or NN (von Neumann)');
+      options.neighborhood = code === 'N' ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE;
+      list = null;
+    } else if (letter === 'S' || letter === 'B' || (letter === null && list)) {
+      if (letter) list = letter === 'S' ? options.survival : options.birth;
+      if (value === '') return;
+      const range = value.match(/^(\d+)(?:\.\.(\d+))?$/);
+      if (!range) throw new Error(`Invalid count '${value}'`);
+      const from = Number(range[1]);
+      const to = range[2] === undefined ? from : Number(range[2]);
+      if (to < from) throw new Error(`Invalid count range '${value}'`);
+      for (let count = from; count <= to; count++) list.push(count);
+    } else {
+      throw new Error(`Unexpected '${item}'`);
+    }
+  });
+
+  return makeRule(options);
+};
+
+// Parse a rulestring into a rule object; throws an Error describing the problem
+export const parseRule = (rulestring) => {
+  const text = String(rulestring || '').replace(/\s+/g, '');
+  if (text === '') throw new Error('Enter a rule, e.g. B3/S23');
+
+  try {
+    if (/^R\d/i.test(text)) return parseLargerThanLife(text);
+
+    let match;
+    // Generations: B/S/C, then S/B/C
+    if ((match = text.match(/^B(\d*)\/S(\d*)\/C?(\d+)(V?)$/i))) {
+      return makeRule({ birth: digitsOf(match[1]), survival: digitsOf(match[2]), states: Number(match[3]), neighborhood: match[4] ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE });
+    }
+    if ((match = text.match(/^(\d*)\/(\d*)\/(\d+)(V?)$/i))) {
+      return makeRule({ survival: digitsOf(match[1]), birth: digitsOf(match[2]), states: Number(match[3]), neighborhood: match[4] ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE });
+    }
+    // Life-like: B/S (slash optional), S/B with letters, then bare S/B
+    if ((match = text.match(/^B(\d*)\/?S(\d*)(V?)$/i))) {
+      return makeRule({ birth: digitsOf(match[1]), survival: digitsOf(match[2]), neighborhood: match[3] ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE });
+    }
+    if ((match = text.match(/^S(\d*)\/?B(\d*)(V?)$/i))) {
+      return makeRule({ survival: digitsOf(match[1]), birth: digitsOf(match[2]), neighborhood: match[3] ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE });
+    }
+    if ((match = text.match(/^(\d*)\/(\d*)(V?)$/i))) {
+      return makeRule({ survival: digitsOf(match[1]), birth: digitsOf(match[2]), neighborhood: match[3] ? Neighborhoods.VON_NEUMANN : Neighborhoods.MOORE });
+    }
+  } catch (error) {
+    throw new Error(`Invalid rule '${text}': ${error.message}`);
+  }
+
+  throw new Error(`Invalid rule '${text}': expected a form like B3/S23, B2/S/C3 or R5,C0,M1,S34..58,B34..45,NM`);
+};
+
+// Counts set in a lookup table
+const countsOf = (table) => table.reduce((counts, set, count) => (set ? [...counts, count] : counts), []);
+
+// Compact count list for Larger than Life rules: 34..58,60
+const formatRanges = (counts) => {
+  const parts = [];
+  for (let i = 0; i < counts.length; i++) {
+    let j = i;
+    while (j + 1 < counts.length && counts[j + 1] === counts[j] + 1) j++;
+    parts.push(j > i ? `${counts[i]}..${counts[j]}` : `${counts[i]}`);
+    i = j;
+  }
+  return parts.join(',');
+};
+
+// Canonical rulestring of a rule object
+export const formatRule = (rule) => {
+  const birth = countsOf(rule.birth);
+  const survival = countsOf(rule.survival);
+  const vonNeumann = rule.neighborhood === Neighborhoods.VON_NEUMANN;
+
+  if (rule.range > 1 || rule.includeCenter) {
+    return `R${rule.range},C${rule.states > 2 ? rule.states : 0},M${rule.includeCenter ? 1 : 0},` +
+      `S${formatRanges(survival)},B${formatRanges(birth)},N${vonNeumann ? 'N' : 'M'}`;
+  }
+
+  const lifeLike = `B${birth.join('')}/S${survival.join('')}`;
+  const suffix = vonNeumann ? 'V' : '';
+  return rule.states > 2 ? `${lifeLike}/C${rule.states}${suffix}` : `${lifeLike}${suffix}`;
+};
+
+// Short description of the family a rule belongs to
+export const describeRule = (rule) => {
+  if (rule.range > 1 || rule.includeCenter) {
+    const shape = rule.neighborhood === Neighborhoods.VON_NEUMANN ? 'von Neumann' : 'Moore';
+    return `Larger than Life, range ${rule.range} ${shape}${rule.states > 2 ? `, ${rule.states} states` : ''}`;
+  }
+  const shape = rule.neighborhood === Neighborhoods.VON_NEUMANN ? ' (von Neumann)' : '';
+  return rule.states > 2 ? `Generations, ${rule.states} states${shape}` : `Life-like${shape}`;
+};
+
+export const getPreset = (id) => RULE_PRESETS.find(preset => preset.id === id) || null;
+
+// Preset whose rule equals the given rule, if any
+export const findPreset = (rule) => RULE_PRESETS.find(preset => resolveRule(preset.id).rulestring === rule.rulestring) || null;
+
+const ruleCache = new Map();
+
+// Rule object for a rule object, preset id or rulestring; parsed rules are cached
+export const resolveRule = (ruleOrName) => {
+  if (ruleOrName && typeof ruleOrName === 'object') return ruleOrName;
+  const key = String(ruleOrName);
+  if (!ruleCache.has(key)) {
+    const preset = getPreset(key);
+    ruleCache.set(key, parseRule(preset ? preset.rulestring : key));
+  }
+  return ruleCache.get(key);
+};
+
+export const CONWAY = resolveRule('conway');
+
+const wrap = (index, size) => ((index % size) + size) % size;
+
+// Index an axis position lands on, or -1 past a dead boundary. Reflective
+// edges mirror the cells just inside them; every other topology wraps.
+const foldIndex = (topology, index, size) => {
+  if (topology === Topologies.DEAD) return index >= 0 && index < size ? index : -1;
+  if (topology === Topologies.REFLECTIVE) {
+    const folded = wrap(index, 2 * size);
+    return folded < size ? folded : 2 * size - 1 - folded;
+  }
+  return wrap(index, size);
+};
+
+// Odd number of trips across the edges of an axis
+const crossesOddly = (index, size) => Math.abs(Math.floor(index / size)) % 2 === 1;
+
+// [crossed axis, mirrored axis]: wrapping across the edges of the crossed axis
+// comes back mirrored along the other. Axis 0 is the outer array index.
+const TWISTS = {
+  [Topologies.KLEIN]: [[1, 0]],
+  [Topologies.PROJECTIVE]: [[1, 0], [0, 1]]
+};
+
+// Cell coordinates [i, j, ...] a position past the edges maps to under a
+// topology, or null when it falls off a dead boundary. Axes beyond the
+// first two of a 3D grid wrap like a torus under a twisted topology.
+export const mapToTopology = (topology, coords, sizes) => {
+  const mapped = coords.map((index, axis) => foldIndex(topology, index, sizes[axis]));
+  if (mapped.includes(-1)) return null;
+  (TWISTS[topology] || []).forEach(([crossed, mirrored]) => {
+    if (crossesOddly(coords[crossed], sizes[crossed])) mapped[mirrored] = sizes[mirrored] - 1 - mapped[mirrored];
+  });
+  return mapped;
+};
+
+// Golly-style suffix letters for topologies in rulestrings: B3/S23:T40,30.
+// Golly has no reflective bounded grid, R is our own.
+const TOPOLOGY_LETTERS = {
+  [Topologies.DEAD]: 'P',
+  [Topologies.TORUS]: 'T',
+  [Topologies.KLEIN]: 'K',
+  [Topologies.PROJECTIVE]: 'C',
+  [Topologies.REFLECTIVE]: 'R'
+};
+
+// Rulestring suffix for a grid topology; Klein bottles mark the twisted edges with *
+export const formatTopology = ({ type, width, height }) => (
+  type === Topologies.KLEIN
+    ? `K${width}*,${height}`
+    : `${TOPOLOGY_LETTERS[type]}${width},${height}`
+);
+
+// Parse a topology suffix such as T40,30 into { type, width, height }
+export const parseTopology = (text) => {
+  const match = /^([PTKCR])(\d+)\*?,(\d+)\*?$/i.exec(text.trim());
+  if (!match) throw new Error(`Invalid topology '${text}': expected a letter and a size such as T40,30`);
+  const type = Object.keys(TOPOLOGY_LETTERS).find(key => TOPOLOGY_LETTERS[key] === match[1].toUpperCase());
+  return { type, width: Number(match[2]), height: Number(match[3]) };
+};
+
+// Live neighbor counts of every cell, row-major (index = i * cols + j).
+// Works on grids indexed either grid[x][y] or grid[y][x]: both neighborhoods
+// are symmetric. Edges follow the topology; twisted ones mirror index i when
+// crossing the edges of index j.
+export const countLiveNeighbors = (grid, rule = CONWAY, topology = Topologies.TORUS) => {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const r = rule.range;
+  const paddedRows = rows + 2 * r;
+  const paddedCols = cols + 2 * r;
+  const stride = paddedCols + 1;
+  const counts = new Int32Array(rows * cols);
+
+  // Source row of each padded row and column of each padded column, plus
+  // whether reaching it crossed a twisted edge
+  const twists = TWISTS[topology] || [];
+  const rowSource = [];
+  const colSource = [];
+  const rowTwisted = [];
+  const colTwisted = [];
+  for (let a = 0; a < paddedRows; a++) {
+    rowSource[a] = foldIndex(topology, a - r, rows);
+    rowTwisted[a] = twists.some(([crossed]) => crossed === 0) && crossesOddly(a - r, rows);
+  }
+  for (let b = 0; b < paddedCols; b++) {
+    colSource[b] = foldIndex(topology, b - r, cols);
+    colTwisted[b] = twists.some(([crossed]) => crossed === 1) && crossesOddly(b - r, cols);
+  }
+
+  // Row prefix sums of the grid padded by the range on every side
+  const rowSums = new Int32Array(paddedRows * stride);
+  for (let a = 0; a < paddedRows; a++) {
+    let sum = 0;
+    for (let b = 0; b < paddedCols; b++) {
+      let i = rowSource[a];
+      let j = colSource[b];
+      if (i >= 0 && j >= 0) {
+        if (colTwisted[b]) i = rows - 1 - i;
+        if (rowTwisted[a]) j = cols - 1 - j;
+        if (grid[i][j] === 1) sum++;
+      }
+      rowSums[a * stride + b + 1] = sum;
+    }
+  }
+  const rowSpan = (a, from, to) => rowSums[a * stride + to + 1] - rowSums[a * stride + from];
+
+  if (rule.neighborhood === Neighborhoods.VON_NEUMANN) {
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < cols; j++) {
+        let count = 0;
+        for (let dy = -r; dy <= r; dy++) {
+          const reach = r - Math.abs(dy);
+          count += rowSpan(i + r + dy, j + r - reach, j + r + reach);
+        }
+        counts[i * cols + j] = count;
+      }
+    }
+  } else {
+    // Column sums over 2r+1 rows turn each window into one more row span
+    const boxSums = new Int32Array(rows * stride);
+    for (let i = 0; i < rows; i++) {
+      for (let b = 0; b <= paddedCols; b++) {
+        let sum = 0;
+        for (let a = i; a <= i + 2 * r; a++) sum += rowSums[a * stride + b];
+        boxSums[i * stride + b] = sum;
+      }
+      for (let j = 0; j < cols; j++) {
+        counts[i * cols + j] = boxSums[i * stride + j + 2 * r + 1] - boxSums[i * stride + j];
+      }
+    }
+  }
+
+  if (!rule.includeCenter) {
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < cols; j++) {
+        if (grid[i][j] === 1) counts[i * cols + j]--;
+      }
+    }
+  }
+
+  return counts;
+};
+
+// Next generation of a grid under a rule (rule object, preset id or rulestring)
+export const stepGrid = (grid, ruleOrName = CONWAY, topology = Topologies.TORUS) => {
+  if (!grid || grid.length === 0 || !grid[0] || grid[0].length === 0) return grid;
+  const rule = resolveRule(ruleOrName);
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const counts = countLiveNeighbors(grid, rule, topology);
+  const decays = rule.states > 2;
+
+  const next = new Array(rows);
+  for (let i = 0; i < rows; i++) {
+    const row = grid[i];
+    const nextRow = new Array(cols);
+    for (let j = 0; j < cols; j++) {
+      const state = row[j] || 0;
+      const count = counts[i * cols + j];
+      if (state === 0) {
+        nextRow[j] = rule.birth[count] ? 1 : 0;
+      } else if (state === 1) {
+        nextRow[j] = rule.survival[count] ? 1 : decays ? 2 : 0;
+      } else {
+        // Dying cells age until they run out of states
+        nextRow[j] = state + 1 < rule.states ? state + 1 : 0;
+      }
+    }
+    next[i] = nextRow;
+  }
+  return next;
+};
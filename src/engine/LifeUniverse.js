@@ -0,0 +1,42 @@
+// src/engine/LifeUniverse.js
+
+// Engines a Game of Life can run on. The bounded grid is the dense array the
+// hook has always used; the other two are unbounded universes sharing one
+// interface: getRule, setRule, getGeneration, setGeneration, getPopulation,
+// getCell, setCell, clear, step(generations), getBounds, forEachCell and getCells.
+
+import { resolveRule } from './LifeRules.js';
+import { createSparseUniverse, sparseLifeSupport } from './SparseLife.js';
+import { createHashLifeUniverse, hashLifeSupport } from './HashLife.js';
+
+export const LifeEngines = {
+  BOUNDED: 'bounded',
+  SPARSE: 'sparse',
+  HASHLIFE: 'hashlife'
+};
+
+export const LifeEngineNames = {
+  [LifeEngines.BOUNDED]: 'Bounded grid',
+  [LifeEngines.SPARSE]: 'Infinite (sparse)',
+  [LifeEngines.HASHLIFE]: 'Infinite (HashLife)'
+};
+
+// Why an engine cannot run a rule, or null when it can
+export const engineSupport = (engine, ruleOrName) => {
+  const rule = resolveRule(ruleOrName);
+  if (engine === LifeEngines.SPARSE) return sparseLifeSupport(rule);
+  if (engine === LifeEngines.HASHLIFE) return hashLifeSupport(rule);
+  return null;
+};
+
+// New empty universe for an unbounded engine; throws when it cannot run the rule
+export const createUniverse = (engine, ruleOrName, cells = []) => {
+  const problem = engineSupport(engine, ruleOrName);
+  if (problem) throw new Error(problem);
+
+  const universe = engine === LifeEngines.HASHLIFE
+    ? createHashLifeUniverse(ruleOrName)
+    : createSparseUniverse(ruleOrName);
+  cells.forEach(([x, y, state]) => universe.setCell(x, y, state));
+  return universe;
+};
@@ -0,0 +1,199 @@
+// src/engine/SparseLife.js
+
+// Sparse universe: an unbounded plane split into fixed-size chunks, only the
+// chunks holding non-dead cells are stored. Each generation steps every stored
+// chunk and its neighbors with stepGrid, on a copy padded by the rule's range,
+// so every rule LifeRules understands works here except those with B0.
+
+import { resolveRule, stepGrid } from './LifeRules.js';
+
+// Cells per chunk side; must not be smaller than MAX_RANGE
+export const CHUNK_SIZE = 32;
+
+// Whether the sparse engine can run a rule; returns a reason when it cannot
+export const sparseLifeSupport = (rule) => (
+  rule.birth[0] ? 'Rules with B0 need a bounded grid' : null
+);
+
+const chunkKey = (cx, cy) => `${cx},${cy}`;
+
+const chunkCoords = (key) => key.split(',').map(Number);
+
+export const createSparseUniverse = (ruleOrName) => {
+  let rule = resolveRule(ruleOrName);
+  let chunks = new Map();
+  let generation = 0;
+  let population = 0;
+
+  const countChunk = (cells) => cells.reduce((sum, state) => sum + (state > 0 ? 1 : 0), 0);
+
+  const stepOnce = () => {
+    const r = rule.range;
+    const size = CHUNK_SIZE + 2 * r;
+    const candidates = new Set();
+    chunks.forEach((_, key) => {
+      const [cx, cy] = chunkCoords(key);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) candidates.add(chunkKey(cx + dx, cy + dy));
+      }
+    });
+
+    const next = new Map();
+    let nextPopulation = 0;
+    candidates.forEach(key => {
+      const [cx, cy] = chunkCoords(key);
+      const around = [];
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) around.push(chunks.get(chunkKey(cx + dx, cy + dy)));
+      }
+
+      // Chunk plus a border of `range` cells taken from its neighbors, grid[y][x]
+      let occupied = false;
+      const padded = new Array(size);
+      for (let y = 0; y < size; y++) {
+        const ly = y - r;
+        const row = new Array(size).fill(0);
+        const rowChunk = ly < 0 ? 0 : ly >= CHUNK_SIZE ? 2 : 1;
+        const iy = ly - (rowChunk - 1) * CHUNK_SIZE;
+        for (let x = 0; x < size; x++) {
+          const lx = x - r;
+          const colChunk = lx < 0 ? 0 : lx >= CHUNK_SIZE ? 2 : 1;
+          const cells = around[rowChunk * 3 + colChunk];
+          if (!cells) continue;
+          const state = cells[iy * CHUNK_SIZE + lx - (colChunk - 1) * CHUNK_SIZE];
+          if (state) {
+            row[x] = state;
+            occupied = true;
+          }
+        }
+        padded[y] = row;
+      }
+      if (!occupied) return;
+
+      // Cells wrapped by stepGrid only land in the padding, which is discarded
+      const stepped = stepGrid(padded, rule);
+      const cells = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+      let count = 0;
+      for (let y = 0; y < CHUNK_SIZE; y++) {
+        const row = stepped[y + r];
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+          const state = row[x + r];
+          if (state) {
+            cells[y * CHUNK_SIZE + x] = state;
+            count++;
+          }
+        }
+      }
+      if (count > 0) {
+        next.set(key, cells);
+        nextPopulation += count;
+      }
+    });
+
+    chunks = next;
+    population = nextPopulation;
+    generation++;
+  };
+
+  const locate = (x, y) => {
+    const cx = Math.floor(x / CHUNK_SIZE);
+    const cy = Math.floor(y / CHUNK_SIZE);
+    return { key: chunkKey(cx, cy), index: (y - cy * CHUNK_SIZE) * CHUNK_SIZE + (x - cx * CHUNK_SIZE) };
+  };
+
+  return {
+    engine: 'sparse',
+
+    getRule: () => rule,
+
+    setRule: (ruleOrNameNext) => {
+      const next = resolveRule(ruleOrNameNext);
+      const problem = sparseLifeSupport(next);
+      if (problem) throw new Error(problem);
+      rule = next;
+    },
+
+    getGeneration: () => generation,
+    // Restored history keeps its generation number
+    setGeneration: (value) => { generation = value; },
+    getPopulation: () => population,
+
+    getCell: (x, y) => {
+      const { key, index } = locate(x, y);
+      const cells = chunks.get(key);
+      return cells ? cells[index] : 0;
+    },
+
+    setCell: (x, y, state) => {
+      const { key, index } = locate(x, y);
+      let cells = chunks.get(key);
+      if (!cells) {
+        if (!state) return;
+        cells = new Uint8Array(CHUNK_SIZE * CHUNK_SIZE);
+        chunks.set(key, cells);
+      }
+      population += (state > 0 ? 1 : 0) - (cells[index] > 0 ? 1 : 0);
+      cells[index] = state;
+      if (!state && countChunk(cells) === 0) chunks.delete(key);
+    },
+
+    clear: () => {
+      chunks = new Map();
+      generation = 0;
+      population = 0;
+    },
+
+    step: (generations = 1) => {
+      for (let i = 0; i < generations; i++) stepOnce();
+    },
+
+    getBounds: () => {
+      let box = null;
+      chunks.forEach((cells, key) => {
+        const [cx, cy] = chunkCoords(key);
+        cells.forEach((state, index) => {
+          if (!state) return;
+          const x = cx * CHUNK_SIZE + (index % CHUNK_SIZE);
+          const y = cy * CHUNK_SIZE + Math.floor(index / CHUNK_SIZE);
+          if (!box) {
+            box = { minX: x, minY: y, maxX: x, maxY: y };
+          } else {
+            box.minX = Math.min(box.minX, x);
+            box.minY = Math.min(box.minY, y);
+            box.maxX = Math.max(box.maxX, x);
+            box.maxY = Math.max(box.maxY, y);
+          }
+        });
+      });
+      return box;
+    },
+
+    // callback(x, y, size, state) for each non-dead cell in the rectangle; the
+    // resolution is accepted for parity with HashLife, cells are always single
+    forEachCell: (minX, minY, maxX, maxY, resolution, callback) => {
+      chunks.forEach((cells, key) => {
+        const [cx, cy] = chunkCoords(key);
+        const x0 = cx * CHUNK_SIZE;
+        const y0 = cy * CHUNK_SIZE;
+        if (x0 > maxX || y0 > maxY || x0 + CHUNK_SIZE <= minX || y0 + CHUNK_SIZE <= minY) return;
+        cells.forEach((state, index) => {
+          if (!state) return;
+          const x = x0 + (index % CHUNK_SIZE);
+          const y = y0 + Math.floor(index / CHUNK_SIZE);
+          if (x >= minX && x <= maxX && y >= minY && y <= maxY) callback(x, y, 1, state);
+        });
+      });
+    },
+
+    getCells: () => {
+      const cells = [];
+      chunks.forEach((chunk, key) => {
+        const [cx, cy] = chunkCoords(key);
+        chunk.forEach((state, index) => {
+          if (state) cells.push([cx * CHUNK_SIZE + (index % CHUNK_SIZE), cy * CHUNK_SIZE + Math.floor(index / CHUNK_SIZE), state]);
+        });
+      });
+      return cells;
+    }
+  };
+};
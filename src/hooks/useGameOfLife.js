@@ -1,5 +1,9 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { createGameOfLifeAnimationManager, ANIMATION_PRESETS } from '../utils/animations/index.js';
+import { stepGrid, parseRule, CONWAY, Topologies } from '../engine/LifeRules.js';
+import { stampPattern as stampOntoGrid, patternFromGrid, patternFromCells } from '../engine/LifePatterns.js';
+import { LifeEngines, createUniverse } from '../engine/LifeUniverse.js';
+import { createLifeHistory, encodeGrid, decodeGrid, encodeCells, decodeCells } from '../engine/LifeHistory.js';
 
 // Game of Life theme using Material Design 3 color tokens
 export const theme = {
@@ -11,6 +15,12 @@ export const theme = {
   borderDark: 'var(--md-sys-color-outline-variant)',
 };
 
+// Unbounded universes bigger than this are not recorded in the history
+const MAX_RECORDED_POPULATION = 100000;
+
+// Furthest a jump may simulate past the history, except on HashLife
+const MAX_JUMP_AHEAD = 10000;
+
 const useGameOfLife = (initialCellsX = 20) => {
   const [numCellsX] = useState(initialCellsX);
   const [cellSize, setCellSize] = useState(10);
@@ -20,9 +30,28 @@ const useGameOfLife = (initialCellsX = 20) => {
   const [generationsPerSecond, setGenerationsPerSecond] = useState(3);
   const [currentTheme] = useState(theme);
   const [animateTransitions, setAnimateTransitions] = useState(true);
+  const [rule, setRuleState] = useState(CONWAY);
+  // Edges of the bounded grid; the unbounded engines have none
+  const [topology, setTopologyState] = useState(Topologies.TORUS);
+  const [engine, setEngineState] = useState(LifeEngines.BOUNDED);
+  const [generation, setGeneration] = useState(0);
+  // Generations per tick on the unbounded engines
+  const [stepSize, setStepSize] = useState(1);
+  // Bumped whenever the universe changes in place, so consumers redraw
+  const [universeVersion, setUniverseVersion] = useState(0);
+  // Past generations for stepping back and the timeline
+  const [history] = useState(() => createLifeHistory());
+  const [timeline, setTimeline] = useState({ range: null, events: [] });
   
   const lastUpdateTimeRef = useRef(0);
   const animationIdRef = useRef(null);
+  // Sparse or HashLife universe; null while on the bounded grid
+  const universeRef = useRef(null);
+
+  const refreshUniverse = useCallback(() => {
+    setGeneration(universeRef.current.getGeneration());
+    setUniverseVersion(version => version + 1);
+  }, []);
 
   // Create a new grid
   const createGrid = useCallback((cols, rows) => {
@@ -49,6 +78,20 @@ const useGameOfLife = (initialCellsX = 20) => {
 
   // Randomize the grid with live cells
   const randomizeGrid = useCallback(() => {
+    const universe = universeRef.current;
+    if (universe) {
+      // Unbounded universes get the area a bounded grid would show
+      history.clear();
+      universe.clear();
+      for (let x = 0; x < numCellsX; x++) {
+        for (let y = 0; y < numCellsY; y++) {
+          if (Math.random() > 0.85) universe.setCell(x, y, 1);
+        }
+      }
+      refreshUniverse();
+      return;
+    }
+
     const newGrid = createGrid(numCellsX, numCellsY);
     for (let x = 0; x < numCellsX; x++) {
       for (let y = 0; y < numCellsY; y++) {
@@ -56,75 +99,207 @@ const useGameOfLife = (initialCellsX = 20) => {
         newGrid[x][y] = Math.random() > 0.85 ? 1 : 0;
       }
     }
+    history.clear();
     setGrid(newGrid);
-  }, [numCellsX, numCellsY, createGrid]);
-
-  // Count neighbors for a cell
-  const countNeighbors = useCallback((x, y, currentGrid) => {
-    let count = 0;
-    for (let i = -1; i <= 1; i++) {
-      for (let j = -1; j <= 1; j++) {
-        if (i === 0 && j === 0) continue;
-        const col = (x + i + numCellsX) % numCellsX;
-        const row = (y + j + numCellsY) % numCellsY;
-        count += currentGrid[col][row];
-      }
-    }
-    return count;
-  }, [numCellsX, numCellsY]);
+    setGeneration(0);
+  }, [numCellsX, numCellsY, createGrid, history, refreshUniverse]);
 
   // Compute next generation using functional update to avoid stale closure
   const computeNextGeneration = useCallback(() => {
+    if (universeRef.current) {
+      universeRef.current.step(stepSize);
+      refreshUniverse();
+      return;
+    }
     setGrid(currentGrid => {
       if (!currentGrid.length) return currentGrid;
-      
-      const newGrid = createGrid(numCellsX, numCellsY);
-      
-      for (let x = 0; x < numCellsX; x++) {
-        for (let y = 0; y < numCellsY; y++) {
-          const neighbors = countNeighbors(x, y, currentGrid);
-          const isAlive = currentGrid[x][y] === 1;
-
-          // Conway's Game of Life rules:
-          // 1. Any live cell with fewer than two live neighbors dies (underpopulation)
-          // 2. Any live cell with two or three live neighbors lives on to the next generation
-          // 3. Any live cell with more than three live neighbors dies (overpopulation)
-          // 4. Any dead cell with exactly three live neighbors becomes a live cell (reproduction)
-          
-          if (isAlive) {
-            // Live cell rules
-            if (neighbors < 2) {
-              newGrid[x][y] = 0; // Dies from underpopulation
-            } else if (neighbors === 2 || neighbors === 3) {
-              newGrid[x][y] = 1; // Survives
-            } else {
-              newGrid[x][y] = 0; // Dies from overpopulation
-            }
-          } else {
-            // Dead cell rules
-            if (neighbors === 3) {
-              newGrid[x][y] = 1; // Becomes alive through reproduction
-            } else {
-              newGrid[x][y] = 0; // Stays dead
-            }
-          }
-        }
-      }
-
-      return newGrid;
+      return stepGrid(currentGrid, rule, topology);
     });
-  }, [numCellsX, numCellsY, countNeighbors, createGrid]);
+    setGeneration(current => current + 1);
+  }, [rule, topology, stepSize, refreshUniverse]);
+
+  // Switch rules; throws with a readable message when the rulestring is invalid
+  // or the current engine cannot run it
+  const setRule = useCallback((rulestring) => {
+    const parsed = parseRule(rulestring);
+    if (universeRef.current) universeRef.current.setRule(parsed);
+    setRuleState(parsed);
+    // Recorded futures followed the old rule
+    history.forgetAfter(generation);
+    return parsed;
+  }, [history, generation]);
+
+  // Change the edges of the bounded grid
+  const setTopology = useCallback((next) => {
+    setTopologyState(next);
+    history.forgetAfter(generation);
+  }, [history, generation]);
+
+  // Move the cells onto another engine; throws when that engine cannot run the rule
+  const setEngine = useCallback((nextEngine) => {
+    if (nextEngine === engine) return;
+    let cells = [];
+    if (universeRef.current) {
+      cells = universeRef.current.getCells();
+    } else {
+      grid.forEach((column, x) => column.forEach((state, y) => {
+        if (state > 0) cells.push([x, y, state]);
+      }));
+    }
+
+    history.clear();
+    if (nextEngine === LifeEngines.BOUNDED) {
+      const newGrid = createGrid(numCellsX, numCellsY);
+      cells.forEach(([x, y, state]) => {
+        if (x >= 0 && x < numCellsX && y >= 0 && y < numCellsY) newGrid[x][y] = state;
+      });
+      universeRef.current = null;
+      setGrid(newGrid);
+      setGeneration(0);
+    } else {
+      universeRef.current = createUniverse(nextEngine, rule, cells);
+      refreshUniverse();
+    }
+    setEngineState(nextEngine);
+    setStepSize(1);
+  }, [engine, grid, rule, numCellsX, numCellsY, createGrid, history, refreshUniverse]);
 
   // Toggle cell state
   const toggleCell = useCallback((x, y) => {
+    const universe = universeRef.current;
+    if (universe) {
+      universe.setCell(x, y, universe.getCell(x, y) === 1 ? 0 : 1);
+      refreshUniverse();
+      return;
+    }
     if (x >= 0 && x < numCellsX && y >= 0 && y < numCellsY) {
       setGrid(prev => {
         const newGrid = prev.map(col => [...col]);
-        newGrid[x][y] = newGrid[x][y] ? 0 : 1;
+        // Dying cells of Generations rules come back to life too
+        newGrid[x][y] = newGrid[x][y] === 1 ? 0 : 1;
         return newGrid;
       });
     }
-  }, [numCellsX, numCellsY]);
+  }, [numCellsX, numCellsY, refreshUniverse]);
+
+  // Stamp a pattern centred on (x, y); on a bounded grid cells past an edge follow the topology
+  const stampPattern = useCallback((pattern, x, y) => {
+    if (!pattern) return;
+    const originX = x - Math.floor(pattern.width / 2);
+    const originY = y - Math.floor(pattern.height / 2);
+    const universe = universeRef.current;
+    if (universe) {
+      pattern.cells.forEach(([dx, dy, state]) => universe.setCell(originX + dx, originY + dy, state));
+      refreshUniverse();
+      return;
+    }
+    setGrid(prev => stampOntoGrid(prev, pattern, originX, originY, { columnMajor: true, topology }));
+  }, [topology, refreshUniverse]);
+
+  // Kill every cell
+  const clearGrid = useCallback(() => {
+    history.clear();
+    if (universeRef.current) {
+      universeRef.current.clear();
+      refreshUniverse();
+      return;
+    }
+    setGrid(createGrid(numCellsX, numCellsY));
+    setGeneration(0);
+  }, [numCellsX, numCellsY, createGrid, history, refreshUniverse]);
+
+  // Current live cells as a pattern, ready for writeRLE and friends
+  const getPattern = useCallback((name = '') => {
+    if (universeRef.current) {
+      return patternFromCells(universeRef.current.getCells(), { name, rule: rule.rulestring });
+    }
+    return patternFromGrid(grid, {
+      columnMajor: true,
+      name,
+      rule: rule.rulestring,
+      topology: { type: topology, width: numCellsX, height: numCellsY }
+    });
+  }, [grid, rule, topology, numCellsX, numCellsY]);
+
+  // Live cell count of the grid or universe
+  const population = useMemo(() => {
+    if (universeRef.current) return universeRef.current.getPopulation();
+    return grid.reduce((sum, column) => sum + column.reduce((count, state) => count + (state > 0 ? 1 : 0), 0), 0);
+    // universeVersion marks in-place universe changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [grid, universeVersion]);
+
+  // Record every state the grid or universe reaches; replays of recorded
+  // generations are recognised and leave the history as it was
+  useEffect(() => {
+    const universe = universeRef.current;
+    let snapshot;
+    if (universe) {
+      if (universe.getPopulation() > MAX_RECORDED_POPULATION) return;
+      snapshot = encodeCells(universe.getCells());
+    } else {
+      if (!grid.length) return;
+      snapshot = encodeGrid(grid);
+    }
+    history.record(generation, snapshot);
+    setTimeline({ range: history.getRange(), events: [...history.getEvents()] });
+    // universeVersion marks in-place universe changes
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [grid, generation, universeVersion, history]);
+
+  // Go to any generation from the oldest recorded one on: restore the closest
+  // recorded state before it and simulate the rest. Throws when it is out of reach.
+  const jumpToGeneration = useCallback((target) => {
+    const wanted = Math.floor(target);
+    const entry = history.nearestBefore(wanted);
+    if (!entry) {
+      const range = history.getRange();
+      throw new Error(range
+        ? `Generation ${wanted} is older than the history, which starts at ${range.start}`
+        : 'No history recorded yet');
+    }
+    const remaining = wanted - entry.generation;
+    if (remaining > MAX_JUMP_AHEAD && engine !== LifeEngines.HASHLIFE) {
+      throw new Error(`Can only jump ${MAX_JUMP_AHEAD.toLocaleString()} generations past the history`);
+    }
+    setIsPlaying(false);
+
+    const universe = universeRef.current;
+    if (universe) {
+      // The current state needs no restoring
+      if (entry.generation !== universe.getGeneration()) {
+        universe.clear();
+        decodeCells(entry.snapshot).forEach(([x, y, state]) => universe.setCell(x, y, state));
+        universe.setGeneration(entry.generation);
+      }
+      universe.step(remaining);
+      refreshUniverse();
+      return;
+    }
+
+    // Snapshots from before a resize are cropped or padded to the grid
+    let nextGrid = decodeGrid(entry.snapshot);
+    if (entry.snapshot.outer !== numCellsX || entry.snapshot.inner !== numCellsY) {
+      const fitted = createGrid(numCellsX, numCellsY);
+      nextGrid.forEach((column, x) => column.forEach((state, y) => {
+        if (x < numCellsX && y < numCellsY) fitted[x][y] = state;
+      }));
+      nextGrid = fitted;
+    }
+    for (let current = entry.generation + 1; current <= wanted; current++) {
+      nextGrid = stepGrid(nextGrid, rule, topology);
+      // Every generation on the way is kept, so periods show up as they would playing
+      if (current < wanted) history.record(current, encodeGrid(nextGrid));
+    }
+    setGrid(nextGrid);
+    setGeneration(wanted);
+  }, [history, engine, rule, topology, numCellsX, numCellsY, createGrid, refreshUniverse]);
+
+  // Back to the previous recorded generation
+  const stepBack = useCallback(() => {
+    const entry = history.nearestBefore(generation - 1);
+    if (entry) jumpToGeneration(entry.generation);
+  }, [history, generation, jumpToGeneration]);
 
   // Game loop
   const gameLoop = useCallback((timestamp) => {
@@ -221,15 +396,35 @@ const useGameOfLife = (initialCellsX = 20) => {
     generationsPerSecond,
     currentTheme,
     animateTransitions,
+    rule,
+    topology,
+    engine,
+    generation,
+    population,
+    stepSize,
+    universe: universeRef.current,
+    universeVersion,
+    historyRange: timeline.range,
+    historyEvents: timeline.events,
     
     // Actions
     initializeGrids,
     randomizeGrid,
     toggleCell,
+    stampPattern,
+    clearGrid,
+    getPattern,
     togglePlayPause,
     resetGrid,
     setSpeed,
     setAnimate,
+    setRule,
+    setTopology,
+    setEngine,
+    setStepSize,
+    jumpToGeneration,
+    stepBack,
+    computeNextGeneration,
     startGameLoop,
     stopGameLoop
   };
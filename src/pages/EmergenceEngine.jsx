@@ -9,6 +9,7 @@ import ControlPanel, {
     SliderControl, 
     ButtonControl, 
     SelectControl,
+    TextControl,
     ToggleControl,
     InfoDisplay, 
     StatusIndicator 
@@ -24,6 +25,7 @@ import {
   initialize3DGrid as init3DCellGrid,
   update3DGrid as update3DCellGrid
 } from '../engine/CellularAutomata.js';
+import { RULE_PRESETS, parseRule, findPreset, getPreset, describeRule, resolveRule, Topologies, TopologyNames } from '../engine/LifeRules.js';
 import { calculateMetrics as calcMetrics } from '../engine/Metrics.js';
 
 // Import configurations
@@ -47,6 +49,10 @@ const EmergenceEngine = () => {
   const [selectedPattern, setSelectedPattern] = useState('flocking');
   const [cellularGrid, setCellularGrid] = useState([]);
   const [cellularRules, setCellularRules] = useState(initialCellularRules);
+  // Rulestring being typed; applied to cellularRules when it parses
+  const [ruleText, setRuleText] = useState(() => resolveRule(initialCellularRules).rulestring);
+  const [ruleError, setRuleError] = useState(null);
+  const [topology, setTopology] = useState(Topologies.TORUS);
   const [generation, setGeneration] = useState(0);
   const [is3D, setIs3D] = useState(false);
   const [editMode, setEditMode] = useState(false);
@@ -123,9 +129,9 @@ const EmergenceEngine = () => {
 
       if (!editMode && isRunning) {
         if (is3D) {
-          setCellular3DGrid(currentGrid => update3DCellGrid(currentGrid));
+          setCellular3DGrid(currentGrid => update3DCellGrid(currentGrid, topology));
         } else {
-          setCellularGrid(currentGrid => updateCellGrid(currentGrid, cellularRules));
+          setCellularGrid(currentGrid => updateCellGrid(currentGrid, cellularRules, topology));
         }
         setGeneration(gen => gen + 1);
       }
@@ -201,7 +207,7 @@ const EmergenceEngine = () => {
     if (isRunning) {
       animationRef.current = requestAnimationFrame(animate);
     }
-  }, [isRunning, rules, selectedPattern, cellularRules, editMode, is3D, cellularGrid, cellular3DGrid, generation, cursor, simulationSpeed, calcMetrics, agentCountParams]);
+  }, [isRunning, rules, selectedPattern, cellularRules, topology, editMode, is3D, cellularGrid, cellular3DGrid, generation, cursor, simulationSpeed, calcMetrics, agentCountParams]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -303,8 +309,7 @@ const EmergenceEngine = () => {
     setRules(prev => ({ ...prev, [ruleName]: parseFloat(value) }));
   };
 
-  const handlePatternChange = (e) => {
-    const newPattern = e.target.value;
+  const handlePatternChange = (newPattern) => {
     setSelectedPattern(newPattern);
     if (newPattern !== 'cellular') {
         setIs3D(false);
@@ -314,9 +319,26 @@ const EmergenceEngine = () => {
     }
   };
 
-  const handleCellularRuleChange = (e) => {
-    setCellularRules(e.target.value);
-  }
+  const handleCellularRuleChange = (presetId) => {
+    const preset = getPreset(presetId);
+    if (!preset) return;
+    setCellularRules(preset.id);
+    setRuleText(preset.rulestring);
+    setRuleError(null);
+  };
+
+  // Presets are kept by id so the renderer can color them; other rules by rulestring
+  const applyRuleText = (text) => {
+    try {
+      const rule = parseRule(text);
+      const preset = findPreset(rule);
+      setCellularRules(preset ? preset.id : rule.rulestring);
+      setRuleText(rule.rulestring);
+      setRuleError(null);
+    } catch (error) {
+      setRuleError(error.message);
+    }
+  };
 
   const toggle3D = () => {
     if (selectedPattern === 'cellular') {
@@ -418,16 +440,35 @@ const EmergenceEngine = () => {
             <>
               <SelectControl
                 label="Cellular Rules"
-                value={cellularRules}
+                value={getPreset(cellularRules) ? cellularRules : 'custom'}
                 onChange={handleCellularRuleChange}
                 options={[
-                  { value: "conway", label: "Conway's Life" },
-                  { value: "maze", label: "Maze (B3/S12345)" },
-                  { value: "coral", label: "Coral (B3/S45678)" }
+                  ...RULE_PRESETS.map(preset => ({ value: preset.id, label: `${preset.name} (${preset.rulestring})` })),
+                  { value: 'custom', label: 'Custom rule' }
                 ]}
+                disabled={is3D}
                 icon="fas fa-th"
               />
+
+              <TextControl
+                label={`Rulestring · ${describeRule(resolveRule(cellularRules))}`}
+                value={ruleText}
+                onChange={setRuleText}
+                onCommit={applyRuleText}
+                placeholder="B3/S23, B2/S/C3 or R5,C0,M1,S34..58,B34..45,NM"
+                error={ruleError}
+                disabled={is3D}
+                icon="fas fa-keyboard"
+              />
               
+              <SelectControl
+                label="Edges"
+                value={topology}
+                onChange={setTopology}
+                options={Object.values(Topologies).map(id => ({ value: id, label: TopologyNames[id] }))}
+                icon="fas fa-border-all"
+              />
+
               <SelectControl
                 label="Simulation Speed"
                 value={simulationSpeed}
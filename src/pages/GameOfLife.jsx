@@ -1,7 +1,12 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import useGameOfLife from '../hooks/useGameOfLife.js';
 import GameCanvas from '../components/GameCanvas.jsx';
-import { Button, Container, Typography, Checkbox } from '../design-system';
+import UniverseCanvas, { fitViewport } from '../components/UniverseCanvas.jsx';
+import PatternLibrary from '../components/PatternLibrary.jsx';
+import HistoryTimeline from '../components/HistoryTimeline.jsx';
+import { Button, Container, Typography, Checkbox, TextField } from '../design-system';
+import { RULE_PRESETS, findPreset, getPreset, describeRule, Topologies, TopologyNames } from '../engine/LifeRules.js';
+import { LifeEngines, LifeEngineNames } from '../engine/LifeUniverse.js';
 import InteractivePageWrapper from '../components/InteractivePageWrapper';
 import '../components/InteractivePageWrapper.css';
 import '../styles/GameOfLife.css';
@@ -19,18 +24,47 @@ const GameOfLife = () => {
     generationsPerSecond,
     currentTheme,
     animateTransitions,
+    rule,
+    topology,
+    engine,
+    generation,
+    population,
+    stepSize,
+    universe,
+    universeVersion,
+    historyRange,
+    historyEvents,
     
     // Actions
     initializeGrids,
     randomizeGrid,
     toggleCell,
+    stampPattern,
+    clearGrid,
+    getPattern,
     togglePlayPause,
     resetGrid,
     setSpeed,
     setAnimate,
+    setRule,
+    setTopology,
+    setEngine,
+    setStepSize,
+    jumpToGeneration,
+    stepBack,
+    computeNextGeneration,
     startGameLoop
   } = useGameOfLife(50);
 
+  const [ruleText, setRuleText] = useState(rule.rulestring);
+  const [ruleError, setRuleError] = useState(null);
+  const [selectedPattern, setSelectedPattern] = useState(null);
+  const [engineError, setEngineError] = useState(null);
+  const [viewport, setViewport] = useState(null);
+  const canvasWidth = numCellsX * cellSize;
+  const canvasHeight = numCellsY * cellSize;
+  const activePreset = findPreset(rule);
+
   // Initialize the game when component mounts
   useEffect(() => {
     let isInitialLoad = true;
@@ -81,6 +115,46 @@ const GameOfLife = () => {
     setAnimate(checked);
   };
 
+  const applyRule = (text) => {
+    try {
+      const parsed = setRule(text);
+      setRuleText(parsed.rulestring);
+      setRuleError(null);
+    } catch (error) {
+      setRuleError(error.message);
+    }
+  };
+
+  const resetViewport = () => {
+    setViewport({ x: 0, y: 0, scale: cellSize });
+  };
+
+  const handleEngineChange = (e) => {
+    try {
+      setEngine(e.target.value);
+      setEngineError(null);
+      // Unbounded views open on the area the bounded grid showed
+      if (engine === LifeEngines.BOUNDED) resetViewport();
+    } catch (error) {
+      setEngineError(error.message);
+    }
+  };
+
+  const handleFitView = () => {
+    const fitted = universe && fitViewport(universe.getBounds(), canvasWidth, canvasHeight);
+    if (fitted) setViewport(fitted);
+  };
+
+  // Patterns saved from a bounded grid bring its edges along; the size is the screen's
+  const handleImportTopology = (imported) => {
+    if (engine === LifeEngines.BOUNDED) setTopology(imported.type);
+  };
+
+  const handlePresetChange = (e) => {
+    const preset = getPreset(e.target.value);
+    if (preset) applyRule(preset.rulestring);
+  };
+
   return (
     <InteractivePageWrapper>
       <Container className="gameoflife-container">
@@ -106,6 +180,9 @@ const GameOfLife = () => {
                 <Button variant="outlined" onClick={randomizeGrid}>
                   Randomize
                 </Button>
+                <Button variant="outlined" onClick={clearGrid}>
+                  Clear
+                </Button>
               </div>
               
               <div className="gameoflife-control-group">
@@ -124,6 +201,107 @@ const GameOfLife = () => {
                 </div>
               </div>
               
+              <div className="gameoflife-control-group gameoflife-engine-group">
+                <div className="gameoflife-select-container">
+                  <Typography variant="label-medium">
+                    Engine
+                  </Typography>
+                  <select value={engine} onChange={handleEngineChange} aria-label="Simulation engine">
+                    {Object.values(LifeEngines).map(id => (
+                      <option key={id} value={id}>{LifeEngineNames[id]}</option>
+                    ))}
+                  </select>
+                </div>
+                {engine === LifeEngines.BOUNDED && (
+                  <div className="gameoflife-select-container">
+                    <Typography variant="label-medium">
+                      Edges
+                    </Typography>
+                    <select value={topology} onChange={(e) => setTopology(e.target.value)} aria-label="Grid topology">
+                      {Object.values(Topologies).map(id => (
+                        <option key={id} value={id}>{TopologyNames[id]}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {engineError && (
+                  <Typography variant="body-small" className="gameoflife-error">
+                    {engineError}
+                  </Typography>
+                )}
+                {engine === LifeEngines.HASHLIFE && (
+                  <div className="gameoflife-speed-container">
+                    <Typography variant="label-medium">
+                      Step: 2^{Math.log2(stepSize)} gens
+                    </Typography>
+                    <input
+                      type="range"
+                      min="0"
+                      max="20"
+                      value={Math.log2(stepSize)}
+                      onChange={(e) => setStepSize(2 ** parseInt(e.target.value, 10))}
+                      className="gameoflife-speed-slider"
+                      aria-label="Generations per step"
+                    />
+                  </div>
+                )}
+                {engine !== LifeEngines.BOUNDED && (
+                  <div className="gameoflife-control-group">
+                    <Button variant="outlined" size="small" onClick={handleFitView}>
+                      Fit
+                    </Button>
+                    <Button variant="outlined" size="small" onClick={resetViewport}>
+                      Reset View
+                    </Button>
+                  </div>
+                )}
+                <Typography variant="body-small" className="gameoflife-stats">
+                  Generation {generation.toLocaleString()} · Population {population.toLocaleString()}
+                </Typography>
+              </div>
+
+              <div className="gameoflife-control-group gameoflife-rule-group">
+                <div className="gameoflife-select-container">
+                  <Typography variant="label-medium">
+                    Rule
+                  </Typography>
+                  <select
+                    value={activePreset ? activePreset.id : 'custom'}
+                    onChange={handlePresetChange}
+                    aria-label="Rule preset"
+                  >
+                    {RULE_PRESETS.map(preset => (
+                      <option key={preset.id} value={preset.id} title={preset.description}>
+                        {preset.name}
+                      </option>
+                    ))}
+                    <option value="custom" disabled>Custom</option>
+                  </select>
+                </div>
+                <TextField
+                  label="Rulestring"
+                  size="small"
+                  value={ruleText}
+                  onChange={(e) => setRuleText(e.target.value)}
+                  onBlur={() => applyRule(ruleText)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') applyRule(ruleText);
+                  }}
+                  error={Boolean(ruleError)}
+                  helperText={ruleError || describeRule(rule)}
+                  placeholder="B3/S23"
+                />
+              </div>
+
+              <div className="gameoflife-control-group gameoflife-pattern-group">
+                <PatternLibrary
+                  onSelectPattern={setSelectedPattern}
+                  getGridPattern={getPattern}
+                  onImportRule={applyRule}
+                  onImportTopology={handleImportTopology}
+                />
+              </div>
+
               <div className="gameoflife-control-group">
                 <Checkbox
                   checked={animateTransitions}
@@ -134,13 +312,40 @@ const GameOfLife = () => {
             </div>
             
             <div className="gameoflife-canvas-container">
-              <GameCanvas
-                grid={grid}
-                numCellsX={numCellsX}
-                numCellsY={numCellsY}
-                cellSize={cellSize}
-                theme={currentTheme}
-                onCellClick={toggleCell}
+              {engine === LifeEngines.BOUNDED ? (
+                <GameCanvas
+                  grid={grid}
+                  numCellsX={numCellsX}
+                  numCellsY={numCellsY}
+                  cellSize={cellSize}
+                  theme={currentTheme}
+                  states={rule.states}
+                  onCellClick={toggleCell}
+                  stampPattern={selectedPattern}
+                  onStamp={stampPattern}
+                  topology={topology}
+                />
+              ) : (
+                <UniverseCanvas
+                  universe={universe}
+                  version={universeVersion}
+                  width={canvasWidth}
+                  height={canvasHeight}
+                  viewport={viewport}
+                  onViewportChange={setViewport}
+                  states={rule.states}
+                  onCellClick={toggleCell}
+                  stampPattern={selectedPattern}
+                  onStamp={stampPattern}
+                />
+              )}
+              <HistoryTimeline
+                range={historyRange}
+                events={historyEvents}
+                generation={generation}
+                onJump={jumpToGeneration}
+                onStepBack={stepBack}
+                onStepForward={computeNextGeneration}
               />
             </div>
           </div>